@@ -2,6 +2,7 @@ const config = require('../config');
 const logger = require('../utils/logger');
 const db = require('../database');
 const mistralClient = require('../llm/mistral');
+const contactDirectory = require('../contacts/directory');
 
 class CoordinationAgent {
   constructor() {
@@ -105,6 +106,7 @@ class CoordinationAgent {
 
   /**
    * Détecte les chevauchements entre différents corps de métiers
+   * Retourne la liste des chevauchements { task1, task2, startOverlap, endOverlap }
    */
   async detectTradeOverlaps(tasks, projectId) {
     logger.info('Recherche de chevauchements entre corps de métiers...');
@@ -166,6 +168,8 @@ class CoordinationAgent {
     } else {
       logger.info('Aucun chevauchement détecté entre corps de métiers');
     }
+
+    return overlaps;
   }
 
   /**
@@ -245,6 +249,7 @@ class CoordinationAgent {
 
   /**
    * Détecte les conflits de planning entre tâches dépendantes
+   * Retourne la liste des conflits { task, dependency, daysConflict }
    */
   async detectScheduleConflicts(tasks, taskMap, dependencyGraph, projectId) {
     logger.info('Recherche de conflits de planning entre tâches dépendantes...');
@@ -289,6 +294,8 @@ class CoordinationAgent {
     } else {
       logger.info('Aucun conflit de planning détecté');
     }
+
+    return conflicts;
   }
 
   /**
@@ -341,11 +348,15 @@ class CoordinationAgent {
         });
       });
       
+      // Interlocuteurs de chaque corps de métier, d'après l'annuaire
+      const contactsByTrade = await contactDirectory.contactsByTrade(projectId);
+
       // Structure du rapport
       const report = {
         projectName,
         generatedDate: new Date().toLocaleDateString(),
         tasksByTrade,
+        contactsByTrade,
         totalTasks: tasks.rows.length,
         completedTasks: tasks.rows.filter(t => t.status === 'completed').length,
         inProgressTasks: tasks.rows.filter(t => t.status === 'in_progress').length,
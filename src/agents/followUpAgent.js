@@ -3,6 +3,9 @@ const config = require('../config');
 const logger = require('../utils/logger');
 const db = require('../database');
 const mistralClient = require('../llm/mistral');
+const threadManager = require('../email/threading');
+const contactDirectory = require('../contacts/directory');
+const redactor = require('../privacy/redactor');
 
 class FollowUpAgent {
   constructor() {
@@ -53,24 +56,33 @@ class FollowUpAgent {
       // Requête pour trouver les emails nécessitant une relance
       const result = await db.query(`
         SELECT e.id, e.subject, e.body_text, e.from_address, e.to_address, e.received_date, 
-               e.follow_up_status, p.id as project_id
+               e.follow_up_status, e.thread_id, p.id as project_id
         FROM emails e
         JOIN projects p ON e.project_id = p.id
         WHERE e.requires_follow_up = true
           AND (e.follow_up_status IS NULL OR e.follow_up_status = 'pending')
           AND e.received_date < $1
-          AND NOT EXISTS (
-            -- Vérifier si une réponse a été reçue
-            SELECT 1 FROM emails reply
-            WHERE reply.parent_message_id = e.message_id
-          )
         ORDER BY e.received_date ASC
       `, [followUpDate.toISOString()]);
       
-      logger.info(`${result.rows.length} emails nécessitent une relance`);
+      // Écarter les demandes qui ont reçu une réponse dans leur fil de discussion
+      const pendingEmails = [];
+
+      for (const email of result.rows) {
+        if (await threadManager.isRequestAnswered(email)) {
+          await db.query(`
+            UPDATE emails SET follow_up_status = 'answered' WHERE id = $1
+          `, [email.id]);
+          logger.debug(`Email ID ${email.id} marqué comme répondu`);
+        } else {
+          pendingEmails.push(email);
+        }
+      }
+      
+      logger.info(`${pendingEmails.length} emails nécessitent une relance`);
       
       // Traiter chaque email nécessitant une relance
-      for (const email of result.rows) {
+      for (const email of pendingEmails) {
         await this.processFollowUp(email);
       }
     } catch (error) {
@@ -105,14 +117,19 @@ class FollowUpAgent {
         return;
       }
       
-      // Générer l'email de relance
-      const toAddress = Array.isArray(email.to_address) ? email.to_address[0] : email.to_address;
-      
-      const followUpContent = await mistralClient.generateFollowUpEmail(
-        email.body_text,
-        email.subject,
-        toAddress,
-        daysSinceOriginal
+      // Générer l'email de relance, adressé en priorité au contact du corps de métier concerné
+      const toAddress = await contactDirectory.resolveFollowUpRecipient(email)
+        || (Array.isArray(email.to_address) ? email.to_address[0] : email.to_address);
+      
+      const followUpContent = await redactor.protect(
+        { projectId: email.project_id, emailId: email.id, purpose: 'follow_up' },
+        redact => mistralClient.generateFollowUpEmail(
+          redact(email.body_text),
+          redact(email.subject),
+          redact(toAddress),
+          daysSinceOriginal,
+          { projectId: email.project_id }
+        )
       );
       
       // Envoyer l'email de relance
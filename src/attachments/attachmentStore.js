@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+const storage = require('../storage');
+
+class AttachmentStore {
+  constructor() {
+    this.retryTimer = null;
+    this.signingSecret = config.storage.signingSecret;
+
+    if (!this.signingSecret) {
+      // Secret éphémère : les liens générés deviennent invalides au redémarrage
+      this.signingSecret = crypto.randomBytes(32).toString('hex');
+      logger.warn('STORAGE_SIGNING_SECRET non configuré - secret temporaire utilisé pour les liens de téléchargement');
+    }
+  }
+
+  /**
+   * Construit la clé de stockage d'une pièce jointe
+   */
+  buildKey(projectId, emailId, filename) {
+    const extension = path.extname(filename) || '';
+    const basename = path.basename(filename, extension).replace(/[^\w.-]+/g, '_');
+    return `${projectId || 'unassigned'}/${emailId}/${Date.now()}_${basename}${extension}`;
+  }
+
+  /**
+   * Enregistre le contenu d'une pièce jointe dans le backend configuré
+   * En cas d'échec, le contenu est conservé localement pour être réessayé plus tard
+   * Retourne { backend, key, status, spoolPath, error }
+   */
+  async persist(key, content, contentType) {
+    const backend = storage.getDefaultBackend();
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+
+    try {
+      await backend.put(key, buffer, { contentType });
+      logger.debug(`Pièce jointe enregistrée (${backend.name}): ${key}`);
+      return { backend: backend.name, key, status: 'stored', spoolPath: null, error: null };
+    } catch (error) {
+      logger.error(`Erreur lors de l'enregistrement de ${key} (${backend.name}):`, error.message);
+
+      const spoolPath = path.join(config.storage.spoolDir, crypto.randomUUID());
+      await fs.promises.mkdir(config.storage.spoolDir, { recursive: true });
+      await fs.promises.writeFile(spoolPath, buffer);
+
+      return { backend: backend.name, key, status: 'pending', spoolPath, error: error.message };
+    }
+  }
+
+  /**
+   * Ouvre un flux de lecture sur le contenu d'une pièce jointe
+   */
+  async openStream(attachment) {
+    if (attachment.storage_status === 'stored') {
+      return storage.getBackend(attachment.storage_backend).getStream(attachment.storage_key);
+    }
+
+    // Fichier pas encore persisté : servir la copie locale en attente
+    if (attachment.spool_path && fs.existsSync(attachment.spool_path)) {
+      return fs.createReadStream(attachment.spool_path);
+    }
+
+    throw new Error('Contenu de la pièce jointe indisponible');
+  }
+
+  /**
+   * Lit le contenu complet d'une pièce jointe
+   */
+  async read(attachment) {
+    if (attachment.storage_status === 'stored') {
+      return storage.getBackend(attachment.storage_backend).get(attachment.storage_key);
+    }
+
+    if (attachment.spool_path && fs.existsSync(attachment.spool_path)) {
+      return fs.promises.readFile(attachment.spool_path);
+    }
+
+    throw new Error('Contenu de la pièce jointe indisponible');
+  }
+
+  /**
+   * Calcule la signature d'un lien de téléchargement
+   */
+  _sign(attachmentId, expires) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${attachmentId}:${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Génère un lien de téléchargement signé et limité dans le temps
+   */
+  createDownloadLink(attachmentId, ttlSeconds = config.storage.linkTtlSeconds) {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const signature = this._sign(attachmentId, expires);
+
+    return {
+      url: `/api/attachments/${attachmentId}/download?expires=${expires}&signature=${signature}`,
+      expires_at: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Vérifie la signature et l'expiration d'un lien de téléchargement
+   */
+  verifyDownloadLink(attachmentId, expires, signature) {
+    if (!expires || !signature) return false;
+    if (parseInt(expires, 10) < Math.floor(Date.now() / 1000)) return false;
+
+    const expected = Buffer.from(this._sign(attachmentId, expires));
+    const provided = Buffer.from(String(signature));
+
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
+  /**
+   * Démarre la tâche de fond qui réessaie les pièces jointes non persistées
+   */
+  startRetryJob() {
+    if (this.retryTimer) return;
+
+    logger.info('Tâche de reprise des pièces jointes non persistées démarrée');
+    this.retryTimer = setInterval(() => {
+      this.retryPending()
+        .then(() => this.purgeFailed())
+        .catch(error => {
+          logger.error('Erreur lors de la reprise des pièces jointes:', error);
+        });
+    }, config.storage.retryIntervalMs);
+  }
+
+  /**
+   * Arrête la tâche de reprise
+   */
+  stopRetryJob() {
+    clearInterval(this.retryTimer);
+    this.retryTimer = null;
+  }
+
+  /**
+   * Réessaie d'enregistrer les pièces jointes en attente
+   */
+  async retryPending() {
+    const pending = await db.query(`
+      SELECT id, filename, content_type, storage_key, spool_path, storage_attempts
+      FROM attachments
+      WHERE storage_status = 'pending'
+      ORDER BY id ASC
+      LIMIT 100
+    `);
+
+    if (pending.rows.length === 0) return { retried: 0, stored: 0 };
+
+    logger.info(`Reprise de ${pending.rows.length} pièce(s) jointe(s) non persistée(s)`);
+    const backend = storage.getDefaultBackend();
+    let stored = 0;
+
+    for (const attachment of pending.rows) {
+      const attempts = attachment.storage_attempts + 1;
+
+      try {
+        const content = await fs.promises.readFile(attachment.spool_path);
+        await backend.put(attachment.storage_key, content, { contentType: attachment.content_type });
+
+        await db.query(`
+          UPDATE attachments
+          SET storage_status = 'stored', storage_backend = $1, storage_attempts = $2,
+              storage_error = NULL, spool_path = NULL
+          WHERE id = $3
+        `, [backend.name, attempts, attachment.id]);
+
+        await fs.promises.rm(attachment.spool_path, { force: true });
+        stored++;
+        logger.info(`Pièce jointe ${attachment.filename} enregistrée après ${attempts} tentative(s)`);
+      } catch (error) {
+        const status = attempts >= config.storage.maxAttempts ? 'failed' : 'pending';
+
+        await db.query(`
+          UPDATE attachments
+          SET storage_status = $1, storage_attempts = $2, storage_error = $3,
+              storage_failed_at = CASE WHEN $1 = 'failed' THEN CURRENT_TIMESTAMP END
+          WHERE id = $4
+        `, [status, attempts, error.message, attachment.id]);
+
+        logger.error(`Nouvel échec d'enregistrement pour ${attachment.filename} (tentative ${attempts}):`, error.message);
+      }
+    }
+
+    return { retried: pending.rows.length, stored };
+  }
+
+  /**
+   * Remet en attente les pièces jointes en échec dont la copie locale existe encore
+   * Retourne le nombre de pièces jointes remises en attente
+   */
+  async requeueFailed() {
+    const result = await db.query(`
+      UPDATE attachments
+      SET storage_status = 'pending', storage_attempts = 0, storage_failed_at = NULL
+      WHERE storage_status = 'failed' AND spool_path IS NOT NULL
+      RETURNING id
+    `);
+
+    if (result.rows.length > 0) {
+      logger.info(`${result.rows.length} pièce(s) jointe(s) en échec remise(s) en attente`);
+    }
+    return result.rows.length;
+  }
+
+  /**
+   * Supprime les copies locales des pièces jointes en échec depuis plus de STORAGE_FAILED_RETENTION_DAYS
+   * La pièce jointe passe à l'état 'discarded' : son texte extrait reste consultable, plus son contenu
+   */
+  async purgeFailed() {
+    const expired = await db.query(`
+      SELECT id, filename, spool_path FROM attachments
+      WHERE storage_status = 'failed'
+        AND storage_failed_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+      ORDER BY id ASC
+      LIMIT 100
+    `, [config.storage.failedRetentionDays]);
+
+    for (const attachment of expired.rows) {
+      if (attachment.spool_path) {
+        await fs.promises.rm(attachment.spool_path, { force: true });
+      }
+
+      await db.query(`
+        UPDATE attachments
+        SET storage_status = 'discarded', spool_path = NULL,
+            storage_error = $1
+        WHERE id = $2 AND storage_status = 'failed'
+      `, [`Copie locale supprimée après ${config.storage.failedRetentionDays} jours en échec`, attachment.id]);
+
+      logger.warn(`Pièce jointe ${attachment.filename} abandonnée : copie locale supprimée`);
+    }
+
+    return expired.rows.length;
+  }
+}
+
+module.exports = new AttachmentStore();
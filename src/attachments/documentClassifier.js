@@ -0,0 +1,62 @@
+// Types de documents reconnus, dans l'ordre où ils sont recherchés dans le nom du fichier
+const RULES = [
+  { type: 'note_de_calcul', pattern: /\bnotes? de calculs?\b|\bndc\b|\bdimensionnement\b/ },
+  { type: 'fiche_technique', pattern: /\bfiches? (technique|produit)s?\b|\bft\b|\bavis technique\b|\bdocumentation technique\b|\bfdes\b|\bdata ?sheet\b/ },
+  { type: 'attestation', pattern: /\battestations?\b|\bcertificats? de conformite\b|\bconsuel\b/ },
+  { type: 'pv', pattern: /\bproces verba(l|ux)\b|\bpv\b/ }
+];
+
+const LABELS = {
+  pv: 'procès-verbal',
+  attestation: 'attestation',
+  fiche_technique: 'fiche technique',
+  note_de_calcul: 'note de calcul',
+  autre: 'document'
+};
+
+// Début du texte examiné quand le nom du fichier ne suffit pas (titre, en-tête)
+const HEADER_CHARS = 1500;
+
+const normalize = value => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ');
+
+/**
+ * Classement des pièces jointes par type de document
+ *
+ * Le nom du fichier (« PV_reception_lot3.pdf », « FT-isolant.pdf ») fait foi ; à défaut, le
+ * type dont la mention apparaît le plus tôt dans le texte extrait est retenu.
+ */
+class DocumentClassifier {
+  constructor() {
+    this.types = Object.keys(LABELS);
+  }
+
+  /**
+   * Type du document : pv, attestation, fiche_technique, note_de_calcul ou autre
+   */
+  classify(filename, text = null) {
+    const name = normalize(filename);
+    const byName = RULES.find(rule => rule.pattern.test(name));
+    if (byName) return byName.type;
+
+    const header = normalize(String(text || '').slice(0, HEADER_CHARS));
+    const byText = RULES
+      .map(rule => ({ type: rule.type, index: header.search(rule.pattern) }))
+      .filter(match => match.index >= 0)
+      .sort((a, b) => a.index - b.index)[0];
+
+    return byText ? byText.type : 'autre';
+  }
+
+  /**
+   * Libellé du type, transmis au LLM
+   */
+  label(type) {
+    return LABELS[type] || LABELS.autre;
+  }
+}
+
+module.exports = new DocumentClassifier();
@@ -0,0 +1,199 @@
+/**
+ * Worker d'extraction de texte des pièces jointes
+ * Exécuté dans un thread séparé pour pouvoir l'interrompre en cas de dépassement du délai
+ */
+const { parentPort, workerData } = require('worker_threads');
+const path = require('path');
+
+const XML_ENTITIES = { '&lt;': '<', '&gt;': '>', '&amp;': '&', '&quot;': '"', '&apos;': '\'' };
+
+/**
+ * Décode les entités XML courantes
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&(lt|gt|amp|quot|apos);/g, entity => XML_ENTITIES[entity])
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)));
+}
+
+/**
+ * Détermine le type de document à partir du type MIME et de l'extension
+ */
+function detectKind(contentType, filename) {
+  const type = (contentType || '').toLowerCase();
+  const extension = path.extname(filename || '').toLowerCase();
+
+  if (type.includes('pdf') || extension === '.pdf') return 'pdf';
+  if (type.includes('wordprocessingml') || extension === '.docx') return 'docx';
+  if (type.includes('opendocument.text') || extension === '.odt') return 'odt';
+  if (type.includes('spreadsheetml') || type.includes('ms-excel') ||
+      type.includes('opendocument.spreadsheet') || ['.xlsx', '.xls', '.ods'].includes(extension)) return 'spreadsheet';
+  if (type.includes('csv') || extension === '.csv') return 'csv';
+  if (type.startsWith('image/') || ['.png', '.jpg', '.jpeg', '.tif', '.tiff', '.bmp'].includes(extension)) return 'image';
+  if (type.includes('html') || ['.html', '.htm'].includes(extension)) return 'html';
+  if (type.startsWith('text/') || ['.txt', '.md'].includes(extension)) return 'text';
+  return null;
+}
+
+// Documents stockés dans une archive zip
+const ZIP_KINDS = ['docx', 'odt', 'spreadsheet'];
+
+/**
+ * Taille décompressée totale d'une archive zip, lue dans son répertoire central sans rien décompresser
+ * Retourne null si le fichier n'est pas une archive zip, Infinity pour une archive zip64 ou illisible
+ */
+function zipUncompressedSize(buffer) {
+  if (buffer.length < 22 || buffer.readUInt32LE(0) !== 0x04034b50) return null;
+
+  // Fin du répertoire central : 22 octets suivis d'un commentaire de 65535 octets au plus
+  let end = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      end = offset;
+      break;
+    }
+  }
+  if (end === -1) return Infinity;
+
+  const entries = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  let total = 0;
+
+  for (let i = 0; i < entries; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) return Infinity;
+
+    const size = buffer.readUInt32LE(offset + 24);
+    if (size === 0xffffffff) return Infinity;
+
+    total += size;
+    offset += 46 + buffer.readUInt16LE(offset + 28) + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  return total;
+}
+
+async function extractPdf(buffer, options) {
+  // Import direct de la bibliothèque : l'index de pdf-parse exécute un code de test au chargement
+  const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+  const result = await pdfParse(buffer, { max: options.maxPages });
+
+  return {
+    text: result.text,
+    pages: result.numpages,
+    truncated: options.maxPages > 0 && result.numpages > options.maxPages
+  };
+}
+
+async function extractDocx(buffer) {
+  const mammoth = require('mammoth');
+  const result = await mammoth.extractRawText({ buffer });
+  return { text: result.value };
+}
+
+async function extractOdt(buffer) {
+  const JSZip = require('jszip');
+  const archive = await JSZip.loadAsync(buffer);
+  const content = archive.file('content.xml');
+
+  if (!content) {
+    throw new Error('content.xml absent du document ODT');
+  }
+
+  const xml = await content.async('string');
+  const text = xml
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<\/text:(p|h)>/g, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return { text: decodeEntities(text) };
+}
+
+async function extractSpreadsheet(buffer, options) {
+  const XLSX = require('xlsx');
+  const workbook = XLSX.read(buffer, { type: 'buffer', sheetRows: options.maxRows });
+
+  const text = workbook.SheetNames
+    .map(name => `## ${name}\n${XLSX.utils.sheet_to_csv(workbook.Sheets[name], { blankrows: false })}`)
+    .join('\n\n');
+
+  return { text, pages: workbook.SheetNames.length };
+}
+
+async function extractImage(buffer, options) {
+  if (!options.ocr.enabled) {
+    return { text: '', skipped: 'OCR désactivé' };
+  }
+
+  const { createWorker } = require('tesseract.js');
+  const workerOptions = {};
+
+  // Données de langue locales : aucun téléchargement n'est nécessaire
+  if (options.ocr.langPath) {
+    workerOptions.langPath = options.ocr.langPath;
+    workerOptions.cachePath = options.ocr.langPath;
+  }
+
+  const ocrWorker = await createWorker(options.ocr.languages, 1, workerOptions);
+
+  try {
+    const { data } = await ocrWorker.recognize(buffer);
+    return { text: data.text, confidence: data.confidence };
+  } finally {
+    await ocrWorker.terminate();
+  }
+}
+
+async function extract({ content, contentType, filename, options }) {
+  const buffer = Buffer.from(content);
+  const kind = detectKind(contentType, filename);
+
+  if (ZIP_KINDS.includes(kind) && options.maxUncompressedBytes > 0) {
+    const size = zipUncompressedSize(buffer);
+    if (size !== null && size > options.maxUncompressedBytes) {
+      return { kind: null, text: null, skipped: 'Document trop volumineux une fois décompressé' };
+    }
+  }
+
+  let result;
+
+  switch (kind) {
+    case 'pdf':
+      result = await extractPdf(buffer, options);
+      break;
+    case 'docx':
+      result = await extractDocx(buffer);
+      break;
+    case 'odt':
+      result = await extractOdt(buffer);
+      break;
+    case 'spreadsheet':
+      result = await extractSpreadsheet(buffer, options);
+      break;
+    case 'image':
+      result = await extractImage(buffer, options);
+      break;
+    case 'html':
+      result = { text: decodeEntities(buffer.toString('utf-8').replace(/<[^>]+>/g, ' ')) };
+      break;
+    case 'csv':
+    case 'text':
+      result = { text: buffer.toString('utf-8') };
+      break;
+    default:
+      return { kind: null, text: null, skipped: 'Format non pris en charge' };
+  }
+
+  let text = (result.text || '').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+
+  if (options.maxChars > 0 && text.length > options.maxChars) {
+    text = text.slice(0, options.maxChars);
+    result.truncated = true;
+  }
+
+  return { ...result, kind, text };
+}
+
+extract(workerData)
+  .then(result => parentPort.postMessage({ success: true, result }))
+  .catch(error => parentPort.postMessage({ success: false, error: error.message }));
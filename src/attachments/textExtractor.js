@@ -0,0 +1,115 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const WORKER_PATH = path.join(__dirname, 'extractionWorker.js');
+
+class TextExtractor {
+  constructor() {
+    this.timeoutMs = config.extraction.timeoutMs;
+    this.maxMemoryMb = config.extraction.maxMemoryMb;
+    this.options = {
+      maxUncompressedBytes: config.extraction.maxUncompressedBytes,
+      maxPages: config.extraction.maxPages,
+      maxRows: config.extraction.maxRows,
+      maxChars: config.extraction.maxChars,
+      ocr: config.extraction.ocr
+    };
+  }
+
+  /**
+   * Extrait le texte d'une pièce jointe dans un worker, avec délai maximal
+   * Retourne { status, method, text, truncated, error }
+   */
+  async extract(content, { filename, contentType } = {}) {
+    if (!content || content.length === 0) {
+      return { status: 'skipped', method: null, text: null, error: 'Contenu vide' };
+    }
+
+    if (content.length > config.extraction.maxBytes) {
+      return { status: 'skipped', method: null, text: null, error: 'Fichier trop volumineux pour l\'extraction' };
+    }
+
+    try {
+      const result = await this._runWorker({
+        content,
+        filename,
+        contentType,
+        options: this.options
+      });
+
+      if (!result.kind) {
+        return { status: 'skipped', method: null, text: null, error: result.skipped };
+      }
+
+      logger.debug(`Texte extrait de ${filename} (${result.kind}, ${result.text.length} caractères)`);
+
+      return {
+        status: result.skipped ? 'skipped' : 'extracted',
+        method: result.kind === 'image' ? 'ocr' : result.kind,
+        text: result.text || null,
+        truncated: !!result.truncated,
+        error: result.skipped || null
+      };
+    } catch (error) {
+      logger.error(`Erreur lors de l'extraction du texte de ${filename}:`, error.message);
+      return { status: 'failed', method: null, text: null, error: error.message };
+    }
+  }
+
+  /**
+   * Exécute l'extraction dans un thread dédié, interrompu au-delà du délai configuré
+   * La mémoire du thread est bornée : un document piégé n'épuise pas celle du processus
+   */
+  _runWorker(data) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_PATH, {
+        workerData: data,
+        resourceLimits: {
+          maxOldGenerationSizeMb: this.maxMemoryMb,
+          maxYoungGenerationSizeMb: 32,
+          stackSizeMb: 4
+        }
+      });
+      let settled = false;
+
+      const timer = setTimeout(() => {
+        if (settled) return;
+        settled = true;
+        worker.terminate();
+        reject(new Error(`Délai d'extraction dépassé (${this.timeoutMs} ms)`));
+      }, this.timeoutMs);
+
+      worker.once('message', (message) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        worker.terminate();
+        if (message.success) {
+          resolve(message.result);
+        } else {
+          reject(new Error(message.error));
+        }
+      });
+
+      worker.once('error', (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        reject(error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+          ? new Error(`Mémoire d'extraction dépassée (${this.maxMemoryMb} Mo)`)
+          : error);
+      });
+
+      worker.once('exit', (code) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        reject(new Error(`Worker d'extraction arrêté (code ${code})`));
+      });
+    });
+  }
+}
+
+module.exports = new TextExtractor();
@@ -0,0 +1,304 @@
+/**
+ * Lecture et écriture de fichiers iCalendar (RFC 5545), limitées aux événements (VEVENT)
+ */
+
+// Fuseaux Windows envoyés par Outlook et leur équivalent IANA
+const WINDOWS_TIMEZONES = {
+  'romance standard time': 'Europe/Paris',
+  'w. europe standard time': 'Europe/Berlin',
+  'central europe standard time': 'Europe/Budapest',
+  'gmt standard time': 'Europe/London',
+  'utc': 'UTC'
+};
+
+/**
+ * Déplie les lignes continuées (une ligne commençant par un espace prolonge la précédente)
+ */
+function unfold(text) {
+  return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.length > 0);
+}
+
+function unescapeText(value) {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+}
+
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Découpe une ligne « NOM;PARAM=valeur:contenu »
+ */
+function parseLine(line) {
+  let inQuotes = false;
+  let separator = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      separator = i;
+      break;
+    }
+  }
+
+  if (separator === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, separator).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+}
+
+/**
+ * Décalage (en millisecondes) d'un fuseau horaire à un instant donné
+ */
+function timezoneOffset(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+
+  const get = type => parseInt(parts.find(part => part.type === type).value, 10);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - timestamp;
+}
+
+function resolveTimezone(tzid, fallback) {
+  if (!tzid) return fallback;
+  const mapped = WINDOWS_TIMEZONES[tzid.toLowerCase()] || tzid.replace(/^\/+/, '');
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: mapped });
+    return mapped;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Convertit une date iCalendar en { date, allDay }
+ * Les heures locales sont interprétées dans leur TZID, à défaut dans le fuseau par défaut
+ */
+function parseDate(property, defaultTimezone) {
+  if (!property) return null;
+
+  const match = property.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+
+  if (property.params.VALUE === 'DATE' || hour === undefined) {
+    return { date: new Date(Date.UTC(+year, month - 1, +day)), allDay: true };
+  }
+
+  const wallClock = Date.UTC(+year, month - 1, +day, +hour, +minute, +(second || 0));
+  if (utc) {
+    return { date: new Date(wallClock), allDay: false };
+  }
+
+  const timeZone = resolveTimezone(property.params.TZID, defaultTimezone);
+  let timestamp = wallClock - timezoneOffset(wallClock, timeZone);
+  // Second passage pour les instants proches d'un changement d'heure
+  timestamp = wallClock - timezoneOffset(timestamp, timeZone);
+
+  return { date: new Date(timestamp), allDay: false };
+}
+
+function parseAddress(property) {
+  return {
+    email: property.value.replace(/^mailto:/i, '').trim().toLowerCase(),
+    name: property.params.CN || null,
+    role: property.params.ROLE || null,
+    partstat: property.params.PARTSTAT || null
+  };
+}
+
+/**
+ * Lit un calendrier iCalendar
+ * Retourne { method, events } ; seuls les composants VEVENT sont conservés
+ */
+function parseCalendar(text, { defaultTimezone = 'Europe/Paris' } = {}) {
+  const lines = unfold(text.replace(/^\uFEFF/, ''));
+  const events = [];
+  let method = null;
+  let current = null;
+  let depth = 0;
+
+  for (const line of lines) {
+    const property = parseLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      if (property.value.toUpperCase() === 'VEVENT') {
+        current = { properties: {}, attendees: [] };
+        depth = 0;
+      } else if (current) {
+        // Composant imbriqué (VALARM) ignoré
+        depth++;
+      }
+      continue;
+    }
+
+    if (property.name === 'END') {
+      if (property.value.toUpperCase() === 'VEVENT' && current) {
+        events.push(current);
+        current = null;
+      } else if (current) {
+        depth--;
+      }
+      continue;
+    }
+
+    if (!current) {
+      if (property.name === 'METHOD') method = property.value.toUpperCase();
+      continue;
+    }
+
+    if (depth > 0) continue;
+
+    if (property.name === 'ATTENDEE') {
+      current.attendees.push(parseAddress(property));
+    } else {
+      current.properties[property.name] = property;
+    }
+  }
+
+  return {
+    method,
+    events: events.map(({ properties, attendees }) => {
+      const text = name => (properties[name] ? unescapeText(properties[name].value) : null);
+      const start = parseDate(properties.DTSTART, defaultTimezone);
+      let end = parseDate(properties.DTEND, defaultTimezone);
+
+      if (!end && start && properties.DURATION) {
+        const duration = properties.DURATION.value.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+        if (duration) {
+          const [, weeks, days, hours, minutes, seconds] = duration.map(value => parseInt(value || '0', 10));
+          const ms = ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+          end = { date: new Date(start.date.getTime() + ms), allDay: start.allDay };
+        }
+      }
+
+      const recurrence = parseDate(properties['RECURRENCE-ID'], defaultTimezone);
+
+      return {
+        uid: text('UID'),
+        recurrenceId: properties['RECURRENCE-ID'] ? properties['RECURRENCE-ID'].value : '',
+        recurrenceStart: recurrence ? recurrence.date : null,
+        sequence: parseInt(text('SEQUENCE') || '0', 10),
+        summary: text('SUMMARY'),
+        description: text('DESCRIPTION'),
+        location: text('LOCATION'),
+        status: text('STATUS') ? text('STATUS').toUpperCase() : null,
+        rrule: text('RRULE'),
+        start: start ? start.date : null,
+        end: end ? end.date : null,
+        allDay: start ? start.allDay : false,
+        organizer: properties.ORGANIZER ? parseAddress(properties.ORGANIZER) : null,
+        attendees
+      };
+    })
+  };
+}
+
+/**
+ * Replie une ligne à 75 octets
+ */
+function fold(line) {
+  const chunks = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+}
+
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * RECURRENCE-ID d'une occurrence modifiée : début (Date) de l'occurrence remplacée, au format
+ * du DTSTART, ou valeur iCalendar telle que reçue
+ */
+function formatRecurrenceId(value, allDay) {
+  if (typeof value === 'string') {
+    return /^\d{8}$/.test(value) ? `RECURRENCE-ID;VALUE=DATE:${value}` : `RECURRENCE-ID:${value}`;
+  }
+  return allDay ? `RECURRENCE-ID;VALUE=DATE:${formatDate(value)}` : `RECURRENCE-ID:${formatDateTime(value)}`;
+}
+
+/**
+ * Construit un calendrier iCalendar à partir d'événements
+ * { uid, recurrenceId, summary, description, location, start, end, allDay, status, rrule, sequence, updatedAt }
+ * Une occurrence modifiée garde l'UID de la série et porte le RECURRENCE-ID de l'occurrence remplacée
+ */
+function buildCalendar(events, { name = 'Calendrier', prodId = '-//SiteManager GPT//Calendrier//FR' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${prodId}`,
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${event.uid}`);
+    if (event.recurrenceId) lines.push(formatRecurrenceId(event.recurrenceId, event.allDay));
+    lines.push(`DTSTAMP:${formatDateTime(event.updatedAt || new Date())}`);
+
+    if (event.allDay) {
+      // DTEND exclusif pour les événements sur la journée : lendemain à défaut de fin
+      const end = new Date(event.end || event.start);
+      if (!event.end) end.setUTCDate(end.getUTCDate() + 1);
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatDate(end)}`);
+    } else {
+      lines.push(`DTSTART:${formatDateTime(event.start)}`);
+      if (event.end) lines.push(`DTEND:${formatDateTime(event.end)}`);
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.status) lines.push(`STATUS:${event.status.toUpperCase()}`);
+    if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+    if (event.sequence) lines.push(`SEQUENCE:${event.sequence}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCalendar,
+  buildCalendar
+};
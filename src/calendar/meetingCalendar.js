@@ -0,0 +1,280 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+const { parseCalendar, buildCalendar } = require('./ics');
+
+const CALENDAR_TYPES = ['text/calendar', 'application/ics', 'application/x-ics'];
+
+// Type de réunion déduit de l'intitulé
+const MEETING_TYPES = [
+  { pattern: /\bOPR\b|op[ée]rations? pr[ée]alables?|pr[ée]-?r[ée]ception|r[ée]ception des travaux/i, type: 'opr' },
+  { pattern: /coulage|b[ée]tonnage|coul[ée]e/i, type: 'coulage' },
+  { pattern: /r[ée]union de chantier|visite de chantier|r[ée]union hebdo/i, type: 'reunion_chantier' }
+];
+
+/**
+ * Jour d'une colonne DATE (lue par pg à minuit heure locale) au format AAAA-MM-JJ
+ */
+function localDay(date) {
+  const value = new Date(date);
+  const pad = number => String(number).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+/**
+ * Calendrier des projets : réunions reçues en invitation et jalons des tâches
+ *
+ * Les invitations (.ics, parties text/calendar) sont lues à l'enregistrement des pièces
+ * jointes ; les mises à jour et annulations sont appliquées selon leur numéro de séquence.
+ */
+class MeetingCalendar {
+  constructor() {
+    this.timezone = config.calendar.timezone;
+  }
+
+  isCalendarAttachment(attachment) {
+    const contentType = (attachment.contentType || '').toLowerCase();
+    return CALENDAR_TYPES.includes(contentType) || /\.ics$/i.test(attachment.filename || '');
+  }
+
+  /**
+   * Lit les invitations jointes à un email
+   * Retourne le nombre d'événements créés ou mis à jour
+   */
+  async processInvitations(attachments, emailId, projectId) {
+    let applied = 0;
+
+    for (const attachment of attachments.filter(item => this.isCalendarAttachment(item))) {
+      let calendar;
+      try {
+        calendar = parseCalendar(attachment.content.toString('utf8'), { defaultTimezone: this.timezone });
+      } catch (error) {
+        logger.warn(`Invitation ${attachment.filename} illisible: ${error.message}`);
+        continue;
+      }
+
+      for (const event of calendar.events) {
+        if (await this.applyEvent(event, calendar.method, emailId, projectId)) {
+          applied++;
+        }
+      }
+    }
+
+    if (applied > 0) {
+      logger.info(`${applied} réunion(s) enregistrée(s) depuis l'email ${emailId}`);
+    }
+
+    return applied;
+  }
+
+  /**
+   * Applique un événement (invitation, mise à jour, annulation ou réponse d'un participant)
+   * Retourne false si l'événement est ignoré
+   */
+  async applyEvent(event, method, emailId, projectId) {
+    if (!event.uid || !event.start) return false;
+
+    const existingResult = await db.query(`
+      SELECT * FROM meetings WHERE uid = $1 AND recurrence_id = $2
+    `, [event.uid, event.recurrenceId]);
+    const existing = existingResult.rows[0];
+
+    // Réponse d'un participant : seul son statut de participation change
+    if (method === 'REPLY') {
+      if (!existing) return false;
+      for (const attendee of event.attendees) {
+        await this._saveAttendee(existing.id, attendee);
+      }
+      return true;
+    }
+
+    // Version antérieure à celle déjà enregistrée
+    if (existing && event.sequence < existing.sequence) {
+      logger.debug(`Invitation ${event.uid} (séquence ${event.sequence}) plus ancienne que la version enregistrée`);
+      return false;
+    }
+
+    const cancelled = method === 'CANCEL' || event.status === 'CANCELLED';
+    const status = cancelled ? 'cancelled' : (event.status === 'TENTATIVE' ? 'tentative' : 'confirmed');
+
+    if (existing && cancelled) {
+      await db.query(`
+        UPDATE meetings
+        SET status = 'cancelled', sequence = $1, email_id = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+      `, [event.sequence, emailId, existing.id]);
+      logger.info(`Réunion "${existing.summary}" annulée`);
+      return true;
+    }
+
+    const organizerContactId = event.organizer ? await this._findContactId(event.organizer.email) : null;
+
+    const result = await db.query(`
+      INSERT INTO meetings (
+        project_id, email_id, uid, recurrence_id, sequence, meeting_type, summary, description,
+        location, starts_at, ends_at, all_day, rrule, status, organizer_email, organizer_contact_id,
+        recurrence_start
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      ON CONFLICT (uid, recurrence_id) DO UPDATE
+      SET project_id = COALESCE(meetings.project_id, EXCLUDED.project_id),
+          email_id = EXCLUDED.email_id,
+          sequence = EXCLUDED.sequence,
+          meeting_type = EXCLUDED.meeting_type,
+          summary = EXCLUDED.summary,
+          description = EXCLUDED.description,
+          location = EXCLUDED.location,
+          starts_at = EXCLUDED.starts_at,
+          ends_at = EXCLUDED.ends_at,
+          all_day = EXCLUDED.all_day,
+          rrule = EXCLUDED.rrule,
+          status = EXCLUDED.status,
+          organizer_email = EXCLUDED.organizer_email,
+          organizer_contact_id = EXCLUDED.organizer_contact_id,
+          recurrence_start = EXCLUDED.recurrence_start,
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING id
+    `, [
+      projectId,
+      emailId,
+      event.uid,
+      event.recurrenceId,
+      event.sequence,
+      this._meetingType(event.summary),
+      event.summary || 'Réunion',
+      event.description,
+      event.location,
+      event.start,
+      event.end,
+      event.allDay,
+      event.rrule,
+      status,
+      event.organizer ? event.organizer.email : null,
+      organizerContactId,
+      event.recurrenceStart
+    ]);
+
+    const meetingId = result.rows[0].id;
+    for (const attendee of event.attendees) {
+      await this._saveAttendee(meetingId, attendee);
+    }
+
+    logger.info(`Réunion "${event.summary}" ${existing ? 'mise à jour' : 'ajoutée'} (${meetingId})`);
+    return true;
+  }
+
+  _meetingType(summary) {
+    const match = MEETING_TYPES.find(entry => entry.pattern.test(summary || ''));
+    return match ? match.type : 'reunion';
+  }
+
+  async _findContactId(email) {
+    if (!email) return null;
+    const result = await db.query('SELECT id FROM contacts WHERE email = $1 OR $1 = ANY(aliases)', [email]);
+    return result.rows.length > 0 ? result.rows[0].id : null;
+  }
+
+  async _saveAttendee(meetingId, attendee) {
+    if (!attendee.email) return;
+
+    await db.query(`
+      INSERT INTO meeting_attendees (meeting_id, email, name, contact_id, role, partstat)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (meeting_id, email) DO UPDATE
+      SET name = COALESCE(EXCLUDED.name, meeting_attendees.name),
+          contact_id = COALESCE(EXCLUDED.contact_id, meeting_attendees.contact_id),
+          role = COALESCE(EXCLUDED.role, meeting_attendees.role),
+          partstat = COALESCE(EXCLUDED.partstat, meeting_attendees.partstat)
+    `, [
+      meetingId,
+      attendee.email,
+      attendee.name,
+      await this._findContactId(attendee.email),
+      attendee.role,
+      attendee.partstat
+    ]);
+  }
+
+  /**
+   * Réunions et jalons des tâches d'un projet sur une période (bornes facultatives)
+   */
+  async getCalendar(projectId, { from = null, to = null } = {}) {
+    const meetings = await db.query(`
+      SELECT m.*,
+             COALESCE(json_agg(json_build_object(
+               'email', a.email, 'name', a.name, 'contact_id', a.contact_id, 'partstat', a.partstat
+             ) ORDER BY a.email) FILTER (WHERE a.id IS NOT NULL), '[]') AS attendees
+      FROM meetings m
+      LEFT JOIN meeting_attendees a ON a.meeting_id = m.id
+      WHERE m.project_id = $1
+        AND ($2::timestamptz IS NULL OR COALESCE(m.ends_at, m.starts_at) >= $2)
+        AND ($3::timestamptz IS NULL OR m.starts_at <= $3)
+      GROUP BY m.id
+      ORDER BY m.starts_at ASC
+    `, [projectId, from, to]);
+
+    const tasks = await db.query(`
+      SELECT t.id, t.name, t.status, t.planned_start_date, t.planned_end_date, tr.name AS trade_name
+      FROM tasks t
+      LEFT JOIN trades tr ON tr.id = t.trade_id
+      WHERE t.project_id = $1
+        AND (t.planned_start_date IS NOT NULL OR t.planned_end_date IS NOT NULL)
+    `, [projectId]);
+
+    const fromDay = from ? new Date(from).toISOString().slice(0, 10) : null;
+    const toDay = to ? new Date(to).toISOString().slice(0, 10) : null;
+    const inRange = day => (!fromDay || day >= fromDay) && (!toDay || day <= toDay);
+
+    const milestones = [];
+    tasks.rows.forEach(task => {
+      [['start', task.planned_start_date], ['end', task.planned_end_date]].forEach(([kind, date]) => {
+        if (date && inRange(localDay(date))) {
+          milestones.push({ task_id: task.id, kind, date: localDay(date), name: task.name, trade_name: task.trade_name, status: task.status });
+        }
+      });
+    });
+    milestones.sort((a, b) => a.date.localeCompare(b.date));
+
+    return { meetings: meetings.rows, milestones };
+  }
+
+  /**
+   * Flux iCalendar d'un projet : réunions (annulations comprises) et jalons des tâches
+   * Retourne null si le projet n'existe pas
+   */
+  async buildFeed(projectId) {
+    const projectResult = await db.query('SELECT name FROM projects WHERE id = $1', [projectId]);
+    if (projectResult.rows.length === 0) return null;
+
+    const { meetings, milestones } = await this.getCalendar(projectId);
+
+    const events = meetings.map(meeting => ({
+      uid: meeting.uid,
+      // Réunions enregistrées avant recurrence_start : valeur reçue telle quelle
+      recurrenceId: meeting.recurrence_id ? (meeting.recurrence_start || meeting.recurrence_id) : null,
+      summary: meeting.summary,
+      description: meeting.description,
+      location: meeting.location,
+      start: meeting.starts_at,
+      end: meeting.ends_at,
+      allDay: meeting.all_day,
+      status: meeting.status,
+      rrule: meeting.rrule,
+      sequence: meeting.sequence,
+      updatedAt: meeting.updated_at
+    }));
+
+    milestones.forEach(milestone => {
+      events.push({
+        uid: `task-${milestone.task_id}-${milestone.kind}@sitemanager.local`,
+        summary: `${milestone.kind === 'start' ? 'Début' : 'Fin'} : ${milestone.name}`,
+        description: milestone.trade_name ? `Corps de métier : ${milestone.trade_name}` : null,
+        start: milestone.date,
+        allDay: true
+      });
+    });
+
+    return buildCalendar(events, { name: projectResult.rows[0].name });
+  }
+}
+
+module.exports = new MeetingCalendar();
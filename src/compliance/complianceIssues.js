@@ -0,0 +1,367 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+const mistralClient = require('../llm/mistral');
+const waterflai = require('../llm/waterflai');
+const redactor = require('../privacy/redactor');
+const attachmentStore = require('../attachments/attachmentStore');
+const documentClassifier = require('../attachments/documentClassifier');
+const { toDay } = require('../utils/dates');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Cycle de vie : statuts accessibles depuis chaque statut (une non-conformité levée peut être rouverte)
+const TRANSITIONS = {
+  detected: ['acknowledged', 'rejected'],
+  acknowledged: ['in_progress', 'resolved', 'rejected'],
+  in_progress: ['resolved', 'rejected'],
+  resolved: ['in_progress'],
+  rejected: []
+};
+
+// Colonnes modifiables par l'API (le statut passe par les transitions)
+const EDITABLE_FIELDS = ['title', 'description', 'severity', 'regulation_reference', 'deadline', 'recommended_action', 'assigned_to'];
+
+const normalizeTitle = value => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Non-conformités d'un projet
+ *
+ * Les pièces jointes classées PV, attestation, fiche technique ou note de calcul sont analysées
+ * par le LLM (et par WaterfLAI si activé) : chaque non-conformité relevée est enregistrée avec
+ * sa gravité, sa référence réglementaire et son échéance. Les problèmes signalés dans le corps
+ * d'un email sont enregistrés à part. Chaque non-conformité suit ensuite le cycle
+ * detected → acknowledged → in_progress → resolved / rejected, historisé.
+ */
+class ComplianceIssues {
+  constructor() {
+    this.settings = config.compliance;
+    this.severities = SEVERITIES;
+    this.statuses = Object.keys(TRANSITIONS);
+  }
+
+  /**
+   * Échéance fixée par le document, sinon délai par défaut de la gravité à partir de la réception
+   */
+  _deadline(deadline, severity, receivedDate) {
+    const documentDeadline = toDay(deadline);
+    if (documentDeadline) return documentDeadline;
+
+    const start = receivedDate ? new Date(receivedDate) : new Date();
+    start.setDate(start.getDate() + this.settings.deadlineDays[severity]);
+    return toDay(start);
+  }
+
+  _severity(value) {
+    const severity = String(value || '').toLowerCase();
+    return SEVERITIES.includes(severity) ? severity : 'medium';
+  }
+
+  /**
+   * Vérification complémentaire par WaterfLAI, qui télécharge le document par un lien signé
+   * Retourne les non-conformités au format de l'analyse, tableau vide si elle n'est pas configurée
+   */
+  async _checkWithWaterflai(attachment) {
+    if (!this.settings.waterflai || !config.waterflai.apiKey || !this.settings.publicBaseUrl) return [];
+
+    const link = attachmentStore.createDownloadLink(attachment.id);
+    const result = await waterflai.checkCompliance(new URL(link.url, this.settings.publicBaseUrl).toString());
+    if (result.success === false) {
+      logger.warn(`Vérification WaterfLAI impossible pour la pièce jointe ${attachment.id}: ${result.error}`);
+    }
+
+    return (result.compliance_issues || [])
+      .map(issue => ({
+        title: issue.title || issue.rule || issue.description,
+        description: issue.description || null,
+        severity: issue.severity,
+        regulation_reference: issue.regulation || issue.regulation_code || issue.reference || null,
+        deadline: issue.deadline || null,
+        recommended_action: issue.recommendation || issue.recommended_action || null,
+        source: 'waterflai'
+      }))
+      .filter(issue => issue.title);
+  }
+
+  /**
+   * Analyse de conformité d'une pièce jointe
+   * Sans `force`, seuls les types configurés (PV, attestation...) sont analysés. Une nouvelle
+   * analyse remplace les non-conformités encore au statut detected et conserve celles déjà prises
+   * en charge. Retourne { attachment_id, document_type, analyzed, summary, issues }, ou null si
+   * la pièce jointe n'existe pas. Une réponse inexploitable du modèle ne modifie rien (résultat
+   * `invalidOutput`) : la pièce jointe reste à analyser
+   */
+  async analyzeAttachment(attachmentId, { force = false, priority = 'batch' } = {}) {
+    const result = await db.query(`
+      SELECT a.id, a.email_id, a.filename, a.text_content, a.document_type, e.project_id, e.received_date
+      FROM attachments a
+      JOIN emails e ON e.id = a.email_id
+      WHERE a.id = $1
+    `, [attachmentId]);
+    if (result.rows.length === 0) return null;
+
+    const attachment = result.rows[0];
+    const documentType = attachment.document_type || documentClassifier.classify(attachment.filename, attachment.text_content);
+    const skipped = { attachment_id: attachment.id, document_type: documentType, analyzed: false, summary: null, issues: [] };
+
+    if (!force && !this.settings.documentTypes.includes(documentType)) {
+      await db.query('UPDATE attachments SET document_type = $1 WHERE id = $2', [documentType, attachment.id]);
+      return skipped;
+    }
+
+    if (!attachment.text_content) {
+      logger.warn(`Pièce jointe ${attachment.id} (${attachment.filename}) sans texte extrait, analyse de conformité impossible`);
+      await db.query('UPDATE attachments SET document_type = $1 WHERE id = $2', [documentType, attachment.id]);
+      return skipped;
+    }
+
+    const projectId = attachment.project_id;
+    const emailId = attachment.email_id;
+    logger.info(`Analyse de conformité de la pièce jointe ${attachment.filename} (${documentClassifier.label(documentType)})`);
+
+    let analysis;
+    try {
+      analysis = await redactor.protect({ projectId, emailId, purpose: 'compliance' }, redact => (
+        mistralClient.analyzeComplianceDocument(
+          redact(attachment.text_content.slice(0, this.settings.maxChars)),
+          documentClassifier.label(documentType),
+          toDay(attachment.received_date),
+          { projectId, emailId, priority }
+        )
+      ));
+    } catch (error) {
+      if (!error.invalidOutput) throw error;
+      logger.error(`Analyse de conformité de la pièce jointe ${attachment.id} inexploitable: ${error.message}`);
+      return { ...skipped, invalidOutput: true };
+    }
+
+    const found = [
+      ...analysis.issues.map(issue => ({ ...issue, source: 'document' })),
+      ...await this._checkWithWaterflai(attachment)
+    ];
+
+    const client = await db.getClient();
+    const issues = [];
+    try {
+      await client.query('BEGIN');
+      await client.query(`
+        DELETE FROM compliance_issues WHERE attachment_id = $1 AND status = 'detected'
+      `, [attachment.id]);
+
+      // Une non-conformité déjà prise en charge n'est pas enregistrée une seconde fois
+      const kept = await client.query('SELECT title FROM compliance_issues WHERE attachment_id = $1', [attachment.id]);
+      const titles = new Set(kept.rows.map(row => normalizeTitle(row.title)));
+
+      for (const issue of found) {
+        if (titles.has(normalizeTitle(issue.title))) continue;
+        titles.add(normalizeTitle(issue.title));
+
+        const severity = this._severity(issue.severity);
+        const inserted = await client.query(`
+          INSERT INTO compliance_issues (
+            project_id, email_id, attachment_id, issue_type, title, description, severity,
+            regulation_reference, deadline, recommended_action, source, status
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'detected')
+          RETURNING *
+        `, [
+          projectId,
+          emailId,
+          attachment.id,
+          documentType,
+          issue.title.slice(0, 255),
+          issue.description || null,
+          severity,
+          issue.regulation_reference ? issue.regulation_reference.slice(0, 255) : null,
+          this._deadline(issue.deadline, severity, attachment.received_date),
+          issue.recommended_action || null,
+          issue.source
+        ]);
+        issues.push(inserted.rows[0]);
+      }
+
+      await client.query(`
+        UPDATE attachments
+        SET document_type = $1, compliance_summary = $2, compliance_analyzed_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+      `, [documentType, analysis.summary, attachment.id]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info(`${issues.length} non-conformité(s) relevée(s) dans la pièce jointe ${attachment.filename}`);
+    return { attachment_id: attachment.id, document_type: documentType, analyzed: true, summary: analysis.summary, issues };
+  }
+
+  /**
+   * Analyse les pièces jointes d'un email qui ne l'ont pas encore été
+   * Retourne le nombre de non-conformités relevées
+   * Budget du projet atteint : la pièce jointe reste à analyser (compliance_analyzed_at NULL)
+   * sans bloquer le traitement de l'email
+   */
+  async processAttachments(emailId, { priority = 'batch' } = {}) {
+    const pending = await db.query(`
+      SELECT id FROM attachments
+      WHERE email_id = $1 AND compliance_analyzed_at IS NULL AND document_type = ANY($2)
+      ORDER BY id
+    `, [emailId, this.settings.documentTypes]);
+
+    let count = 0;
+    for (const row of pending.rows) {
+      try {
+        const analyzed = await this.analyzeAttachment(row.id, { priority });
+        count += analyzed.issues.length;
+      } catch (error) {
+        if (!error.budgetExceeded) throw error;
+        logger.warn(`Analyse de conformité de la pièce jointe ${row.id} reportée: ${error.message}`);
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Problème de conformité signalé dans le corps d'un email (une seule fois par email)
+   */
+  async recordEmailIssue(emailAnalysis, emailId, projectId) {
+    const existing = await db.query(`
+      SELECT id FROM compliance_issues WHERE email_id = $1 AND source = 'email'
+    `, [emailId]);
+    if (existing.rows.length > 0) return null;
+
+    const email = await db.query('SELECT received_date FROM emails WHERE id = $1', [emailId]);
+    const severity = this._severity(emailAnalysis.compliance_severity);
+
+    const result = await db.query(`
+      INSERT INTO compliance_issues (
+        project_id, email_id, issue_type, title, description, severity, deadline, source, status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'email', 'detected')
+      RETURNING *
+    `, [
+      projectId,
+      emailId,
+      emailAnalysis.compliance_type || 'indéterminé',
+      (emailAnalysis.compliance_type || 'Problème de conformité signalé par email').slice(0, 255),
+      emailAnalysis.compliance_description || emailAnalysis.summary,
+      severity,
+      this._deadline(null, severity, email.rows[0] && email.rows[0].received_date)
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Non-conformités d'un projet, les plus urgentes d'abord
+   * overdue : seules les non-conformités ouvertes dont l'échéance est dépassée
+   */
+  async search(projectId, { status = null, severity = null, documentType = null, overdue = false, limit = 100 } = {}) {
+    const result = await db.query(`
+      SELECT c.*, a.filename AS attachment_filename, e.subject AS email_subject
+      FROM compliance_issues c
+      LEFT JOIN attachments a ON a.id = c.attachment_id
+      LEFT JOIN emails e ON e.id = c.email_id
+      WHERE c.project_id = $1
+        AND ($2::text IS NULL OR c.status = $2)
+        AND ($3::text IS NULL OR c.severity = $3)
+        AND ($4::text IS NULL OR a.document_type = $4)
+        AND (NOT $5::boolean OR (c.deadline < CURRENT_DATE AND c.status NOT IN ('resolved', 'rejected')))
+      ORDER BY CASE c.severity WHEN 'critical' THEN 0 WHEN 'high' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END,
+               c.deadline NULLS LAST, c.id
+      LIMIT $6
+    `, [projectId, status, severity, documentType, overdue, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Non-conformité avec son document d'origine et l'historique de ses statuts, null si elle n'existe pas
+   */
+  async get(id) {
+    const result = await db.query(`
+      SELECT c.*, a.filename AS attachment_filename, a.document_type, e.subject AS email_subject
+      FROM compliance_issues c
+      LEFT JOIN attachments a ON a.id = c.attachment_id
+      LEFT JOIN emails e ON e.id = c.email_id
+      WHERE c.id = $1
+    `, [id]);
+    if (result.rows.length === 0) return null;
+
+    const events = await db.query(`
+      SELECT from_status, to_status, comment, changed_by, created_at
+      FROM compliance_issue_events
+      WHERE issue_id = $1
+      ORDER BY id
+    `, [id]);
+
+    return { ...result.rows[0], events: events.rows };
+  }
+
+  /**
+   * Statuts accessibles depuis un statut
+   */
+  allowedTransitions(status) {
+    return TRANSITIONS[status] || [];
+  }
+
+  /**
+   * Change le statut d'une non-conformité et l'historise
+   * Retourne la non-conformité, ou null si son statut n'est plus `from` (modifiée entre-temps)
+   */
+  async transition(id, from, to, { changedBy = null, comment = null } = {}) {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const updated = await client.query(`
+        UPDATE compliance_issues
+        SET status = $3::text,
+            resolved_at = CASE WHEN $3::text = 'resolved' THEN CURRENT_TIMESTAMP ELSE NULL END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = $2
+        RETURNING id
+      `, [id, from, to]);
+
+      if (updated.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await client.query(`
+        INSERT INTO compliance_issue_events (issue_id, from_status, to_status, comment, changed_by)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [id, from, to, comment, changedBy]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info(`Non-conformité ${id} : ${from} → ${to}${changedBy ? ` (${changedBy})` : ''}`);
+    return this.get(id);
+  }
+
+  /**
+   * Modifie une non-conformité (gravité, échéance, responsable...)
+   * Retourne la non-conformité, ou null si elle n'existe pas
+   */
+  async update(id, fields) {
+    const updates = EDITABLE_FIELDS.filter(field => fields[field] !== undefined);
+    if (updates.length === 0) return this.get(id);
+
+    const result = await db.query(`
+      UPDATE compliance_issues
+      SET ${updates.map((field, index) => `${field} = $${index + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id
+    `, [id, ...updates.map(field => fields[field])]);
+
+    return result.rows.length > 0 ? this.get(id) : null;
+  }
+}
+
+module.exports = new ComplianceIssues();
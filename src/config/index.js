@@ -6,6 +6,14 @@ require('dotenv').config();
 
 const path = require('path');
 
+// Opérations confiées au LLM, chacune pouvant avoir son propre ordre de fournisseurs
+const LLM_OPERATIONS = [
+  'email_analysis', 'project_routing', 'contact_details', 'thread_summary', 'follow_up',
+  'text', 'compliance', 'coordination', 'lessons_learned', 'embeddings', 'ask'
+];
+
+const providerList = value => value.split(',').map(name => name.trim()).filter(Boolean);
+
 const config = {
   // Configuration de l'environnement
   env: process.env.NODE_ENV || 'development',
@@ -27,19 +35,253 @@ const config = {
     user: process.env.EMAIL_USER || 'sitemanager@example.com',
     password: process.env.EMAIL_PASSWORD || 'password',
     tls: process.env.EMAIL_TLS === 'true' || true,
+    // Clé de chiffrement des mots de passe des boîtes mail enregistrées en base
+    credentialsKey: process.env.MAILBOX_CREDENTIALS_KEY,
     // Intervalle de vérification des nouveaux emails (en millisecondes)
-    checkInterval: parseInt(process.env.EMAIL_CHECK_INTERVAL || '300000', 10)
+    // IDLE assure la réception en temps réel, ce contrôle périodique sert de secours
+    checkInterval: parseInt(process.env.EMAIL_CHECK_INTERVAL || '300000', 10),
+    // Historique importé lors de la première synchronisation d'un dossier (en jours, 0 = tout)
+    initialSyncDays: parseInt(process.env.EMAIL_INITIAL_SYNC_DAYS || '30', 10),
+    // Nombre de messages récupérés par lot
+    fetchBatchSize: parseInt(process.env.EMAIL_FETCH_BATCH_SIZE || '20', 10),
+    // Nombre de tentatives avant d'abandonner un message en échec
+    maxMessageAttempts: parseInt(process.env.EMAIL_MAX_MESSAGE_ATTEMPTS || '3', 10),
+    // Délais de reconnexion (en millisecondes)
+    reconnect: {
+      minDelay: parseInt(process.env.EMAIL_RECONNECT_MIN_DELAY || '5000', 10),
+      maxDelay: parseInt(process.env.EMAIL_RECONNECT_MAX_DELAY || '300000', 10)
+    }
+  },
+
+  // Routage des emails vers les projets
+  routing: {
+    // Utiliser le LLM quand aucune règle ne permet de décider
+    llmFallback: process.env.ROUTING_LLM_FALLBACK !== 'false',
+    // Confiance minimale pour accepter la proposition du LLM
+    llmMinConfidence: parseFloat(process.env.ROUTING_LLM_MIN_CONFIDENCE || '0.7')
+  },
+
+  // Pré-filtrage des messages automatiques avant l'analyse par le LLM
+  filtering: {
+    enabled: process.env.EMAIL_FILTERING_ENABLED !== 'false'
+  },
+
+  // Réception des emails par webhook HTTP (relais SendGrid / Mailgun ou MIME brut)
+  inbound: {
+    // Secret partagé pour la signature HMAC des requêtes (webhook désactivé si absent)
+    secret: process.env.INBOUND_WEBHOOK_SECRET,
+    // Écart maximal accepté entre l'horodatage signé et l'heure du serveur (en secondes)
+    toleranceSeconds: parseInt(process.env.INBOUND_WEBHOOK_TOLERANCE || '300', 10),
+    // Taille maximale d'une requête (en octets)
+    maxBytes: parseInt(process.env.INBOUND_WEBHOOK_MAX_BYTES || '26214400', 10),
+    // Nombre maximal de pièces jointes et de champs d'un formulaire multipart
+    maxFiles: parseInt(process.env.INBOUND_WEBHOOK_MAX_FILES || '20', 10),
+    maxFields: parseInt(process.env.INBOUND_WEBHOOK_MAX_FIELDS || '100', 10)
+  },
+
+  // Accès aux routes protégées de l'API (en-tête Authorization: Bearer <jeton>)
+  api: {
+    // Jetons d'accès au format "utilisateur:jeton", séparés par des virgules (routes refusées si vide)
+    tokens: providerList(process.env.API_TOKENS || '')
+  },
+
+  // File de traitement des emails
+  queue: {
+    // Intervalle de scrutation des travaux en attente (en millisecondes)
+    pollInterval: parseInt(process.env.QUEUE_POLL_INTERVAL || '5000', 10),
+    // Nombre de tentatives avant de placer un travail dans la file des échecs
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS || '5', 10),
+    // Délais entre deux tentatives (en millisecondes), doublés à chaque échec
+    backoff: {
+      minDelay: parseInt(process.env.QUEUE_BACKOFF_MIN_DELAY || '30000', 10),
+      maxDelay: parseInt(process.env.QUEUE_BACKOFF_MAX_DELAY || '3600000', 10)
+    },
+    // Délai sans rafraîchissement du verrou au-delà duquel un travail est considéré comme abandonné (en millisecondes)
+    staleAfter: parseInt(process.env.QUEUE_STALE_AFTER || '900000', 10)
+  },
+
+  // Rapprochement des tâches extraites avec le planning existant
+  tasks: {
+    // Score à partir duquel une tâche extraite est fusionnée automatiquement
+    autoMergeScore: parseFloat(process.env.TASK_AUTO_MERGE_SCORE || '0.8'),
+    // Score à partir duquel le rapprochement est soumis à validation
+    reviewScore: parseFloat(process.env.TASK_REVIEW_SCORE || '0.5'),
+    // Écart maximal entre les dates de deux tâches considérées comme identiques (en jours)
+    dateWindowDays: parseInt(process.env.TASK_DATE_WINDOW_DAYS || '21', 10),
+    // Similarité minimale des noms pour rattacher un événement d'avancement à une tâche
+    progressMatchScore: parseFloat(process.env.TASK_PROGRESS_MATCH_SCORE || '0.6')
+  },
+
+  // Annuaire des contacts alimenté par les emails
+  contacts: {
+    // Délai avant une nouvelle lecture de la signature d'un même expéditeur (en jours)
+    signatureRefreshDays: parseInt(process.env.CONTACTS_SIGNATURE_REFRESH_DAYS || '30', 10)
+  },
+
+  // Masquage des données personnelles avant l'envoi au LLM (réglable par projet)
+  privacy: {
+    redactionEnabled: process.env.REDACTION_ENABLED !== 'false'
+  },
+
+  // Calendrier des réunions de chantier
+  calendar: {
+    // Fuseau appliqué aux heures d'invitation sans fuseau explicite
+    timezone: process.env.CALENDAR_TIMEZONE || 'Europe/Paris'
+  },
+
+  // Extraction de texte des pièces jointes
+  extraction: {
+    // Délai maximal par pièce jointe (en millisecondes)
+    timeoutMs: parseInt(process.env.EXTRACTION_TIMEOUT_MS || '60000', 10),
+    // Taille maximale d'un fichier traité (en octets)
+    maxBytes: parseInt(process.env.EXTRACTION_MAX_BYTES || '26214400', 10),
+    // Taille maximale une fois décompressé d'un document au format zip (docx, odt, xlsx...)
+    maxUncompressedBytes: parseInt(process.env.EXTRACTION_MAX_UNCOMPRESSED_BYTES || '104857600', 10),
+    // Mémoire maximale du worker d'extraction (en Mo)
+    maxMemoryMb: parseInt(process.env.EXTRACTION_MAX_MEMORY_MB || '512', 10),
+    // Nombre maximal de pages PDF lues (0 = toutes)
+    maxPages: parseInt(process.env.EXTRACTION_MAX_PAGES || '50', 10),
+    // Nombre maximal de lignes lues par feuille de calcul
+    maxRows: parseInt(process.env.EXTRACTION_MAX_ROWS || '2000', 10),
+    // Longueur maximale du texte conservé
+    maxChars: parseInt(process.env.EXTRACTION_MAX_CHARS || '200000', 10),
+    // Longueur du texte des pièces jointes transmis à l'analyse de l'email
+    analysisChars: parseInt(process.env.EXTRACTION_ANALYSIS_CHARS || '3000', 10),
+    // OCR local (tesseract) pour les images et documents scannés
+    ocr: {
+      enabled: process.env.OCR_ENABLED !== 'false',
+      languages: process.env.OCR_LANGUAGES || 'fra+eng',
+      // Répertoire des fichiers .traineddata (évite tout téléchargement)
+      langPath: process.env.OCR_LANG_PATH || path.resolve(__dirname, '../../data/tessdata')
+    }
   },
 
   // Configuration de l'IA : Mistral
   mistral: {
     apiKey: process.env.MISTRAL_API_KEY,
+    // Adresse de l'API et délai maximal d'une requête
+    endpoint: process.env.MISTRAL_ENDPOINT || 'https://api.mistral.ai/v1',
+    timeoutMs: parseInt(process.env.MISTRAL_TIMEOUT_MS || '120000', 10),
     // Modèle à utiliser par défaut
     defaultModel: 'mistral-large-latest',
     // Température pour les réponses (0 = déterministe, 1 = créatif)
     temperature: 0.5,
     // Nombre maximum de tokens en sortie
-    maxTokens: 1000
+    maxTokens: 1000,
+    // Modèle d'embeddings
+    embeddingModel: 'mistral-embed'
+  },
+
+  // Fournisseurs de LLM (mistral, local, stub) et ordre de repli
+  llm: {
+    // Ordre par défaut (LLM_FALLBACK) et par opération (LLM_FALLBACK_EMAIL_ANALYSIS...)
+    fallback: {
+      default: providerList(process.env.LLM_FALLBACK || 'mistral,local'),
+      ...Object.fromEntries(LLM_OPERATIONS
+        .filter(operation => process.env[`LLM_FALLBACK_${operation.toUpperCase()}`])
+        .map(operation => [operation, providerList(process.env[`LLM_FALLBACK_${operation.toUpperCase()}`])]))
+    },
+    // Nouvelles demandes au modèle quand sa réponse JSON est invalide
+    repairAttempts: parseInt(process.env.LLM_REPAIR_ATTEMPTS || '2', 10),
+    // Cache des réponses, indexé par l'empreinte du prompt, du modèle et des paramètres
+    cache: {
+      enabled: process.env.LLM_CACHE_ENABLED !== 'false',
+      ttlHours: parseInt(process.env.LLM_CACHE_TTL_HOURS || '720', 10)
+    },
+    // Prix par million de tokens (en euros) pour l'estimation des coûts ; modèles absents = gratuits
+    prices: process.env.LLM_PRICES
+      ? JSON.parse(process.env.LLM_PRICES)
+      : {
+        'mistral-large-latest': { input: 2, output: 6 },
+        'mistral-small-latest': { input: 0.2, output: 0.6 },
+        'mistral-embed': { input: 0.1, output: 0 }
+      },
+    // Budget mensuel par défaut d'un projet (en euros, vide = illimité)
+    monthlyBudget: process.env.LLM_MONTHLY_BUDGET ? parseFloat(process.env.LLM_MONTHLY_BUDGET) : null,
+    // Opérations maintenues quand le budget est dépassé
+    criticalOperations: providerList(process.env.LLM_CRITICAL_OPERATIONS || 'email_analysis,project_routing,follow_up'),
+    // Ordonnancement des appels, par fournisseur
+    scheduler: {
+      // Appels simultanés
+      concurrency: parseInt(process.env.LLM_CONCURRENCY || '4', 10),
+      // Tokens envoyés et reçus par minute (vide = illimité)
+      tokensPerMinute: process.env.LLM_TOKENS_PER_MINUTE ? parseInt(process.env.LLM_TOKENS_PER_MINUTE, 10) : null,
+      // Nouveaux essais après une réponse 429 du fournisseur
+      maxRetries: parseInt(process.env.LLM_RATE_LIMIT_RETRIES || '5', 10),
+      // Délais entre deux essais sans Retry-After (en millisecondes), doublés à chaque refus
+      backoff: {
+        minDelay: parseInt(process.env.LLM_BACKOFF_MIN_DELAY || '2000', 10),
+        maxDelay: parseInt(process.env.LLM_BACKOFF_MAX_DELAY || '120000', 10)
+      }
+    },
+    // Serveur compatible avec l'API OpenAI (modèle auto-hébergé)
+    local: {
+      baseUrl: process.env.LLM_LOCAL_BASE_URL,
+      apiKey: process.env.LLM_LOCAL_API_KEY,
+      model: process.env.LLM_LOCAL_MODEL || 'mistral',
+      embeddingModel: process.env.LLM_LOCAL_EMBEDDING_MODEL || 'nomic-embed-text',
+      timeoutMs: parseInt(process.env.LLM_LOCAL_TIMEOUT_MS || '120000', 10)
+    },
+    // Fournisseur hors ligne à réponses fixes (développement et tests)
+    stub: {
+      fixturesDir: process.env.LLM_STUB_FIXTURES_DIR || path.resolve(__dirname, '../../samples/llm'),
+      dimensions: parseInt(process.env.LLM_STUB_DIMENSIONS || '256', 10)
+    }
+  },
+
+  // Recherche sémantique dans les emails et les pièces jointes
+  search: {
+    // Stockage des vecteurs : auto (pgvector s'il est installé), pgvector ou memory
+    backend: process.env.SEARCH_VECTOR_BACKEND || 'auto',
+    // Taille des passages et chevauchement (en caractères)
+    chunkSize: parseInt(process.env.SEARCH_CHUNK_SIZE || '1200', 10),
+    chunkOverlap: parseInt(process.env.SEARCH_CHUNK_OVERLAP || '200', 10),
+    // Passages indexés au plus par email ou pièce jointe
+    maxChunksPerDocument: parseInt(process.env.SEARCH_MAX_CHUNKS || '40', 10),
+    // Textes envoyés par appel d'embeddings
+    batchSize: parseInt(process.env.SEARCH_EMBEDDING_BATCH || '16', 10),
+    // Dimension des vecteurs indexés par pgvector : celle du modèle d'embeddings principal
+    // (1024 pour mistral-embed, 768 pour nomic-embed-text) ; les autres restent en mémoire
+    dimensions: parseInt(process.env.SEARCH_EMBEDDING_DIMENSIONS || '1024', 10),
+    // Nombre maximum de résultats
+    maxResults: 100
+  },
+
+  // Leçons apprises
+  lessons: {
+    // Génération automatique à la clôture d'un projet
+    generateOnClose: process.env.LESSONS_ON_CLOSE !== 'false',
+    // Nombre maximum d'éléments transmis au LLM par rubrique (retards, non-conformités...)
+    maxItems: parseInt(process.env.LESSONS_MAX_ITEMS || '30', 10)
+  },
+
+  // Questions posées sur un projet
+  ask: {
+    // Passages d'emails et de pièces jointes retenus comme sources
+    passages: parseInt(process.env.ASK_PASSAGES || '8', 10),
+    // Tâches et non-conformités retenues comme sources
+    records: parseInt(process.env.ASK_RECORDS || '5', 10),
+    // Messages précédents de la conversation repris dans le prompt
+    historyMessages: parseInt(process.env.ASK_HISTORY_MESSAGES || '6', 10)
+  },
+
+  // Conformité des documents reçus en pièce jointe
+  compliance: {
+    // Types de documents soumis à l'analyse de conformité
+    documentTypes: providerList(process.env.COMPLIANCE_DOCUMENT_TYPES || 'pv,attestation,fiche_technique,note_de_calcul'),
+    // Caractères du document transmis au LLM
+    maxChars: parseInt(process.env.COMPLIANCE_MAX_CHARS || '12000', 10),
+    // Échéance par défaut selon la gravité, quand le document n'en fixe pas (en jours)
+    deadlineDays: {
+      critical: parseInt(process.env.COMPLIANCE_DEADLINE_CRITICAL || '7', 10),
+      high: parseInt(process.env.COMPLIANCE_DEADLINE_HIGH || '15', 10),
+      medium: parseInt(process.env.COMPLIANCE_DEADLINE_MEDIUM || '30', 10),
+      low: parseInt(process.env.COMPLIANCE_DEADLINE_LOW || '60', 10)
+    },
+    // Vérification complémentaire par WaterfLAI, qui télécharge le document par un lien signé
+    waterflai: process.env.COMPLIANCE_WATERFLAI === 'true',
+    // Adresse publique de l'API, pour construire ce lien
+    publicBaseUrl: process.env.PUBLIC_BASE_URL
   },
 
   // Configuration de WaterfLAI
@@ -57,6 +299,26 @@ const config = {
     s3Bucket: process.env.S3_BUCKET_NAME || 'sitemanager-attachments'
   },
 
+  // Stockage des pièces jointes
+  storage: {
+    // Backend utilisé pour les nouveaux fichiers : 'local' ou 's3'
+    backend: process.env.STORAGE_BACKEND || (process.env.S3_BUCKET_NAME ? 's3' : 'local'),
+    // Répertoire du backend local
+    localRoot: process.env.STORAGE_LOCAL_ROOT || path.resolve(__dirname, '../../data/attachments'),
+    // Copies locales des fichiers en attente d'enregistrement
+    spoolDir: path.resolve(__dirname, '../../data/spool'),
+    // Secret de signature des liens de téléchargement
+    signingSecret: process.env.STORAGE_SIGNING_SECRET,
+    // Durée de validité des liens de téléchargement, et durée maximale demandée à l'API (en secondes)
+    linkTtlSeconds: parseInt(process.env.STORAGE_LINK_TTL || '900', 10),
+    // Intervalle de reprise des fichiers non persistés (en millisecondes)
+    retryIntervalMs: parseInt(process.env.STORAGE_RETRY_INTERVAL || '600000', 10),
+    // Nombre de tentatives avant de marquer un fichier en échec
+    maxAttempts: parseInt(process.env.STORAGE_MAX_ATTEMPTS || '10', 10),
+    // Conservation de la copie locale d'un fichier en échec, pour une reprise manuelle (en jours)
+    failedRetentionDays: parseInt(process.env.STORAGE_FAILED_RETENTION_DAYS || '30', 10)
+  },
+
   // Configuration des chemins du système de fichiers
   paths: {
     root: path.resolve(__dirname, '../..'),
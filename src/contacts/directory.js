@@ -0,0 +1,524 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+const mistralClient = require('../llm/mistral');
+const taskReconciler = require('../tasks/taskReconciler');
+const redactor = require('../privacy/redactor');
+
+// Messageries grand public : le domaine ne désigne pas une entreprise
+const FREE_MAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'hotmail.com', 'hotmail.fr', 'outlook.com', 'outlook.fr',
+  'live.fr', 'live.com', 'yahoo.com', 'yahoo.fr', 'icloud.com', 'me.com', 'orange.fr',
+  'wanadoo.fr', 'free.fr', 'sfr.fr', 'laposte.net', 'neuf.fr', 'bbox.fr'
+]);
+
+// Formes juridiques ignorées lors de la comparaison des raisons sociales
+const LEGAL_FORMS = /\b(sarl|sas|sasu|sa|eurl|sci|snc|scop|ets|etablissements|societe|ste|groupe)\b/g;
+
+// Début du message cité dans une réponse
+const QUOTE_MARKERS = [
+  /^>/,
+  /^le .+ a écrit ?:$/i,
+  /^on .+ wrote:$/i,
+  /^-{2,} ?(original message|message d'origine) ?-{2,}/i,
+  /^de ?: /i,
+  /^from: /i
+];
+
+// Rôles sur le projet déduits de la fonction indiquée en signature
+const PROJECT_ROLES = [
+  { pattern: /architecte/i, role: 'architecte' },
+  { pattern: /bureau de contr[ôo]le|contr[ôo]leur technique/i, role: 'bureau_de_controle' },
+  { pattern: /ma[îi]tr(e|ise) d'ouvrage|\bmoa\b/i, role: 'maitre_ouvrage' },
+  { pattern: /ma[îi]tr(e|ise) d'[œo]e?uvre|\bmoe\b/i, role: 'maitre_oeuvre' },
+  { pattern: /\bopc\b|coordinat/i, role: 'coordination' },
+  { pattern: /bureau d'[ée]tudes?|\bbet\b/i, role: 'bureau_etudes' }
+];
+
+/**
+ * Raison sociale normalisée (sans accents, ponctuation ni forme juridique)
+ */
+function normalizeCompanyName(name) {
+  return (name || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(LEGAL_FORMS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * SIRET à 14 chiffres vérifié par la clé de Luhn, ou null
+ */
+function normalizeSiret(value) {
+  const siret = String(value || '').replace(/\D/g, '');
+  if (siret.length !== 14) return null;
+
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    let digit = parseInt(siret[i], 10);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0 ? siret : null;
+}
+
+/**
+ * Fin du message de l'expéditeur, sans le message cité, où figure la signature
+ */
+function extractSignature(text) {
+  const lines = (text || '').split(/\r?\n/);
+  const own = [];
+
+  for (const line of lines) {
+    if (QUOTE_MARKERS.some(marker => marker.test(line.trim()))) break;
+    own.push(line);
+  }
+
+  return own
+    .map(line => line.trim())
+    .filter(Boolean)
+    .slice(-12)
+    .join('\n')
+    .slice(0, 1000);
+}
+
+/**
+ * Adresses d'un champ d'en-tête parsé par mailparser
+ */
+function addressesOf(field) {
+  if (!field) return [];
+  const objects = Array.isArray(field) ? field : [field];
+  return objects.flatMap(object => object.value || []);
+}
+
+/**
+ * Annuaire des entreprises et des contacts
+ *
+ * Les contacts sont créés à partir des en-têtes de chaque email ; la signature
+ * de l'expéditeur est lue par le LLM pour renseigner son entreprise, sa fonction,
+ * son téléphone et le SIRET, puis l'entreprise est rattachée au projet avec son rôle.
+ */
+class ContactDirectory {
+  constructor() {
+    this.signatureRefreshDays = config.contacts.signatureRefreshDays;
+    this.ownAddress = (config.email.user || '').toLowerCase();
+  }
+
+  /**
+   * Enregistre les correspondants d'un email
+   * Les signatures des messages filtrés (réponses automatiques, newsletters) ne sont pas lues
+   */
+  async recordEmail(parsedMail, emailId, projectId, { filtered = false } = {}) {
+    const seenAt = parsedMail.date || new Date();
+    const sender = addressesOf(parsedMail.from)[0];
+    const participants = [
+      ...addressesOf(parsedMail.from),
+      ...addressesOf(parsedMail.to),
+      ...addressesOf(parsedMail.cc)
+    ];
+
+    const recorded = new Set();
+
+    for (const participant of participants) {
+      const address = (participant.address || '').toLowerCase();
+      if (!address || address === this.ownAddress || recorded.has(address)) continue;
+      recorded.add(address);
+
+      const contact = await this.upsertContact(address, participant.name, seenAt);
+
+      if (projectId) {
+        await db.query(`
+          INSERT INTO project_contacts (project_id, contact_id, message_count, last_seen_at)
+          VALUES ($1, $2, 1, $3)
+          ON CONFLICT (project_id, contact_id) DO UPDATE
+          SET message_count = project_contacts.message_count + 1,
+              last_seen_at = GREATEST(project_contacts.last_seen_at, EXCLUDED.last_seen_at)
+        `, [projectId, contact.id, seenAt]);
+      }
+
+      if (sender && address === sender.address.toLowerCase() && !filtered && this._needsSignature(contact)) {
+        const details = await redactor.protect({ projectId, emailId, purpose: 'contact_details' }, redact => (
+          mistralClient.extractContactDetails(
+            redact(extractSignature(parsedMail.text)),
+            redact(parsedMail.from.text),
+            { projectId }
+          )
+        ));
+        await this.applyDetails(contact, details || {}, projectId);
+      } else if (!contact.company_id) {
+        await this._linkCompanyByDomain(contact);
+      }
+    }
+
+    logger.debug(`${recorded.size} correspondant(s) enregistré(s) pour l'email ${emailId}`);
+  }
+
+  normalizeCompanyName(name) {
+    return normalizeCompanyName(name);
+  }
+
+  normalizeSiret(value) {
+    return normalizeSiret(value);
+  }
+
+  _needsSignature(contact) {
+    if (!contact.signature_extracted_at) return true;
+    const age = Date.now() - new Date(contact.signature_extracted_at).getTime();
+    return age > this.signatureRefreshDays * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Crée ou met à jour un contact à partir de son adresse (ou d'une adresse fusionnée)
+   */
+  async upsertContact(address, name, seenAt = new Date()) {
+    const existing = await db.query(`
+      SELECT * FROM contacts WHERE email = $1 OR $1 = ANY(aliases)
+    `, [address]);
+
+    if (existing.rows.length > 0) {
+      const result = await db.query(`
+        UPDATE contacts
+        SET name = COALESCE(name, $1),
+            last_seen_at = GREATEST(last_seen_at, $2),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+        RETURNING *
+      `, [name || null, seenAt, existing.rows[0].id]);
+      return result.rows[0];
+    }
+
+    const result = await db.query(`
+      INSERT INTO contacts (email, name, last_seen_at)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (email) DO UPDATE SET last_seen_at = GREATEST(contacts.last_seen_at, EXCLUDED.last_seen_at)
+      RETURNING *
+    `, [address, name || null, seenAt]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Complète un contact avec les coordonnées extraites de sa signature
+   */
+  async applyDetails(contact, details, projectId) {
+    const tradeId = await taskReconciler.findTradeId(details.trade);
+    const company = details.company
+      ? await this.findOrCreateCompany({
+        name: details.company,
+        siret: details.siret,
+        domain: this._companyDomain(contact.email),
+        tradeId
+      })
+      : null;
+
+    await db.query(`
+      UPDATE contacts
+      SET name = COALESCE(name, $1),
+          role = COALESCE($2, role),
+          phone = COALESCE($3, phone),
+          company_id = COALESCE($4, company_id),
+          signature_extracted_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+    `, [details.name || null, details.role || null, details.phone || null, company ? company.id : null, contact.id]);
+
+    if (!company) {
+      await this._linkCompanyByDomain(contact);
+      return;
+    }
+
+    if (projectId) {
+      await this.linkCompanyToProject(projectId, company.id, this._projectRole(details.role, tradeId), tradeId);
+    }
+  }
+
+  /**
+   * Retrouve une entreprise par SIRET, raison sociale ou domaine, ou la crée
+   */
+  async findOrCreateCompany({ name, siret = null, domain = null, tradeId = null, phone = null }) {
+    const normalizedName = normalizeCompanyName(name);
+    const validSiret = normalizeSiret(siret);
+
+    const candidates = await db.query(`
+      SELECT * FROM companies
+      WHERE ($1::varchar IS NOT NULL AND siret = $1)
+         OR normalized_name = $2
+         OR ($3::varchar IS NOT NULL AND domain = $3)
+      ORDER BY (siret = $1) DESC NULLS LAST, (normalized_name = $2) DESC
+      LIMIT 1
+    `, [validSiret, normalizedName, domain]);
+
+    if (candidates.rows.length > 0) {
+      const company = candidates.rows[0];
+      const result = await db.query(`
+        UPDATE companies
+        SET siret = COALESCE(siret, $1),
+            domain = COALESCE(domain, $2),
+            trade_id = COALESCE(trade_id, $3),
+            phone = COALESCE(phone, $4),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $5
+        RETURNING *
+      `, [
+        (company.siret || !validSiret) ? null : await this._freeSiret(validSiret),
+        domain,
+        tradeId,
+        phone,
+        company.id
+      ]);
+      return result.rows[0];
+    }
+
+    const result = await db.query(`
+      INSERT INTO companies (name, normalized_name, siret, domain, trade_id, phone)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [name.trim(), normalizedName, validSiret ? await this._freeSiret(validSiret) : null, domain, tradeId, phone]);
+
+    logger.info(`Entreprise "${name}" ajoutée à l'annuaire (${result.rows[0].id})`);
+    return result.rows[0];
+  }
+
+  /**
+   * SIRET s'il n'est pas déjà attribué à une autre entreprise, sinon null
+   */
+  async _freeSiret(siret) {
+    const result = await db.query('SELECT id FROM companies WHERE siret = $1', [siret]);
+    return result.rows.length === 0 ? siret : null;
+  }
+
+  /**
+   * Rattache un contact sans entreprise à l'entreprise connue pour son domaine
+   */
+  async _linkCompanyByDomain(contact) {
+    const domain = this._companyDomain(contact.email);
+    if (!domain) return;
+
+    await db.query(`
+      UPDATE contacts
+      SET company_id = (SELECT id FROM companies WHERE domain = $1 ORDER BY id ASC LIMIT 1)
+      WHERE id = $2 AND company_id IS NULL
+        AND EXISTS (SELECT 1 FROM companies WHERE domain = $1)
+    `, [domain, contact.id]);
+  }
+
+  _companyDomain(address) {
+    const domain = (address || '').split('@')[1];
+    return domain && !FREE_MAIL_DOMAINS.has(domain) ? domain : null;
+  }
+
+  _projectRole(role, tradeId) {
+    const match = PROJECT_ROLES.find(entry => entry.pattern.test(role || ''));
+    if (match) return match.role;
+    return tradeId ? 'entreprise' : 'intervenant';
+  }
+
+  /**
+   * Rattache une entreprise à un projet avec son rôle et, le cas échéant, son lot
+   */
+  async linkCompanyToProject(projectId, companyId, role = 'intervenant', tradeId = null) {
+    const result = await db.query(`
+      INSERT INTO project_companies (project_id, company_id, role, trade_id)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (project_id, company_id, role) DO UPDATE
+      SET trade_id = COALESCE(EXCLUDED.trade_id, project_companies.trade_id)
+      RETURNING *
+    `, [projectId, companyId, role, tradeId]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Contacts à solliciter pour un corps de métier sur un projet, les plus actifs en premier
+   */
+  async contactsForTrade(projectId, tradeId) {
+    const result = await db.query(`
+      SELECT DISTINCT ON (c.id) c.id, c.email, c.name, c.role, c.phone,
+             co.id AS company_id, co.name AS company_name, pc.role AS project_role,
+             pct.last_seen_at, COALESCE(pct.message_count, 0) AS message_count
+      FROM project_companies pc
+      JOIN companies co ON co.id = pc.company_id
+      JOIN contacts c ON c.company_id = co.id
+      LEFT JOIN project_contacts pct ON pct.contact_id = c.id AND pct.project_id = pc.project_id
+      WHERE pc.project_id = $1 AND COALESCE(pc.trade_id, co.trade_id) = $2
+      ORDER BY c.id
+    `, [projectId, tradeId]);
+
+    return result.rows.sort((a, b) =>
+      (new Date(b.last_seen_at || 0) - new Date(a.last_seen_at || 0)) || (b.message_count - a.message_count));
+  }
+
+  /**
+   * Contacts d'un projet regroupés par corps de métier
+   */
+  async contactsByTrade(projectId) {
+    const result = await db.query(`
+      SELECT t.name AS trade_name, c.email, c.name, c.role, c.phone,
+             co.name AS company_name, pc.role AS project_role
+      FROM project_companies pc
+      JOIN companies co ON co.id = pc.company_id
+      JOIN trades t ON t.id = COALESCE(pc.trade_id, co.trade_id)
+      JOIN contacts c ON c.company_id = co.id
+      LEFT JOIN project_contacts pct ON pct.contact_id = c.id AND pct.project_id = pc.project_id
+      WHERE pc.project_id = $1
+      ORDER BY t.name ASC, pct.last_seen_at DESC NULLS LAST
+    `, [projectId]);
+
+    const byTrade = {};
+    result.rows.forEach(({ trade_name: tradeName, ...contact }) => {
+      if (!byTrade[tradeName]) byTrade[tradeName] = [];
+      if (!byTrade[tradeName].some(existing => existing.email === contact.email)) {
+        byTrade[tradeName].push(contact);
+      }
+    });
+
+    return byTrade;
+  }
+
+  /**
+   * Destinataire d'une relance : contact de l'entreprise chargée du corps de métier
+   * des tâches issues de l'email, ou null si l'annuaire ne permet pas de décider
+   */
+  async resolveFollowUpRecipient(email) {
+    if (!email.project_id) return null;
+
+    const trades = await db.query(`
+      SELECT DISTINCT trade_id FROM tasks
+      WHERE source_email_id = $1 AND trade_id IS NOT NULL
+    `, [email.id]);
+
+    for (const { trade_id: tradeId } of trades.rows) {
+      const contacts = await this.contactsForTrade(email.project_id, tradeId);
+      if (contacts.length > 0) return contacts[0].email;
+    }
+
+    return null;
+  }
+
+  /**
+   * Fusionne des contacts en double dans le contact cible
+   * Les adresses des contacts fusionnés sont conservées comme alias
+   */
+  async mergeContacts(targetId, sourceIds) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const target = await client.query('SELECT * FROM contacts WHERE id = $1 FOR UPDATE', [targetId]);
+      if (target.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const sources = await client.query(`
+        SELECT * FROM contacts WHERE id = ANY($1) AND id <> $2 FOR UPDATE
+      `, [sourceIds, targetId]);
+
+      for (const source of sources.rows) {
+        await client.query(`
+          INSERT INTO project_contacts (project_id, contact_id, message_count, last_seen_at)
+          SELECT project_id, $1, message_count, last_seen_at FROM project_contacts WHERE contact_id = $2
+          ON CONFLICT (project_id, contact_id) DO UPDATE
+          SET message_count = project_contacts.message_count + EXCLUDED.message_count,
+              last_seen_at = GREATEST(project_contacts.last_seen_at, EXCLUDED.last_seen_at)
+        `, [targetId, source.id]);
+
+        await client.query('DELETE FROM contacts WHERE id = $1', [source.id]);
+
+        await client.query(`
+          UPDATE contacts
+          SET aliases = ARRAY(SELECT DISTINCT unnest(aliases || $1::text[])),
+              name = COALESCE(name, $2),
+              role = COALESCE(role, $3),
+              phone = COALESCE(phone, $4),
+              company_id = COALESCE(company_id, $5),
+              last_seen_at = GREATEST(last_seen_at, $6),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $7
+        `, [
+          [source.email, ...(source.aliases || [])],
+          source.name, source.role, source.phone, source.company_id, source.last_seen_at,
+          targetId
+        ]);
+      }
+
+      const merged = await client.query('SELECT * FROM contacts WHERE id = $1', [targetId]);
+      await client.query('COMMIT');
+
+      logger.info(`${sources.rows.length} contact(s) fusionné(s) dans le contact ${targetId}`);
+      return merged.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Fusionne des entreprises en double dans l'entreprise cible
+   * Les contacts et les rattachements aux projets sont repris par l'entreprise cible
+   */
+  async mergeCompanies(targetId, sourceIds) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const target = await client.query('SELECT * FROM companies WHERE id = $1 FOR UPDATE', [targetId]);
+      if (target.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const sources = await client.query(`
+        SELECT * FROM companies WHERE id = ANY($1) AND id <> $2 FOR UPDATE
+      `, [sourceIds, targetId]);
+
+      for (const source of sources.rows) {
+        await client.query('UPDATE contacts SET company_id = $1 WHERE company_id = $2', [targetId, source.id]);
+
+        await client.query(`
+          INSERT INTO project_companies (project_id, company_id, role, trade_id)
+          SELECT project_id, $1, role, trade_id FROM project_companies WHERE company_id = $2
+          ON CONFLICT (project_id, company_id, role) DO NOTHING
+        `, [targetId, source.id]);
+
+        // Suppression avant la reprise du SIRET, unique par entreprise
+        await client.query('DELETE FROM companies WHERE id = $1', [source.id]);
+
+        await client.query(`
+          UPDATE companies
+          SET siret = COALESCE(siret, $1),
+              domain = COALESCE(domain, $2),
+              trade_id = COALESCE(trade_id, $3),
+              phone = COALESCE(phone, $4),
+              address = COALESCE(address, $5),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $6
+        `, [source.siret, source.domain, source.trade_id, source.phone, source.address, targetId]);
+      }
+
+      const merged = await client.query('SELECT * FROM companies WHERE id = $1', [targetId]);
+      await client.query('COMMIT');
+
+      logger.info(`${sources.rows.length} entreprise(s) fusionnée(s) dans l'entreprise ${targetId}`);
+      return merged.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new ContactDirectory();
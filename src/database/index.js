@@ -114,6 +114,39 @@ async function initDatabase() {
       );
     `);
 
+    // Suivi de l'extraction de texte des pièces jointes
+    await client.query(`
+      ALTER TABLE attachments
+        ADD COLUMN IF NOT EXISTS extraction_status VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS extraction_method VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS extraction_error TEXT;
+    `);
+
+    // Stockage des pièces jointes (remplace s3_key, conservé pour les anciennes lignes)
+    await client.query(`
+      ALTER TABLE attachments
+        ADD COLUMN IF NOT EXISTS storage_backend VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS storage_key VARCHAR(500),
+        ADD COLUMN IF NOT EXISTS storage_status VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS storage_attempts INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS storage_error TEXT,
+        ADD COLUMN IF NOT EXISTS spool_path VARCHAR(500),
+        ADD COLUMN IF NOT EXISTS part_index INTEGER,
+        ADD COLUMN IF NOT EXISTS storage_failed_at TIMESTAMP;
+    `);
+
+    // Pièces jointes déjà en échec : délai de conservation compté à partir de la mise à jour
+    await client.query(`
+      UPDATE attachments SET storage_failed_at = CURRENT_TIMESTAMP
+      WHERE storage_status = 'failed' AND storage_failed_at IS NULL
+    `);
+
+    await client.query(`
+      UPDATE attachments
+      SET storage_backend = 's3', storage_key = s3_key, storage_status = 'stored'
+      WHERE s3_key IS NOT NULL AND storage_key IS NULL
+    `);
+
     await client.query(`
       CREATE TABLE IF NOT EXISTS trades (
         id SERIAL PRIMARY KEY,
@@ -172,6 +205,715 @@ async function initDatabase() {
       );
     `);
 
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_threads (
+        id SERIAL PRIMARY KEY,
+        normalized_subject VARCHAR(500),
+        participants TEXT[] DEFAULT array[]::text[],
+        message_count INTEGER DEFAULT 0,
+        first_message_at TIMESTAMP,
+        last_message_at TIMESTAMP,
+        status VARCHAR(50) DEFAULT 'open',
+        summary TEXT,
+        summary_message_count INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Colonnes de fil de discussion ajoutées aux emails existants
+    await client.query(`
+      ALTER TABLE emails
+        ADD COLUMN IF NOT EXISTS reference_ids TEXT[] DEFAULT array[]::text[],
+        ADD COLUMN IF NOT EXISTS thread_id INTEGER REFERENCES email_threads(id) ON DELETE SET NULL;
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_emails_thread_id ON emails(thread_id);
+      CREATE INDEX IF NOT EXISTS idx_email_threads_subject ON email_threads(normalized_subject);
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS mailboxes (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        host VARCHAR(255) NOT NULL,
+        port INTEGER DEFAULT 993,
+        tls BOOLEAN DEFAULT TRUE,
+        username VARCHAR(255) NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        folders TEXT[] DEFAULT array['INBOX']::text[],
+        default_project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+        enabled BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (username, host)
+      );
+    `);
+
+    // Mots de passe chiffrés (plus longs que la valeur en clair) ; vérification du certificat
+    // du serveur désactivable boîte par boîte seulement (certificat auto-signé)
+    await client.query(`
+      ALTER TABLE mailboxes
+        ALTER COLUMN password TYPE TEXT,
+        ADD COLUMN IF NOT EXISTS allow_invalid_certificate BOOLEAN DEFAULT FALSE;
+    `);
+
+    // Origine des emails (boîte et dossier IMAP)
+    await client.query(`
+      ALTER TABLE emails
+        ADD COLUMN IF NOT EXISTS mailbox_id INTEGER REFERENCES mailboxes(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS imap_folder VARCHAR(255);
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS mailbox_checkpoints (
+        id SERIAL PRIMARY KEY,
+        mailbox VARCHAR(255) NOT NULL,
+        folder VARCHAR(255) NOT NULL,
+        uid_validity BIGINT,
+        last_uid BIGINT DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (mailbox, folder)
+      );
+    `);
+
+    // Points de reprise rattachés à la boîte (et non plus à « identifiant@serveur », qui change
+    // avec le nom du serveur) ; la colonne mailbox ne sert plus qu'à l'affichage
+    await client.query(`
+      ALTER TABLE mailbox_checkpoints
+        ADD COLUMN IF NOT EXISTS mailbox_id INTEGER REFERENCES mailboxes(id) ON DELETE CASCADE,
+        ALTER COLUMN mailbox DROP NOT NULL,
+        DROP CONSTRAINT IF EXISTS mailbox_checkpoints_mailbox_folder_key;
+      UPDATE mailbox_checkpoints c SET mailbox_id = m.id
+      FROM mailboxes m
+      WHERE c.mailbox_id IS NULL AND c.mailbox = m.username || '@' || m.host;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_mailbox_checkpoints_mailbox ON mailbox_checkpoints(mailbox_id, folder);
+    `);
+
+    // Première synchronisation (limitée à EMAIL_INITIAL_SYNC_DAYS) terminée ; un dossier
+    // existant sans message traité la refait
+    await client.query(`
+      ALTER TABLE mailbox_checkpoints ADD COLUMN IF NOT EXISTS initial_sync_done BOOLEAN;
+      UPDATE mailbox_checkpoints SET initial_sync_done = last_uid > 0 WHERE initial_sync_done IS NULL;
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS import_jobs (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        source VARCHAR(1000) NOT NULL,
+        filename VARCHAR(255),
+        dry_run BOOLEAN DEFAULT FALSE,
+        status VARCHAR(50) DEFAULT 'pending',
+        total INTEGER,
+        processed INTEGER DEFAULT 0,
+        imported INTEGER DEFAULT 0,
+        skipped INTEGER DEFAULT 0,
+        failed INTEGER DEFAULT 0,
+        last_index INTEGER DEFAULT 0,
+        report JSONB,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS processing_jobs (
+        id SERIAL PRIMARY KEY,
+        source VARCHAR(50) NOT NULL,
+        label VARCHAR(500),
+        message_id VARCHAR(255),
+        raw_message BYTEA,
+        options JSONB DEFAULT '{}',
+        state VARCHAR(50) DEFAULT 'queued',
+        step VARCHAR(50) DEFAULT 'fetched',
+        context JSONB DEFAULT '{}',
+        email_id INTEGER REFERENCES emails(id) ON DELETE SET NULL,
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 5,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        locked_at TIMESTAMP,
+        last_error TEXT,
+        failed_step VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_processing_jobs_state ON processing_jobs(state, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_processing_jobs_message_id ON processing_jobs(message_id);
+    `);
+
+    // Détenteur du verrou d'un travail : un travail remis en file ne peut plus être modifié
+    // par le traitement qui l'avait verrouillé
+    await client.query(`
+      ALTER TABLE processing_jobs
+        ADD COLUMN IF NOT EXISTS locked_by VARCHAR(64);
+    `);
+
+    // Un seul travail actif par message : les doublons actifs antérieurs à l'index sont abandonnés
+    await client.query(`
+      UPDATE processing_jobs SET state = 'discarded', locked_at = NULL, locked_by = NULL,
+        last_error = 'Doublon d''un travail actif pour le même message', updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT id FROM (
+          SELECT id, ROW_NUMBER() OVER (PARTITION BY message_id ORDER BY id DESC) AS rank
+          FROM processing_jobs
+          WHERE message_id IS NOT NULL AND state IN ('queued', 'processing', 'retrying')
+        ) active
+        WHERE rank > 1
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_processing_jobs_active_message
+        ON processing_jobs(message_id) WHERE state IN ('queued', 'processing', 'retrying');
+    `);
+
+    // Version du prompt et modèle ayant produit l'analyse de chaque email
+    await client.query(`
+      ALTER TABLE emails
+        ADD COLUMN IF NOT EXISTS analysis_prompt_version VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS analysis_model VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS analyzed_at TIMESTAMP;
+    `);
+
+    // Versions des prompts enregistrées en base (globales ou propres à un projet)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS prompt_templates (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        version VARCHAR(50) NOT NULL,
+        description TEXT,
+        system_prompt TEXT,
+        user_prompt TEXT NOT NULL,
+        variables JSONB DEFAULT '{}',
+        active BOOLEAN DEFAULT true,
+        created_by VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_version
+        ON prompt_templates(name, COALESCE(project_id, 0), version);
+    `);
+
+    // Variables de prompt d'un projet (langue, vocabulaire de l'entreprise...)
+    // et prompt exact (version en base et empreinte) ayant produit l'analyse de chaque email
+    await client.query(`
+      ALTER TABLE projects
+        ADD COLUMN IF NOT EXISTS prompt_variables JSONB DEFAULT '{}';
+    `);
+
+    await client.query(`
+      ALTER TABLE emails
+        ADD COLUMN IF NOT EXISTS analysis_prompt_id INTEGER REFERENCES prompt_templates(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS analysis_prompt_hash VARCHAR(64);
+    `);
+
+    // Motif de filtrage des messages automatiques, non soumis à l'analyse
+    await client.query(`
+      ALTER TABLE emails
+        ADD COLUMN IF NOT EXISTS filtered_reason VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS filter_detail TEXT;
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS project_sender_rules (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        list_type VARCHAR(10) NOT NULL,
+        pattern VARCHAR(255) NOT NULL,
+        note TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (project_id, pattern)
+      );
+    `);
+
+    // Emails à l'origine de chaque tâche ou de ses mises à jour
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS task_evidence (
+        id SERIAL PRIMARY KEY,
+        task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+        email_id INTEGER REFERENCES emails(id) ON DELETE CASCADE,
+        action VARCHAR(50) NOT NULL,
+        extracted JSONB,
+        changes JSONB DEFAULT '{}',
+        match_score REAL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS task_match_reviews (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        email_id INTEGER REFERENCES emails(id) ON DELETE CASCADE,
+        candidate_task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+        extracted JSONB NOT NULL,
+        match_score REAL,
+        match_details JSONB,
+        status VARCHAR(50) DEFAULT 'pending',
+        resolved_task_id INTEGER REFERENCES tasks(id) ON DELETE SET NULL,
+        resolved_by VARCHAR(100),
+        resolved_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_task_evidence_task ON task_evidence(task_id);
+      CREATE INDEX IF NOT EXISTS idx_task_match_reviews_project ON task_match_reviews(project_id, status);
+    `);
+
+    // Confirmation manuelle des mises à jour d'avancement détectées dans les emails
+    await client.query(`
+      ALTER TABLE projects
+        ADD COLUMN IF NOT EXISTS confirm_task_updates BOOLEAN DEFAULT FALSE;
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS task_progress_updates (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+        email_id INTEGER REFERENCES emails(id) ON DELETE CASCADE,
+        event VARCHAR(20) NOT NULL,
+        event_date DATE,
+        proposed_end_date DATE,
+        detail TEXT,
+        match_score REAL,
+        changes JSONB DEFAULT '{}',
+        status VARCHAR(20) DEFAULT 'pending',
+        resolved_by VARCHAR(100),
+        resolved_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(task_id, email_id, event)
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_task_progress_updates_project ON task_progress_updates(project_id, status);
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reanalysis_runs (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        filters JSONB DEFAULT '{}',
+        prompt_version VARCHAR(50),
+        model VARCHAR(100),
+        status VARCHAR(50) DEFAULT 'pending',
+        total INTEGER DEFAULT 0,
+        processed INTEGER DEFAULT 0,
+        changed INTEGER DEFAULT 0,
+        failed INTEGER DEFAULT 0,
+        error TEXT,
+        created_by VARCHAR(100) DEFAULT 'system',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Prompt exact utilisé par une campagne de réanalyse
+    await client.query(`
+      ALTER TABLE reanalysis_runs
+        ADD COLUMN IF NOT EXISTS prompt_id INTEGER REFERENCES prompt_templates(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS prompt_hash VARCHAR(64);
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reanalysis_results (
+        id SERIAL PRIMARY KEY,
+        run_id INTEGER REFERENCES reanalysis_runs(id) ON DELETE CASCADE,
+        email_id INTEGER REFERENCES emails(id) ON DELETE CASCADE,
+        previous JSONB,
+        proposed JSONB,
+        changes JSONB DEFAULT '{}',
+        status VARCHAR(50) DEFAULT 'pending',
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (run_id, email_id)
+      );
+    `);
+
+    // Date d'application d'un résultat, qui sert aussi à le réserver avant de l'appliquer
+    await client.query(`
+      ALTER TABLE reanalysis_results ADD COLUMN IF NOT EXISTS applied_at TIMESTAMP;
+      UPDATE reanalysis_results SET applied_at = created_at WHERE status = 'applied' AND applied_at IS NULL;
+    `);
+
+    // Annuaire des entreprises et des contacts, alimenté par les emails
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS companies (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        normalized_name VARCHAR(255) NOT NULL,
+        siret VARCHAR(14) UNIQUE,
+        domain VARCHAR(255),
+        trade_id INTEGER REFERENCES trades(id) ON DELETE SET NULL,
+        phone VARCHAR(50),
+        address TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS contacts (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        aliases TEXT[] DEFAULT array[]::text[],
+        name VARCHAR(255),
+        company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL,
+        role VARCHAR(255),
+        phone VARCHAR(50),
+        signature_extracted_at TIMESTAMP,
+        last_seen_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Rôle des entreprises sur chaque projet (architecte, bureau de contrôle, sous-traitant...)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS project_companies (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+        role VARCHAR(100) NOT NULL DEFAULT 'intervenant',
+        trade_id INTEGER REFERENCES trades(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (project_id, company_id, role)
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS project_contacts (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        contact_id INTEGER REFERENCES contacts(id) ON DELETE CASCADE,
+        message_count INTEGER DEFAULT 0,
+        last_seen_at TIMESTAMP,
+        UNIQUE (project_id, contact_id)
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_companies_normalized_name ON companies(normalized_name);
+      CREATE INDEX IF NOT EXISTS idx_companies_domain ON companies(domain);
+      CREATE INDEX IF NOT EXISTS idx_contacts_company ON contacts(company_id);
+    `);
+
+    // Réunions et visites reçues en invitation (.ics / text/calendar)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS meetings (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        email_id INTEGER REFERENCES emails(id) ON DELETE SET NULL,
+        uid VARCHAR(255) NOT NULL,
+        recurrence_id VARCHAR(50) NOT NULL DEFAULT '',
+        sequence INTEGER DEFAULT 0,
+        meeting_type VARCHAR(50) DEFAULT 'reunion',
+        summary VARCHAR(500),
+        description TEXT,
+        location VARCHAR(500),
+        starts_at TIMESTAMP WITH TIME ZONE,
+        ends_at TIMESTAMP WITH TIME ZONE,
+        all_day BOOLEAN DEFAULT FALSE,
+        rrule VARCHAR(500),
+        status VARCHAR(20) DEFAULT 'confirmed',
+        organizer_email VARCHAR(255),
+        organizer_contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (uid, recurrence_id)
+      );
+    `);
+
+    // Début de l'occurrence remplacée par une occurrence modifiée (RECURRENCE-ID avec son fuseau)
+    await client.query(`
+      ALTER TABLE meetings
+        ADD COLUMN IF NOT EXISTS recurrence_start TIMESTAMP WITH TIME ZONE;
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS meeting_attendees (
+        id SERIAL PRIMARY KEY,
+        meeting_id INTEGER REFERENCES meetings(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        name VARCHAR(255),
+        contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL,
+        role VARCHAR(50),
+        partstat VARCHAR(50),
+        UNIQUE (meeting_id, email)
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_meetings_project ON meetings(project_id, starts_at);
+    `);
+
+    // Masquage des données personnelles : réglages par projet et journal des envois au LLM
+    await client.query(`
+      ALTER TABLE projects
+        ADD COLUMN IF NOT EXISTS redaction_enabled BOOLEAN,
+        ADD COLUMN IF NOT EXISTS redaction_entities TEXT[];
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS redaction_logs (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        email_id INTEGER REFERENCES emails(id) ON DELETE SET NULL,
+        purpose VARCHAR(50) NOT NULL,
+        counts JSONB DEFAULT '{}',
+        total INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_redaction_logs_project ON redaction_logs(project_id, created_at);
+    `);
+
+    // Contrôle des réponses JSON du LLM : valide, corrigée ou en échec
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS llm_validations (
+        id SERIAL PRIMARY KEY,
+        operation VARCHAR(50) NOT NULL,
+        outcome VARCHAR(20) NOT NULL,
+        attempts INTEGER DEFAULT 1,
+        errors JSONB DEFAULT '[]',
+        coercions INTEGER DEFAULT 0,
+        provider VARCHAR(50),
+        model VARCHAR(100),
+        email_id INTEGER REFERENCES emails(id) ON DELETE SET NULL,
+        project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_llm_validations_operation ON llm_validations(operation, created_at);
+    `);
+
+    // Cache des réponses du LLM et consommation par projet (tokens, latence, coût estimé)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS llm_cache (
+        key VARCHAR(64) PRIMARY KEY,
+        provider VARCHAR(50),
+        model VARCHAR(100),
+        response JSONB NOT NULL,
+        hits INTEGER DEFAULT 0,
+        last_hit_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_llm_cache_expires ON llm_cache(expires_at);
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS llm_usage (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+        email_id INTEGER REFERENCES emails(id) ON DELETE SET NULL,
+        operation VARCHAR(50) NOT NULL,
+        provider VARCHAR(50),
+        model VARCHAR(100),
+        input_tokens INTEGER DEFAULT 0,
+        output_tokens INTEGER DEFAULT 0,
+        latency_ms INTEGER DEFAULT 0,
+        cost NUMERIC(12, 6) DEFAULT 0,
+        cached BOOLEAN DEFAULT false,
+        success BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_llm_usage_project ON llm_usage(project_id, created_at);
+    `);
+
+    // Recherche sémantique : vecteurs dans PostgreSQL si pgvector est disponible, sinon en mémoire
+    let pgvector = false;
+    try {
+      await client.query('CREATE EXTENSION IF NOT EXISTS vector');
+      pgvector = true;
+    } catch (error) {
+      logger.warn(`Extension pgvector indisponible, index de recherche en mémoire: ${error.message}`);
+    }
+
+    await client.query(`
+      ALTER TABLE emails
+        ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS embedded_at TIMESTAMP;
+    `);
+
+    // Passages des emails et des pièces jointes, avec leur embedding
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS search_chunks (
+        id SERIAL PRIMARY KEY,
+        email_id INTEGER REFERENCES emails(id) ON DELETE CASCADE,
+        attachment_id INTEGER REFERENCES attachments(id) ON DELETE CASCADE,
+        source VARCHAR(20) NOT NULL,
+        chunk_index INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        model VARCHAR(100),
+        embedding JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_search_chunks_email ON search_chunks(email_id);
+      CREATE INDEX IF NOT EXISTS idx_search_chunks_content ON search_chunks USING GIN (to_tsvector('french', content));
+    `);
+
+    // Les vecteurs d'une autre dimension que celle du modèle principal ne sont pas indexés
+    // par pgvector (colonne à NULL) et sont recherchés en mémoire
+    if (pgvector) {
+      const dimensions = config.search.dimensions;
+      await client.query(`
+        ALTER TABLE search_chunks
+          ADD COLUMN IF NOT EXISTS embedding_vector vector(${dimensions});
+      `);
+
+      const column = await client.query(`
+        SELECT format_type(atttypid, atttypmod) AS type FROM pg_attribute
+        WHERE attrelid = 'search_chunks'::regclass AND attname = 'embedding_vector'
+      `);
+      if (column.rows[0].type !== `vector(${dimensions})`) {
+        await client.query(`
+          ALTER TABLE search_chunks
+            ALTER COLUMN embedding_vector TYPE vector(${dimensions})
+            USING CASE WHEN vector_dims(embedding_vector) = ${dimensions} THEN embedding_vector::vector(${dimensions}) END;
+        `);
+      }
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_search_chunks_embedding
+          ON search_chunks USING hnsw (embedding_vector vector_cosine_ops);
+      `);
+    }
+
+    // Leçons apprises : corps de métier, origine (llm ou manual) et relecture
+    await client.query(`
+      ALTER TABLE lessons_learned
+        ADD COLUMN IF NOT EXISTS trade_id INTEGER REFERENCES trades(id),
+        ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'manual',
+        ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'proposed',
+        ADD COLUMN IF NOT EXISTS reviewed_by VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+      CREATE INDEX IF NOT EXISTS idx_lessons_learned_search ON lessons_learned(trade_id, category);
+    `);
+
+    // Questions posées sur un projet : une conversation par utilisateur, avec ses échanges
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ask_conversations (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        user_name VARCHAR(100) NOT NULL,
+        title VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_ask_conversations_user ON ask_conversations(project_id, user_name, updated_at);
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ask_messages (
+        id SERIAL PRIMARY KEY,
+        conversation_id INTEGER REFERENCES ask_conversations(id) ON DELETE CASCADE,
+        role VARCHAR(20) NOT NULL,
+        content TEXT NOT NULL,
+        answered BOOLEAN,
+        citations JSONB DEFAULT '[]',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_ask_messages_conversation ON ask_messages(conversation_id, id);
+    `);
+
+    // Conformité des documents : type de la pièce jointe et résultat de son analyse
+    await client.query(`
+      ALTER TABLE attachments
+        ADD COLUMN IF NOT EXISTS document_type VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS compliance_summary TEXT,
+        ADD COLUMN IF NOT EXISTS compliance_analyzed_at TIMESTAMP;
+    `);
+
+    // Non-conformités : document d'origine, référence réglementaire, échéance et suivi
+    await client.query(`
+      ALTER TABLE compliance_issues
+        ADD COLUMN IF NOT EXISTS attachment_id INTEGER REFERENCES attachments(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'email',
+        ADD COLUMN IF NOT EXISTS title VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS regulation_reference VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS deadline DATE,
+        ADD COLUMN IF NOT EXISTS recommended_action TEXT,
+        ADD COLUMN IF NOT EXISTS assigned_to VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+      CREATE INDEX IF NOT EXISTS idx_compliance_issues_project ON compliance_issues(project_id, status);
+      CREATE INDEX IF NOT EXISTS idx_compliance_issues_attachment ON compliance_issues(attachment_id);
+    `);
+
+    // Historique des changements de statut des non-conformités
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS compliance_issue_events (
+        id SERIAL PRIMARY KEY,
+        issue_id INTEGER REFERENCES compliance_issues(id) ON DELETE CASCADE,
+        from_status VARCHAR(50),
+        to_status VARCHAR(50) NOT NULL,
+        comment TEXT,
+        changed_by VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_compliance_issue_events_issue ON compliance_issue_events(issue_id, id);
+    `);
+
+    // Jetons des signatures de webhook déjà reçus (refus des requêtes rejouées)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS inbound_webhook_tokens (
+        token VARCHAR(255) PRIMARY KEY,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      ALTER TABLE projects
+        ADD COLUMN IF NOT EXISTS ai_monthly_budget NUMERIC(10, 2);
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS project_routing_rules (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        rule_type VARCHAR(50) NOT NULL,
+        pattern VARCHAR(255) NOT NULL,
+        priority INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_routing_decisions (
+        id SERIAL PRIMARY KEY,
+        email_id INTEGER REFERENCES emails(id) ON DELETE CASCADE,
+        project_id INTEGER REFERENCES projects(id),
+        method VARCHAR(50) NOT NULL,
+        reason TEXT,
+        confidence REAL,
+        rule_id INTEGER REFERENCES project_routing_rules(id) ON DELETE SET NULL,
+        decided_by VARCHAR(100) DEFAULT 'system',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
     // Insertion de quelques corps de métier de base
     const defaultTrades = [
       'Terrassement', 
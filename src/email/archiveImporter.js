@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { simpleParser } = require('mailparser');
+const config = require('../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+const emailProcessor = require('./emailProcessor');
+
+const SUPPORTED_EXTENSIONS = ['.eml', '.mbox'];
+
+// Nombre maximal de messages détaillés dans le rapport d'un import à blanc
+const DRY_RUN_REPORT_LIMIT = 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Liste récursivement les fichiers .eml et .mbox d'un ensemble de chemins
+ */
+function collectArchiveFiles(paths) {
+  const files = [];
+
+  for (const inputPath of paths) {
+    const resolved = path.resolve(inputPath);
+    const stats = fs.statSync(resolved);
+
+    if (stats.isDirectory()) {
+      const entries = fs.readdirSync(resolved).sort();
+      files.push(...collectArchiveFiles(entries.map(entry => path.join(resolved, entry))));
+    } else if (SUPPORTED_EXTENSIONS.includes(path.extname(resolved).toLowerCase())) {
+      files.push(resolved);
+    } else {
+      logger.warn(`Fichier ignoré (format non supporté): ${resolved}`);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Parcourt les messages bruts d'un fichier .eml ou .mbox
+ * Les lignes sont lues en latin1 pour restituer les octets d'origine sans altération
+ */
+async function* readArchiveMessages(filePath) {
+  if (path.extname(filePath).toLowerCase() === '.eml') {
+    yield fs.readFileSync(filePath);
+    return;
+  }
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'latin1' }),
+    crlfDelay: Infinity
+  });
+
+  let current = null;
+  let previousBlank = true;
+
+  for await (const line of lines) {
+    // Un message mbox commence par une ligne "From " précédée d'une ligne vide
+    if (line.startsWith('From ') && previousBlank) {
+      if (current && current.length > 0) {
+        yield Buffer.from(current.join('\r\n'), 'latin1');
+      }
+      current = [];
+      previousBlank = false;
+      continue;
+    }
+
+    if (current) {
+      // Déséchappement mboxrd : ">From " -> "From "
+      current.push(/^>+From /.test(line) ? line.slice(1) : line);
+    }
+
+    previousBlank = line === '';
+  }
+
+  if (current && current.length > 0) {
+    yield Buffer.from(current.join('\r\n'), 'latin1');
+  }
+}
+
+class ArchiveImporter {
+  /**
+   * Importe des archives dans un projet
+   *
+   * Options :
+   * - projectId : projet cible (obligatoire)
+   * - dryRun : analyse les archives sans rien enregistrer
+   * - resume : reprend un import interrompu du même fichier (par défaut)
+   * - throttleMs : délai minimal entre deux analyses LLM
+   */
+  async importPaths(paths, options = {}) {
+    const files = collectArchiveFiles(paths);
+    const jobs = [];
+
+    logger.info(`Import de ${files.length} fichier(s) d'archive dans le projet ${options.projectId}`);
+
+    for (const file of files) {
+      const job = await this.createJob(file, options);
+      jobs.push(await this.runJob(job.id, file, options));
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Import en cours d'exécution ; un import qui n'avance plus depuis QUEUE_STALE_AFTER est
+   * considéré comme interrompu (arrêt du serveur) et peut être repris
+   */
+  isRunning(job) {
+    return job.status === 'running' && Date.now() - new Date(job.updated_at).getTime() < config.queue.staleAfter;
+  }
+
+  /**
+   * Crée (ou retrouve, en cas de reprise) le suivi d'import d'un fichier
+   * Lève une erreur `alreadyRunning` si le même fichier est déjà en cours d'import
+   */
+  async createJob(filePath, options = {}) {
+    const source = path.resolve(filePath);
+
+    if (options.resume !== false && !options.dryRun) {
+      const existing = await db.query(`
+        SELECT * FROM import_jobs
+        WHERE project_id = $1 AND source = $2 AND dry_run = false AND status <> 'completed'
+        ORDER BY created_at DESC
+        LIMIT 1
+      `, [options.projectId, source]);
+
+      if (existing.rows.length > 0) {
+        const job = existing.rows[0];
+        if (this.isRunning(job)) {
+          const error = new Error(`Import ${job.id} de ${path.basename(source)} déjà en cours`);
+          error.alreadyRunning = true;
+          throw error;
+        }
+
+        logger.info(`Reprise de l'import ${job.id} après le message ${job.last_index}`);
+        return job;
+      }
+    }
+
+    const result = await db.query(`
+      INSERT INTO import_jobs (project_id, source, filename, dry_run, status)
+      VALUES ($1, $2, $3, $4, 'pending')
+      RETURNING *
+    `, [options.projectId, source, options.filename || path.basename(source), !!options.dryRun]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Traite les messages d'un fichier, en sautant ceux déjà traités lors d'un passage précédent
+   * L'import est réservé avant de commencer : s'il est déjà en cours, il est retourné tel quel.
+   * Avec `removeSource` (archives téléversées), le fichier est supprimé à la fin d'un import
+   * à blanc ou d'un import terminé ; il est conservé pour la reprise d'un import en échec
+   */
+  async runJob(jobId, filePath, options = {}) {
+    const claimed = await db.query(`
+      UPDATE import_jobs SET status = 'running', error = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status <> 'completed'
+        AND (status <> 'running' OR updated_at < NOW() - make_interval(secs => $2))
+      RETURNING *
+    `, [jobId, config.queue.staleAfter / 1000]);
+
+    if (claimed.rows.length === 0) {
+      logger.warn(`Import ${jobId} déjà en cours ou terminé, non relancé`);
+      const current = await db.query('SELECT * FROM import_jobs WHERE id = $1', [jobId]);
+      return current.rows[0];
+    }
+
+    const job = claimed.rows[0];
+    const finished = await this._process(job, filePath, options);
+
+    if (options.removeSource && (job.dry_run || finished.status === 'completed')) {
+      await fs.promises.unlink(filePath).catch(error => {
+        logger.warn(`Archive ${filePath} non supprimée: ${error.message}`);
+      });
+    }
+
+    return finished;
+  }
+
+  /**
+   * Parcourt l'archive d'un import réservé et enregistre l'avancement message par message
+   */
+  async _process(job, filePath, options) {
+    const jobId = job.id;
+
+    const counters = {
+      processed: job.processed || 0,
+      imported: job.imported || 0,
+      skipped: job.skipped || 0,
+      failed: job.failed || 0
+    };
+    const report = [];
+    const throttleMs = options.throttleMs || 0;
+    let lastAnalysisAt = 0;
+    let index = 0;
+
+    try {
+      for await (const rawMessage of readArchiveMessages(filePath)) {
+        index++;
+        if (index <= job.last_index) continue;
+
+        const label = `${path.basename(filePath)}#${index}`;
+
+        try {
+          if (job.dry_run) {
+            const entry = await this._inspectMessage(rawMessage, index);
+            if (entry.duplicate) {
+              counters.skipped++;
+            } else {
+              counters.imported++;
+            }
+            if (report.length < DRY_RUN_REPORT_LIMIT) report.push(entry);
+          } else {
+            // Limiter le rythme des appels d'analyse
+            const wait = lastAnalysisAt + throttleMs - Date.now();
+            if (wait > 0) await sleep(wait);
+            lastAnalysisAt = Date.now();
+
+            const result = await emailProcessor.processRawEmail(rawMessage, {
+              label,
+              projectId: job.project_id
+            });
+            if (result.duplicate) {
+              counters.skipped++;
+            } else {
+              counters.imported++;
+            }
+          }
+        } catch (error) {
+          counters.failed++;
+          logger.error(`Erreur lors de l'import du message ${label}:`, error.message);
+        }
+
+        counters.processed++;
+
+        await db.query(`
+          UPDATE import_jobs
+          SET last_index = $1, processed = $2, imported = $3, skipped = $4, failed = $5,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $6
+        `, [index, counters.processed, counters.imported, counters.skipped, counters.failed, jobId]);
+      }
+
+      const finished = await db.query(`
+        UPDATE import_jobs
+        SET status = 'completed', total = $1, report = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+        RETURNING *
+      `, [index, job.dry_run ? JSON.stringify(report) : null, jobId]);
+
+      logger.info(`Import ${jobId} terminé: ${counters.imported} importé(s), ${counters.skipped} ignoré(s), ${counters.failed} en échec`);
+      return finished.rows[0];
+    } catch (error) {
+      logger.error(`Import ${jobId} interrompu:`, error);
+      const failedJob = await db.query(`
+        UPDATE import_jobs SET status = 'failed', error = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING *
+      `, [error.message, jobId]);
+      return failedJob.rows[0];
+    }
+  }
+
+  /**
+   * Décrit un message sans l'enregistrer (import à blanc)
+   */
+  async _inspectMessage(rawMessage, index) {
+    const parsedMail = await simpleParser(rawMessage);
+
+    const existing = parsedMail.messageId
+      ? await db.query('SELECT id FROM emails WHERE message_id = $1', [parsedMail.messageId])
+      : { rows: [] };
+
+    return {
+      index,
+      message_id: parsedMail.messageId || null,
+      subject: parsedMail.subject || 'Sans sujet',
+      from: parsedMail.from ? parsedMail.from.text : null,
+      date: parsedMail.date || null,
+      attachments: (parsedMail.attachments || []).length,
+      duplicate: existing.rows.length > 0
+    };
+  }
+}
+
+module.exports = new ArchiveImporter();
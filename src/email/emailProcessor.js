@@ -1,336 +1,442 @@
-const Imap = require('imap');
 const { simpleParser } = require('mailparser');
-const path = require('path');
-const { Readable } = require('stream');
+const crypto = require('crypto');
 const config = require('../config');
 const logger = require('../utils/logger');
 const db = require('../database');
 const mistralClient = require('../llm/mistral');
-const awsConfig = require('../config/aws');
+const redactor = require('../privacy/redactor');
+const textExtractor = require('../attachments/textExtractor');
+const attachmentStore = require('../attachments/attachmentStore');
+const jobQueue = require('../queue/jobQueue');
+const projectRouter = require('./projectRouter');
+const preFilter = require('./preFilter');
+const threadManager = require('./threading');
+const taskReconciler = require('../tasks/taskReconciler');
+const progressTracker = require('../tasks/progressTracker');
+const contactDirectory = require('../contacts/directory');
+const meetingCalendar = require('../calendar/meetingCalendar');
+const semanticSearch = require('../search/semanticSearch');
+const documentClassifier = require('../attachments/documentClassifier');
+const complianceIssues = require('../compliance/complianceIssues');
 
 class EmailProcessor {
   constructor() {
-    // Configuration IMAP
-    this.imap = new Imap({
-      user: config.email.user,
-      password: config.email.password,
-      host: config.email.server,
-      port: config.email.port,
-      tls: config.email.tls,
-      tlsOptions: { rejectUnauthorized: false } // Pour la dev/test seulement - à sécuriser en production
-    });
-
-    // Configuration AWS S3 avec la nouvelle approche
-    awsConfig.configureAWS();
-    this.s3 = awsConfig.getS3();
-
-    // Initialisation des gestionnaires d'événements
-    this._initializeEventHandlers();
+    // Les travaux de la file sont exécutés par le pipeline de traitement des emails
+    jobQueue.setHandler(job => this.runJob(job));
   }
 
   /**
-   * Initialise les gestionnaires d'événements pour IMAP
+   * Place un email brut (RFC 822) dans la file de traitement
+   * Le message est conservé en base jusqu'à la fin de son traitement
+   *
+   * Options : label (journalisation), mailboxId et folder (origine),
+   * defaultProjectId (projet par défaut de la boîte), projectId (projet imposé),
+   * source (origine du message : imap, import...)
+   *
+   * Retourne { job, duplicate, emailId }
    */
-  _initializeEventHandlers() {
-    this.imap.on('ready', () => {
-      logger.info('Connexion IMAP établie');
-      this._openInbox();
-    });
+  async enqueueRawEmail(rawMessage, options = {}, { claim = false } = {}) {
+    const { source = 'imap', ...jobOptions } = options;
+    const messageId = this._getMessageId(rawMessage);
+
+    const existingEmail = await db.query('SELECT id FROM emails WHERE message_id = $1', [messageId]);
+    if (existingEmail.rows.length > 0) {
+      logger.info(`Email avec message_id ${messageId} déjà traité, ignoré`);
+      return { job: null, duplicate: true, emailId: existingEmail.rows[0].id };
+    }
 
-    this.imap.on('error', (err) => {
-      logger.error('Erreur IMAP:', err);
+    const { job, created } = await jobQueue.enqueue({
+      source,
+      label: options.label,
+      messageId,
+      rawMessage,
+      options: jobOptions,
+      claim
     });
 
-    this.imap.on('end', () => {
-      logger.info('Connexion IMAP terminée');
-    });
+    return { job, created, duplicate: false, emailId: null };
   }
 
   /**
-   * Ouvre la boîte de réception
+   * Place un email brut dans la file puis le traite immédiatement
+   * Lève une erreur si le traitement échoue ; le travail reste en file pour être retenté
+   *
+   * Retourne { emailId, duplicate }
    */
-  _openInbox() {
-    this.imap.openBox('INBOX', false, (err, box) => {
-      if (err) {
-        logger.error('Erreur lors de l\'ouverture de la boîte de réception:', err);
-        return;
-      }
-      
-      logger.info('Boîte de réception ouverte, recherche de nouveaux emails');
-      this._fetchNewEmails();
-    });
-  }
+  async processRawEmail(rawMessage, options = {}) {
+    const queued = await this.enqueueRawEmail(rawMessage, { source: 'import', ...options }, { claim: true });
 
-  /**
-   * Récupère les nouveaux emails
-   */
-  _fetchNewEmails() {
-    // Recherche des emails non lus
-    this.imap.search(['UNSEEN'], (err, results) => {
-      if (err) {
-        logger.error('Erreur lors de la recherche d\'emails:', err);
-        return;
-      }
+    if (queued.duplicate) {
+      return { emailId: queued.emailId, duplicate: true };
+    }
 
-      if (!results || results.length === 0) {
-        logger.info('Aucun nouvel email trouvé');
-        this.imap.end();
-        return;
-      }
+    // Message déjà en cours de traitement par la file
+    if (!queued.created) {
+      return { emailId: queued.job.email_id, duplicate: false, jobId: queued.job.id };
+    }
 
-      logger.info(`${results.length} nouveaux emails trouvés`);
-      
-      const fetch = this.imap.fetch(results, {
-        bodies: [''],
-        markSeen: true
-      });
+    return jobQueue.execute(queued.job);
+  }
 
-      fetch.on('message', (msg, seqno) => {
-        logger.debug(`Traitement de l'email #${seqno}`);
-        
-        msg.on('body', (stream) => {
-          this._parseEmail(stream, seqno);
-        });
-      });
+  /**
+   * Identifiant du message lu dans les en-têtes, ou empreinte du contenu à défaut
+   * Garantit la déduplication des messages sans Message-ID
+   */
+  _getMessageId(rawMessage, parsedMessageId = null) {
+    if (parsedMessageId) return parsedMessageId;
 
-      fetch.on('error', (err) => {
-        logger.error('Erreur lors de la récupération des emails:', err);
-      });
+    const headers = rawMessage.toString('utf-8', 0, Math.min(rawMessage.length, 65536)).split(/\r?\n\r?\n/)[0];
+    const match = headers.match(/^message-id:\s*(<[^>\s]+>)/im);
+    if (match) return match[1];
 
-      fetch.on('end', () => {
-        logger.info('Récupération des emails terminée');
-        this.imap.end();
-      });
-    });
+    const hash = crypto.createHash('sha256').update(rawMessage).digest('hex');
+    return `<${hash}@sitemanager.local>`;
   }
 
   /**
-   * Parse un email à partir de son flux
+   * Exécute un travail de la file en reprenant après la dernière étape réussie
+   * Étapes : fetched → stored → analyzed → attachments → tasks → compliance → contacts → indexed
    */
-  async _parseEmail(stream, seqno) {
+  async runJob(job) {
+    const rawMessage = job.raw_message;
+    const parsedMail = await simpleParser(rawMessage);
+    parsedMail.messageId = this._getMessageId(rawMessage, parsedMail.messageId);
+    logger.debug(`Email ${job.label || ''} parsé avec succès`);
+
+    const options = job.options || {};
+    const context = { ...(job.context || {}) };
+    const label = job.label || parsedMail.messageId;
+    const attachments = parsedMail.attachments || [];
+    attachments.forEach((attachment, index) => {
+      attachment.filename = attachment.filename || `piece-jointe-${index + 1}`;
+    });
+
+    const remaining = jobQueue.steps.slice(jobQueue.steps.indexOf(job.step) + 1);
+
     try {
-      const parsedMail = await simpleParser(stream);
-      logger.debug(`Email #${seqno} parsé avec succès`);
-      
-      // Traitement de l'email
-      await this._processEmail(parsedMail, seqno);
+      logger.info(`Traitement de l'email: ${parsedMail.subject} (travail ${job.id}, étape ${job.step})`);
+
+      for (const step of remaining) {
+        jobQueue.assertLocked(job, step);
+
+        try {
+          switch (step) {
+            case 'stored': {
+              const existing = await this._storeEmail(job, parsedMail, options, context);
+              if (existing) {
+                logger.info(`Email avec message_id ${parsedMail.messageId} déjà traité, ignoré`);
+                return { emailId: existing, duplicate: true };
+              }
+              break;
+            }
+            case 'analyzed':
+              await this._analyzeEmail(parsedMail, attachments, context);
+              break;
+            case 'attachments':
+              if (attachments.length > 0) {
+                await this._processAttachments(attachments, context.emailId, context.projectId, context.extractions);
+                await meetingCalendar.processInvitations(attachments, context.emailId, context.projectId);
+              }
+              delete context.extractions;
+              break;
+            case 'tasks':
+              if (context.analysis && context.analysis.tasks && context.analysis.tasks.length > 0) {
+                await this._processTasks(context.analysis.tasks, context.emailId, context.projectId);
+              }
+              if (context.analysis && context.analysis.progress_events && context.analysis.progress_events.length > 0) {
+                await progressTracker.processEvents(context.analysis.progress_events, context.emailId, context.projectId);
+              }
+              break;
+            case 'compliance':
+              // PV, attestations, fiches techniques et notes de calcul reçus en pièce jointe
+              if (!context.filtered && attachments.length > 0) {
+                await complianceIssues.processAttachments(context.emailId);
+              }
+              if (context.analysis && context.analysis.is_compliance_related) {
+                await this._processComplianceIssue(context.analysis, context.emailId, context.projectId);
+              }
+              break;
+            case 'contacts':
+              await contactDirectory.recordEmail(parsedMail, context.emailId, context.projectId, {
+                filtered: !!context.filtered
+              });
+              break;
+            case 'indexed':
+              // Un échec d'indexation ne bloque pas le traitement : l'email reste à rattraper
+              if (!context.filtered) {
+                await semanticSearch.indexEmail(context.emailId).catch(error => {
+                  logger.warn(`Email ${context.emailId} non indexé pour la recherche: ${error.message}`);
+                });
+              }
+              break;
+          }
+        } catch (error) {
+          error.step = step;
+          throw error;
+        }
+
+        // L'étape « stored » est validée dans la même transaction que l'insertion
+        if (step !== 'stored') {
+          await jobQueue.saveProgress(job, step, context);
+        }
+      }
+
+      logger.info(`Email ${label} traité avec succès`);
+      return { emailId: context.emailId, duplicate: false };
     } catch (error) {
-      logger.error(`Erreur lors du parsing de l'email #${seqno}:`, error);
+      logger.error(`Erreur lors du traitement de l'email ${label} (étape ${error.step || 'inconnue'}):`, error.message);
+      throw error;
     }
   }
 
   /**
-   * Traite un email parsé
+   * Étape « stored » : rattachement au projet et insertion de l'email
+   * Retourne l'identifiant de l'email existant si le message a déjà été traité
    */
-  async _processEmail(parsedMail, seqno) {
-    try {
-      logger.info(`Traitement de l'email: ${parsedMail.subject}`);
+  async _storeEmail(job, parsedMail, options, context) {
+    const existingEmail = await db.query(
+      'SELECT id FROM emails WHERE message_id = $1',
+      [parsedMail.messageId]
+    );
+
+    if (existingEmail.rows.length > 0) {
+      return existingEmail.rows[0].id;
+    }
 
-      // Vérifier si l'email existe déjà
-      const existingEmail = await db.query(
-        'SELECT id FROM emails WHERE message_id = $1',
-        [parsedMail.messageId]
-      );
+    // Déterminer le projet associé (fil de discussion, règles, puis LLM)
+    // Le LLM n'est pas sollicité pour un message automatique
+    const routing = await projectRouter.route(parsedMail, {
+      projectId: options.projectId,
+      defaultProjectId: options.defaultProjectId,
+      skipLlm: !!preFilter.evaluateHeaders(parsedMail)
+    });
+    const projectId = routing.projectId;
 
-      if (existingEmail.rows.length > 0) {
-        logger.info(`Email avec message_id ${parsedMail.messageId} déjà traité, ignoré`);
-        return;
-      }
+    if (projectId) {
+      logger.info(`Email rattaché au projet ${projectId} (${routing.method}: ${routing.reason})`);
+    } else {
+      logger.info(`Email placé dans la file des emails non assignés (${routing.reason})`);
+    }
 
-      // Déterminer le projet associé (pour cet exemple, nous utiliserons le projet par défaut si existant)
-      const project = await db.query('SELECT id FROM projects LIMIT 1');
-      let projectId = null;
-      
-      if (project.rows.length > 0) {
-        projectId = project.rows[0].id;
-      } else {
-        // Créer un projet par défaut si aucun n'existe
-        const newProject = await db.query(
-          'INSERT INTO projects (name, description, status) VALUES ($1, $2, $3) RETURNING id',
-          ['Projet par défaut', 'Projet créé automatiquement', 'active']
-        );
-        projectId = newProject.rows[0].id;
-        logger.info(`Nouveau projet créé avec ID: ${projectId}`);
-      }
+    // Pré-classification : les messages filtrés sont stockés sans être analysés
+    const filter = await preFilter.evaluate(parsedMail, projectId);
+    if (filter) {
+      logger.info(`Email filtré avant analyse (${filter.reason}: ${filter.detail})`);
+    }
 
-      // Analyse du contenu de l'email avec Mistral AI
-      let emailAnalysis;
-      try {
-        emailAnalysis = await mistralClient.analyzeEmail(
-          parsedMail.text || parsedMail.html || 'Contenu vide',
-          parsedMail.subject || 'Sans sujet'
-        );
-        logger.debug('Analyse de l\'email effectuée avec succès');
-      } catch (error) {
-        logger.error('Erreur lors de l\'analyse de l\'email:', error);
-        emailAnalysis = {
-          summary: 'Analyse automatique échouée',
-          classification: 'indéterminé',
-          requires_follow_up: false,
-          is_compliance_related: false
-        };
-      }
+    const client = await db.getClient();
+    let emailId;
 
-      // Insertion de l'email dans la base de données
-      const emailInsert = await db.query(`
+    try {
+      await client.query('BEGIN');
+
+      // Insertion de l'email dans la base de données, l'analyse est complétée à l'étape suivante
+      const emailInsert = await client.query(`
         INSERT INTO emails (
           project_id, message_id, parent_message_id, from_address, to_address, cc_address,
-          subject, body_text, body_html, received_date, has_attachments, summary,
-          classification, requires_follow_up, is_compliance_related
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+          subject, body_text, body_html, received_date, has_attachments, reference_ids,
+          mailbox_id, imap_folder, filtered_reason, filter_detail
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
         RETURNING id
       `, [
         projectId,
         parsedMail.messageId,
         parsedMail.inReplyTo || null,
-        parsedMail.from.text,
-        Array.isArray(parsedMail.to) ? parsedMail.to.map(t => t.text) : [parsedMail.to.text],
+        parsedMail.from ? parsedMail.from.text : 'inconnu',
+        parsedMail.to ? (Array.isArray(parsedMail.to) ? parsedMail.to.map(t => t.text) : [parsedMail.to.text]) : [],
         parsedMail.cc ? (Array.isArray(parsedMail.cc) ? parsedMail.cc.map(c => c.text) : [parsedMail.cc.text]) : [],
         parsedMail.subject || 'Sans sujet',
         parsedMail.text || null,
         parsedMail.html || null,
         parsedMail.date,
         parsedMail.attachments && parsedMail.attachments.length > 0,
-        emailAnalysis.summary || 'Pas de résumé disponible',
-        emailAnalysis.classification || 'indéterminé',
-        emailAnalysis.requires_follow_up || false,
-        emailAnalysis.is_compliance_related || false
+        parsedMail.references
+          ? (Array.isArray(parsedMail.references) ? parsedMail.references : parsedMail.references.split(/\s+/))
+          : [],
+        options.mailboxId || null,
+        options.folder || null,
+        filter ? filter.reason : null,
+        filter ? filter.detail : null
       ]);
 
-      const emailId = emailInsert.rows[0].id;
-      logger.info(`Email inséré avec ID: ${emailId}`);
+      emailId = emailInsert.rows[0].id;
+      context.emailId = emailId;
+      context.projectId = projectId;
+      context.filtered = filter ? filter.reason : null;
 
-      // Traitement des pièces jointes si présentes
-      if (parsedMail.attachments && parsedMail.attachments.length > 0) {
-        await this._processAttachments(parsedMail.attachments, emailId, projectId);
-      }
+      await jobQueue.saveProgress(job, 'stored', context, client);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
-      // Traitement des tâches identifiées dans l'email
-      if (emailAnalysis.tasks && emailAnalysis.tasks.length > 0) {
-        await this._processTasks(emailAnalysis.tasks, emailId, projectId);
-      }
+    logger.info(`Email inséré avec ID: ${emailId}`);
+    await projectRouter.recordDecision(emailId, routing);
+    return null;
+  }
 
-      // Vérification des problèmes de conformité
-      if (emailAnalysis.is_compliance_related) {
-        await this._processComplianceIssue(emailAnalysis, emailId, projectId);
-      }
+  /**
+   * Étape « analyzed » : extraction du texte des pièces jointes et analyse avec Mistral AI
+   * Les textes extraits sont conservés dans le contexte du travail pour l'étape suivante
+   */
+  async _analyzeEmail(parsedMail, attachments, context) {
+    if (context.filtered) {
+      await db.query(`
+        UPDATE emails SET classification = 'filtré', requires_follow_up = false WHERE id = $1
+      `, [context.emailId]);
+      context.analysis = null;
+      await this._assignThread(context.emailId);
+      return;
+    }
 
-      logger.info(`Email #${seqno} traité avec succès`);
-    } catch (error) {
-      logger.error(`Erreur lors du traitement de l'email #${seqno}:`, error);
+    await this._extractAttachments(attachments);
+
+    // Le prompt est résolu avant l'appel pour enregistrer exactement celui qui a servi
+    const version = await mistralClient.getAnalysisVersion(context.projectId);
+
+    // Une erreur du service d'analyse est propagée pour que l'étape soit retentée
+    const emailAnalysis = await redactor.protect(
+      { projectId: context.projectId, emailId: context.emailId, purpose: 'email_analysis' },
+      redact => mistralClient.analyzeEmail(
+        redact(this.buildAnalysisContent(parsedMail, attachments)),
+        redact(parsedMail.subject || 'Sans sujet'),
+        { throwOnError: true, emailId: context.emailId, projectId: context.projectId, prompt: version.prompt }
+      )
+    );
+    logger.debug('Analyse de l\'email effectuée avec succès');
+
+    await db.query(`
+      UPDATE emails
+      SET summary = $1, classification = $2, requires_follow_up = $3, is_compliance_related = $4,
+          analysis_prompt_version = $5, analysis_model = $6, analysis_prompt_id = $7,
+          analysis_prompt_hash = $8, analyzed_at = CURRENT_TIMESTAMP
+      WHERE id = $9
+    `, [
+      emailAnalysis.summary || 'Pas de résumé disponible',
+      emailAnalysis.classification || 'indéterminé',
+      emailAnalysis.requires_follow_up || false,
+      emailAnalysis.is_compliance_related || false,
+      version.promptVersion,
+      version.model,
+      version.promptId,
+      version.promptHash,
+      context.emailId
+    ]);
+
+    context.analysis = emailAnalysis;
+    context.extractions = attachments.map(attachment => attachment.extraction);
+
+    await this._assignThread(context.emailId);
+  }
+
+  /**
+   * Rattachement au fil de discussion (une erreur n'interrompt pas le traitement)
+   */
+  async _assignThread(emailId) {
+    try {
+      await threadManager.assignThread(emailId);
+    } catch (threadError) {
+      logger.error(`Erreur lors du rattachement de l'email ${emailId} à un fil:`, threadError);
     }
   }
 
+  /**
+   * Extrait le texte de chaque pièce jointe (résultat stocké dans attachment.extraction)
+   */
+  async _extractAttachments(attachments) {
+    for (const attachment of attachments) {
+      attachment.extraction = await textExtractor.extract(attachment.content, {
+        filename: attachment.filename,
+        contentType: attachment.contentType
+      });
+    }
+  }
+
+  /**
+   * Construit le texte soumis à l'analyse : corps de l'email suivi du texte des pièces jointes
+   */
+  buildAnalysisContent(parsedMail, attachments) {
+    const body = parsedMail.text || parsedMail.html || 'Contenu vide';
+
+    const attachmentTexts = attachments
+      .filter(attachment => attachment.extraction && attachment.extraction.text)
+      .map(attachment => `--- Pièce jointe : ${attachment.filename} ---\n${attachment.extraction.text.slice(0, config.extraction.analysisChars)}`);
+
+    return attachmentTexts.length > 0 ? `${body}\n\n${attachmentTexts.join('\n\n')}` : body;
+  }
+
   /**
    * Traite les pièces jointes d'un email
+   * Les pièces jointes déjà enregistrées lors d'une tentative précédente sont ignorées ; elles sont
+   * reconnues à leur rang dans le message, deux pièces jointes pouvant porter le même nom
    */
-  async _processAttachments(attachments, emailId, projectId) {
+  async _processAttachments(attachments, emailId, projectId, extractions = []) {
     logger.info(`Traitement de ${attachments.length} pièces jointes pour l'email ${emailId}`);
 
-    for (const attachment of attachments) {
+    const existing = await db.query('SELECT part_index, filename FROM attachments WHERE email_id = $1', [emailId]);
+    const storedParts = new Set(existing.rows.filter(row => row.part_index !== null).map(row => row.part_index));
+    // Lignes enregistrées avant l'ajout du rang : reconnues à leur nom
+    const legacyNames = new Set(existing.rows.filter(row => row.part_index === null).map(row => row.filename));
+    let failures = 0;
+
+    for (const [index, attachment] of attachments.entries()) {
+      if (storedParts.has(index) || legacyNames.has(attachment.filename)) continue;
+
       try {
-        // Générer un nom de fichier unique
-        const fileExtension = path.extname(attachment.filename) || '';
-        const uniqueFilename = `${projectId}/${emailId}/${Date.now()}_${path.basename(attachment.filename, fileExtension)}${fileExtension}`;
-        
-        // Essayer de stocker dans S3 si configuré
-        let s3Uploaded = false;
-        let s3Location = null;
-        
-        try {
-          // Uploader le fichier vers S3
-          const uploadParams = {
-            Bucket: config.aws.s3Bucket,
-            Key: uniqueFilename,
-            Body: attachment.content instanceof Readable ? attachment.content : Buffer.from(attachment.content),
-            ContentType: attachment.contentType
-          };
-
-          const s3Result = await this.s3.upload(uploadParams).promise();
-          s3Location = s3Result.Location;
-          s3Uploaded = true;
-          logger.debug(`Pièce jointe uploadée vers S3: ${s3Location}`);
-        } catch (s3Error) {
-          // Gestion de l'erreur S3
-          logger.error(`Erreur lors de l'upload S3 pour ${attachment.filename}:`, s3Error.message);
-          s3Uploaded = false;
-        }
+        // Enregistrer le fichier dans le stockage configuré (local ou S3)
+        const key = attachmentStore.buildKey(projectId, emailId, attachment.filename);
+        const stored = await attachmentStore.persist(key, attachment.content, attachment.contentType);
 
-        // Extraire le texte si possible pour les fichiers texte/PDF/DOC
-        let textContent = null;
-        if (attachment.contentType && 
-            (attachment.contentType.includes('text') || 
-             attachment.contentType.includes('pdf') || 
-             attachment.contentType.includes('msword') || 
-             attachment.contentType.includes('officedocument'))) {
-          // Pour les fichiers texte, on peut directement utiliser le contenu
-          if (attachment.contentType.includes('text')) {
-            textContent = attachment.content.toString('utf-8');
-          }
-          // Pour les PDF/DOC, il faudrait utiliser un service d'extraction de texte
-          // Ce code est un placeholder, à implémenter avec un service approprié
-        }
+        // Texte extrait en amont de l'analyse
+        const extraction = (extractions && extractions[index]) || attachment.extraction || {};
 
         // Insérer l'attachement dans la base de données
         await db.query(`
           INSERT INTO attachments (
-            email_id, filename, content_type, size, s3_key, text_content
-          ) VALUES ($1, $2, $3, $4, $5, $6)
+            email_id, filename, content_type, size, storage_backend, storage_key, storage_status,
+            storage_attempts, storage_error, spool_path, text_content,
+            extraction_status, extraction_method, extraction_error, document_type, part_index
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
         `, [
           emailId,
           attachment.filename,
           attachment.contentType,
           attachment.size,
-          s3Uploaded ? uniqueFilename : null,
-          textContent
+          stored.backend,
+          stored.key,
+          stored.status,
+          1,
+          stored.error,
+          stored.spoolPath,
+          extraction.text || null,
+          extraction.status || null,
+          extraction.method || null,
+          extraction.error || null,
+          documentClassifier.classify(attachment.filename, extraction.text),
+          index
         ]);
 
-        logger.info(`Pièce jointe ${attachment.filename} traitée et enregistrée. S3: ${s3Uploaded ? 'Oui' : 'Non'}`);
+        logger.info(`Pièce jointe ${attachment.filename} traitée et enregistrée. Stockage (${stored.backend}): ${stored.status}`);
       } catch (error) {
+        failures++;
         logger.error(`Erreur lors du traitement de la pièce jointe ${attachment.filename}:`, error.message);
       }
     }
+
+    if (failures > 0) {
+      throw new Error(`${failures} pièce(s) jointe(s) non enregistrée(s) pour l'email ${emailId}`);
+    }
   }
 
   /**
-   * Traite les tâches identifiées dans un email
+   * Traite les tâches identifiées dans un email en les rapprochant du planning existant
    */
   async _processTasks(tasks, emailId, projectId) {
     logger.info(`Traitement de ${tasks.length} tâches pour l'email ${emailId}`);
-
-    for (const task of tasks) {
-      try {
-        // Trouver le corps de métier associé
-        let tradeId = null;
-        if (task.trade) {
-          const tradeResult = await db.query('SELECT id FROM trades WHERE name ILIKE $1', [`%${task.trade}%`]);
-          if (tradeResult.rows.length > 0) {
-            tradeId = tradeResult.rows[0].id;
-          }
-        }
-
-        // Insérer la tâche dans la base de données
-        await db.query(`
-          INSERT INTO tasks (
-            project_id, trade_id, name, description, 
-            planned_start_date, planned_end_date, status, source_email_id
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-        `, [
-          projectId,
-          tradeId,
-          task.name || 'Tâche sans nom',
-          task.description || null,
-          task.start_date || null,
-          task.end_date || null,
-          'planned',
-          emailId
-        ]);
-
-        logger.info(`Tâche "${task.name}" enregistrée avec succès`);
-      } catch (error) {
-        logger.error(`Erreur lors de l'enregistrement de la tâche:`, error);
-      }
-    }
+    return taskReconciler.reconcile(tasks, emailId, projectId);
   }
 
   /**
@@ -339,33 +445,11 @@ class EmailProcessor {
   async _processComplianceIssue(emailAnalysis, emailId, projectId) {
     logger.info(`Traitement d'un problème de conformité pour l'email ${emailId}`);
 
-    try {
-      await db.query(`
-        INSERT INTO compliance_issues (
-          project_id, email_id, issue_type, description, severity, status
-        ) VALUES ($1, $2, $3, $4, $5, $6)
-      `, [
-        projectId,
-        emailId,
-        emailAnalysis.compliance_type || 'indéterminé',
-        emailAnalysis.compliance_description || emailAnalysis.summary,
-        'medium', // Sévérité par défaut
-        'detected'
-      ]);
-
-      logger.info('Problème de conformité enregistré avec succès');
-    } catch (error) {
-      logger.error('Erreur lors de l\'enregistrement du problème de conformité:', error);
+    const issue = await complianceIssues.recordEmailIssue(emailAnalysis, emailId, projectId);
+    if (issue) {
+      logger.info(`Problème de conformité enregistré avec succès (gravité ${issue.severity})`);
     }
   }
-
-  /**
-   * Démarre le processus de récupération d'emails
-   */
-  start() {
-    logger.info('Démarrage du processus de récupération d\'emails');
-    this.imap.connect();
-  }
 }
 
-module.exports = new EmailProcessor(); 
\ No newline at end of file
+module.exports = new EmailProcessor(); 
@@ -0,0 +1,371 @@
+const Imap = require('imap');
+const config = require('../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+
+/**
+ * Ingestion d'un dossier IMAP par UID
+ * - la boîte est ouverte en lecture seule : les drapeaux de lecture ne sont jamais modifiés
+ * - le dernier UID traité et l'UIDVALIDITY sont conservés en base (mailbox_checkpoints)
+ * - les nouveaux messages arrivent via IDLE, avec une synchronisation périodique en secours
+ * - la connexion est rétablie automatiquement avec un délai exponentiel
+ */
+class ImapIngestor {
+  /**
+   * @param {Object} options
+   * @param {number} options.mailboxId - Boîte à laquelle sont rattachés les points de reprise
+   * @param {Object} options.account - { user, password, host, port, tls, allowInvalidCertificate }
+   * @param {string} options.folder - Dossier IMAP à surveiller
+   * @param {Function} options.onMessage - async (rawMessage, { uid, folder }) appelée pour chaque message
+   */
+  constructor({ mailboxId, account, folder = 'INBOX', onMessage }) {
+    this.mailboxId = mailboxId;
+    this.account = account;
+    this.folder = folder;
+    this.onMessage = onMessage;
+    this.mailboxKey = `${account.user}@${account.host}`;
+
+    this.imap = null;
+    this.running = false;
+    this.boxOpen = false;
+    this.syncing = false;
+    this.syncRequested = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.pollTimer = null;
+    this.checkpoint = null;
+    this.uidNext = null;
+    // Nombre d'échecs par UID, pour ne pas bloquer le dossier sur un message défectueux
+    this.failures = new Map();
+  }
+
+  get label() {
+    return `${this.mailboxKey}/${this.folder}`;
+  }
+
+  /**
+   * Démarre l'ingestion (idempotent)
+   */
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    this._connect();
+
+    // Synchronisation périodique au cas où le serveur ne supporte pas IDLE
+    this.pollTimer = setInterval(() => this.sync(), config.email.checkInterval);
+  }
+
+  /**
+   * Arrête l'ingestion et ferme la connexion
+   */
+  stop() {
+    this.running = false;
+    clearInterval(this.pollTimer);
+    clearTimeout(this.reconnectTimer);
+    this.pollTimer = null;
+    this.reconnectTimer = null;
+
+    if (this.imap) {
+      this.imap.end();
+    }
+  }
+
+  /**
+   * Déclenche une synchronisation sur la connexion existante
+   */
+  sync() {
+    if (!this.running) return;
+
+    if (!this.boxOpen) {
+      // La synchronisation aura lieu à l'ouverture du dossier
+      return;
+    }
+
+    this._syncNewMessages().catch(error => {
+      logger.error(`[${this.label}] Erreur lors de la synchronisation:`, error);
+    });
+  }
+
+  /**
+   * Ouvre une connexion IMAP et branche les gestionnaires d'événements
+   */
+  _connect() {
+    const imap = new Imap({
+      user: this.account.user,
+      password: this.account.password,
+      host: this.account.host,
+      port: this.account.port,
+      tls: this.account.tls,
+      // Certificat vérifié, sauf pour une boîte explicitement configurée pour l'accepter
+      tlsOptions: { rejectUnauthorized: !this.account.allowInvalidCertificate },
+      keepalive: {
+        interval: 10000,
+        idleInterval: 300000,
+        forceNoop: false
+      }
+    });
+
+    imap.once('ready', () => {
+      logger.info(`[${this.label}] Connexion IMAP établie`);
+      this.reconnectAttempts = 0;
+      this._openFolder();
+    });
+
+    // Notification IDLE de nouveaux messages
+    imap.on('mail', (count) => {
+      logger.debug(`[${this.label}] ${count} nouveau(x) message(s) signalé(s)`);
+      this.sync();
+    });
+
+    imap.on('uidvalidity', (uidValidity) => {
+      logger.warn(`[${this.label}] UIDVALIDITY modifiée en cours de session (${uidValidity})`);
+      this.boxOpen = false;
+      this.imap.end();
+    });
+
+    imap.on('error', (err) => {
+      logger.error(`[${this.label}] Erreur IMAP:`, err.message);
+    });
+
+    imap.once('close', () => {
+      logger.info(`[${this.label}] Connexion IMAP fermée`);
+      this.boxOpen = false;
+      this._scheduleReconnect();
+    });
+
+    this.imap = imap;
+    this.imap.connect();
+  }
+
+  /**
+   * Planifie une reconnexion avec un délai exponentiel
+   */
+  _scheduleReconnect() {
+    if (!this.running || this.reconnectTimer) return;
+
+    const { minDelay, maxDelay } = config.email.reconnect;
+    const delay = Math.min(minDelay * Math.pow(2, this.reconnectAttempts), maxDelay);
+    this.reconnectAttempts++;
+
+    logger.info(`[${this.label}] Reconnexion dans ${Math.round(delay / 1000)}s (tentative ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.running) {
+        this._connect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Ouvre le dossier en lecture seule et vérifie le point de reprise
+   */
+  _openFolder() {
+    this.imap.openBox(this.folder, true, async (err, box) => {
+      if (err) {
+        logger.error(`[${this.label}] Erreur lors de l'ouverture du dossier:`, err.message);
+        this.imap.end();
+        return;
+      }
+
+      try {
+        this.uidNext = box.uidnext;
+        await this._loadCheckpoint(box.uidvalidity);
+        this.boxOpen = true;
+        logger.info(`[${this.label}] Dossier ouvert, reprise après l'UID ${this.checkpoint.lastUid}`);
+        await this._syncNewMessages();
+      } catch (error) {
+        logger.error(`[${this.label}] Erreur lors de la reprise de l'ingestion:`, error);
+      }
+    });
+  }
+
+  /**
+   * Charge le point de reprise, et le réinitialise si l'UIDVALIDITY a changé
+   */
+  async _loadCheckpoint(uidValidity) {
+    const result = await db.query(`
+      SELECT uid_validity, last_uid, initial_sync_done FROM mailbox_checkpoints
+      WHERE mailbox_id = $1 AND folder = $2
+    `, [this.mailboxId, this.folder]);
+
+    const stored = result.rows[0];
+
+    if (stored && String(stored.uid_validity) === String(uidValidity)) {
+      this.checkpoint = {
+        uidValidity,
+        lastUid: parseInt(stored.last_uid, 10) || 0,
+        initial: !stored.initial_sync_done
+      };
+      return;
+    }
+
+    if (stored) {
+      // Les UID précédents ne sont plus valides : on repart du début du dossier,
+      // la déduplication par message_id évite les doublons
+      logger.warn(`[${this.label}] UIDVALIDITY changée (${stored.uid_validity} -> ${uidValidity}), resynchronisation complète`);
+    }
+
+    this.checkpoint = { uidValidity, lastUid: 0, initial: !stored };
+    await this._saveCheckpoint(0);
+  }
+
+  /**
+   * Enregistre le dernier UID traité
+   */
+  async _saveCheckpoint(lastUid) {
+    await db.query(`
+      INSERT INTO mailbox_checkpoints (mailbox_id, mailbox, folder, uid_validity, last_uid, initial_sync_done, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+      ON CONFLICT (mailbox_id, folder)
+      DO UPDATE SET mailbox = $2, uid_validity = $4, last_uid = $5, initial_sync_done = $6, updated_at = CURRENT_TIMESTAMP
+    `, [this.mailboxId, this.mailboxKey, this.folder, this.checkpoint.uidValidity, lastUid, !this.checkpoint.initial]);
+
+    this.checkpoint.lastUid = lastUid;
+  }
+
+  /**
+   * Fin de la première synchronisation : le point de reprise passe au-delà des messages
+   * antérieurs à la fenêtre importée (UIDNEXT - 1), même si elle ne contenait aucun message
+   */
+  async _completeInitialSync() {
+    this.checkpoint.initial = false;
+    await this._saveCheckpoint(Math.max(this.checkpoint.lastUid, (this.uidNext || 1) - 1));
+    logger.info(`[${this.label}] Première synchronisation terminée, reprise après l'UID ${this.checkpoint.lastUid}`);
+  }
+
+  /**
+   * Traite les messages postérieurs au point de reprise, par lots et dans l'ordre des UID
+   */
+  async _syncNewMessages() {
+    if (this.syncing) {
+      this.syncRequested = true;
+      return;
+    }
+
+    this.syncing = true;
+
+    try {
+      do {
+        this.syncRequested = false;
+
+        const uids = await this._searchNewUids();
+        if (uids.length === 0) {
+          logger.debug(`[${this.label}] Aucun nouvel email`);
+          continue;
+        }
+
+        logger.info(`[${this.label}] ${uids.length} nouveaux emails à traiter`);
+
+        for (let i = 0; i < uids.length; i += config.email.fetchBatchSize) {
+          const batch = uids.slice(i, i + config.email.fetchBatchSize);
+          const messages = await this._fetchMessages(batch);
+
+          for (const message of messages) {
+            const processed = await this._processMessage(message);
+            if (!processed) {
+              // Arrêt du lot : le message sera retenté à la prochaine synchronisation
+              return;
+            }
+          }
+        }
+      } while (this.syncRequested && this.boxOpen);
+
+      if (this.checkpoint.initial && this.boxOpen) {
+        await this._completeInitialSync();
+      }
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Recherche les UID supérieurs au point de reprise
+   */
+  _searchNewUids() {
+    const criteria = [['UID', `${this.checkpoint.lastUid + 1}:*`]];
+
+    // Premier passage sur ce dossier : limiter l'historique importé
+    if (this.checkpoint.initial && config.email.initialSyncDays > 0) {
+      const since = new Date();
+      since.setDate(since.getDate() - config.email.initialSyncDays);
+      criteria.push(['SINCE', since]);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.imap.search(criteria, (err, results) => {
+        if (err) return reject(err);
+
+        // "N:*" renvoie toujours le dernier message, même si son UID est inférieur à N
+        const uids = (results || [])
+          .filter(uid => uid > this.checkpoint.lastUid)
+          .sort((a, b) => a - b);
+        resolve(uids);
+      });
+    });
+  }
+
+  /**
+   * Récupère le contenu brut d'un lot de messages sans les marquer comme lus
+   */
+  _fetchMessages(uids) {
+    return new Promise((resolve, reject) => {
+      const messages = [];
+      const fetch = this.imap.fetch(uids, { bodies: '', markSeen: false });
+
+      fetch.on('message', (msg) => {
+        const message = { uid: null, chunks: [] };
+
+        msg.on('body', (stream) => {
+          stream.on('data', chunk => message.chunks.push(chunk));
+        });
+
+        msg.once('attributes', (attrs) => {
+          message.uid = attrs.uid;
+        });
+
+        msg.once('end', () => {
+          messages.push(message);
+        });
+      });
+
+      fetch.once('error', reject);
+
+      fetch.once('end', () => {
+        resolve(
+          messages
+            .map(message => ({ uid: message.uid, raw: Buffer.concat(message.chunks) }))
+            .sort((a, b) => a.uid - b.uid)
+        );
+      });
+    });
+  }
+
+  /**
+   * Traite un message puis avance le point de reprise
+   * Retourne false si le traitement doit être retenté plus tard
+   */
+  async _processMessage(message) {
+    try {
+      await this.onMessage(message.raw, { uid: message.uid, folder: this.folder });
+      this.failures.delete(message.uid);
+    } catch (error) {
+      const attempts = (this.failures.get(message.uid) || 0) + 1;
+      this.failures.set(message.uid, attempts);
+
+      if (attempts < config.email.maxMessageAttempts) {
+        logger.error(`[${this.label}] Échec du traitement de l'UID ${message.uid} (tentative ${attempts}):`, error.message);
+        return false;
+      }
+
+      logger.error(`[${this.label}] UID ${message.uid} abandonné après ${attempts} tentatives:`, error.message);
+      this.failures.delete(message.uid);
+    }
+
+    await this._saveCheckpoint(message.uid);
+    return true;
+  }
+}
+
+module.exports = ImapIngestor;
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const config = require('../config');
+const db = require('../database');
+
+// Champs contenant le message MIME complet selon le relais
+// (raw : générique, email : SendGrid « raw », body-mime : Mailgun « mime »)
+const RAW_FIELDS = ['raw', 'email', 'body-mime', 'mime'];
+
+/**
+ * Retourne la première valeur définie parmi plusieurs noms de champ
+ */
+function pick(source, names) {
+  for (const name of names) {
+    if (source[name] !== undefined && source[name] !== null && source[name] !== '') {
+      return source[name];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Lit les en-têtes transmis par le relais : texte brut (SendGrid) ou liste de paires (Mailgun)
+ * Retourne un objet dont les clés sont en minuscules
+ */
+function parseHeaders(payload) {
+  const headers = {};
+  let pairs = payload['message-headers'];
+
+  if (typeof pairs === 'string') {
+    try {
+      pairs = JSON.parse(pairs);
+    } catch (error) {
+      pairs = null;
+    }
+  }
+
+  if (Array.isArray(pairs)) {
+    for (const [name, value] of pairs) {
+      headers[String(name).toLowerCase()] = value;
+    }
+  }
+
+  if (typeof payload.headers === 'string') {
+    const unfolded = payload.headers.replace(/\r?\n[ \t]+/g, ' ');
+    for (const line of unfolded.split(/\r?\n/)) {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+      }
+    }
+  } else if (payload.headers && typeof payload.headers === 'object') {
+    for (const [name, value] of Object.entries(payload.headers)) {
+      headers[name.toLowerCase()] = value;
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Réception des emails poussés par un relais HTTP
+ * Vérifie la signature des requêtes et convertit les différents formats en message RFC 822
+ */
+class InboundWebhook {
+  isEnabled() {
+    return !!config.inbound.secret;
+  }
+
+  _hmac(data) {
+    return crypto.createHmac('sha256', config.inbound.secret).update(data).digest('hex');
+  }
+
+  _safeEqual(expected, provided) {
+    const a = Buffer.from(expected);
+    const b = Buffer.from(String(provided || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  _isFresh(timestamp) {
+    const seconds = parseInt(timestamp, 10);
+    if (!seconds) return false;
+    return Math.abs(Math.floor(Date.now() / 1000) - seconds) <= config.inbound.toleranceSeconds;
+  }
+
+  /**
+   * Vérifie la signature d'une requête
+   *
+   * - En-têtes X-Inbound-Timestamp et X-Inbound-Signature (sha256=HMAC(secret, "timestamp.corps brut")),
+   *   pour le MIME brut, le JSON et les formulaires encodés
+   * - Champs timestamp, token et signature (HMAC(secret, timestamp + token)), convention Mailgun,
+   *   pour les seuls formulaires multipart dont le corps brut n'est pas conservé ; cette signature
+   *   ne couvre pas le corps, aussi chaque jeton n'est-il accepté qu'une fois
+   */
+  async verifySignature({ headers, rawBody, fields }) {
+    const headerSignature = headers['x-inbound-signature'];
+
+    if (headerSignature) {
+      const timestamp = headers['x-inbound-timestamp'];
+      if (!rawBody || !this._isFresh(timestamp)) return false;
+
+      const expected = `sha256=${this._hmac(Buffer.concat([Buffer.from(`${timestamp}.`), rawBody]))}`;
+      return this._safeEqual(expected, headerSignature);
+    }
+
+    if (!/^multipart\/form-data/i.test(headers['content-type'] || '')) return false;
+    if (!fields || !fields.signature || !fields.token) return false;
+    if (!this._isFresh(fields.timestamp)) return false;
+    if (!this._safeEqual(this._hmac(`${fields.timestamp}${fields.token}`), fields.signature)) return false;
+
+    return this._claimToken(fields.token);
+  }
+
+  /**
+   * Enregistre un jeton de signature ; false s'il a déjà servi pendant la période de validité
+   * (une requête capturée ne peut pas être rejouée avec un autre corps)
+   */
+  async _claimToken(token) {
+    // L'horodatage est accepté avec un écart dans les deux sens : les jetons sont gardés deux fois ce délai
+    await db.query(`
+      DELETE FROM inbound_webhook_tokens WHERE received_at < NOW() - make_interval(secs => $1)
+    `, [config.inbound.toleranceSeconds * 2]);
+
+    const result = await db.query(`
+      INSERT INTO inbound_webhook_tokens (token) VALUES ($1)
+      ON CONFLICT (token) DO NOTHING
+      RETURNING token
+    `, [String(token).slice(0, 255)]);
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Signe un corps de requête (utilisé par le script de rejeu)
+   */
+  signBody(body, timestamp = Math.floor(Date.now() / 1000)) {
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+    return {
+      timestamp: String(timestamp),
+      signature: `sha256=${this._hmac(Buffer.concat([Buffer.from(`${timestamp}.`), buffer]))}`
+    };
+  }
+
+  /**
+   * Champs de signature d'un formulaire multipart, convention Mailgun (utilisé par le script de rejeu)
+   */
+  signFields(timestamp = Math.floor(Date.now() / 1000)) {
+    const token = crypto.randomBytes(25).toString('hex');
+    return {
+      timestamp: String(timestamp),
+      token,
+      signature: this._hmac(`${timestamp}${token}`)
+    };
+  }
+
+  /**
+   * Convertit la charge utile reçue en message RFC 822
+   * Accepte un message brut, un champ contenant le MIME complet, ou des champs
+   * structurés (from, to, subject, text, html...) au format SendGrid ou Mailgun
+   */
+  async toRawMessage(body, files = []) {
+    if (Buffer.isBuffer(body)) {
+      return body;
+    }
+
+    if (!body || typeof body !== 'object') {
+      throw new Error('Charge utile vide ou non reconnue');
+    }
+
+    const raw = pick(body, RAW_FIELDS);
+    if (raw) {
+      return Buffer.from(raw, body.encoding === 'base64' ? 'base64' : 'utf-8');
+    }
+
+    return this._composeMessage(body, files);
+  }
+
+  /**
+   * Reconstruit un message MIME à partir des champs structurés d'un relais
+   */
+  async _composeMessage(payload, files) {
+    const headers = parseHeaders(payload);
+
+    const from = pick(payload, ['from', 'From', 'sender']) || headers.from;
+    if (!from) {
+      throw new Error('Expéditeur absent de la charge utile');
+    }
+
+    const message = {
+      from,
+      to: pick(payload, ['to', 'To', 'recipient']) || headers.to,
+      cc: pick(payload, ['cc', 'Cc']) || headers.cc,
+      subject: pick(payload, ['subject', 'Subject']) || headers.subject || '',
+      text: pick(payload, ['text', 'body-plain', 'stripped-text']),
+      html: pick(payload, ['html', 'body-html', 'stripped-html']),
+      inReplyTo: pick(payload, ['in_reply_to', 'In-Reply-To']) || headers['in-reply-to'],
+      references: pick(payload, ['references', 'References']) || headers.references,
+      attachments: []
+    };
+
+    // Identifiant déterministe si le relais n'en fournit pas, pour garantir l'idempotence
+    message.messageId = pick(payload, ['message_id', 'Message-Id', 'message-id']) || headers['message-id'] ||
+      `<${crypto.createHash('sha256').update(JSON.stringify([from, message.to, message.subject, message.text, message.html])).digest('hex')}@sitemanager.local>`;
+
+    const date = pick(payload, ['date', 'Date']) || headers.date;
+    if (date) {
+      message.date = new Date(date);
+    }
+
+    for (const file of files) {
+      message.attachments.push({
+        filename: file.originalname,
+        content: file.buffer,
+        contentType: file.mimetype
+      });
+    }
+
+    // Pièces jointes encodées en base64 dans une charge utile JSON
+    if (Array.isArray(payload.attachments)) {
+      for (const attachment of payload.attachments) {
+        message.attachments.push({
+          filename: attachment.filename || attachment.name,
+          content: Buffer.from(attachment.content || '', 'base64'),
+          contentType: attachment.content_type || attachment.type
+        });
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      new MailComposer(message).compile().build((error, raw) => {
+        if (error) return reject(error);
+        resolve(raw);
+      });
+    });
+  }
+}
+
+module.exports = new InboundWebhook();
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// Préfixe des mots de passe chiffrés ; une valeur sans préfixe est un mot de passe enregistré en clair
+const PREFIX = 'enc:v1:';
+
+// Boîte reprise de la configuration : le mot de passe reste dans EMAIL_PASSWORD, sans copie en base
+const ENV_REFERENCE = 'env:EMAIL_PASSWORD';
+
+/**
+ * Chiffrement des mots de passe IMAP enregistrés en base (AES-256-GCM)
+ *
+ * La clé est dérivée de MAILBOX_CREDENTIALS_KEY. Sans clé, aucun mot de passe ne peut être
+ * enregistré ; les mots de passe restés en clair sont chiffrés au démarrage dès qu'elle est définie.
+ */
+class MailboxCredentials {
+  constructor() {
+    this.key = config.email.credentialsKey
+      ? crypto.createHash('sha256').update(config.email.credentialsKey).digest()
+      : null;
+  }
+
+  isEnabled() {
+    return !!this.key;
+  }
+
+  isEncrypted(value) {
+    return String(value || '').startsWith(PREFIX);
+  }
+
+  get envReference() {
+    return ENV_REFERENCE;
+  }
+
+  encrypt(password) {
+    if (!this.key) {
+      throw new Error('MAILBOX_CREDENTIALS_KEY non configuré : impossible d\'enregistrer un mot de passe IMAP');
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const encrypted = Buffer.concat([cipher.update(String(password), 'utf8'), cipher.final()]);
+
+    return `${PREFIX}${[iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':')}`;
+  }
+
+  decrypt(value) {
+    if (value === ENV_REFERENCE) return config.email.password;
+    if (!this.isEncrypted(value)) return value;
+    if (!this.key) {
+      throw new Error('MAILBOX_CREDENTIALS_KEY non configuré : mot de passe IMAP illisible');
+    }
+
+    const [iv, tag, encrypted] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+}
+
+module.exports = new MailboxCredentials();
@@ -0,0 +1,275 @@
+const Imap = require('imap');
+const config = require('../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+const emailProcessor = require('./emailProcessor');
+const ImapIngestor = require('./imapIngestor');
+const mailboxCredentials = require('./mailboxCredentials');
+
+/**
+ * Aplatit l'arborescence renvoyée par getBoxes en chemins complets ("INBOX/Sous-traitants")
+ */
+function flattenBoxes(boxes, prefix = '') {
+  const paths = [];
+
+  for (const [name, box] of Object.entries(boxes || {})) {
+    const fullPath = prefix ? `${prefix}${box.delimiter || '/'}${name}` : name;
+    paths.push(fullPath);
+
+    if (box.children) {
+      paths.push(...flattenBoxes(box.children, fullPath));
+    }
+  }
+
+  return paths;
+}
+
+/**
+ * Convertit une ligne de la table mailboxes en paramètres de connexion (mot de passe déchiffré)
+ */
+function toAccount(mailbox) {
+  return {
+    user: mailbox.username,
+    password: mailboxCredentials.decrypt(mailbox.password),
+    host: mailbox.host,
+    port: mailbox.port,
+    tls: mailbox.tls,
+    allowInvalidCertificate: !!mailbox.allow_invalid_certificate
+  };
+}
+
+class MailboxManager {
+  constructor() {
+    // Ingestions actives par boîte : id -> [ImapIngestor]
+    this.ingestors = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Démarre une ingestion par dossier pour chaque boîte active
+   */
+  async start() {
+    if (this.started) {
+      logger.info('Boîtes mail déjà surveillées, synchronisation demandée');
+      this.syncAll();
+      return;
+    }
+
+    this.started = true;
+
+    try {
+      await this._importLegacyMailbox();
+      await this._encryptStoredPasswords();
+
+      const result = await db.query('SELECT * FROM mailboxes WHERE enabled = true ORDER BY id ASC');
+
+      for (const mailbox of result.rows) {
+        this.startMailbox(mailbox);
+      }
+
+      logger.info(`${result.rows.length} boîte(s) mail surveillée(s)`);
+    } catch (error) {
+      this.started = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Arrête toutes les ingestions
+   */
+  stop() {
+    for (const mailboxId of [...this.ingestors.keys()]) {
+      this.stopMailbox(mailboxId);
+    }
+    this.started = false;
+  }
+
+  /**
+   * Reprend la boîte configurée par variables d'environnement si la table est vide
+   * Le mot de passe n'est pas copié : la boîte le relit dans EMAIL_PASSWORD à chaque connexion
+   */
+  async _importLegacyMailbox() {
+    if (!process.env.EMAIL_USER) return;
+
+    const count = await db.query('SELECT COUNT(*) as count FROM mailboxes');
+    if (parseInt(count.rows[0].count, 10) > 0) return;
+
+    await db.query(`
+      INSERT INTO mailboxes (name, host, port, tls, username, password, folders)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [
+      'Boîte principale',
+      config.email.server,
+      config.email.port,
+      config.email.tls,
+      config.email.user,
+      mailboxCredentials.envReference,
+      ['INBOX']
+    ]);
+
+    logger.info(`Boîte ${config.email.user} reprise depuis la configuration`);
+  }
+
+  /**
+   * Chiffre les mots de passe enregistrés en clair avant l'introduction de MAILBOX_CREDENTIALS_KEY
+   */
+  async _encryptStoredPasswords() {
+    if (!mailboxCredentials.isEnabled()) {
+      logger.warn('MAILBOX_CREDENTIALS_KEY non configuré - les mots de passe IMAP ne peuvent pas être chiffrés');
+      return;
+    }
+
+    const result = await db.query(`
+      SELECT id, password FROM mailboxes WHERE password NOT LIKE 'enc:%' AND password <> $1
+    `, [mailboxCredentials.envReference]);
+    for (const mailbox of result.rows) {
+      await db.query('UPDATE mailboxes SET password = $1 WHERE id = $2', [
+        mailboxCredentials.encrypt(mailbox.password),
+        mailbox.id
+      ]);
+    }
+
+    if (result.rows.length > 0) {
+      logger.info(`${result.rows.length} mot(s) de passe IMAP chiffré(s)`);
+    }
+  }
+
+  /**
+   * Démarre l'ingestion de tous les dossiers d'une boîte
+   */
+  startMailbox(mailbox) {
+    if (this.ingestors.has(mailbox.id)) return;
+
+    let account;
+    try {
+      account = toAccount(mailbox);
+    } catch (error) {
+      logger.error(`Boîte "${mailbox.name}" non surveillée: ${error.message}`);
+      return;
+    }
+
+    const folders = mailbox.folders && mailbox.folders.length > 0 ? mailbox.folders : ['INBOX'];
+
+    const ingestors = folders.map(folder => {
+      const ingestor = new ImapIngestor({
+        mailboxId: mailbox.id,
+        account,
+        folder,
+        // Le message est confié à la file de traitement : le point de reprise IMAP
+        // peut avancer dès qu'il est enregistré, même si son analyse échoue ensuite
+        onMessage: (rawMessage, { uid }) => emailProcessor.enqueueRawEmail(rawMessage, {
+          source: 'imap',
+          label: `${mailbox.name}/${folder}#${uid}`,
+          mailboxId: mailbox.id,
+          folder,
+          defaultProjectId: mailbox.default_project_id
+        })
+      });
+      ingestor.start();
+      return ingestor;
+    });
+
+    this.ingestors.set(mailbox.id, ingestors);
+    logger.info(`Boîte "${mailbox.name}" surveillée (${folders.join(', ')})`);
+  }
+
+  /**
+   * Arrête l'ingestion d'une boîte
+   */
+  stopMailbox(mailboxId) {
+    const ingestors = this.ingestors.get(mailboxId);
+    if (!ingestors) return;
+
+    ingestors.forEach(ingestor => ingestor.stop());
+    this.ingestors.delete(mailboxId);
+    logger.info(`Surveillance de la boîte ${mailboxId} arrêtée`);
+  }
+
+  /**
+   * Redémarre une boîte après modification de sa configuration
+   */
+  async restartMailbox(mailboxId) {
+    this.stopMailbox(mailboxId);
+
+    const result = await db.query('SELECT * FROM mailboxes WHERE id = $1', [mailboxId]);
+    const mailbox = result.rows[0];
+
+    if (mailbox && mailbox.enabled && this.started) {
+      this.startMailbox(mailbox);
+    }
+  }
+
+  /**
+   * Déclenche une synchronisation de toutes les boîtes actives
+   */
+  syncAll() {
+    for (const ingestors of this.ingestors.values()) {
+      ingestors.forEach(ingestor => ingestor.sync());
+    }
+  }
+
+  /**
+   * État d'ingestion d'une boîte, par dossier
+   */
+  getStatus(mailboxId) {
+    const ingestors = this.ingestors.get(mailboxId) || [];
+
+    return ingestors.map(ingestor => ({
+      folder: ingestor.folder,
+      connected: ingestor.boxOpen,
+      syncing: ingestor.syncing,
+      last_uid: ingestor.checkpoint ? ingestor.checkpoint.lastUid : null,
+      reconnect_attempts: ingestor.reconnectAttempts
+    }));
+  }
+
+  /**
+   * Teste une connexion IMAP et vérifie l'existence des dossiers demandés
+   */
+  testConnection(mailbox) {
+    return new Promise((resolve) => {
+      const account = toAccount(mailbox);
+      const imap = new Imap({
+        ...account,
+        tlsOptions: { rejectUnauthorized: !account.allowInvalidCertificate },
+        connTimeout: 10000,
+        authTimeout: 10000
+      });
+
+      let settled = false;
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        imap.end();
+        resolve(result);
+      };
+
+      imap.once('ready', () => {
+        imap.getBoxes((err, boxes) => {
+          if (err) {
+            return finish({ success: false, error: err.message });
+          }
+
+          const available = flattenBoxes(boxes);
+          const requested = mailbox.folders && mailbox.folders.length > 0 ? mailbox.folders : ['INBOX'];
+          const missing = requested.filter(folder => !available.includes(folder));
+
+          finish({
+            success: missing.length === 0,
+            folders: available,
+            missing_folders: missing,
+            error: missing.length > 0 ? `Dossiers introuvables: ${missing.join(', ')}` : null
+          });
+        });
+      });
+
+      imap.once('error', (err) => {
+        finish({ success: false, error: err.message });
+      });
+
+      imap.connect();
+    });
+  }
+}
+
+module.exports = new MailboxManager();
@@ -0,0 +1,200 @@
+const config = require('../config');
+const db = require('../database');
+
+// Expéditeurs des rapports de non-remise
+const BOUNCE_SENDERS = /^(mailer-daemon|postmaster)@/i;
+
+// Sujets des réponses automatiques (absence, accusés de réception) : formules complètes
+// seulement, « Absence de garde-corps » ou « Absent sur chantier demain » restent analysés
+const AUTO_REPLY_SUBJECTS = [
+  /^(réponse automatique|automatic reply|auto(matic)?[ -]?reply|autoreply)\b/i,
+  /^(absente? du bureau|absence du bureau|out of (the )?office|abwesenheitsnotiz)\b/i,
+  /^(accusé de réception|read receipt|lu ?:)/i
+];
+
+// Sujets des notifications de non-remise
+const BOUNCE_SUBJECTS = /^(undeliver(ed|able)|delivery status notification|non remis|échec de (la )?(remise|distribution)|mail delivery failed|returned mail)/i;
+
+/**
+ * Adresse de l'expéditeur d'un email parsé, en minuscules
+ */
+function senderAddress(parsedMail) {
+  const from = parsedMail.from && parsedMail.from.value && parsedMail.from.value[0];
+  return from && from.address ? from.address.toLowerCase() : '';
+}
+
+/**
+ * Lit un en-tête sous forme de texte
+ */
+function headerText(parsedMail, name) {
+  const value = parsedMail.headers && parsedMail.headers.get(name);
+  if (!value) return '';
+  if (typeof value === 'string') return value.toLowerCase();
+  return String(value.value || value.text || '').toLowerCase();
+}
+
+/**
+ * Vérifie si une adresse correspond à un motif : adresse complète ou domaine (@exemple.fr ou exemple.fr)
+ */
+function matchesSender(address, pattern) {
+  const normalized = pattern.trim().toLowerCase();
+  if (!address || !normalized) return false;
+
+  if (normalized.includes('@') && !normalized.startsWith('@')) {
+    return address === normalized;
+  }
+
+  const domain = normalized.replace(/^@/, '');
+  return address.endsWith(`@${domain}`) || address.endsWith(`.${domain}`);
+}
+
+/**
+ * Pré-classification des emails avant l'analyse par le LLM
+ *
+ * Écarte les messages automatiques (réponses d'absence, newsletters, rapports de non-remise,
+ * notifications de calendrier) et applique les listes d'expéditeurs autorisés / refusés
+ * de chaque projet. Les messages filtrés sont stockés mais ne sont pas analysés.
+ */
+class EmailPreFilter {
+  constructor() {
+    this.enabled = config.filtering.enabled;
+  }
+
+  /**
+   * Évalue un email parsé
+   * Retourne null si l'email doit être analysé, sinon { reason, detail }
+   */
+  async evaluate(parsedMail, projectId = null) {
+    if (!this.enabled) return null;
+
+    const sender = senderAddress(parsedMail);
+
+    if (projectId) {
+      const senderRule = await this._matchSenderRule(sender, projectId);
+      if (senderRule && senderRule.list_type === 'allow') return null;
+      if (senderRule && senderRule.list_type === 'deny') {
+        return { reason: 'sender_denied', detail: `Expéditeur refusé pour le projet (${senderRule.pattern})` };
+      }
+    }
+
+    return this.evaluateHeaders(parsedMail, sender);
+  }
+
+  /**
+   * Règles fondées uniquement sur les en-têtes et la structure du message
+   */
+  evaluateHeaders(parsedMail, sender = senderAddress(parsedMail)) {
+    if (!this.enabled) return null;
+
+    const subject = (parsedMail.subject || '').trim();
+    const contentType = parsedMail.headers && parsedMail.headers.get('content-type');
+    const reportType = contentType && contentType.params ? String(contentType.params['report-type'] || '').toLowerCase() : '';
+
+    // Rapports de non-remise (DSN, RFC 3464)
+    if (reportType === 'delivery-status' || BOUNCE_SENDERS.test(sender) || BOUNCE_SUBJECTS.test(subject)) {
+      return { reason: 'bounce', detail: reportType ? `multipart/report; report-type=${reportType}` : `Expéditeur ${sender}` };
+    }
+
+    // Réponses automatiques (RFC 3834)
+    const autoSubmitted = headerText(parsedMail, 'auto-submitted');
+    if (autoSubmitted && autoSubmitted !== 'no') {
+      return { reason: 'auto_reply', detail: `Auto-Submitted: ${autoSubmitted}` };
+    }
+
+    for (const header of ['x-autoreply', 'x-autorespond']) {
+      if (headerText(parsedMail, header)) {
+        return { reason: 'auto_reply', detail: `En-tête ${header}` };
+      }
+    }
+
+    if (AUTO_REPLY_SUBJECTS.some(pattern => pattern.test(subject))) {
+      return { reason: 'auto_reply', detail: `Sujet « ${subject} »` };
+    }
+
+    // Notifications de calendrier sans autre contenu que l'invitation
+    const hasCalendar = (parsedMail.attachments || []).some(attachment => attachment.contentType === 'text/calendar');
+    if (hasCalendar && /^(invitation|updated invitation|invitation mise à jour|accepted|accepté|declined|refusé|tentative|canceled|annulé)/i.test(subject)) {
+      return { reason: 'calendar_notification', detail: `Sujet « ${subject} »` };
+    }
+
+    // Listes de diffusion et envois en nombre
+    const precedence = headerText(parsedMail, 'precedence');
+    if (['bulk', 'junk', 'list'].includes(precedence)) {
+      return { reason: 'bulk', detail: `Precedence: ${precedence}` };
+    }
+
+    const list = parsedMail.headers && parsedMail.headers.get('list');
+    if (list && (list.unsubscribe || list.id)) {
+      return { reason: 'newsletter', detail: list.unsubscribe ? 'En-tête List-Unsubscribe' : 'En-tête List-Id' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Règle d'expéditeur applicable, la plus précise l'emportant (adresse complète avant domaine)
+   */
+  async _matchSenderRule(sender, projectId) {
+    if (!sender) return null;
+
+    const rules = await db.query(`
+      SELECT id, list_type, pattern FROM project_sender_rules WHERE project_id = $1
+    `, [projectId]);
+
+    const matching = rules.rows
+      .filter(rule => matchesSender(sender, rule.pattern))
+      .sort((a, b) => {
+        const specificity = Number(b.pattern.includes('@') && !b.pattern.startsWith('@')) -
+          Number(a.pattern.includes('@') && !a.pattern.startsWith('@'));
+        // À précision égale, le refus l'emporte
+        const denyFirst = a.list_type === b.list_type ? 0 : (a.list_type === 'deny' ? -1 : 1);
+        return specificity || denyFirst;
+      });
+
+    return matching[0] || null;
+  }
+
+  /**
+   * Statistiques de filtrage d'un projet sur une période (en jours)
+   */
+  async getStats(projectId, days = 30) {
+    const totals = await db.query(`
+      SELECT COUNT(*)::int AS total, COUNT(filtered_reason)::int AS filtered
+      FROM emails
+      WHERE project_id = $1 AND received_date >= CURRENT_TIMESTAMP - make_interval(days => $2)
+    `, [projectId, days]);
+
+    const byReason = await db.query(`
+      SELECT filtered_reason AS reason, COUNT(*)::int AS count
+      FROM emails
+      WHERE project_id = $1 AND filtered_reason IS NOT NULL
+        AND received_date >= CURRENT_TIMESTAMP - make_interval(days => $2)
+      GROUP BY filtered_reason
+      ORDER BY count DESC
+    `, [projectId, days]);
+
+    const topSenders = await db.query(`
+      SELECT from_address, COUNT(*)::int AS count
+      FROM emails
+      WHERE project_id = $1 AND filtered_reason IS NOT NULL
+        AND received_date >= CURRENT_TIMESTAMP - make_interval(days => $2)
+      GROUP BY from_address
+      ORDER BY count DESC
+      LIMIT 10
+    `, [projectId, days]);
+
+    const { total, filtered } = totals.rows[0];
+
+    return {
+      days,
+      total,
+      filtered,
+      analyzed: total - filtered,
+      filtered_ratio: total > 0 ? Math.round((filtered / total) * 1000) / 1000 : 0,
+      by_reason: byReason.rows,
+      top_senders: topSenders.rows
+    };
+  }
+}
+
+module.exports = new EmailPreFilter();
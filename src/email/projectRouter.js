@@ -0,0 +1,385 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+const mistralClient = require('../llm/mistral');
+const redactor = require('../privacy/redactor');
+
+// Types de règles de routage, du plus fiable au moins fiable
+const RULE_TYPES = ['alias', 'subject_tag', 'sender_domain', 'address_keyword'];
+
+/**
+ * Normalise une chaîne pour les comparaisons (minuscules, sans accents)
+ */
+function normalize(value) {
+  return (value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Extrait les adresses d'un champ d'adresses mailparser (objet ou tableau)
+ */
+function extractAddresses(field) {
+  if (!field) return [];
+
+  const groups = Array.isArray(field) ? field : [field];
+  const addresses = [];
+
+  for (const group of groups) {
+    if (group && Array.isArray(group.value)) {
+      for (const entry of group.value) {
+        if (entry.address) {
+          addresses.push(entry.address.toLowerCase());
+        }
+      }
+    }
+  }
+
+  return addresses;
+}
+
+/**
+ * Retourne les identifiants des messages parents (In-Reply-To puis References)
+ */
+function extractParentIds(parsedMail) {
+  const ids = [];
+
+  if (parsedMail.inReplyTo) {
+    ids.push(parsedMail.inReplyTo);
+  }
+
+  if (parsedMail.references) {
+    const references = Array.isArray(parsedMail.references)
+      ? parsedMail.references
+      : parsedMail.references.split(/\s+/);
+    // Les références les plus récentes sont à la fin de l'en-tête
+    ids.push(...references.filter(Boolean).reverse());
+  }
+
+  return [...new Set(ids)];
+}
+
+class ProjectRouter {
+  constructor() {
+    this.llmFallback = config.routing.llmFallback;
+    this.llmMinConfidence = config.routing.llmMinConfidence;
+    this.ruleTypes = RULE_TYPES;
+  }
+
+  /**
+   * Détermine le projet d'un email parsé
+   * Retourne { projectId, method, reason, confidence, ruleId }
+   *
+   * Options : projectId (projet imposé, ex. import d'archives),
+   * defaultProjectId (projet par défaut de la boîte de réception),
+   * skipLlm (ne pas solliciter le LLM, ex. message automatique filtré)
+   */
+  async route(parsedMail, options = {}) {
+    if (options.projectId) {
+      return {
+        projectId: parseInt(options.projectId, 10),
+        method: 'forced',
+        reason: options.reason || 'Projet imposé lors de l\'ingestion',
+        confidence: 1,
+        ruleId: null
+      };
+    }
+
+    try {
+      const inherited = await this._routeByThread(parsedMail);
+      if (inherited) return inherited;
+
+      const ruleDecision = await this._routeByRules(parsedMail);
+      if (ruleDecision && ruleDecision.projectId) return ruleDecision;
+
+      // Une boîte dédiée à un chantier l'emporte sur la déduction par le LLM
+      if (options.defaultProjectId && !ruleDecision) {
+        return {
+          projectId: options.defaultProjectId,
+          method: 'mailbox_default',
+          reason: 'Projet par défaut de la boîte de réception',
+          confidence: 1,
+          ruleId: null
+        };
+      }
+
+      if (this.llmFallback && !options.skipLlm) {
+        const candidates = ruleDecision ? ruleDecision.candidates : null;
+        const llmDecision = await this._routeByLLM(parsedMail, candidates);
+        if (llmDecision) return llmDecision;
+      }
+
+      return {
+        projectId: null,
+        method: 'unassigned',
+        reason: ruleDecision
+          ? ruleDecision.reason
+          : 'Aucune règle de routage ne correspond',
+        confidence: 0,
+        ruleId: null
+      };
+    } catch (error) {
+      logger.error('Erreur lors du routage de l\'email:', error);
+      return {
+        projectId: null,
+        method: 'unassigned',
+        reason: `Erreur de routage: ${error.message}`,
+        confidence: 0,
+        ruleId: null
+      };
+    }
+  }
+
+  /**
+   * Hérite du projet du message parent s'il est déjà connu
+   */
+  async _routeByThread(parsedMail) {
+    const parentIds = extractParentIds(parsedMail);
+    if (parentIds.length === 0) return null;
+
+    const result = await db.query(`
+      SELECT message_id, project_id FROM emails
+      WHERE message_id = ANY($1) AND project_id IS NOT NULL
+    `, [parentIds]);
+
+    if (result.rows.length === 0) return null;
+
+    // Privilégier le parent le plus proche dans la conversation
+    const byMessageId = new Map(result.rows.map(row => [row.message_id, row.project_id]));
+    const parentId = parentIds.find(id => byMessageId.has(id));
+
+    return {
+      projectId: byMessageId.get(parentId),
+      method: 'thread',
+      reason: `Hérité du message parent ${parentId}`,
+      confidence: 1,
+      ruleId: null
+    };
+  }
+
+  /**
+   * Applique les règles de routage des projets actifs
+   */
+  async _routeByRules(parsedMail) {
+    const rulesResult = await db.query(`
+      SELECT r.* FROM project_routing_rules r
+      JOIN projects p ON r.project_id = p.id
+      WHERE p.status = 'active'
+      ORDER BY r.priority DESC, r.id ASC
+    `);
+
+    if (rulesResult.rows.length === 0) return null;
+
+    const recipients = [
+      ...extractAddresses(parsedMail.to),
+      ...extractAddresses(parsedMail.cc),
+      ...(parsedMail.headers ? extractAddresses(parsedMail.headers.get('delivered-to')) : []),
+      ...(parsedMail.headers ? extractAddresses(parsedMail.headers.get('x-original-to')) : [])
+    ];
+    const sender = extractAddresses(parsedMail.from)[0] || '';
+    const subject = normalize(parsedMail.subject);
+    const content = `${subject}\n${normalize(parsedMail.text)}`;
+
+    // Conserver, pour chaque type, les règles qui correspondent
+    const matchesByType = new Map();
+
+    for (const rule of rulesResult.rows) {
+      if (this._matchRule(rule, { recipients, sender, subject, content })) {
+        if (!matchesByType.has(rule.rule_type)) {
+          matchesByType.set(rule.rule_type, []);
+        }
+        matchesByType.get(rule.rule_type).push(rule);
+      }
+    }
+
+    for (const ruleType of RULE_TYPES) {
+      const matches = matchesByType.get(ruleType);
+      if (!matches) continue;
+
+      const projectIds = [...new Set(matches.map(rule => rule.project_id))];
+
+      if (projectIds.length === 1) {
+        const rule = matches[0];
+        return {
+          projectId: rule.project_id,
+          method: 'rule',
+          reason: `Règle ${rule.rule_type} "${rule.pattern}"`,
+          confidence: 1,
+          ruleId: rule.id
+        };
+      }
+
+      // Plusieurs projets correspondent au même niveau : décision ambiguë
+      return {
+        projectId: null,
+        candidates: projectIds,
+        reason: `Règles ${ruleType} ambiguës entre les projets ${projectIds.join(', ')}`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Vérifie si une règle correspond à l'email
+   */
+  _matchRule(rule, { recipients, sender, subject, content }) {
+    const pattern = normalize(rule.pattern);
+    if (!pattern) return false;
+
+    switch (rule.rule_type) {
+      case 'alias':
+        return recipients.some(address => {
+          if (pattern.endsWith('@')) return address.startsWith(pattern);
+          if (pattern.includes('@')) return address === pattern;
+          return address.split('@')[0] === pattern;
+        });
+      case 'sender_domain': {
+        const domain = pattern.replace(/^@/, '');
+        const senderDomain = sender.split('@')[1] || '';
+        return senderDomain === domain || senderDomain.endsWith(`.${domain}`);
+      }
+      case 'subject_tag': {
+        const tag = pattern.replace(/^\[|\]$/g, '');
+        return subject.includes(`[${tag}]`);
+      }
+      case 'address_keyword':
+        return content.includes(pattern);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Demande au LLM de deviner le projet à partir du contenu
+   */
+  async _routeByLLM(parsedMail, candidateIds = null) {
+    const params = [];
+    let sqlQuery = `SELECT id, name, description FROM projects WHERE status = 'active'`;
+
+    if (candidateIds && candidateIds.length > 0) {
+      sqlQuery += ' AND id = ANY($1)';
+      params.push(candidateIds);
+    }
+
+    const projects = await db.query(sqlQuery, params);
+    if (projects.rows.length === 0) return null;
+
+    // Le projet n'est pas encore connu : réglages de masquage globaux, sauf candidat unique
+    const candidateId = projects.rows.length === 1 ? projects.rows[0].id : null;
+    const guess = await redactor.protect({ projectId: candidateId, purpose: 'project_routing' }, redact => (
+      mistralClient.guessProject(
+        redact(parsedMail.text || parsedMail.html || ''),
+        redact(parsedMail.subject || ''),
+        projects.rows
+      )
+    ));
+
+    if (!guess || !guess.project_id) return null;
+
+    const projectId = parseInt(guess.project_id, 10);
+    const confidence = parseFloat(guess.confidence) || 0;
+
+    if (!projects.rows.some(project => project.id === projectId)) {
+      logger.warn(`Projet ${guess.project_id} proposé par le LLM inconnu, ignoré`);
+      return null;
+    }
+
+    if (confidence < this.llmMinConfidence) {
+      logger.info(`Proposition LLM (projet ${projectId}, confiance ${confidence}) sous le seuil, email non assigné`);
+      return null;
+    }
+
+    return {
+      projectId,
+      method: 'llm',
+      reason: guess.reason || 'Projet déduit du contenu par le LLM',
+      confidence,
+      ruleId: null
+    };
+  }
+
+  /**
+   * Enregistre une décision de routage pour un email
+   */
+  async recordDecision(emailId, decision, decidedBy = 'system') {
+    await db.query(`
+      INSERT INTO email_routing_decisions (
+        email_id, project_id, method, reason, confidence, rule_id, decided_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [
+      emailId,
+      decision.projectId,
+      decision.method,
+      decision.reason,
+      decision.confidence,
+      decision.ruleId || null,
+      decidedBy
+    ]);
+  }
+
+  /**
+   * Réassigne manuellement un email (et ses données dérivées) à un projet
+   */
+  async assignEmail(emailId, projectId, reason, decidedBy = 'manual') {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      const emailResult = await client.query(
+        'UPDATE emails SET project_id = $1 WHERE id = $2 RETURNING *',
+        [projectId, emailId]
+      );
+
+      if (emailResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      // Les pièces jointes et les passages indexés suivent l'email (jointure sur emails.project_id)
+      await client.query('UPDATE tasks SET project_id = $1 WHERE source_email_id = $2', [projectId, emailId]);
+      await client.query('UPDATE compliance_issues SET project_id = $1 WHERE email_id = $2', [projectId, emailId]);
+      await client.query('UPDATE meetings SET project_id = $1 WHERE email_id = $2', [projectId, emailId]);
+
+      // Rapprochements en attente : la tâche candidate n'est conservée que si elle appartient au nouveau projet
+      await client.query(`
+        UPDATE task_match_reviews r
+        SET project_id = $1,
+            candidate_task_id = (SELECT t.id FROM tasks t WHERE t.id = r.candidate_task_id AND t.project_id = $1)
+        WHERE r.email_id = $2 AND r.status = 'pending'
+      `, [projectId, emailId]);
+
+      // Avancements en attente : ceux qui portent sur une tâche d'un autre projet sont écartés
+      await client.query(`
+        UPDATE task_progress_updates u
+        SET project_id = $1
+        FROM tasks t
+        WHERE t.id = u.task_id AND t.project_id = $1 AND u.email_id = $2 AND u.status = 'pending'
+      `, [projectId, emailId]);
+      await client.query(`
+        UPDATE task_progress_updates
+        SET status = 'rejected', resolved_by = $3, resolved_at = CURRENT_TIMESTAMP
+        WHERE email_id = $2 AND status = 'pending' AND project_id IS DISTINCT FROM $1
+      `, [projectId, emailId, decidedBy]);
+
+      await client.query(`
+        INSERT INTO email_routing_decisions (
+          email_id, project_id, method, reason, confidence, decided_by
+        ) VALUES ($1, $2, 'manual', $3, 1, $4)
+      `, [emailId, projectId, reason || 'Réassignation manuelle', decidedBy]);
+
+      await client.query('COMMIT');
+      logger.info(`Email ${emailId} réassigné au projet ${projectId}`);
+      return emailResult.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new ProjectRouter();
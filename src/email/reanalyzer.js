@@ -0,0 +1,437 @@
+const logger = require('../utils/logger');
+const db = require('../database');
+const mistralClient = require('../llm/mistral');
+const redactor = require('../privacy/redactor');
+const emailProcessor = require('./emailProcessor');
+const threadManager = require('./threading');
+const taskReconciler = require('../tasks/taskReconciler');
+const complianceIssues = require('../compliance/complianceIssues');
+
+// Nombre maximal d'emails réanalysés par campagne
+const MAX_EMAILS = 1000;
+
+// Champs de l'analyse comparés entre l'ancienne et la nouvelle version
+const COMPARED_FIELDS = ['classification', 'requires_follow_up', 'is_compliance_related'];
+
+/**
+ * Normalise un nom de tâche pour la comparaison
+ */
+function normalizeTaskName(name) {
+  return (name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Réanalyse des emails déjà stockés, après une évolution du prompt ou du modèle
+ *
+ * Une campagne calcule d'abord les différences sans rien modifier ;
+ * elles sont ensuite appliquées ou écartées explicitement
+ */
+class Reanalyzer {
+  /**
+   * Construit la requête de sélection des emails d'un projet selon les filtres
+   * Filtres : from, to (date de réception), classification (valeur ou liste),
+   * analysis_version (version exacte, 'none' pour les emails jamais versionnés),
+   * outdated (analysés avec un autre prompt que `currentVersion`, comparé par empreinte)
+   */
+  _buildSelection(projectId, filters = {}, currentVersion = null) {
+    const params = [projectId];
+    const conditions = ['project_id = $1', 'body_text IS NOT NULL', 'filtered_reason IS NULL'];
+
+    if (filters.from) {
+      params.push(filters.from);
+      conditions.push(`received_date >= $${params.length}`);
+    }
+
+    if (filters.to) {
+      params.push(filters.to);
+      conditions.push(`received_date <= $${params.length}`);
+    }
+
+    if (filters.classification) {
+      const classifications = Array.isArray(filters.classification)
+        ? filters.classification
+        : String(filters.classification).split(',').map(value => value.trim());
+      params.push(classifications);
+      conditions.push(`classification = ANY($${params.length})`);
+    }
+
+    if (filters.analysis_version === 'none') {
+      conditions.push('analysis_prompt_version IS NULL');
+    } else if (filters.analysis_version) {
+      params.push(String(filters.analysis_version));
+      conditions.push(`analysis_prompt_version = $${params.length}`);
+    }
+
+    if (filters.outdated && currentVersion) {
+      params.push(currentVersion.promptHash);
+      conditions.push(`analysis_prompt_hash IS DISTINCT FROM $${params.length}`);
+    }
+
+    return { where: conditions.join(' AND '), params };
+  }
+
+  /**
+   * Crée une campagne de réanalyse pour les emails d'un projet
+   */
+  async createRun(projectId, filters = {}, createdBy = 'system') {
+    const version = await mistralClient.getAnalysisVersion(projectId);
+    const { where, params } = this._buildSelection(projectId, filters, version);
+    const countResult = await db.query(`SELECT COUNT(*)::int AS count FROM emails WHERE ${where}`, params);
+    const total = Math.min(countResult.rows[0].count, filters.limit || MAX_EMAILS, MAX_EMAILS);
+
+    const result = await db.query(`
+      INSERT INTO reanalysis_runs (project_id, filters, prompt_version, prompt_id, prompt_hash, model, total, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      projectId,
+      JSON.stringify(filters),
+      version.promptVersion,
+      version.promptId,
+      version.promptHash,
+      version.model,
+      total,
+      createdBy
+    ]);
+
+    logger.info(`Campagne de réanalyse ${result.rows[0].id} créée pour le projet ${projectId} (${total} email(s))`);
+    return result.rows[0];
+  }
+
+  /**
+   * Exécute une campagne : réanalyse chaque email et enregistre les différences proposées
+   */
+  async runJob(runId) {
+    const run = await this.findRun(runId);
+    if (!run) throw new Error(`Campagne de réanalyse ${runId} introuvable`);
+
+    await db.query(`
+      UPDATE reanalysis_runs SET status = 'running', updated_at = CURRENT_TIMESTAMP WHERE id = $1
+    `, [runId]);
+
+    const counters = { processed: 0, changed: 0, failed: 0 };
+
+    try {
+      // Le prompt courant est celui de la campagne : il est relu au lancement
+      const version = await mistralClient.getAnalysisVersion(run.project_id);
+      await db.query(`
+        UPDATE reanalysis_runs SET prompt_version = $1, prompt_id = $2, prompt_hash = $3, model = $4
+        WHERE id = $5
+      `, [version.promptVersion, version.promptId, version.promptHash, version.model, runId]);
+
+      const { where, params } = this._buildSelection(run.project_id, run.filters, version);
+      params.push(run.total);
+      const emails = await db.query(`
+        SELECT * FROM emails
+        WHERE ${where}
+        ORDER BY received_date ASC
+        LIMIT $${params.length}
+      `, params);
+
+      for (const email of emails.rows) {
+        try {
+          const hasChanges = await this._reanalyzeEmail(runId, email, version.prompt);
+          if (hasChanges) counters.changed++;
+        } catch (error) {
+          counters.failed++;
+          logger.error(`Erreur lors de la réanalyse de l'email ${email.id}:`, error.message);
+          await db.query(`
+            INSERT INTO reanalysis_results (run_id, email_id, status, error)
+            VALUES ($1, $2, 'failed', $3)
+            ON CONFLICT (run_id, email_id) DO UPDATE SET status = 'failed', error = EXCLUDED.error
+          `, [runId, email.id, error.message]);
+        }
+
+        counters.processed++;
+        await db.query(`
+          UPDATE reanalysis_runs
+          SET processed = $1, changed = $2, failed = $3, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $4
+        `, [counters.processed, counters.changed, counters.failed, runId]);
+      }
+
+      await db.query(`
+        UPDATE reanalysis_runs SET status = 'ready', updated_at = CURRENT_TIMESTAMP WHERE id = $1
+      `, [runId]);
+
+      logger.info(`Campagne de réanalyse ${runId} terminée: ${counters.changed} email(s) modifié(s) sur ${counters.processed}`);
+    } catch (error) {
+      logger.error(`Campagne de réanalyse ${runId} interrompue:`, error);
+      await db.query(`
+        UPDATE reanalysis_runs SET status = 'failed', error = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2
+      `, [error.message, runId]);
+    }
+  }
+
+  /**
+   * Réanalyse un email et enregistre le résultat proposé
+   * Retourne true si l'analyse diffère de celle enregistrée
+   */
+  async _reanalyzeEmail(runId, email, prompt) {
+    const previous = await this._snapshot(email);
+
+    const attachments = await db.query(`
+      SELECT filename, text_content FROM attachments WHERE email_id = $1 ORDER BY id ASC
+    `, [email.id]);
+
+    const content = emailProcessor.buildAnalysisContent(
+      { text: email.body_text, html: email.body_html },
+      attachments.rows.map(row => ({ filename: row.filename, extraction: { text: row.text_content } }))
+    );
+
+    const proposed = await redactor.protect(
+      { projectId: email.project_id, emailId: email.id, purpose: 'reanalysis' },
+      redact => mistralClient.analyzeEmail(redact(content), redact(email.subject || 'Sans sujet'), {
+        throwOnError: true,
+        emailId: email.id,
+        projectId: email.project_id,
+        prompt
+      })
+    );
+    const changes = this._diff(previous, proposed);
+
+    await db.query(`
+      INSERT INTO reanalysis_results (run_id, email_id, previous, proposed, changes, status)
+      VALUES ($1, $2, $3, $4, $5, 'pending')
+      ON CONFLICT (run_id, email_id) DO UPDATE
+      SET previous = EXCLUDED.previous, proposed = EXCLUDED.proposed,
+          changes = EXCLUDED.changes, status = 'pending', error = NULL
+    `, [runId, email.id, JSON.stringify(previous), JSON.stringify(proposed), JSON.stringify(changes)]);
+
+    return Object.keys(changes).length > 0;
+  }
+
+  /**
+   * État actuel de l'analyse d'un email, tâches extraites comprises
+   */
+  async _snapshot(email) {
+    const tasks = await taskReconciler.extractedNames(email.id);
+
+    return {
+      summary: email.summary,
+      classification: email.classification,
+      requires_follow_up: email.requires_follow_up,
+      is_compliance_related: email.is_compliance_related,
+      prompt_version: email.analysis_prompt_version,
+      prompt_hash: email.analysis_prompt_hash,
+      model: email.analysis_model,
+      tasks
+    };
+  }
+
+  /**
+   * Différences entre l'analyse enregistrée et l'analyse proposée
+   */
+  _diff(previous, proposed) {
+    const changes = {};
+
+    for (const field of COMPARED_FIELDS) {
+      const before = previous[field];
+      const after = field === 'classification'
+        ? proposed[field] || 'indéterminé'
+        : !!proposed[field];
+
+      if (before !== after) {
+        changes[field] = { from: before, to: after };
+      }
+    }
+
+    const previousNames = new Set(previous.tasks.map(normalizeTaskName));
+    const proposedTasks = proposed.tasks || [];
+    const proposedNames = new Set(proposedTasks.map(task => normalizeTaskName(task.name)));
+
+    const added = proposedTasks.filter(task => !previousNames.has(normalizeTaskName(task.name)));
+    const removed = previous.tasks.filter(name => !proposedNames.has(normalizeTaskName(name)));
+
+    if (added.length > 0 || removed.length > 0) {
+      changes.tasks = { added, removed };
+    }
+
+    return changes;
+  }
+
+  /**
+   * Campagne et résultats (changedOnly : seulement les emails dont l'analyse diffère)
+   */
+  async getRun(runId, { changedOnly = false } = {}) {
+    const run = await this.findRun(runId);
+    if (!run) return null;
+
+    const results = await db.query(`
+      SELECT r.id, r.email_id, e.subject, e.received_date, r.previous, r.proposed, r.changes, r.status, r.error
+      FROM reanalysis_results r
+      JOIN emails e ON e.id = r.email_id
+      WHERE r.run_id = $1 ${changedOnly ? 'AND r.changes <> \'{}\'::jsonb' : ''}
+      ORDER BY e.received_date ASC
+    `, [runId]);
+
+    return { ...run, results: results.rows };
+  }
+
+  /**
+   * Campagnes de réanalyse d'un projet
+   */
+  async listRuns(projectId) {
+    const result = await db.query(`
+      SELECT * FROM reanalysis_runs WHERE project_id = $1 ORDER BY created_at DESC
+    `, [projectId]);
+    return result.rows;
+  }
+
+  /**
+   * Applique les résultats en attente d'une campagne (tous, ou seulement les emails indiqués)
+   * Retourne null si la campagne n'est pas prête
+   */
+  async apply(runId, { emailIds = null, appliedBy = 'system' } = {}) {
+    const run = await this.findRun(runId);
+    if (!run || run.status !== 'ready') return null;
+
+    const version = {
+      promptVersion: run.prompt_version,
+      promptId: run.prompt_id,
+      promptHash: run.prompt_hash,
+      model: run.model
+    };
+
+    const params = [runId];
+    let filter = '';
+    if (emailIds && emailIds.length > 0) {
+      params.push(emailIds);
+      filter = 'AND r.email_id = ANY($2)';
+    }
+
+    const pending = await db.query(`
+      SELECT r.*, e.project_id, e.thread_id
+      FROM reanalysis_results r
+      JOIN emails e ON e.id = r.email_id
+      WHERE r.run_id = $1 AND r.status = 'pending' ${filter}
+    `, params);
+
+    let applied = 0;
+    for (const result of pending.rows) {
+      if (await this._applyResult(result, version)) applied++;
+    }
+
+    await this._closeRunIfDone(runId, 'applied');
+    logger.info(`Campagne de réanalyse ${runId}: ${applied} résultat(s) appliqué(s) par ${appliedBy}`);
+    return { applied };
+  }
+
+  /**
+   * Applique la nouvelle analyse d'un email
+   * Les tâches retirées ne sont supprimées que si elles n'ont pas encore démarré
+   *
+   * Le résultat est réservé (applied_at renseigné) avant d'être appliqué : deux applications
+   * simultanées ne peuvent pas l'appliquer deux fois. La réservation est levée en cas d'échec,
+   * chaque étape pouvant être rejouée sans doublon. Retourne false si le résultat est déjà pris
+   */
+  async _applyResult(result, version) {
+    const claimed = await db.query(`
+      UPDATE reanalysis_results SET status = 'applied', applied_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'pending' AND applied_at IS NULL
+      RETURNING id
+    `, [result.id]);
+    if (claimed.rows.length === 0) return false;
+
+    try {
+      await this._applyAnalysis(result, version);
+    } catch (error) {
+      await db.query(`
+        UPDATE reanalysis_results SET status = 'pending', applied_at = NULL WHERE id = $1
+      `, [result.id]);
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Enregistre la nouvelle analyse sur l'email, ses tâches et son éventuel problème de conformité
+   */
+  async _applyAnalysis(result, version) {
+    const proposed = result.proposed;
+    const changes = result.changes || {};
+
+    await db.query(`
+      UPDATE emails
+      SET summary = $1, classification = $2, requires_follow_up = $3, is_compliance_related = $4,
+          analysis_prompt_version = $5, analysis_model = $6, analysis_prompt_id = $7,
+          analysis_prompt_hash = $8, analyzed_at = CURRENT_TIMESTAMP
+      WHERE id = $9
+    `, [
+      proposed.summary || 'Pas de résumé disponible',
+      proposed.classification || 'indéterminé',
+      proposed.requires_follow_up || false,
+      proposed.is_compliance_related || false,
+      version.promptVersion,
+      version.model,
+      version.promptId,
+      version.promptHash,
+      result.email_id
+    ]);
+
+    if (changes.tasks) {
+      if (changes.tasks.removed.length > 0) {
+        await taskReconciler.withdraw(result.email_id, changes.tasks.removed);
+      }
+
+      if (changes.tasks.added.length > 0) {
+        await taskReconciler.reconcile(changes.tasks.added, result.email_id, result.project_id);
+      }
+    }
+
+    if (proposed.is_compliance_related) {
+      await complianceIssues.recordEmailIssue(proposed, result.email_id, result.project_id);
+    }
+
+    if (changes.requires_follow_up && result.thread_id) {
+      await threadManager.refreshThread(result.thread_id);
+    }
+  }
+
+  /**
+   * Écarte les résultats en attente d'une campagne
+   * Retourne null si la campagne n'est pas prête
+   */
+  async discard(runId, { emailIds = null } = {}) {
+    const run = await this.findRun(runId);
+    if (!run || run.status !== 'ready') return null;
+
+    const params = [runId];
+    let filter = '';
+    if (emailIds && emailIds.length > 0) {
+      params.push(emailIds);
+      filter = 'AND email_id = ANY($2)';
+    }
+
+    const result = await db.query(`
+      UPDATE reanalysis_results SET status = 'discarded'
+      WHERE run_id = $1 AND status = 'pending' ${filter}
+    `, params);
+
+    await this._closeRunIfDone(runId, 'discarded');
+    return { discarded: result.rowCount };
+  }
+
+  /**
+   * Campagne de réanalyse, sans ses résultats
+   */
+  async findRun(runId) {
+    const runResult = await db.query('SELECT * FROM reanalysis_runs WHERE id = $1', [runId]);
+    return runResult.rows[0] || null;
+  }
+
+  /**
+   * Clôture la campagne lorsqu'il ne reste plus de résultat en attente
+   */
+  async _closeRunIfDone(runId, status) {
+    await db.query(`
+      UPDATE reanalysis_runs SET status = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND NOT EXISTS (
+        SELECT 1 FROM reanalysis_results WHERE run_id = $2 AND status = 'pending'
+      )
+    `, [status, runId]);
+  }
+}
+
+module.exports = new Reanalyzer();
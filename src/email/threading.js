@@ -0,0 +1,324 @@
+const logger = require('../utils/logger');
+const db = require('../database');
+const mistralClient = require('../llm/mistral');
+const redactor = require('../privacy/redactor');
+
+// Préfixes de réponse et de transfert (français, anglais, allemand)
+const SUBJECT_PREFIX = /^\s*((re|tr|fwd?|réf|ref|aw|wg)(\s*\[\d+\])?\s*:\s*)+/i;
+
+// Écart maximal entre deux messages pour un regroupement par sujet seul (en jours)
+const SUBJECT_MATCH_WINDOW_DAYS = 30;
+
+/**
+ * Retire les préfixes RE:, TR:, Fwd:... et normalise un sujet
+ */
+function normalizeSubject(subject) {
+  let normalized = (subject || '').trim();
+  let previous;
+
+  // Les préfixes peuvent être imbriqués ("RE: TR: RE: ...")
+  do {
+    previous = normalized;
+    normalized = normalized.replace(SUBJECT_PREFIX, '').trim();
+  } while (normalized !== previous);
+
+  return normalized.replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Extrait l'adresse email d'un champ texte ("Nom <adresse>")
+ */
+function extractAddress(value) {
+  if (!value) return '';
+  const match = value.match(/<([^>]+)>/);
+  return (match ? match[1] : value).trim().toLowerCase();
+}
+
+/**
+ * Liste les participants d'un email (expéditeur et destinataires)
+ */
+function getParticipants(email) {
+  const fields = [email.from_address, ...(email.to_address || []), ...(email.cc_address || [])];
+  const participants = new Set();
+
+  for (const field of fields) {
+    for (const part of (field || '').split(',')) {
+      const address = extractAddress(part);
+      if (address) participants.add(address);
+    }
+  }
+
+  return [...participants];
+}
+
+class ThreadManager {
+  /**
+   * Rattache un email enregistré à un fil de discussion (existant ou nouveau)
+   */
+  async assignThread(emailId) {
+    const emailResult = await db.query('SELECT * FROM emails WHERE id = $1', [emailId]);
+    if (emailResult.rows.length === 0) return null;
+
+    const email = emailResult.rows[0];
+    const participants = getParticipants(email);
+    const subject = normalizeSubject(email.subject);
+
+    let threadId = await this._findThreadByHeaders(email);
+
+    if (!threadId) {
+      threadId = await this._findThreadBySubject(email, subject, participants);
+    }
+
+    if (!threadId) {
+      const threadInsert = await db.query(`
+        INSERT INTO email_threads (normalized_subject, participants)
+        VALUES ($1, $2)
+        RETURNING id
+      `, [subject, participants]);
+      threadId = threadInsert.rows[0].id;
+      logger.debug(`Nouveau fil de discussion ${threadId} pour l'email ${emailId}`);
+    }
+
+    await db.query('UPDATE emails SET thread_id = $1 WHERE id = $2', [threadId, emailId]);
+
+    // Un message arrivé avant son parent peut avoir ouvert un autre fil : les fusionner
+    await this._mergeChildThreads(email, threadId);
+
+    await this.refreshThread(threadId);
+    return threadId;
+  }
+
+  /**
+   * Cherche un fil via les en-têtes In-Reply-To et References
+   */
+  async _findThreadByHeaders(email) {
+    const relatedIds = [email.parent_message_id, ...(email.reference_ids || [])].filter(Boolean);
+    if (relatedIds.length === 0) return null;
+
+    const result = await db.query(`
+      SELECT thread_id FROM emails
+      WHERE message_id = ANY($1) AND thread_id IS NOT NULL
+      ORDER BY received_date DESC
+      LIMIT 1
+    `, [relatedIds]);
+
+    return result.rows.length > 0 ? result.rows[0].thread_id : null;
+  }
+
+  /**
+   * Cherche un fil récent du même projet avec le même sujet et des participants communs
+   */
+  async _findThreadBySubject(email, subject, participants) {
+    if (!subject) return null;
+
+    const result = await db.query(`
+      SELECT t.id, t.participants
+      FROM email_threads t
+      WHERE t.normalized_subject = $1
+        AND t.last_message_at >= $2::timestamp - make_interval(days => $3)
+        AND EXISTS (
+          SELECT 1 FROM emails e
+          WHERE e.thread_id = t.id AND e.project_id IS NOT DISTINCT FROM $4
+        )
+      ORDER BY t.last_message_at DESC
+    `, [subject, email.received_date || new Date(), SUBJECT_MATCH_WINDOW_DAYS, email.project_id]);
+
+    const thread = result.rows.find(row =>
+      (row.participants || []).some(participant => participants.includes(participant))
+    );
+
+    return thread ? thread.id : null;
+  }
+
+  /**
+   * Fusionne dans le fil courant les fils ouverts par des réponses arrivées avant ce message
+   */
+  async _mergeChildThreads(email, threadId) {
+    if (!email.message_id) return;
+
+    const children = await db.query(`
+      SELECT DISTINCT thread_id FROM emails
+      WHERE (parent_message_id = $1 OR $1 = ANY(reference_ids))
+        AND thread_id IS NOT NULL AND thread_id <> $2
+    `, [email.message_id, threadId]);
+
+    for (const child of children.rows) {
+      await db.query('UPDATE emails SET thread_id = $1 WHERE thread_id = $2', [threadId, child.thread_id]);
+      await db.query('DELETE FROM email_threads WHERE id = $1', [child.thread_id]);
+      logger.debug(`Fil ${child.thread_id} fusionné dans le fil ${threadId}`);
+    }
+  }
+
+  /**
+   * Recalcule les statistiques et l'état ouvert/répondu d'un fil
+   */
+  async refreshThread(threadId) {
+    const messages = await this.getThreadMessages(threadId);
+    if (messages.length === 0) return null;
+
+    const participants = new Set();
+    messages.forEach(message => getParticipants(message).forEach(p => participants.add(p)));
+
+    const status = this._computeStatus(messages);
+
+    const result = await db.query(`
+      UPDATE email_threads
+      SET participants = $1, message_count = $2, first_message_at = $3,
+          last_message_at = $4, status = $5, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6
+      RETURNING *
+    `, [
+      [...participants],
+      messages.length,
+      messages[0].received_date,
+      messages[messages.length - 1].received_date,
+      status,
+      threadId
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Un fil est ouvert si sa dernière demande n'a pas reçu de réponse d'un autre participant
+   */
+  _computeStatus(messages) {
+    const lastRequestIndex = messages.map(m => m.requires_follow_up).lastIndexOf(true);
+    if (lastRequestIndex === -1) return 'answered';
+
+    return this._hasReplyAfter(messages, lastRequestIndex) ? 'answered' : 'open';
+  }
+
+  /**
+   * Vérifie si un message a reçu une réponse d'un autre expéditeur plus loin dans le fil
+   * Les messages automatiques filtrés (réponses d'absence...) ne comptent pas comme réponse
+   */
+  _hasReplyAfter(messages, index) {
+    const sender = extractAddress(messages[index].from_address);
+    return messages
+      .slice(index + 1)
+      .some(message => !message.filtered_reason && extractAddress(message.from_address) !== sender);
+  }
+
+  /**
+   * Indique si une demande a reçu une réponse dans son fil de discussion
+   */
+  async isRequestAnswered(email) {
+    let threadId = email.thread_id;
+
+    if (!threadId) {
+      threadId = await this.assignThread(email.id);
+      if (!threadId) return false;
+    }
+
+    const messages = await this.getThreadMessages(threadId);
+    const index = messages.findIndex(message => message.id === email.id);
+
+    return index !== -1 && this._hasReplyAfter(messages, index);
+  }
+
+  /**
+   * Retourne les messages d'un fil dans l'ordre chronologique
+   */
+  async getThreadMessages(threadId) {
+    const result = await db.query(`
+      SELECT id, project_id, message_id, parent_message_id, from_address, to_address, cc_address,
+             subject, body_text, summary, classification, received_date, has_attachments,
+             requires_follow_up, follow_up_status, thread_id, filtered_reason
+      FROM emails
+      WHERE thread_id = $1
+      ORDER BY received_date ASC NULLS LAST, id ASC
+    `, [threadId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Retourne un fil complet avec ses messages et son résumé
+   */
+  async getThread(threadId) {
+    const threadResult = await db.query('SELECT * FROM email_threads WHERE id = $1', [threadId]);
+    if (threadResult.rows.length === 0) return null;
+
+    const thread = threadResult.rows[0];
+    const messages = await this.getThreadMessages(threadId);
+
+    // Le résumé n'est régénéré que si de nouveaux messages sont arrivés
+    if (!thread.summary || thread.summary_message_count !== messages.length) {
+      const projectMessage = messages.find(message => message.project_id);
+      const projectId = projectMessage ? projectMessage.project_id : null;
+
+      let summary = null;
+      try {
+        summary = await redactor.protect({ projectId, purpose: 'thread_summary' }, redact => (
+          mistralClient.summarizeThread(messages.map(message => ({
+            ...message,
+            from_address: redact(message.from_address),
+            body_text: redact(message.body_text),
+            summary: redact(message.summary)
+          })), { projectId, priority: 'interactive' })
+        ));
+      } catch (error) {
+        logger.error(`Erreur lors du résumé du fil ${threadId}:`, error.message);
+      }
+
+      if (summary) {
+        thread.summary = summary;
+        thread.summary_message_count = messages.length;
+
+        await db.query(`
+          UPDATE email_threads SET summary = $1, summary_message_count = $2
+          WHERE id = $3
+        `, [summary, messages.length, threadId]);
+      } else {
+        // Résumé de secours, non enregistré : il sera régénéré au prochain affichage
+        thread.summary = messages.map(message => message.summary).filter(Boolean).join(' / ') || 'Résumé non disponible';
+      }
+    }
+
+    return { ...thread, messages };
+  }
+
+  /**
+   * Liste les fils de discussion d'un projet
+   */
+  async listProjectThreads(projectId, status = null) {
+    const params = [projectId];
+    let sqlQuery = `
+      SELECT t.* FROM email_threads t
+      WHERE EXISTS (
+        SELECT 1 FROM emails e WHERE e.thread_id = t.id AND e.project_id = $1
+      )
+    `;
+
+    if (status) {
+      sqlQuery += ' AND t.status = $2';
+      params.push(status);
+    }
+
+    sqlQuery += ' ORDER BY t.last_message_at DESC NULLS LAST';
+
+    const result = await db.query(sqlQuery, params);
+    return result.rows;
+  }
+
+  /**
+   * Reconstruit les fils des emails d'un projet qui n'en ont pas encore
+   */
+  async rebuildProjectThreads(projectId) {
+    const emails = await db.query(`
+      SELECT id FROM emails
+      WHERE project_id = $1 AND thread_id IS NULL
+      ORDER BY received_date ASC NULLS LAST, id ASC
+    `, [projectId]);
+
+    for (const email of emails.rows) {
+      await this.assignThread(email.id);
+    }
+
+    logger.info(`${emails.rows.length} emails rattachés à un fil pour le projet ${projectId}`);
+    return emails.rows.length;
+  }
+}
+
+module.exports = new ThreadManager();
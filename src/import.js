@@ -0,0 +1,92 @@
+/**
+ * Script d'import d'archives d'emails (.eml, .mbox) dans un projet
+ *
+ * Utilisation :
+ *   npm run import -- --project <id> [--dry-run] [--no-resume] [--throttle <ms>] chemin/...
+ */
+
+require('dotenv').config();
+const db = require('./database');
+const logger = require('./utils/logger');
+
+/**
+ * Lit les arguments de la ligne de commande
+ */
+function parseArgs(argv) {
+  const options = { projectId: null, dryRun: false, resume: true, throttleMs: 0, paths: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '--project':
+        options.projectId = parseInt(argv[++i], 10);
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--no-resume':
+        options.resume = false;
+        break;
+      case '--throttle':
+        options.throttleMs = parseInt(argv[++i], 10) || 0;
+        break;
+      default:
+        options.paths.push(arg);
+    }
+  }
+
+  return options;
+}
+
+async function runImport(argv) {
+  const options = parseArgs(argv);
+
+  if (!options.projectId || options.paths.length === 0) {
+    logger.error('Utilisation: npm run import -- --project <id> [--dry-run] [--no-resume] [--throttle <ms>] chemin/...');
+    return false;
+  }
+
+  try {
+    await db.connect();
+
+    const project = await db.query('SELECT id, name FROM projects WHERE id = $1', [options.projectId]);
+    if (project.rows.length === 0) {
+      logger.error(`Projet ${options.projectId} introuvable`);
+      return false;
+    }
+
+    logger.info(`Import vers le projet "${project.rows[0].name}"${options.dryRun ? ' (à blanc)' : ''}`);
+
+    // Chargé après la connexion pour ne pas initialiser le pipeline inutilement
+    const archiveImporter = require('./email/archiveImporter');
+    const jobs = await archiveImporter.importPaths(options.paths, options);
+
+    for (const job of jobs) {
+      logger.info(`${job.filename}: ${job.status} - ${job.imported} importé(s), ${job.skipped} doublon(s), ${job.failed} en échec`);
+    }
+
+    return jobs.every(job => job.status === 'completed');
+  } catch (error) {
+    logger.error('❌ Erreur lors de l\'import:', error.message);
+    return false;
+  } finally {
+    try {
+      await db.disconnect();
+    } catch (error) {
+      // Ignorer les erreurs lors de la déconnexion
+    }
+  }
+}
+
+// Exécution du script si lancé directement
+if (require.main === module) {
+  runImport(process.argv.slice(2))
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      logger.error('Erreur non gérée lors de l\'import:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runImport };
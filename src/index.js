@@ -17,6 +17,15 @@ const logger = require('./utils/logger');
 const app = express();
 const PORT = config.port;
 
+// Le webhook de réception accepte des messages volumineux et conserve le corps brut
+// pour vérifier la signature HMAC ; il doit être déclaré avant les parseurs généraux
+const keepRawBody = (req, res, buffer) => {
+  req.rawBody = buffer;
+};
+app.use('/api/inbound', express.raw({ type: ['message/rfc822', 'text/plain', 'application/octet-stream'], limit: config.inbound.maxBytes }));
+app.use('/api/inbound', express.json({ limit: config.inbound.maxBytes, verify: keepRawBody }));
+app.use('/api/inbound', express.urlencoded({ extended: true, limit: config.inbound.maxBytes, verify: keepRawBody }));
+
 // Middleware pour le parsing du JSON et des URL encoded
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -104,17 +113,24 @@ async function initComponents() {
     setTimeout(() => {
       try {
         // Essai de démarrage des agents
-        const emailProcessor = require('./email/emailProcessor');
+        const mailboxManager = require('./email/mailboxManager');
         const followUpAgent = require('./agents/followUpAgent');
         const coordinationAgent = require('./agents/coordinationAgent');
+        const attachmentStore = require('./attachments/attachmentStore');
+        const jobQueue = require('./queue/jobQueue');
         
-        // Démarrage du processeur d'emails
-        try {
-          emailProcessor.start();
-          logger.info('✅ Processeur d\'emails démarré');
-        } catch (emailError) {
-          logger.error('❌ Erreur de démarrage du processeur d\'emails:', emailError.message);
-        }
+        // Démarrage de l'ingestion des boîtes mail
+        mailboxManager.start()
+          .then(() => logger.info('✅ Processeur d\'emails démarré'))
+          .catch(emailError => {
+            logger.error('❌ Erreur de démarrage du processeur d\'emails:', emailError.message);
+          });
+        
+        // Traitement de la file des emails, avec reprise des travaux en échec
+        jobQueue.start();
+        
+        // Reprise des pièces jointes qui n'ont pas pu être enregistrées
+        attachmentStore.startRetryJob();
         
         // Démarrage de l'agent de suivi
         try {
@@ -154,6 +170,15 @@ process.on('unhandledRejection', (reason, promise) => {
 process.on('SIGINT', async () => {
   logger.info('Application en cours d\'arrêt...');
   
+  try {
+    // Arrêt de l'ingestion IMAP
+    const mailboxManager = require('./email/mailboxManager');
+    mailboxManager.stop();
+    require('./queue/jobQueue').stop();
+  } catch (error) {
+    // Ignorer les erreurs lors de l'arrêt
+  }
+  
   try {
     // Fermeture de la connexion à la base de données
     const db = require('./database');
@@ -0,0 +1,328 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+const mistralClient = require('../llm/mistral');
+const redactor = require('../privacy/redactor');
+const coordinationAgent = require('../agents/coordinationAgent');
+const { toDay } = require('../utils/dates');
+
+// États de relecture d'une leçon
+const STATUSES = ['proposed', 'validated', 'rejected'];
+const IMPACTS = ['faible', 'moyen', 'élevé'];
+
+// Colonnes modifiables par l'API
+const EDITABLE_FIELDS = ['title', 'category', 'trade_id', 'description', 'root_cause', 'solution', 'impact', 'related_emails', 'status', 'reviewed_by'];
+
+const normalizeName = value => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim();
+
+/**
+ * Leçons apprises d'un projet
+ *
+ * À la clôture du projet ou à la demande, ses retards, non-conformités, relances escaladées
+ * et conflits de coordination sont transmis au LLM, qui en tire des leçons structurées.
+ * Les leçons générées sont proposées à la relecture ; une nouvelle génération remplace les
+ * propositions non relues mais conserve les leçons validées ou saisies à la main.
+ */
+class LessonsLearned {
+  constructor() {
+    this.settings = config.lessons;
+    this.statuses = STATUSES;
+    this.impacts = IMPACTS;
+  }
+
+  /**
+   * Rassemble les difficultés du projet, null si le projet n'existe pas
+   */
+  async compile(projectId) {
+    const projectResult = await db.query(`
+      SELECT id, name, description, start_date, end_date, status FROM projects WHERE id = $1
+    `, [projectId]);
+    if (projectResult.rows.length === 0) return null;
+
+    const project = projectResult.rows[0];
+    const limit = this.settings.maxItems;
+
+    // Tâches en retard : signalées comme telles, terminées après l'échéance ou non terminées à l'échéance
+    const delays = await db.query(`
+      SELECT t.id, t.name, tr.name AS trade, t.status, t.planned_end_date, t.actual_end_date, t.source_email_id,
+             COALESCE(t.actual_end_date, CURRENT_DATE) - t.planned_end_date AS days_late
+      FROM tasks t
+      LEFT JOIN trades tr ON tr.id = t.trade_id
+      WHERE t.project_id = $1
+        AND (t.status = 'delayed'
+          OR t.actual_end_date > t.planned_end_date
+          OR (t.actual_end_date IS NULL AND t.planned_end_date < CURRENT_DATE AND t.status <> 'completed'))
+      ORDER BY days_late DESC NULLS LAST
+      LIMIT $2
+    `, [projectId, limit]);
+
+    const blockers = await db.query(`
+      SELECT u.task_id, t.name AS task, u.email_id, u.event, u.event_date, u.proposed_end_date, u.detail
+      FROM task_progress_updates u
+      JOIN tasks t ON t.id = u.task_id
+      WHERE u.project_id = $1 AND u.event IN ('delayed', 'blocked') AND u.status <> 'rejected'
+      ORDER BY u.created_at
+      LIMIT $2
+    `, [projectId, limit]);
+
+    const compliance = await db.query(`
+      SELECT id, issue_type, title, severity, status, description, regulation_reference, email_id, detected_date
+      FROM compliance_issues
+      WHERE project_id = $1
+      ORDER BY detected_date
+      LIMIT $2
+    `, [projectId, limit]);
+
+    const escalations = await db.query(`
+      SELECT id, subject, from_address, received_date, summary
+      FROM emails
+      WHERE project_id = $1 AND follow_up_status = 'escalated'
+      ORDER BY received_date
+      LIMIT $2
+    `, [projectId, limit]);
+
+    const tasks = await db.query(`
+      SELECT t.id, t.name, t.planned_start_date, t.planned_end_date, t.depends_on,
+             tr.id AS trade_id, tr.name AS trade_name
+      FROM tasks t
+      LEFT JOIN trades tr ON t.trade_id = tr.id
+      WHERE t.project_id = $1
+    `, [projectId]);
+    const taskMap = new Map(tasks.rows.map(task => [task.id, task]));
+    const overlaps = await coordinationAgent.detectTradeOverlaps(tasks.rows, projectId);
+    const conflicts = await coordinationAgent.detectScheduleConflicts(tasks.rows, taskMap, null, projectId);
+
+    return {
+      project,
+      data: {
+        delayed_tasks: delays.rows.map(task => ({
+          task: task.name,
+          trade: task.trade,
+          status: task.status,
+          planned_end_date: toDay(task.planned_end_date),
+          actual_end_date: toDay(task.actual_end_date),
+          days_late: task.days_late,
+          email_id: task.source_email_id
+        })),
+        delay_reports: blockers.rows.map(update => ({
+          task: update.task,
+          event: update.event,
+          date: toDay(update.event_date),
+          proposed_end_date: toDay(update.proposed_end_date),
+          detail: update.detail,
+          email_id: update.email_id
+        })),
+        compliance_issues: compliance.rows.map(issue => ({
+          type: issue.issue_type,
+          title: issue.title,
+          severity: issue.severity,
+          regulation: issue.regulation_reference,
+          status: issue.status,
+          description: issue.description,
+          date: toDay(issue.detected_date),
+          email_id: issue.email_id
+        })),
+        escalated_follow_ups: escalations.rows.map(email => ({
+          subject: email.subject,
+          from: email.from_address,
+          date: toDay(email.received_date),
+          summary: email.summary,
+          email_id: email.id
+        })),
+        coordination_conflicts: [
+          ...conflicts.map(conflict => ({
+            type: 'dépendance',
+            task: conflict.task.name,
+            trade: conflict.task.trade_name,
+            depends_on: conflict.dependency.name,
+            days: conflict.daysConflict
+          })),
+          ...overlaps.map(overlap => ({
+            type: 'chevauchement',
+            trades: [overlap.task1.trade_name, overlap.task2.trade_name],
+            tasks: [overlap.task1.name, overlap.task2.name],
+            from: toDay(overlap.startOverlap),
+            to: toDay(overlap.endOverlap)
+          }))
+        ].slice(0, limit)
+      }
+    };
+  }
+
+  /**
+   * Corps de métier désigné par son nom (sans tenir compte des accents ni de la casse)
+   */
+  async _tradeIds() {
+    const result = await db.query('SELECT id, name FROM trades');
+    return new Map(result.rows.map(trade => [normalizeName(trade.name), trade.id]));
+  }
+
+  /**
+   * Génère les leçons d'un projet et remplace les propositions précédentes non relues
+   * Retourne les leçons enregistrées, ou null si le projet n'existe pas
+   * Si la génération échoue (réponse invalide comprise), l'erreur est propagée et les
+   * propositions précédentes sont conservées
+   */
+  async generate(projectId) {
+    const compiled = await this.compile(projectId);
+    if (!compiled) return null;
+
+    const { project, data } = compiled;
+    if (Object.values(data).every(items => items.length === 0)) {
+      logger.info(`Aucune difficulté relevée sur le projet ${projectId}, pas de leçon générée`);
+      return [];
+    }
+
+    logger.info(`Génération des leçons apprises du projet ${project.name} (ID: ${projectId})`);
+    const result = await redactor.protect({ projectId, purpose: 'lessons_learned' }, redact => (
+      mistralClient.generateLessonsLearned(project.name, redact(JSON.stringify(data, null, 2)), { projectId })
+    ));
+
+    // Seuls les emails du projet peuvent être rattachés à une leçon
+    const citedIds = [...new Set(result.lessons.flatMap(lesson => lesson.related_emails || []))];
+    const projectEmails = await db.query(
+      'SELECT id FROM emails WHERE project_id = $1 AND id = ANY($2)',
+      [projectId, citedIds]
+    );
+    const validIds = new Set(projectEmails.rows.map(row => row.id));
+    const trades = await this._tradeIds();
+
+    const client = await db.getClient();
+    const lessons = [];
+    try {
+      await client.query('BEGIN');
+      await client.query(`
+        DELETE FROM lessons_learned WHERE project_id = $1 AND source = 'llm' AND status = 'proposed'
+      `, [projectId]);
+
+      for (const lesson of result.lessons) {
+        const inserted = await client.query(`
+          INSERT INTO lessons_learned (
+            project_id, category, title, description, root_cause, solution, impact, related_emails,
+            trade_id, source, status
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'llm', 'proposed')
+          RETURNING *
+        `, [
+          projectId,
+          lesson.category ? lesson.category.toLowerCase() : null,
+          lesson.title.slice(0, 255),
+          lesson.description,
+          lesson.root_cause,
+          lesson.solution,
+          lesson.impact,
+          (lesson.related_emails || []).filter(id => validIds.has(id)),
+          trades.get(normalizeName(lesson.trade)) || null
+        ]);
+        lessons.push(inserted.rows[0]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info(`${lessons.length} leçon(s) apprise(s) proposée(s) pour le projet ${projectId}`);
+    return lessons;
+  }
+
+  /**
+   * Recherche des leçons, sur un projet ou sur tous
+   * trade : identifiant ou nom du corps de métier ; q : recherche plein texte ; les leçons
+   * rejetées sont exclues sauf si status est précisé
+   */
+  async search({ projectId = null, trade = null, category = null, status = null, q = null, limit = 100 } = {}) {
+    const result = await db.query(`
+      SELECT l.*, tr.name AS trade_name, p.name AS project_name
+      FROM lessons_learned l
+      LEFT JOIN trades tr ON tr.id = l.trade_id
+      LEFT JOIN projects p ON p.id = l.project_id
+      WHERE ($1::int IS NULL OR l.project_id = $1)
+        AND ($2::text IS NULL OR tr.id::text = $2 OR LOWER(tr.name) = LOWER($2))
+        AND ($3::text IS NULL OR LOWER(l.category) = LOWER($3))
+        AND (($4::text IS NULL AND l.status <> 'rejected') OR l.status = $4)
+        AND ($5::text IS NULL OR to_tsvector('french',
+          COALESCE(l.title, '') || ' ' || COALESCE(l.description, '') || ' ' ||
+          COALESCE(l.root_cause, '') || ' ' || COALESCE(l.solution, '')
+        ) @@ plainto_tsquery('french', $5))
+      ORDER BY l.created_at DESC
+      LIMIT $6
+    `, [projectId, trade ? String(trade) : null, category, status, q, limit]);
+
+    return result.rows;
+  }
+
+  async get(id) {
+    const result = await db.query(`
+      SELECT l.*, tr.name AS trade_name, p.name AS project_name
+      FROM lessons_learned l
+      LEFT JOIN trades tr ON tr.id = l.trade_id
+      LEFT JOIN projects p ON p.id = l.project_id
+      WHERE l.id = $1
+    `, [id]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Leçon saisie à la main (validée d'office)
+   */
+  async create(projectId, fields) {
+    const result = await db.query(`
+      INSERT INTO lessons_learned (
+        project_id, category, title, description, root_cause, solution, impact, related_emails,
+        trade_id, source, status, reviewed_by, reviewed_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'manual', 'validated', $10, CURRENT_TIMESTAMP)
+      RETURNING *
+    `, [
+      projectId,
+      fields.category || null,
+      fields.title,
+      fields.description || null,
+      fields.root_cause || null,
+      fields.solution || null,
+      fields.impact || null,
+      fields.related_emails || [],
+      fields.trade_id || null,
+      fields.reviewed_by || null
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Modifie une leçon ; un changement de statut enregistre la relecture
+   * Retourne la leçon, ou null si elle n'existe pas
+   */
+  async update(id, fields) {
+    const updates = EDITABLE_FIELDS.filter(field => fields[field] !== undefined);
+    if (updates.length === 0) return this.get(id);
+
+    const assignments = updates.map((field, index) => `${field} = $${index + 2}`);
+    if (fields.status !== undefined) {
+      assignments.push('reviewed_at = CURRENT_TIMESTAMP');
+    }
+
+    const result = await db.query(`
+      UPDATE lessons_learned
+      SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id
+    `, [id, ...updates.map(field => fields[field])]);
+
+    return result.rows.length > 0 ? this.get(id) : null;
+  }
+
+  async remove(id) {
+    const result = await db.query('DELETE FROM lessons_learned WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = new LessonsLearned();
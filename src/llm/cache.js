@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+
+// Nombre d'écritures entre deux purges des entrées expirées
+const PURGE_EVERY = 100;
+
+/**
+ * Cache des réponses du LLM en base (llm_cache)
+ *
+ * La clé est l'empreinte du fournisseur, du modèle, des paramètres et des messages envoyés
+ * (déjà masqués) : une réimportation ou une réanalyse du même contenu ne repaie pas l'appel.
+ * Une erreur du cache n'empêche jamais l'appel au modèle.
+ */
+class ResponseCache {
+  constructor() {
+    this.enabled = config.llm.cache.enabled;
+    this.ttlHours = config.llm.cache.ttlHours;
+    this.writes = 0;
+  }
+
+  key(provider, payload) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ provider: provider.name, model: provider.model, ...payload }))
+      .digest('hex');
+  }
+
+  usable(provider) {
+    return this.enabled && provider.cacheable !== false;
+  }
+
+  async get(key) {
+    try {
+      const result = await db.query(`
+        UPDATE llm_cache SET hits = hits + 1, last_hit_at = CURRENT_TIMESTAMP
+        WHERE key = $1 AND expires_at > CURRENT_TIMESTAMP
+        RETURNING response
+      `, [key]);
+      return result.rows.length > 0 ? result.rows[0].response : null;
+    } catch (error) {
+      logger.warn(`Cache LLM indisponible: ${error.message}`);
+      return null;
+    }
+  }
+
+  async set(key, provider, response) {
+    try {
+      await db.query(`
+        INSERT INTO llm_cache (key, provider, model, response, expires_at)
+        VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(hours => $5))
+        ON CONFLICT (key) DO UPDATE
+        SET response = EXCLUDED.response, model = EXCLUDED.model, expires_at = EXCLUDED.expires_at,
+            created_at = CURRENT_TIMESTAMP, hits = 0
+      `, [key, provider.name, response.model || provider.model, JSON.stringify(response), this.ttlHours]);
+
+      this.writes++;
+      if (this.writes % PURGE_EVERY === 0) {
+        await this.purgeExpired();
+      }
+    } catch (error) {
+      logger.warn(`Écriture dans le cache LLM impossible: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retire une réponse (par exemple invalide au regard du schéma attendu)
+   */
+  async invalidate(key) {
+    try {
+      await db.query('DELETE FROM llm_cache WHERE key = $1', [key]);
+    } catch (error) {
+      logger.warn(`Suppression dans le cache LLM impossible: ${error.message}`);
+    }
+  }
+
+  async purgeExpired() {
+    const result = await db.query('DELETE FROM llm_cache WHERE expires_at <= CURRENT_TIMESTAMP');
+    if (result.rowCount > 0) {
+      logger.debug(`${result.rowCount} réponse(s) expirée(s) retirée(s) du cache LLM`);
+    }
+  }
+}
+
+module.exports = new ResponseCache();
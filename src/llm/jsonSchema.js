@@ -0,0 +1,216 @@
+/**
+ * Validation des réponses JSON du LLM
+ *
+ * Sous-ensemble de JSON Schema : type (éventuellement liste avec 'null'), properties, required,
+ * items, enum, default et format 'date'. Chaque propriété peut déclarer des `aliases` (clés en
+ * français notamment). Les valeurs sont converties quand c'est sans ambiguïté : dates au format
+ * AAAA-MM-JJ, booléens écrits en toutes lettres, nombres en chaîne.
+ */
+
+const MONTHS = {
+  janvier: 1, fevrier: 2, mars: 3, avril: 4, mai: 5, juin: 6,
+  juillet: 7, aout: 8, septembre: 9, octobre: 10, novembre: 11, decembre: 12
+};
+
+const TRUE_VALUES = ['true', 'oui', 'yes', 'vrai', '1'];
+const FALSE_VALUES = ['false', 'non', 'no', 'faux', '0'];
+
+function normalizeKey(key) {
+  return String(key)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\s-]+/g, '_');
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+function validDay(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Convertit une date écrite librement en AAAA-MM-JJ (null si illisible)
+ */
+function coerceDate(value) {
+  const raw = String(value).trim();
+
+  // Formats numériques lus avant normalizeKey, qui remplace les tirets
+  let match = raw.match(/^(\d{4})-(\d{2})-(\d{2})(?:[tT][\d:.]+[zZ]?)?/);
+  if (match) return validDay(+match[1], +match[2], +match[3]);
+
+  match = raw.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (match) return validDay(+match[3], +match[2], +match[1]);
+
+  const text = normalizeKey(raw).replace(/_/g, ' ');
+  match = text.match(/^(?:[a-z]+ )?(\d{1,2})(?:er)? ([a-z]+) (\d{4})$/);
+  if (match && MONTHS[match[2]]) return validDay(+match[3], MONTHS[match[2]], +match[1]);
+
+  return null;
+}
+
+function typesOf(schema) {
+  if (!schema.type) return [];
+  return [].concat(schema.type);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function check(schema, value, path, state) {
+  const types = typesOf(schema);
+
+  if (value === null || value === undefined) {
+    if (types.length === 0 || types.includes('null')) return null;
+    state.errors.push(`${path} : valeur manquante (attendu ${types.join(' ou ')})`);
+    return value;
+  }
+
+  const type = types.find(candidate => candidate !== 'null');
+  if (!type) return value;
+
+  switch (type) {
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        state.errors.push(`${path} : objet attendu`);
+        return value;
+      }
+      if (!schema.properties) return value;
+
+      const result = { ...value };
+      const keys = new Map(Object.keys(value).map(key => [normalizeKey(key), key]));
+
+      Object.entries(schema.properties).forEach(([name, property]) => {
+        const sourceKey = [name, ...(property.aliases || [])]
+          .map(candidate => keys.get(normalizeKey(candidate)))
+          .find(key => key !== undefined);
+
+        if (sourceKey === undefined) {
+          if (property.default !== undefined) {
+            result[name] = clone(property.default);
+          } else if ((schema.required || []).includes(name)) {
+            state.errors.push(`${path}.${name} : champ obligatoire manquant`);
+          }
+          return;
+        }
+
+        if (sourceKey !== name) {
+          delete result[sourceKey];
+          state.coercions++;
+        }
+        result[name] = check(property, value[sourceKey], `${path}.${name}`, state);
+      });
+
+      return result;
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        state.errors.push(`${path} : tableau attendu`);
+        return value;
+      }
+      return schema.items
+        ? value.map((item, index) => check(schema.items, item, `${path}[${index}]`, state))
+        : value;
+    }
+
+    case 'string': {
+      let result = value;
+      if (typeof result === 'number') {
+        result = String(result);
+        state.coercions++;
+      }
+      if (typeof result !== 'string') {
+        state.errors.push(`${path} : texte attendu`);
+        return value;
+      }
+
+      if (schema.format === 'date') {
+        const day = coerceDate(result);
+        if (!day) {
+          // Une date facultative illisible est abandonnée plutôt que refusée
+          if (types.includes('null')) {
+            state.coercions++;
+            return null;
+          }
+          state.errors.push(`${path} : date attendue au format AAAA-MM-JJ (reçu "${result}")`);
+          return value;
+        }
+        if (day !== result) state.coercions++;
+        return day;
+      }
+
+      if (schema.enum) {
+        const normalized = normalizeKey(result);
+        const allowed = schema.enum.find(option => normalizeKey(option) === normalized);
+        if (!allowed) {
+          state.errors.push(`${path} : valeur "${result}" non autorisée (attendu ${schema.enum.join(', ')})`);
+          return value;
+        }
+        if (allowed !== result) state.coercions++;
+        return allowed;
+      }
+
+      return result;
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const normalized = normalizeKey(value);
+      if (TRUE_VALUES.includes(normalized)) {
+        state.coercions++;
+        return true;
+      }
+      if (FALSE_VALUES.includes(normalized)) {
+        state.coercions++;
+        return false;
+      }
+      state.errors.push(`${path} : booléen attendu (reçu "${value}")`);
+      return value;
+    }
+
+    case 'number':
+    case 'integer': {
+      // Un texte vide est une valeur manquante, pas zéro (Number('') vaut 0)
+      if (typeof value === 'string' && !value.trim()) {
+        if (types.includes('null')) {
+          state.coercions++;
+          return null;
+        }
+        state.errors.push(`${path} : valeur manquante (attendu ${types.join(' ou ')})`);
+        return value;
+      }
+      const number = typeof value === 'string' ? Number(value.replace(',', '.')) : value;
+      if (typeof number !== 'number' || Number.isNaN(number) || (type === 'integer' && !Number.isInteger(number))) {
+        state.errors.push(`${path} : nombre attendu (reçu "${value}")`);
+        return value;
+      }
+      if (number !== value) state.coercions++;
+      return number;
+    }
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Valide et convertit une valeur -> { value, errors, coercions }
+ */
+function validate(schema, value) {
+  const state = { errors: [], coercions: 0 };
+  const result = check(schema, value, '$', state);
+  return { value: result, errors: state.errors, coercions: state.coercions };
+}
+
+module.exports = {
+  validate,
+  coerceDate
+};
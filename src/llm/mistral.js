@@ -1,96 +1,129 @@
 const config = require('../config');
 const logger = require('../utils/logger');
+const db = require('../database');
+const providers = require('./providers');
+const schemas = require('./schemas');
+const promptRegistry = require('./promptRegistry');
+const { validate } = require('./jsonSchema');
 
-// Créer un client qui ne dépend pas directement de Mistral API
+/**
+ * Client LLM de l'application
+ *
+ * Les appels passent par les fournisseurs de ./providers (Mistral, serveur local compatible
+ * OpenAI, stub hors ligne), essayés dans l'ordre configuré pour chaque opération. Les prompts
+ * viennent du registre (./promptRegistry), avec les réglages du projet quand il est connu.
+ */
 class MistralAIClient {
   constructor() {
-    this.initialized = false;
-    this.apiKey = config.mistral?.apiKey;
-    this.model = config.mistral?.defaultModel || 'mistral-large-latest';
     this.temperature = config.mistral?.temperature || 0.5;
     this.maxTokens = config.mistral?.maxTokens || 1000;
-    
-    // On ne l'initialise pas immédiatement pour éviter les erreurs au démarrage
-    logger.info('Client Mistral AI créé (initialisation différée)');
   }
 
   /**
-   * Initialisation asynchrone
+   * Messages d'un prompt du registre, pour le projet indiqué (ou le prompt déjà résolu `options.prompt`)
    */
-  async initialize() {
-    if (this.initialized) return;
-    
+  async _messages(name, variables, options = {}) {
+    const template = options.prompt || await promptRegistry.resolve(name, options.projectId || null);
+    const { system, user, missing } = promptRegistry.render(template, variables);
+
+    if (missing.length > 0) {
+      logger.warn(`Variables non renseignées dans le prompt ${name}: ${missing.join(', ')}`);
+    }
+
+    return system
+      ? [{ role: 'system', content: system }, { role: 'user', content: user }]
+      : [{ role: 'user', content: user }];
+  }
+
+  _options(options) {
+    return {
+      model: options.model,
+      temperature: options.temperature !== undefined ? options.temperature : this.temperature,
+      maxTokens: options.maxTokens || this.maxTokens,
+      projectId: options.projectId || null,
+      emailId: options.emailId || null,
+      priority: options.priority || 'batch'
+    };
+  }
+
+  /**
+   * Appel générique au modèle avec un prompt du registre
+   * Retourne le contenu texte de la réponse
+   */
+  async _call(operation, promptName, variables, options = {}) {
+    const messages = await this._messages(promptName, variables, options);
+    const response = await providers.chat(operation, messages, this._options(options));
+    return response.content;
+  }
+
+  /**
+   * Appel attendant une réponse JSON, retournée déjà décodée
+   * Les opérations dotées d'un schéma (./schemas) sont validées, corrigées au besoin par le
+   * modèle, et leur résultat (passed, repaired ou failed) est enregistré dans llm_validations
+   * Une réponse restée invalide lève une erreur marquée `invalidOutput` : les appelants qui
+   * ont un résultat par défaut ne remplacent que celle-ci et propagent les erreurs d'appel
+   */
+  async _callJson(operation, promptName, variables, options = {}) {
+    const schema = schemas[operation];
+    const messages = await this._messages(promptName, variables, options);
+    const context = { emailId: options.emailId || null, projectId: options.projectId || null };
+
     try {
-      if (!this.apiKey) {
-        logger.warn('Clé API Mistral non configurée - Service désactivé');
-        return;
-      }
-      
-      // Utiliser import() dynamique pour les modules ESM
-      const mistralModule = await import('@mistralai/mistralai');
-      const MistralClient = mistralModule.MistralClient;
-      
-      if (!MistralClient) {
-        throw new Error('Module Mistral introuvable');
+      const response = await providers.chatJson(operation, messages, {
+        ...this._options(options),
+        validate: schema ? data => validate(schema, data) : undefined
+      });
+      if (schema) await this._recordValidation(operation, response, context);
+      return response.data;
+    } catch (error) {
+      if (schema && error.validation) {
+        await this._recordValidation(operation, { ...error.validation, outcome: 'failed' }, context);
       }
-      
-      this.client = new MistralClient(this.apiKey);
-      this.initialized = true;
-      logger.info('Client Mistral AI initialisé avec succès');
+      throw error;
+    }
+  }
+
+  async _recordValidation(operation, { outcome, attempts, errors, coercions = 0, provider = null, model = null }, { emailId, projectId }) {
+    if (outcome !== 'passed') {
+      logger.warn(`Réponse JSON ${outcome === 'repaired' ? 'corrigée' : 'invalide'} pour ${operation} (${attempts} tentative(s))`);
+    }
+
+    try {
+      await db.query(`
+        INSERT INTO llm_validations (operation, outcome, attempts, errors, coercions, provider, model, email_id, project_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `, [operation, outcome, attempts, JSON.stringify(errors), coercions, provider, model, emailId, projectId]);
     } catch (error) {
-      logger.error('Erreur lors de l\'initialisation du client Mistral:', error.message);
+      logger.error('Erreur lors de l\'enregistrement de la validation JSON:', error.message);
     }
   }
 
+  /**
+   * Prompt (version, identifiant et empreinte) et modèle utilisés pour l'analyse des emails d'un projet
+   * `prompt` peut être transmis à analyzeEmail pour garantir que l'analyse utilise exactement ce prompt
+   */
+  async getAnalysisVersion(projectId = null) {
+    const prompt = await promptRegistry.resolve('email_analysis', projectId);
+
+    return {
+      promptVersion: prompt.version,
+      promptId: prompt.templateId,
+      promptHash: prompt.hash,
+      model: providers.describe('email_analysis').model,
+      prompt
+    };
+  }
+
   /**
    * Analyse un email pour en extraire des informations structurées
+   * Avec throwOnError, une erreur d'appel au service est propagée au lieu d'un résultat par défaut
    */
-  async analyzeEmail(emailContent, subject = '') {
+  async analyzeEmail(emailContent, subject = '', options = {}) {
     try {
-      await this.initialize();
-      
-      if (!this.initialized) {
-        logger.warn('Client Mistral non initialisé - Analyse d\'email impossible');
-        return {
-          summary: 'Service non disponible',
-          classification: 'indéterminé',
-          requires_follow_up: false,
-          is_compliance_related: false
-        };
-      }
-      
-      // Système et prompte pour l'analyse d'email
-      const messages = [
-        { 
-          role: 'system', 
-          content: 'Vous êtes un expert en analyse d\'emails dans le domaine de la construction.' 
-        },
-        { 
-          role: 'user', 
-          content: `Analysez cet email avec le sujet "${subject}":\n\n${emailContent}\n\nFournissez un JSON avec: summary, classification, requires_follow_up, is_compliance_related`
-        }
-      ];
-      
-      const response = await this.client.chat({
-        model: this.model,
-        messages: messages,
-        temperature: this.temperature,
-        max_tokens: this.maxTokens
-      });
-      
-      try {
-        return JSON.parse(response.choices[0].message.content);
-      } catch (parseError) {
-        logger.error('Erreur lors du parsing de la réponse JSON:', parseError.message);
-        return {
-          summary: emailContent.slice(0, 100) + '...',
-          classification: 'indéterminé',
-          requires_follow_up: false,
-          is_compliance_related: false
-        };
-      }
+      return await this._callJson('email_analysis', 'email_analysis', { subject, content: emailContent }, options);
     } catch (error) {
       logger.error('Erreur lors de l\'analyse de l\'email:', error.message);
+      if (options.throwOnError) throw error;
       return {
         summary: 'Erreur du service',
         classification: 'indéterminé',
@@ -100,35 +133,56 @@ class MistralAIClient {
     }
   }
 
+  /**
+   * Devine le projet auquel se rapporte un email parmi une liste de projets
+   */
+  async guessProject(emailContent, subject, projects) {
+    const projectList = projects
+      .map(project => `- id ${project.id} : ${project.name}${project.description ? ` (${project.description})` : ''}`)
+      .join('\n');
+
+    try {
+      return await this._callJson('project_routing', 'project_routing', {
+        projects: projectList,
+        subject,
+        content: emailContent.slice(0, 4000)
+      }, { temperature: 0 });
+    } catch (error) {
+      logger.error('Erreur lors de la détection du projet par le LLM:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Extrait les coordonnées de l'expéditeur à partir de la signature d'un email
+   */
+  async extractContactDetails(signature, sender, options = {}) {
+    try {
+      return await this._callJson('contact_details', 'contact_details', { signature, sender }, { ...options, temperature: 0 });
+    } catch (error) {
+      logger.error('Erreur lors de l\'extraction des coordonnées:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Résume un fil de discussion à partir de ses messages ordonnés
+   * Une erreur du service est propagée : l'appelant ne doit pas enregistrer de résumé
+   */
+  async summarizeThread(messages, options = {}) {
+    const conversation = messages
+      .map(message => `[${message.received_date ? new Date(message.received_date).toLocaleDateString() : '?'}] ${message.from_address} : ${(message.body_text || message.summary || '').slice(0, 1500)}`)
+      .join('\n\n');
+
+    return this._call('thread_summary', 'thread_summary', { conversation }, { ...options, temperature: 0.3 });
+  }
+
   /**
    * Génère un suivi pour un email qui nécessite une réponse
    */
   async generateFollowUp(emailContent, context = {}) {
     try {
-      await this.initialize();
-      
-      if (!this.initialized) {
-        return "Service non disponible. Veuillez configurer l'API Mistral.";
-      }
-      
-      // Pour simplifier, nous utilisons juste un appel direct
-      const response = await this.client.chat({
-        model: this.model,
-        messages: [
-          { 
-            role: 'system', 
-            content: 'Vous êtes un assistant professionnel qui aide à rédiger des emails de suivi courtois.'
-          },
-          { 
-            role: 'user', 
-            content: `Rédigez un email de suivi pour ce message. Email original: ${emailContent}`
-          }
-        ],
-        temperature: this.temperature,
-        max_tokens: this.maxTokens
-      });
-      
-      return response.choices[0].message.content;
+      return await this._call('follow_up', 'follow_up', { content: emailContent }, context);
     } catch (error) {
       logger.error('Erreur lors de la génération du suivi:', error.message);
       return "Service indisponible. Veuillez réessayer ultérieurement.";
@@ -136,66 +190,60 @@ class MistralAIClient {
   }
 
   /**
-   * Analyse des documents de conformité
-   */
-  async analyzeComplianceDocument(documentContent, documentType = 'général') {
-    const systemPrompt = `Vous êtes un expert en conformité dans le secteur de la construction.
-    Votre tâche est d'analyser des documents pour identifier les exigences de conformité et les risques potentiels.`;
-    
-    const prompt = `
-    Type de document : ${documentType}
-    
-    Contenu du document :
-    ${documentContent}
-    
-    Analysez ce document et fournissez les informations suivantes au format JSON :
-    - summary : un résumé des points clés du document
-    - compliance_requirements : un tableau des exigences de conformité identifiées
-    - potential_risks : un tableau des risques potentiels identifiés
-    - recommended_actions : un tableau d'actions recommandées
-    `;
-
-    const response = await this._callMistral(prompt, systemPrompt);
-    
+   * Génère un texte libre à partir d'un prompt
+   */
+  async generateText(prompt, options = {}) {
+    return this._call('text', 'text', { prompt }, options);
+  }
+
+  /**
+   * Analyse détaillée d'un texte libre, éventuellement situé dans un contexte
+   */
+  async analyzeText(text, context = null, options = {}) {
+    return this._call('text', 'analyze_text', { text, context }, { temperature: 0.3, maxTokens: 1500, ...options });
+  }
+
+  /**
+   * Rédige le texte d'une relance pour une demande restée sans réponse
+   */
+  async generateFollowUpEmail(emailContent, subject, recipient, daysSinceOriginal, options = {}) {
     try {
-      return JSON.parse(response);
+      return await this._call('follow_up', 'follow_up_reminder', {
+        days: String(daysSinceOriginal),
+        recipient,
+        subject,
+        content: (emailContent || '').slice(0, 3000)
+      }, { ...options, temperature: 0.4 });
     } catch (error) {
-      logger.error('Erreur lors du parsing de la réponse JSON:', error);
-      return {
-        summary: 'Analyse échouée',
-        compliance_requirements: [],
-        potential_risks: [],
-        recommended_actions: []
-      };
+      logger.error('Erreur lors de la génération de la relance:', error.message);
+      return `Bonjour,\n\nSauf erreur de notre part, nous n'avons pas reçu de réponse à notre message "${subject}" envoyé il y a ${daysSinceOriginal} jour(s). Pourriez-vous nous apporter une réponse ?\n\nCordialement`;
     }
   }
 
+  /**
+   * Analyse de conformité d'un document : non-conformités (gravité, référence réglementaire,
+   * échéance), exigences, risques et actions recommandées
+   * `receivedDate` (AAAA-MM-JJ) permet de déduire les échéances exprimées en délai
+   * Une réponse invalide lève une erreur `invalidOutput` plutôt qu'une analyse vide, qui
+   * effacerait les non-conformités déjà relevées
+   */
+  async analyzeComplianceDocument(documentContent, documentType = 'général', receivedDate = null, options = {}) {
+    return this._callJson('compliance', 'compliance', {
+      document_type: documentType,
+      received_date: receivedDate || '',
+      content: documentContent
+    }, options);
+  }
+
   /**
    * Identifie les corps de métier et suggère un calendrier de coordination
    */
-  async suggestCoordination(projectContext) {
-    const systemPrompt = `Vous êtes un expert en planification et coordination de chantiers de construction.
-    Votre tâche est d'analyser les informations du projet et de suggérer un calendrier de coordination entre les différents corps de métier.`;
-    
-    const prompt = `
-    Contexte du projet :
-    ${JSON.stringify(projectContext, null, 2)}
-    
-    En vous basant sur les informations fournies, identifiez les corps de métier impliqués et suggérez un calendrier
-    de coordination optimisé qui minimise les conflits et les temps d'attente. Incluez également des suggestions
-    pour la résolution des problèmes potentiels. Formatez votre réponse en JSON avec les clés suivantes :
-    - trades : un tableau des corps de métier identifiés
-    - schedule : un tableau d'événements de coordination avec dates et participants
-    - potential_conflicts : un tableau des conflits potentiels
-    - recommendations : un tableau de recommandations pour optimiser la coordination
-    `;
-
-    const response = await this._callMistral(prompt, systemPrompt);
-    
+  async suggestCoordination(projectContext, options = {}) {
     try {
-      return JSON.parse(response);
+      return await this._callJson('coordination', 'coordination', { context: projectContext }, options);
     } catch (error) {
-      logger.error('Erreur lors du parsing de la réponse JSON:', error);
+      if (!error.invalidOutput) throw error;
+      logger.error('Réponse JSON invalide:', error.message);
       return {
         trades: [],
         schedule: [],
@@ -206,42 +254,21 @@ class MistralAIClient {
   }
 
   /**
-   * Génère un rapport de leçons apprises à partir des données du projet
-   */
-  async generateLessonsLearned(projectData) {
-    const systemPrompt = `Vous êtes un expert en gestion de projets de construction.
-    Votre tâche est d'analyser les données du projet et d'en extraire des leçons apprises utiles pour les futurs projets.`;
-    
-    const prompt = `
-    Données du projet :
-    ${JSON.stringify(projectData, null, 2)}
-    
-    Analysez ces données et générez un rapport de leçons apprises incluant :
-    - un résumé des points forts du projet
-    - un résumé des défis rencontrés
-    - des leçons spécifiques pour chaque phase du projet
-    - des recommandations pour les futurs projets
-    
-    Formatez votre réponse en JSON avec les clés suivantes :
-    - strengths : un tableau des points forts
-    - challenges : un tableau des défis
-    - lessons_by_phase : un objet avec les phases comme clés et les leçons comme valeurs
-    - recommendations : un tableau de recommandations
-    `;
-
-    const response = await this._callMistral(prompt, systemPrompt);
-    
-    try {
-      return JSON.parse(response);
-    } catch (error) {
-      logger.error('Erreur lors du parsing de la réponse JSON:', error);
-      return {
-        strengths: [],
-        challenges: [],
-        lessons_by_phase: {},
-        recommendations: []
-      };
-    }
+   * Répond à une question sur un projet à partir des sources retrouvées dans le dossier
+   * `sources` : texte des extraits, chacun précédé de son repère ([E12], [A34], [T5], [C3])
+   * Retourne { answer, answered, citations }
+   */
+  async answerQuestion(question, sources, history = '', options = {}) {
+    return this._callJson('ask', 'ask', { question, sources, history }, options);
+  }
+
+  /**
+   * Tire des leçons apprises des difficultés d'un projet
+   * Retourne { lessons: [{ title, category, trade, description, root_cause, solution, impact, related_emails }] }
+   * Une réponse invalide lève une erreur `invalidOutput` : aucune liste vide ne remplace les propositions existantes
+   */
+  async generateLessonsLearned(projectName, projectData, options = {}) {
+    return this._callJson('lessons_learned', 'lessons_learned', { project: projectName, data: projectData }, options);
   }
 }
 
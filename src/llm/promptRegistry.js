@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const db = require('../database');
+
+const PROMPTS_DIR = path.join(__dirname, 'prompts');
+
+/**
+ * Remplace les variables {{nom}} et les sections {{#nom}}...{{/nom}} (affichées si la variable
+ * est renseignée). Les valeurs insérées ne sont pas relues : un email contenant des accolades
+ * ne peut pas injecter de variable.
+ */
+function renderText(template, variables, missing) {
+  const withSections = template.replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, inner) => (
+    variables[name] ? inner : ''
+  ));
+
+  return withSections
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => {
+      const value = variables[name];
+      if (value === undefined || value === null) {
+        missing.add(name);
+        return '';
+      }
+      return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    })
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function hashTemplate({ system, user, variables }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ system, user, variables }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Registre des prompts envoyés au LLM
+ *
+ * Les versions par défaut sont des fichiers JSON de ./prompts, livrés avec le code. Des
+ * versions enregistrées en base (prompt_templates) les remplacent sans redéploiement, pour
+ * tous les projets ou pour un seul. Les variables d'un projet (langue, vocabulaire de
+ * l'entreprise...) complètent celles du modèle. L'empreinte d'un prompt résolu couvre le
+ * texte et les variables du projet : elle identifie exactement ce qui a été envoyé.
+ */
+class PromptRegistry {
+  constructor() {
+    this.files = new Map();
+
+    fs.readdirSync(PROMPTS_DIR)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        const template = JSON.parse(fs.readFileSync(path.join(PROMPTS_DIR, file), 'utf8'));
+        this.files.set(template.name, {
+          name: template.name,
+          version: template.version,
+          description: template.description,
+          system: [].concat(template.system || []).join('\n'),
+          user: [].concat(template.user).join('\n'),
+          variables: template.variables || {}
+        });
+      });
+  }
+
+  names() {
+    return Array.from(this.files.keys()).sort();
+  }
+
+  getFileTemplate(name) {
+    const template = this.files.get(name);
+    if (!template) {
+      throw new Error(`Prompt inconnu: ${name}`);
+    }
+    return template;
+  }
+
+  /**
+   * Prompt à utiliser pour un projet : version du projet, sinon version globale en base,
+   * sinon fichier par défaut
+   */
+  async resolve(name, projectId = null) {
+    const fileTemplate = this.getFileTemplate(name);
+
+    const result = await db.query(`
+      SELECT * FROM prompt_templates
+      WHERE name = $1 AND active = true AND (project_id IS NULL OR project_id = $2)
+      ORDER BY project_id IS NULL, created_at DESC
+      LIMIT 1
+    `, [name, projectId]);
+    const row = result.rows[0];
+
+    const template = row
+      ? {
+        name,
+        version: row.version,
+        templateId: row.id,
+        source: row.project_id ? 'project' : 'global',
+        system: row.system_prompt || '',
+        user: row.user_prompt,
+        variables: { ...fileTemplate.variables, ...row.variables }
+      }
+      : { ...fileTemplate, templateId: null, source: 'file' };
+
+    template.variables = { ...template.variables, ...(await this.getProjectVariables(projectId)) };
+    template.hash = hashTemplate(template);
+    return template;
+  }
+
+  /**
+   * Produit les messages d'un prompt résolu -> { system, user, missing }
+   */
+  render(template, variables = {}) {
+    const values = { ...template.variables, ...variables };
+    const missing = new Set();
+
+    return {
+      system: renderText(template.system, values, missing),
+      user: renderText(template.user, values, missing),
+      missing: Array.from(missing)
+    };
+  }
+
+  async getProjectVariables(projectId) {
+    if (!projectId) return {};
+    const result = await db.query('SELECT prompt_variables FROM projects WHERE id = $1', [projectId]);
+    return (result.rows[0] && result.rows[0].prompt_variables) || {};
+  }
+
+  /**
+   * Versions enregistrées en base pour un prompt (globales et, si indiqué, d'un projet)
+   */
+  async listVersions(name, projectId = null) {
+    const result = await db.query(`
+      SELECT * FROM prompt_templates
+      WHERE name = $1 AND (project_id IS NULL OR project_id = $2)
+      ORDER BY created_at DESC
+    `, [name, projectId]);
+    return result.rows;
+  }
+
+  /**
+   * Enregistre une nouvelle version, qui devient active pour sa portée (globale ou projet)
+   */
+  async createVersion(name, { projectId = null, version, description = null, system = null, user, variables = {}, createdBy = 'system' }) {
+    this.getFileTemplate(name);
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      await client.query(`
+        UPDATE prompt_templates SET active = false
+        WHERE name = $1 AND project_id IS NOT DISTINCT FROM $2 AND active = true
+      `, [name, projectId]);
+
+      const result = await client.query(`
+        INSERT INTO prompt_templates (name, project_id, version, description, system_prompt, user_prompt, variables, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [name, projectId, version, description, system, user, JSON.stringify(variables), createdBy]);
+
+      await client.query('COMMIT');
+      logger.info(`Prompt ${name} version ${version} activé${projectId ? ` pour le projet ${projectId}` : ''}`);
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Active une version enregistrée (la version active de même portée est désactivée)
+   * Retourne null si la version n'existe pas
+   */
+  async activate(templateId) {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const existing = await client.query('SELECT * FROM prompt_templates WHERE id = $1 FOR UPDATE', [templateId]);
+      const template = existing.rows[0];
+      if (!template) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await client.query(`
+        UPDATE prompt_templates SET active = false
+        WHERE name = $1 AND project_id IS NOT DISTINCT FROM $2 AND active = true
+      `, [template.name, template.project_id]);
+      const result = await client.query(`
+        UPDATE prompt_templates SET active = true WHERE id = $1 RETURNING *
+      `, [templateId]);
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Désactive une version : la portée revient à la version globale ou au fichier par défaut
+   */
+  async deactivate(templateId) {
+    const result = await db.query(`
+      UPDATE prompt_templates SET active = false WHERE id = $1 RETURNING *
+    `, [templateId]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new PromptRegistry();
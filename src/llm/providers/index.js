@@ -0,0 +1,264 @@
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const MistralProvider = require('./mistralProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const StubProvider = require('./stubProvider');
+const responseCache = require('../cache');
+const usageMeter = require('../usage');
+const scheduler = require('../scheduler');
+
+/**
+ * Interface commune des fournisseurs de LLM :
+ * - name
+ * - isConfigured() -> booléen (clé ou adresse renseignée)
+ * - chat(messages, { operation, model, temperature, maxTokens, json }) -> { content, model, usage }
+ * - embed(texts) -> { vectors, model, usage }
+ * `usage` ({ inputTokens, outputTokens }) est estimé d'après la longueur des textes s'il manque.
+ * Un fournisseur avec `cacheable = false` n'utilise pas le cache des réponses.
+ * Une erreur portant `status` 429 (et éventuellement `retryAfter`) est retentée par l'ordonnanceur.
+ */
+const factories = {
+  mistral: () => new MistralProvider({
+    apiKey: config.mistral.apiKey,
+    model: config.mistral.defaultModel,
+    embeddingModel: config.mistral.embeddingModel,
+    endpoint: config.mistral.endpoint,
+    timeoutMs: config.mistral.timeoutMs
+  }),
+  local: () => new OpenAICompatibleProvider(config.llm.local),
+  stub: () => new StubProvider(config.llm.stub)
+};
+
+const instances = new Map();
+
+/**
+ * Retourne un fournisseur par son nom (instancié à la demande)
+ */
+function getProvider(name) {
+  if (!factories[name]) {
+    throw new Error(`Fournisseur LLM inconnu: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+    logger.debug(`Fournisseur LLM "${name}" initialisé`);
+  }
+
+  return instances.get(name);
+}
+
+/**
+ * Fournisseurs configurés pour une opération, dans l'ordre où ils sont essayés
+ */
+function getChain(operation) {
+  const names = config.llm.fallback[operation] || config.llm.fallback.default;
+  return names.map(getProvider).filter(provider => provider.isConfigured());
+}
+
+/**
+ * Essaie chaque fournisseur de la chaîne jusqu'au premier succès
+ */
+async function _withFallback(operation, call) {
+  const chain = getChain(operation);
+
+  if (chain.length === 0) {
+    throw new Error(`Aucun fournisseur LLM configuré pour l'opération ${operation}`);
+  }
+
+  let lastError;
+  for (const provider of chain) {
+    try {
+      const result = await call(provider);
+      return { ...result, provider: provider.name };
+    } catch (error) {
+      lastError = error;
+      logger.warn(`Fournisseur LLM "${provider.name}" en échec pour ${operation}: ${error.message}`);
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Appel d'un fournisseur via le cache, compté dans llm_usage (projet et email de `context`)
+ * puis placé dans la file de l'ordonnanceur avec la priorité `context.priority`
+ * `payload` (messages et paramètres) sert de clé de cache et d'estimation des tokens envoyés
+ * Retourne { response, cacheKey }
+ */
+async function _metered(provider, operation, context, payload, invoke) {
+  const cacheKey = responseCache.usable(provider) ? responseCache.key(provider, payload) : null;
+  const entry = { operation, provider: provider.name, projectId: context.projectId || null, emailId: context.emailId || null };
+
+  if (cacheKey) {
+    const cached = await responseCache.get(cacheKey);
+    if (cached) {
+      await usageMeter.record({ ...entry, model: cached.model, usage: cached.usage, cached: true });
+      return { response: cached, cacheKey };
+    }
+  }
+
+  const estimatedTokens = usageMeter.estimateTokens(JSON.stringify(payload.messages || payload.texts)) + (payload.maxTokens || 0);
+  const started = Date.now();
+  let response;
+  try {
+    response = await scheduler.schedule(provider, { operation, priority: context.priority, tokens: estimatedTokens }, invoke);
+  } catch (error) {
+    await usageMeter.record({ ...entry, model: provider.model, latencyMs: Date.now() - started, success: false });
+    throw error;
+  }
+
+  const usage = response.usage || {
+    inputTokens: usageMeter.estimateTokens(JSON.stringify(payload.messages || payload.texts)),
+    outputTokens: usageMeter.estimateTokens(response.content)
+  };
+  response = { ...response, usage };
+
+  await usageMeter.record({ ...entry, model: response.model, usage, latencyMs: Date.now() - started });
+  if (cacheKey) await responseCache.set(cacheKey, provider, response);
+
+  return { response, cacheKey };
+}
+
+/**
+ * Extrait l'objet JSON d'une réponse, éventuellement entourée d'un bloc de code
+ */
+function parseJson(content) {
+  const text = String(content || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const start = text.search(/[[{]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(text.slice(start, end + 1));
+  }
+}
+
+/**
+ * Réponse texte -> { content, model, provider }
+ * `options.projectId` et `options.emailId` rattachent la consommation ; au-delà du budget
+ * mensuel du projet, une opération non critique est refusée (erreur avec `budgetExceeded`)
+ * `options.priority` : 'interactive' (appel de l'API, servi en premier) ou 'batch' (par défaut)
+ */
+async function chat(operation, messages, { projectId = null, emailId = null, priority = 'batch', ...options } = {}) {
+  await usageMeter.checkBudget(operation, projectId);
+
+  return _withFallback(operation, async provider => {
+    const { response } = await _metered(
+      provider, operation, { projectId, emailId, priority },
+      { messages, temperature: options.temperature, maxTokens: options.maxTokens, model: options.model },
+      () => provider.chat(messages, { ...options, operation })
+    );
+    return { content: response.content, model: response.model };
+  });
+}
+
+/**
+ * Message renvoyé au modèle pour qu'il corrige une réponse invalide
+ */
+function _repairMessage(errors) {
+  return `Votre réponse n'est pas valide :\n${errors.map(error => `- ${error}`).join('\n')}\n\nRépondez uniquement avec l'objet JSON corrigé, sans texte autour.`;
+}
+
+/**
+ * Réponse JSON -> { data, model, provider, outcome, attempts, errors, coercions }
+ *
+ * Avec `validate` (valeur -> { value, errors, coercions }), une réponse illisible ou invalide
+ * est renvoyée au modèle avec les erreurs, jusqu'à `repairAttempts` fois, avant de passer au
+ * fournisseur suivant. `outcome` vaut 'passed' (valide du premier coup) ou 'repaired'.
+ * En cas d'échec, l'erreur levée porte `validation` : { attempts, errors }.
+ */
+async function chatJson(operation, messages, { validate, projectId = null, emailId = null, priority = 'batch', ...options } = {}) {
+  await usageMeter.checkBudget(operation, projectId);
+
+  const maxAttempts = 1 + config.llm.repairAttempts;
+  let attempts = 0;
+  const errors = [];
+
+  try {
+    return await _withFallback(operation, async provider => {
+      const conversation = [...messages];
+
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const { response, cacheKey } = await _metered(
+          provider, operation, { projectId, emailId, priority },
+          { messages: conversation, temperature: options.temperature, maxTokens: options.maxTokens, model: options.model, json: true },
+          () => provider.chat(conversation, { ...options, operation, json: true })
+        );
+        attempts++;
+
+        let result;
+        try {
+          const data = parseJson(response.content);
+          result = validate ? validate(data) : { value: data, errors: [], coercions: 0 };
+        } catch (error) {
+          result = { errors: [`JSON illisible : ${error.message}`] };
+        }
+
+        if (result.errors.length === 0) {
+          return {
+            data: result.value,
+            model: response.model,
+            outcome: attempts === 1 ? 'passed' : 'repaired',
+            attempts,
+            errors,
+            coercions: result.coercions
+          };
+        }
+
+        // Une réponse invalide ne doit pas être resservie par le cache
+        if (cacheKey) await responseCache.invalidate(cacheKey);
+
+        errors.push(...result.errors.map(error => `${provider.name} #${attempt} ${error}`));
+        conversation.push(
+          { role: 'assistant', content: response.content },
+          { role: 'user', content: _repairMessage(result.errors) }
+        );
+      }
+
+      const error = new Error(`Réponse JSON invalide après ${maxAttempts} tentative(s)`);
+      error.invalidOutput = true;
+      throw error;
+    });
+  } catch (error) {
+    if (attempts > 0) {
+      error.validation = { attempts, errors };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Embeddings d'une liste de textes -> { vectors, model, provider }
+ */
+async function embed(texts, operation = 'embeddings', { projectId = null, emailId = null, priority = 'batch' } = {}) {
+  await usageMeter.checkBudget(operation, projectId);
+
+  return _withFallback(operation, async provider => {
+    const { response } = await _metered(
+      provider, operation, { projectId, emailId, priority },
+      { texts, model: provider.embeddingModel },
+      () => provider.embed(texts)
+    );
+    return { vectors: response.vectors, model: response.model };
+  });
+}
+
+/**
+ * Premier fournisseur et modèle qui seront utilisés pour une opération
+ */
+function describe(operation) {
+  const [provider] = getChain(operation);
+  return provider ? { provider: provider.name, model: provider.model } : { provider: null, model: null };
+}
+
+module.exports = {
+  getProvider,
+  getChain,
+  chat,
+  chatJson,
+  embed,
+  describe,
+  parseJson
+};
@@ -0,0 +1,22 @@
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+
+/**
+ * Fournisseur Mistral AI (API hébergée, compatible avec l'API OpenAI)
+ */
+class MistralProvider extends OpenAICompatibleProvider {
+  constructor({ apiKey, model, embeddingModel, endpoint, timeoutMs }) {
+    super({ baseUrl: endpoint, apiKey, model, embeddingModel, timeoutMs });
+    this.name = 'mistral';
+    this.apiKey = apiKey;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  _describe(path) {
+    return `API Mistral (${path})`;
+  }
+}
+
+module.exports = MistralProvider;
@@ -0,0 +1,89 @@
+const axios = require('axios');
+
+/**
+ * Fournisseur pour tout serveur exposant l'API OpenAI (/chat/completions, /embeddings) :
+ * modèle auto-hébergé (vLLM, Ollama, llama.cpp, LM Studio...)
+ *
+ * L'API est appelée directement, sans nouvel essai automatique : les refus 429 remontent
+ * avec leur statut et leur en-tête Retry-After, et seul l'ordonnanceur décide des reprises.
+ * Les fournisseurs hébergés compatibles (Mistral) en héritent.
+ */
+class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey, model, embeddingModel, timeoutMs }) {
+    this.name = 'local';
+    this.baseUrl = baseUrl;
+    this.model = model;
+    this.embeddingModel = embeddingModel;
+    this.client = baseUrl
+      ? axios.create({
+        baseURL: baseUrl.replace(/\/+$/, ''),
+        timeout: timeoutMs,
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+      })
+      : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.client);
+  }
+
+  /**
+   * Désignation du service appelé dans les messages d'erreur
+   */
+  _describe(path) {
+    return `Serveur LLM local (${this.baseUrl}${path})`;
+  }
+
+  async _post(path, body) {
+    try {
+      const response = await this.client.post(path, body);
+      return response.data;
+    } catch (error) {
+      const detail = error.response ? `HTTP ${error.response.status}${this._message(error.response.data)}` : error.message;
+      const failure = new Error(`${this._describe(path)}: ${detail}`);
+      if (error.response) {
+        failure.status = error.response.status;
+        failure.retryAfter = error.response.headers['retry-after'];
+      }
+      throw failure;
+    }
+  }
+
+  _message(data) {
+    const message = data && (data.message || data.detail);
+    if (!message) return '';
+    return ` ${typeof message === 'string' ? message : JSON.stringify(message)}`;
+  }
+
+  async chat(messages, { model, temperature, maxTokens, json = false } = {}) {
+    const data = await this._post('/chat/completions', {
+      model: model || this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    });
+
+    return {
+      content: data.choices[0].message.content,
+      model: data.model || model || this.model,
+      usage: data.usage
+        ? { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens }
+        : null
+    };
+  }
+
+  async embed(texts) {
+    const data = await this._post('/embeddings', { model: this.embeddingModel, input: texts });
+
+    return {
+      vectors: data.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding),
+      model: this.embeddingModel,
+      usage: data.usage ? { inputTokens: data.usage.prompt_tokens, outputTokens: 0 } : null
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Fournisseur hors ligne et déterministe, pour le développement et les tests
+ *
+ * Les réponses viennent de fichiers `<opération>.json` du répertoire de fixtures : un tableau
+ * d'entrées { match, response }. La première entrée dont `match` (texte ou liste de textes,
+ * sans tenir compte de la casse) apparaît dans le dernier message utilisateur est retenue ;
+ * une entrée sans `match` sert de réponse par défaut. Les embeddings sont calculés par
+ * hachage des mots, si bien que des textes proches ont des vecteurs proches.
+ */
+class StubProvider {
+  constructor({ fixturesDir, dimensions }) {
+    this.name = 'stub';
+    this.model = 'stub';
+    // Réponses locales et gratuites : inutile de les mettre en cache
+    this.cacheable = false;
+    this.fixturesDir = path.resolve(fixturesDir);
+    this.dimensions = dimensions;
+    this.fixtures = new Map();
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  _loadFixtures(operation) {
+    if (!this.fixtures.has(operation)) {
+      const filePath = path.join(this.fixturesDir, `${operation}.json`);
+      this.fixtures.set(operation, fs.existsSync(filePath)
+        ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+        : []);
+    }
+
+    return this.fixtures.get(operation);
+  }
+
+  _findResponse(operation, prompt) {
+    const text = prompt.toLowerCase();
+    const entries = this._loadFixtures(operation);
+
+    const matched = entries.find(entry => entry.match && []
+      .concat(entry.match)
+      .some(pattern => text.includes(String(pattern).toLowerCase())));
+
+    const entry = matched || entries.find(item => !item.match);
+    return entry ? entry.response : undefined;
+  }
+
+  async chat(messages, { operation = 'text', json = false } = {}) {
+    const userMessages = messages.filter(message => message.role === 'user');
+    const prompt = userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+    const response = this._findResponse(operation, prompt);
+
+    let content;
+    if (response === undefined) {
+      const digest = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 8);
+      content = json ? '{}' : `Réponse simulée (${operation}, ${digest})`;
+    } else {
+      content = typeof response === 'string' ? response : JSON.stringify(response);
+    }
+
+    return { content, model: this.model };
+  }
+
+  _embedOne(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 1);
+
+    words.forEach(word => {
+      const hash = crypto.createHash('md5').update(word).digest();
+      const index = hash.readUInt32BE(0) % this.dimensions;
+      vector[index] += hash[4] & 1 ? 1 : -1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+
+  async embed(texts) {
+    return {
+      vectors: texts.map(text => this._embedOne(text)),
+      model: `stub-${this.dimensions}`
+    };
+  }
+}
+
+module.exports = StubProvider;
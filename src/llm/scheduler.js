@@ -0,0 +1,194 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Ordre de passage : les appels de l'API avant l'ingestion et les traitements de fond
+const PRIORITIES = ['interactive', 'batch'];
+
+// Fenêtre du budget de tokens (en millisecondes)
+const WINDOW = 60000;
+
+// Nombre d'attentes conservées pour les statistiques
+const WAIT_SAMPLES = 200;
+
+/**
+ * Ordonnanceur des appels au LLM, une file par fournisseur
+ *
+ * Limite le nombre d'appels simultanés et les tokens envoyés par minute, fait passer les
+ * demandes interactives avant les traitements par lots, et suspend le fournisseur quand il
+ * répond 429 : nouvel essai après `Retry-After` ou un délai doublé à chaque refus.
+ */
+class LlmScheduler {
+  constructor() {
+    this.settings = config.llm.scheduler;
+    this.lanes = new Map();
+  }
+
+  _lane(provider) {
+    if (!this.lanes.has(provider.name)) {
+      this.lanes.set(provider.name, {
+        provider: provider.name,
+        queues: Object.fromEntries(PRIORITIES.map(priority => [priority, []])),
+        active: 0,
+        window: [],
+        pausedUntil: 0,
+        timer: null,
+        processed: 0,
+        failed: 0,
+        rateLimited: 0,
+        waits: []
+      });
+    }
+
+    return this.lanes.get(provider.name);
+  }
+
+  /**
+   * Exécute `task` quand le fournisseur a de la place
+   * `tokens` est l'estimation des tokens envoyés, remplacée par l'usage réel après l'appel
+   */
+  schedule(provider, { operation, priority = 'batch', tokens = 0 }, task) {
+    const lane = this._lane(provider);
+
+    return new Promise((resolve, reject) => {
+      const request = {
+        operation,
+        priority: PRIORITIES.includes(priority) ? priority : 'batch',
+        tokens,
+        task,
+        resolve,
+        reject,
+        attempts: 0,
+        queuedAt: Date.now()
+      };
+      lane.queues[request.priority].push(request);
+      this._pump(lane);
+    });
+  }
+
+  /**
+   * Lance les demandes en attente tant que la concurrence et le budget de tokens le permettent
+   */
+  _pump(lane) {
+    const now = Date.now();
+    lane.window = lane.window.filter(entry => entry.at > now - WINDOW);
+
+    while (lane.active < this.settings.concurrency) {
+      if (lane.pausedUntil > now) {
+        return this._wake(lane, lane.pausedUntil - now);
+      }
+
+      const queue = PRIORITIES.map(priority => lane.queues[priority]).find(items => items.length > 0);
+      if (!queue) return;
+
+      // Une demande plus grosse que le budget passe seule, une fois la fenêtre vide
+      const tokensPerMinute = this.settings.tokensPerMinute;
+      const used = lane.window.reduce((sum, entry) => sum + entry.tokens, 0);
+      if (tokensPerMinute && used > 0 && used + queue[0].tokens > tokensPerMinute) {
+        return this._wake(lane, lane.window[0].at + WINDOW - now);
+      }
+
+      this._run(lane, queue.shift());
+    }
+  }
+
+  _wake(lane, delay) {
+    if (lane.timer) return;
+
+    lane.timer = setTimeout(() => {
+      lane.timer = null;
+      this._pump(lane);
+    }, Math.max(delay, 10));
+  }
+
+  async _run(lane, request) {
+    if (request.attempts === 0) {
+      lane.waits.push(Date.now() - request.queuedAt);
+      if (lane.waits.length > WAIT_SAMPLES) lane.waits.shift();
+    }
+
+    const entry = { at: Date.now(), tokens: request.tokens };
+    lane.window.push(entry);
+    lane.active++;
+    request.attempts++;
+
+    try {
+      const result = await request.task();
+      if (result && result.usage) {
+        entry.tokens = (result.usage.inputTokens || 0) + (result.usage.outputTokens || 0);
+      }
+      lane.processed++;
+      request.resolve(result);
+    } catch (error) {
+      if (this._isRateLimit(error) && request.attempts <= this.settings.maxRetries) {
+        const delay = this._retryDelay(error, request.attempts);
+        lane.rateLimited++;
+        // Un appel refusé ne compte pas dans le budget de tokens
+        entry.tokens = 0;
+        lane.pausedUntil = Math.max(lane.pausedUntil, Date.now() + delay);
+        logger.warn(`Fournisseur LLM "${lane.provider}" saturé (${request.operation}), nouvel essai dans ${Math.round(delay / 1000)} s`);
+        // La demande repasse en tête de sa file
+        lane.queues[request.priority].unshift(request);
+      } else {
+        lane.failed++;
+        request.reject(error);
+      }
+    } finally {
+      lane.active--;
+      this._pump(lane);
+    }
+  }
+
+  _isRateLimit(error) {
+    return error.status === 429 || (error.response && error.response.status === 429);
+  }
+
+  /**
+   * Délai avant un nouvel essai : `Retry-After` (secondes ou date HTTP), sinon délai doublé
+   */
+  _retryDelay(error, attempts) {
+    const { minDelay, maxDelay } = this.settings.backoff;
+    const retryAfter = error.retryAfter || (error.response && error.response.headers && error.response.headers['retry-after']);
+
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (!Number.isNaN(delay)) return Math.min(Math.max(delay, 0), maxDelay);
+    }
+
+    return Math.min(minDelay * Math.pow(2, attempts - 1), maxDelay);
+  }
+
+  /**
+   * État des files par fournisseur : profondeur, appels en cours, tokens de la dernière minute, attente
+   */
+  getStats() {
+    const now = Date.now();
+
+    return {
+      concurrency: this.settings.concurrency,
+      tokens_per_minute: this.settings.tokensPerMinute,
+      providers: [...this.lanes.values()].map(lane => {
+        const waiting = PRIORITIES.flatMap(priority => lane.queues[priority]);
+        const waits = [...lane.waits].sort((a, b) => a - b);
+
+        return {
+          provider: lane.provider,
+          active: lane.active,
+          queued: Object.fromEntries(PRIORITIES.map(priority => [priority, lane.queues[priority].length])),
+          oldest_wait_ms: waiting.length > 0 ? now - Math.min(...waiting.map(request => request.queuedAt)) : 0,
+          tokens_last_minute: lane.window
+            .filter(entry => entry.at > now - WINDOW)
+            .reduce((sum, entry) => sum + entry.tokens, 0),
+          paused_until: lane.pausedUntil > now ? new Date(lane.pausedUntil).toISOString() : null,
+          processed: lane.processed,
+          failed: lane.failed,
+          rate_limited: lane.rateLimited,
+          average_wait_ms: waits.length > 0 ? Math.round(waits.reduce((sum, wait) => sum + wait, 0) / waits.length) : 0,
+          p95_wait_ms: waits.length > 0 ? waits[Math.min(Math.floor(waits.length * 0.95), waits.length - 1)] : 0
+        };
+      })
+    };
+  }
+}
+
+module.exports = new LlmScheduler();
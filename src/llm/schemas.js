@@ -0,0 +1,123 @@
+/**
+ * Schémas des réponses JSON attendues du LLM, par opération
+ * (voir ./jsonSchema pour le sous-ensemble de JSON Schema reconnu)
+ */
+
+const text = (aliases = []) => ({ type: ['string', 'null'], aliases });
+const date = (aliases = []) => ({ type: ['string', 'null'], format: 'date', aliases });
+const list = (aliases = [], items = undefined) => ({ type: 'array', default: [], aliases, items });
+const severity = (aliases = []) => ({ type: ['string', 'null'], enum: ['low', 'medium', 'high', 'critical'], aliases });
+
+const email_analysis = {
+  type: 'object',
+  required: ['summary', 'classification', 'requires_follow_up', 'is_compliance_related'],
+  properties: {
+    summary: { type: 'string', aliases: ['résumé', 'synthese'] },
+    classification: { type: 'string', aliases: ['catégorie', 'type'] },
+    requires_follow_up: { type: 'boolean', aliases: ['nécessite_suivi', 'suivi_requis', 'relance'] },
+    is_compliance_related: { type: 'boolean', aliases: ['conformité', 'lié_conformité'] },
+    compliance_type: text(['type_conformité']),
+    compliance_description: text(['description_conformité']),
+    compliance_severity: severity(['gravité_conformité', 'gravité']),
+    tasks: list(['tâches'], {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', aliases: ['nom', 'tâche', 'intitulé'] },
+        description: text(),
+        trade: text(['corps_de_métier', 'lot', 'métier']),
+        start_date: date(['date_début', 'début']),
+        end_date: date(['date_fin', 'fin']),
+        status: text(['statut'])
+      }
+    }),
+    progress_events: list(['avancement', 'événements'], {
+      type: 'object',
+      required: ['task', 'event'],
+      properties: {
+        task: { type: 'string', aliases: ['tâche', 'nom'] },
+        event: { type: 'string', enum: ['started', 'completed', 'delayed', 'blocked'], aliases: ['événement'] },
+        date: date(),
+        new_end_date: date(['nouvelle_date_fin']),
+        detail: text(['détail'])
+      }
+    })
+  }
+};
+
+const compliance = {
+  type: 'object',
+  required: ['summary', 'issues'],
+  properties: {
+    summary: { type: 'string', aliases: ['résumé'] },
+    issues: list(['non_conformités', 'écarts', 'réserves'], {
+      type: 'object',
+      required: ['title'],
+      properties: {
+        title: { type: 'string', aliases: ['titre', 'intitulé'] },
+        description: text(),
+        severity: severity(['gravité', 'sévérité']),
+        regulation_reference: text(['référence', 'référence_réglementaire', 'réglementation', 'norme']),
+        deadline: date(['échéance', 'date_limite']),
+        recommended_action: text(['action', 'action_recommandée'])
+      }
+    }),
+    compliance_requirements: list(['exigences'], { type: 'string' }),
+    potential_risks: list(['risques'], { type: 'string' }),
+    recommended_actions: list(['actions', 'actions_recommandées'], { type: 'string' })
+  }
+};
+
+const coordination = {
+  type: 'object',
+  required: ['recommendations'],
+  properties: {
+    trades: list(['corps_de_métier', 'métiers']),
+    schedule: list(['calendrier', 'planning'], { type: 'object' }),
+    potential_conflicts: list(['conflits']),
+    recommendations: { type: 'array', aliases: ['recommandations'] }
+  }
+};
+
+const lessons_learned = {
+  type: 'object',
+  required: ['lessons'],
+  properties: {
+    lessons: {
+      type: 'array',
+      aliases: ['leçons'],
+      items: {
+        type: 'object',
+        required: ['title'],
+        properties: {
+          title: { type: 'string', aliases: ['titre', 'intitulé'] },
+          category: text(['catégorie']),
+          trade: text(['corps_de_métier', 'lot', 'métier']),
+          description: text(),
+          root_cause: text(['cause', 'cause_racine', 'cause_profonde']),
+          solution: text(['recommandation']),
+          impact: { type: ['string', 'null'], enum: ['faible', 'moyen', 'élevé'], aliases: ['gravité'] },
+          related_emails: list(['emails', 'emails_liés'], { type: 'number' })
+        }
+      }
+    }
+  }
+};
+
+const ask = {
+  type: 'object',
+  required: ['answer', 'answered'],
+  properties: {
+    answer: { type: 'string', aliases: ['réponse'] },
+    answered: { type: 'boolean', aliases: ['répondu', 'réponse_trouvée'] },
+    citations: list(['sources', 'références'], { type: 'string' })
+  }
+};
+
+module.exports = {
+  email_analysis,
+  compliance,
+  coordination,
+  lessons_learned,
+  ask
+};
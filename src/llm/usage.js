@@ -0,0 +1,144 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+
+/**
+ * Comptage des appels au LLM : tokens, latence et coût estimé, par projet et par opération
+ *
+ * Le coût est calculé avec les prix de config.llm.prices (par million de tokens) ; les modèles
+ * sans prix (serveur local, stub) et les réponses servies par le cache ne coûtent rien. Au-delà
+ * du budget mensuel d'un projet, seules les opérations critiques restent autorisées.
+ */
+class UsageMeter {
+  constructor() {
+    this.prices = config.llm.prices;
+    this.defaultBudget = config.llm.monthlyBudget;
+    this.criticalOperations = config.llm.criticalOperations;
+  }
+
+  /**
+   * Estimation grossière (4 caractères par token) quand le fournisseur ne donne pas l'usage
+   */
+  estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+
+  cost(model, { inputTokens = 0, outputTokens = 0 } = {}) {
+    const price = this.prices[model];
+    if (!price) return 0;
+    return ((inputTokens * (price.input || 0)) + (outputTokens * (price.output || 0))) / 1000000;
+  }
+
+  /**
+   * Enregistre un appel ; une erreur d'écriture n'interrompt pas le traitement
+   */
+  async record({ operation, provider, model, usage = {}, latencyMs = 0, cached = false, success = true, projectId = null, emailId = null }) {
+    const inputTokens = usage.inputTokens || 0;
+    const outputTokens = usage.outputTokens || 0;
+    const cost = cached || !success ? 0 : this.cost(model, { inputTokens, outputTokens });
+
+    try {
+      await db.query(`
+        INSERT INTO llm_usage (
+          project_id, email_id, operation, provider, model, input_tokens, output_tokens,
+          latency_ms, cost, cached, success
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      `, [projectId, emailId, operation, provider, model, inputTokens, outputTokens, latencyMs, cost, cached, success]);
+    } catch (error) {
+      logger.error('Erreur lors de l\'enregistrement de la consommation LLM:', error.message);
+    }
+  }
+
+  isCritical(operation) {
+    return this.criticalOperations.includes(operation);
+  }
+
+  /**
+   * Budget mensuel d'un projet (à défaut, budget global ; null = illimité)
+   */
+  async getBudget(projectId) {
+    const result = await db.query('SELECT ai_monthly_budget FROM projects WHERE id = $1', [projectId]);
+    const budget = result.rows[0] ? result.rows[0].ai_monthly_budget : null;
+    return budget !== null && budget !== undefined ? parseFloat(budget) : this.defaultBudget;
+  }
+
+  async monthSpent(projectId) {
+    const result = await db.query(`
+      SELECT COALESCE(SUM(cost), 0)::float AS spent
+      FROM llm_usage
+      WHERE project_id = $1 AND created_at >= date_trunc('month', CURRENT_TIMESTAMP)
+    `, [projectId]);
+    return result.rows[0].spent;
+  }
+
+  /**
+   * Refuse une opération non critique quand le budget du mois est épuisé
+   * L'erreur levée porte `budgetExceeded`
+   */
+  async checkBudget(operation, projectId) {
+    if (!projectId || this.isCritical(operation)) return;
+
+    const budget = await this.getBudget(projectId);
+    if (budget === null) return;
+
+    const spent = await this.monthSpent(projectId);
+    if (spent >= budget) {
+      const error = new Error(`Budget IA mensuel du projet ${projectId} atteint (${spent.toFixed(2)} / ${budget} €) : ${operation} suspendu`);
+      error.budgetExceeded = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Consommation d'un projet sur une période (par défaut, le mois en cours)
+   */
+  async getProjectUsage(projectId, { from = null, to = null } = {}) {
+    const params = [projectId, from, to];
+    const period = `
+      project_id = $1
+      AND created_at >= COALESCE($2::timestamp, date_trunc('month', CURRENT_TIMESTAMP))
+      AND ($3::timestamp IS NULL OR created_at < $3)
+    `;
+    const aggregates = `
+      COUNT(*)::int AS calls,
+      COUNT(*) FILTER (WHERE cached)::int AS cached_calls,
+      COUNT(*) FILTER (WHERE NOT success)::int AS failed_calls,
+      COALESCE(SUM(input_tokens), 0)::int AS input_tokens,
+      COALESCE(SUM(output_tokens), 0)::int AS output_tokens,
+      COALESCE(ROUND(AVG(latency_ms) FILTER (WHERE NOT cached)), 0)::int AS average_latency_ms,
+      COALESCE(SUM(cost), 0)::float AS cost
+    `;
+
+    const totals = await db.query(`SELECT ${aggregates} FROM llm_usage WHERE ${period}`, params);
+    const byOperation = await db.query(`
+      SELECT operation, ${aggregates} FROM llm_usage WHERE ${period} GROUP BY operation ORDER BY cost DESC
+    `, params);
+    const byModel = await db.query(`
+      SELECT provider, model, ${aggregates} FROM llm_usage WHERE ${period} GROUP BY provider, model ORDER BY cost DESC
+    `, params);
+    const daily = await db.query(`
+      SELECT to_char(date_trunc('day', created_at), 'YYYY-MM-DD') AS day, ${aggregates}
+      FROM llm_usage WHERE ${period}
+      GROUP BY 1 ORDER BY 1
+    `, params);
+
+    const budget = await this.getBudget(projectId);
+    const spent = await this.monthSpent(projectId);
+
+    return {
+      totals: totals.rows[0],
+      by_operation: byOperation.rows,
+      by_model: byModel.rows,
+      daily: daily.rows,
+      budget: {
+        monthly: budget,
+        spent_this_month: spent,
+        remaining: budget === null ? null : Math.max(budget - spent, 0),
+        exceeded: budget !== null && spent >= budget,
+        critical_operations: this.criticalOperations
+      }
+    };
+  }
+}
+
+module.exports = new UsageMeter();
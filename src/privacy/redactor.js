@@ -0,0 +1,265 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+
+const ENTITY_TYPES = ['health', 'iban', 'nir', 'email', 'phone', 'address', 'person'];
+
+// Libellé des jetons de remplacement par type de donnée
+const PLACEHOLDER_LABELS = {
+  health: 'SANTE',
+  iban: 'IBAN',
+  nir: 'NIR',
+  email: 'EMAIL',
+  phone: 'TELEPHONE',
+  address: 'ADRESSE',
+  person: 'PERSONNE'
+};
+
+// Données remises en clair dans les réponses ; les autres restent masquées
+const RESTORABLE_TYPES = new Set(['email', 'phone', 'address', 'person']);
+
+const PATTERNS = {
+  iban: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+  nir: /\b[12] ?\d{2} ?(?:0[1-9]|1[0-2]|[2-9]\d) ?(?:\d{2}|2[AB]) ?\d{3} ?\d{3}(?: ?\d{2})?\b/g,
+  email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  phone: /(?:(?:\+|00)33[\s.-]?(?:\(0\)[\s.-]?)?|\b0)[1-9](?:[\s.-]?\d{2}){4}\b/g,
+  address: /\b\d{1,4}(?: ?(?:bis|ter))?,? (?:rue|avenue|av\.|boulevard|bd|chemin|impasse|all[ée]e|place|route|quai|cours|r[ée]sidence|lotissement) [^\n,;]{2,60}(?:,? \d{5} [A-Za-zÀ-ÿ' -]{2,40})?/gi
+};
+
+// Phrases mentionnant l'état de santé d'une personne
+const HEALTH_TERMS = /\b(bless[ée]e?s?|blessure|arr[êe]t (?:de travail|maladie)|hospitalis[ée]e?s?|urgences|fracture|entorse|br[ûu]lure|traumatisme|m[ée]decin|certificat m[ée]dical|accident du travail|intoxication|malaise|contusion|plaie|handicap|enceinte|grossesse|maladie)\b/i;
+
+/**
+ * Vérifie la clé de contrôle d'un IBAN (modulo 97)
+ */
+function isValidIban(value) {
+  const iban = value.replace(/ /g, '');
+  if (iban.length < 15 || iban.length > 34) return false;
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const digits = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of digits) {
+      remainder = (remainder * 10 + parseInt(digit, 10)) % 97;
+    }
+  }
+
+  return remainder === 1;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Motif d'un mot ou d'un nom entier ; \b ne reconnaît que les lettres ASCII et ne
+ * délimiterait pas les noms commençant ou finissant par une lettre accentuée (René, Émery)
+ */
+function wordPattern(value) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(value)}(?![\\p{L}\\p{N}])`, 'gu');
+}
+
+/**
+ * Session de masquage : une même valeur reçoit toujours le même jeton
+ */
+class RedactionSession {
+  constructor({ enabled, entities, people }) {
+    this.enabled = enabled;
+    this.entities = new Set(entities);
+    this.people = people;
+    this.values = new Map();
+    this.placeholders = new Map();
+    this.counters = {};
+  }
+
+  _placeholder(type, value) {
+    const key = `${type}:${value}`;
+    if (this.values.has(key)) return this.values.get(key);
+
+    this.counters[type] = (this.counters[type] || 0) + 1;
+    const placeholder = `[${PLACEHOLDER_LABELS[type]}_${this.counters[type]}]`;
+    this.values.set(key, placeholder);
+    this.placeholders.set(placeholder, { type, value });
+    return placeholder;
+  }
+
+  /**
+   * Remplace les données sensibles d'un texte par des jetons
+   */
+  redact(text) {
+    if (!this.enabled || !text) return text;
+
+    let result = String(text);
+
+    if (this.entities.has('health')) {
+      result = result
+        .split(/(?<=[.!?\n])/)
+        .map(sentence => (HEALTH_TERMS.test(sentence)
+          ? sentence.replace(/\S[\s\S]*\S|\S/, match => this._placeholder('health', match))
+          : sentence))
+        .join('');
+    }
+
+    for (const type of ['iban', 'nir', 'email', 'phone', 'address']) {
+      if (!this.entities.has(type)) continue;
+      result = result.replace(PATTERNS[type], match => {
+        if (type === 'iban' && !isValidIban(match)) return match;
+        return this._placeholder(type, match.trim());
+      });
+    }
+
+    if (this.entities.has('person')) {
+      for (const person of this.people) {
+        result = result.replace(person.pattern, () => this._placeholder('person', person.name));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Remet les valeurs d'origine dans une réponse (texte, tableau ou objet)
+   * Les IBAN, numéros de sécurité sociale et données de santé restent masqués
+   */
+  restore(value) {
+    if (!this.enabled || this.placeholders.size === 0) return value;
+
+    if (typeof value === 'string') {
+      return value.replace(/\[[A-Z]+_\d+\]/g, placeholder => {
+        const entry = this.placeholders.get(placeholder);
+        return entry && RESTORABLE_TYPES.has(entry.type) ? entry.value : placeholder;
+      });
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.restore(item));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restore(item)]));
+    }
+
+    return value;
+  }
+
+  /**
+   * Nombre de valeurs masquées par type
+   */
+  summary() {
+    return { ...this.counters };
+  }
+}
+
+/**
+ * Masquage des données personnelles avant l'envoi de contenu au LLM
+ *
+ * Détecte les numéros de téléphone, IBAN, numéros de sécurité sociale, adresses email
+ * et postales, les mentions de santé et les noms des contacts connus du projet, puis les
+ * remplace par des jetons stables. Chaque appel est journalisé (types et nombres, jamais
+ * les valeurs) dans redaction_logs.
+ */
+class Redactor {
+  constructor() {
+    this.enabled = config.privacy.redactionEnabled;
+    this.entityTypes = ENTITY_TYPES;
+  }
+
+  /**
+   * Réglages de masquage d'un projet (à défaut, réglages globaux)
+   */
+  async getSettings(projectId) {
+    const settings = { enabled: this.enabled, entities: ENTITY_TYPES };
+    if (!projectId) return settings;
+
+    const result = await db.query(`
+      SELECT redaction_enabled, redaction_entities FROM projects WHERE id = $1
+    `, [projectId]);
+    const project = result.rows[0];
+    if (!project) return settings;
+
+    return {
+      enabled: project.redaction_enabled ?? this.enabled,
+      entities: project.redaction_entities || ENTITY_TYPES
+    };
+  }
+
+  /**
+   * Ouvre une session de masquage pour un projet
+   */
+  async createSession(projectId) {
+    const settings = await this.getSettings(projectId);
+    const people = settings.enabled && settings.entities.includes('person')
+      ? await this._knownPeople(projectId)
+      : [];
+
+    return new RedactionSession({ ...settings, people });
+  }
+
+  /**
+   * Noms des contacts du projet, complets puis réduits au nom de famille
+   */
+  async _knownPeople(projectId) {
+    if (!projectId) return [];
+
+    const result = await db.query(`
+      SELECT DISTINCT c.name
+      FROM contacts c
+      JOIN project_contacts pc ON pc.contact_id = c.id
+      WHERE pc.project_id = $1 AND c.name IS NOT NULL AND length(c.name) > 3
+    `, [projectId]);
+
+    const people = [];
+    result.rows.forEach(({ name }) => {
+      const cleaned = name.replace(/["']/g, '').trim();
+      const tokens = cleaned.split(/\s+/);
+      people.push({ name: cleaned, pattern: wordPattern(cleaned) });
+
+      // Nom de famille seul, avec majuscule initiale pour limiter les faux positifs
+      const surname = tokens[tokens.length - 1];
+      if (tokens.length > 1 && surname.length >= 4 && /^[A-ZÀ-Ý]/.test(surname)) {
+        people.push({ name: cleaned, pattern: wordPattern(surname) });
+      }
+    });
+
+    // Les noms complets sont remplacés avant les noms de famille
+    return people.sort((a, b) => b.pattern.source.length - a.pattern.source.length);
+  }
+
+  /**
+   * Exécute un appel au LLM sur du contenu masqué puis remet les valeurs dans la réponse
+   * `call` reçoit la fonction de masquage à appliquer à chaque texte envoyé
+   */
+  async protect({ projectId = null, emailId = null, purpose }, call) {
+    const session = await this.createSession(projectId);
+
+    try {
+      const result = await call(text => session.redact(text));
+      return session.restore(result);
+    } finally {
+      await this._log(session, { projectId, emailId, purpose });
+    }
+  }
+
+  async _log(session, { projectId, emailId, purpose }) {
+    if (!session.enabled) return;
+
+    const counts = session.summary();
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    try {
+      await db.query(`
+        INSERT INTO redaction_logs (project_id, email_id, purpose, counts, total)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [projectId, emailId, purpose, JSON.stringify(counts), total]);
+    } catch (error) {
+      logger.error('Erreur lors de la journalisation du masquage:', error.message);
+    }
+
+    if (total > 0) {
+      logger.info(`Masquage avant envoi au LLM (${purpose}${emailId ? `, email ${emailId}` : ''}): ${JSON.stringify(counts)}`);
+    }
+  }
+}
+
+module.exports = new Redactor();
@@ -0,0 +1,383 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+
+// Étapes successives du traitement d'un email
+const STEPS = ['fetched', 'stored', 'analyzed', 'attachments', 'tasks', 'compliance', 'contacts', 'indexed'];
+
+// Colonnes exposées par l'API (le message brut est exclu)
+const PUBLIC_COLUMNS = `
+  id, source, label, message_id, options, state, step, context, email_id, attempts,
+  max_attempts, next_attempt_at, locked_at, last_error, failed_step, created_at,
+  updated_at, completed_at, octet_length(raw_message) AS raw_size
+`;
+
+/**
+ * File de traitement persistante, stockée dans la table processing_jobs
+ *
+ * États : queued → processing → done, ou retrying (nouvelle tentative différée)
+ * puis dead une fois les tentatives épuisées ; discarded après abandon manuel
+ *
+ * Un travail verrouillé porte un jeton (locked_by) et son verrou est rafraîchi pendant
+ * l'exécution. Seul un verrou qui n'est plus rafraîchi depuis QUEUE_STALE_AFTER est libéré ;
+ * le traitement qui l'a perdu s'arrête à la fin de l'étape en cours.
+ */
+class JobQueue {
+  constructor() {
+    this.steps = STEPS;
+    this.handler = null;
+    this.timer = null;
+    this.draining = false;
+  }
+
+  /**
+   * Définit la fonction qui exécute un travail : async (job) => résultat
+   */
+  setHandler(handler) {
+    this.handler = handler;
+  }
+
+  /**
+   * Ajoute un message brut à la file
+   * Avec claim: true, le travail est directement verrouillé pour être exécuté par l'appelant
+   * Retourne { job, created } ; un travail encore actif pour le même message est réutilisé
+   *
+   * L'index unique partiel sur message_id (travaux actifs) départage deux ajouts simultanés
+   * du même message, par exemple par IMAP et par le webhook
+   */
+  async enqueue({ source, label, messageId, rawMessage, options = {}, claim = false }) {
+    for (;;) {
+      const result = await db.query(`
+        INSERT INTO processing_jobs (
+          source, label, message_id, raw_message, options, state, max_attempts, locked_at, locked_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (message_id) WHERE state IN ('queued', 'processing', 'retrying') DO NOTHING
+        RETURNING *
+      `, [
+        source,
+        label || null,
+        messageId || null,
+        rawMessage,
+        JSON.stringify(options),
+        claim ? 'processing' : 'queued',
+        config.queue.maxAttempts,
+        claim ? new Date() : null,
+        claim ? crypto.randomUUID() : null
+      ]);
+
+      if (result.rows.length > 0) {
+        const job = result.rows[0];
+        logger.debug(`Travail ${job.id} ajouté à la file (${source}: ${label || messageId})`);
+
+        if (!claim) this.kick();
+
+        return { job, created: true };
+      }
+
+      const existing = await db.query(`
+        SELECT ${PUBLIC_COLUMNS} FROM processing_jobs
+        WHERE message_id = $1 AND state IN ('queued', 'processing', 'retrying')
+      `, [messageId]);
+
+      if (existing.rows.length > 0) {
+        logger.debug(`Message ${messageId} déjà présent dans la file (travail ${existing.rows[0].id})`);
+        return { job: existing.rows[0], created: false };
+      }
+
+      // Le travail concurrent s'est terminé entre-temps : nouvel essai d'insertion
+    }
+  }
+
+  /**
+   * Exécute un travail déjà verrouillé et enregistre son issue
+   * Relance l'erreur après l'avoir enregistrée, pour que l'appelant en soit informé
+   */
+  async execute(job) {
+    if (!this.handler) {
+      throw new Error('Aucun gestionnaire de traitement défini pour la file');
+    }
+
+    // Verrou rafraîchi pendant les étapes longues (OCR, attente du LLM)
+    const heartbeat = setInterval(() => {
+      this._heartbeat(job).catch(error => logger.warn(`Verrou du travail ${job.id} non rafraîchi: ${error.message}`));
+    }, Math.max(Math.floor(config.queue.staleAfter / 3), 1000));
+
+    try {
+      const result = await this.handler(job);
+
+      const done = await db.query(`
+        UPDATE processing_jobs
+        SET state = 'done', raw_message = NULL, locked_at = NULL, locked_by = NULL, last_error = NULL,
+            failed_step = NULL, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND locked_by = $2
+      `, [job.id, job.locked_by]);
+
+      if (done.rowCount === 0) {
+        logger.warn(`Travail ${job.id} terminé après la perte de son verrou`);
+      }
+
+      return result;
+    } catch (error) {
+      await this._recordFailure(job, error);
+      throw error;
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Rafraîchit le verrou d'un travail en cours ; false s'il a été perdu
+   */
+  async _heartbeat(job) {
+    const result = await db.query(`
+      UPDATE processing_jobs SET locked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND state = 'processing' AND locked_by = $2
+    `, [job.id, job.locked_by]);
+
+    if (result.rowCount === 0 && !job.lockLost) {
+      job.lockLost = true;
+      logger.warn(`Travail ${job.id} : verrou perdu, le traitement s'arrêtera à la fin de l'étape en cours`);
+    }
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Enregistre l'avancement d'un travail après une étape réussie et rafraîchit son verrou
+   * Accepte un client de transaction pour valider l'étape avec ses propres écritures
+   * Lève une erreur `lockLost` si le travail a été remis en file entre-temps
+   */
+  async saveProgress(job, step, context, client = db) {
+    const result = await client.query(`
+      UPDATE processing_jobs
+      SET step = $1, context = $2, email_id = COALESCE($3, email_id), locked_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4 AND state = 'processing' AND locked_by = $5
+    `, [step, JSON.stringify(context), context.emailId || null, job.id, job.locked_by]);
+
+    if (result.rowCount === 0) {
+      const error = new Error(`Verrou du travail ${job.id} perdu, étape ${step} non enregistrée`);
+      error.lockLost = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Lève une erreur `lockLost` si le rafraîchissement du verrou a signalé sa perte
+   * Appelée avant chaque étape, pour ne pas en commencer une sous le verrou d'un autre traitement
+   */
+  assertLocked(job, step) {
+    if (!job.lockLost) return;
+
+    const error = new Error(`Verrou du travail ${job.id} perdu, étape ${step} non commencée`);
+    error.lockLost = true;
+    throw error;
+  }
+
+  /**
+   * Planifie une nouvelle tentative ou place le travail dans la file des échecs
+   * Un travail dont le verrou a été perdu appartient à un autre traitement et n'est pas modifié
+   */
+  async _recordFailure(job, error) {
+    const attempts = job.attempts + 1;
+    const exhausted = attempts >= job.max_attempts;
+    const delay = this._backoffDelay(attempts);
+
+    const result = await db.query(`
+      UPDATE processing_jobs
+      SET state = $1, attempts = $2, next_attempt_at = $3, last_error = $4,
+          failed_step = $5, locked_at = NULL, locked_by = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6 AND locked_by = $7
+    `, [
+      exhausted ? 'dead' : 'retrying',
+      attempts,
+      new Date(Date.now() + delay),
+      error.message,
+      error.step || null,
+      job.id,
+      job.locked_by
+    ]);
+
+    if (result.rowCount === 0) {
+      logger.warn(`Travail ${job.id} repris par un autre traitement, échec non enregistré: ${error.message}`);
+      return;
+    }
+
+    if (exhausted) {
+      logger.error(`Travail ${job.id} abandonné après ${attempts} tentative(s): ${error.message}`);
+    } else {
+      logger.warn(`Travail ${job.id} en échec (tentative ${attempts}), nouvel essai dans ${Math.round(delay / 1000)} s: ${error.message}`);
+    }
+  }
+
+  /**
+   * Délai avant la prochaine tentative, doublé à chaque échec
+   */
+  _backoffDelay(attempts) {
+    const { minDelay, maxDelay } = config.queue.backoff;
+    return Math.min(minDelay * Math.pow(2, attempts - 1), maxDelay);
+  }
+
+  /**
+   * Démarre le traitement de fond des travaux en attente
+   */
+  start() {
+    if (this.timer) return;
+
+    logger.info('File de traitement des emails démarrée');
+    this.timer = setInterval(() => this.kick(), config.queue.pollInterval);
+    this.kick();
+  }
+
+  /**
+   * Arrête le traitement de fond
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Traite les travaux disponibles les uns après les autres
+   */
+  kick() {
+    if (!this.timer || this.draining) return;
+
+    this.draining = true;
+    this._drain()
+      .catch(error => logger.error('Erreur lors du traitement de la file:', error))
+      .finally(() => {
+        this.draining = false;
+      });
+  }
+
+  async _drain() {
+    await this._releaseStale();
+
+    let job = await this._claimNext();
+    while (job && this.timer) {
+      try {
+        await this.execute(job);
+      } catch (error) {
+        // Échec déjà enregistré par execute()
+      }
+      job = await this._claimNext();
+    }
+  }
+
+  /**
+   * Verrouille le prochain travail prêt à être exécuté
+   */
+  async _claimNext() {
+    const result = await db.query(`
+      UPDATE processing_jobs
+      SET state = 'processing', locked_at = CURRENT_TIMESTAMP, locked_by = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM processing_jobs
+        WHERE state IN ('queued', 'retrying') AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY next_attempt_at ASC, id ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [crypto.randomUUID()]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Remet en file les travaux dont le verrou n'est plus rafraîchi (arrêt brutal pendant le traitement)
+   */
+  async _releaseStale() {
+    const result = await db.query(`
+      UPDATE processing_jobs
+      SET state = 'retrying', locked_at = NULL, locked_by = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE state = 'processing' AND locked_at < CURRENT_TIMESTAMP - make_interval(secs => $1)
+      RETURNING id
+    `, [Math.round(config.queue.staleAfter / 1000)]);
+
+    if (result.rows.length > 0) {
+      logger.warn(`${result.rows.length} travail(s) interrompu(s) remis en file`);
+    }
+  }
+
+  /**
+   * Liste les travaux, éventuellement filtrés par état
+   */
+  async list({ state = null, limit = 100 } = {}) {
+    const params = [];
+    let query = `SELECT ${PUBLIC_COLUMNS} FROM processing_jobs`;
+
+    if (state) {
+      params.push(state);
+      query += ` WHERE state = $${params.length}`;
+    }
+
+    params.push(limit);
+    query += ` ORDER BY updated_at DESC LIMIT $${params.length}`;
+
+    const result = await db.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Détails d'un travail
+   */
+  async get(jobId) {
+    const result = await db.query(`SELECT ${PUBLIC_COLUMNS} FROM processing_jobs WHERE id = $1`, [jobId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Nombre de travaux par état
+   */
+  async stats() {
+    const result = await db.query(`
+      SELECT state, COUNT(*)::int AS count
+      FROM processing_jobs
+      GROUP BY state
+    `);
+
+    return result.rows.reduce((stats, row) => ({ ...stats, [row.state]: row.count }), {});
+  }
+
+  /**
+   * Relance immédiatement un travail en échec ou abandonné
+   * Le traitement reprend à l'étape suivant la dernière étape réussie.
+   * L'index unique des travaux actifs lève une erreur 23505 si le même message est déjà en file
+   */
+  async retry(jobId) {
+    const result = await db.query(`
+      UPDATE processing_jobs
+      SET state = 'queued', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND state IN ('dead', 'retrying') AND raw_message IS NOT NULL
+      RETURNING id
+    `, [jobId]);
+
+    if (result.rows.length === 0) return null;
+
+    logger.info(`Travail ${jobId} relancé manuellement`);
+    this.kick();
+    return this.get(jobId);
+  }
+
+  /**
+   * Abandonne définitivement un travail et libère le message brut
+   */
+  async discard(jobId) {
+    const result = await db.query(`
+      UPDATE processing_jobs
+      SET state = 'discarded', raw_message = NULL, locked_at = NULL, locked_by = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND state IN ('dead', 'retrying', 'queued')
+      RETURNING id
+    `, [jobId]);
+
+    if (result.rows.length === 0) return null;
+
+    logger.info(`Travail ${jobId} abandonné manuellement`);
+    return this.get(jobId);
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,138 @@
+/**
+ * Script de rejeu de charges utiles vers le webhook de réception des emails
+ * Les requêtes sont signées avec INBOUND_WEBHOOK_SECRET, comme le ferait le relais
+ *
+ * Utilisation :
+ *   npm run replay-inbound -- [--url <url>] [--multipart] fichier...
+ *
+ * Les fichiers .eml sont envoyés en MIME brut, les fichiers .json en JSON,
+ * ou sous forme de formulaire multipart avec --multipart (format SendGrid / Mailgun)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./utils/logger');
+const inboundWebhook = require('./email/inboundWebhook');
+
+/**
+ * Lit les arguments de la ligne de commande
+ */
+function parseArgs(argv) {
+  const options = {
+    url: `http://localhost:${config.port}/api/inbound/email`,
+    multipart: false,
+    files: []
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '--url':
+        options.url = argv[++i];
+        break;
+      case '--multipart':
+        options.multipart = true;
+        break;
+      default:
+        options.files.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Construit la requête signée correspondant à un fichier d'exemple
+ */
+function buildRequest(filePath, options) {
+  const content = fs.readFileSync(filePath);
+
+  if (path.extname(filePath).toLowerCase() !== '.json') {
+    const { timestamp, signature } = inboundWebhook.signBody(content);
+    return {
+      headers: {
+        'Content-Type': 'message/rfc822',
+        'X-Inbound-Timestamp': timestamp,
+        'X-Inbound-Signature': signature
+      },
+      body: content
+    };
+  }
+
+  const payload = JSON.parse(content.toString('utf-8'));
+
+  if (options.multipart) {
+    const form = new FormData();
+    const fields = { ...payload, ...inboundWebhook.signFields() };
+    delete fields.attachments;
+
+    for (const [name, value] of Object.entries(fields)) {
+      form.append(name, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+
+    (payload.attachments || []).forEach((attachment, index) => {
+      const blob = new Blob([Buffer.from(attachment.content || '', 'base64')], { type: attachment.content_type });
+      form.append(`attachment-${index + 1}`, blob, attachment.filename);
+    });
+
+    return { headers: {}, body: form };
+  }
+
+  const body = JSON.stringify(payload);
+  const { timestamp, signature } = inboundWebhook.signBody(body);
+  return {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Inbound-Timestamp': timestamp,
+      'X-Inbound-Signature': signature
+    },
+    body
+  };
+}
+
+async function replay(argv) {
+  const options = parseArgs(argv);
+
+  if (options.files.length === 0) {
+    logger.error('Utilisation: npm run replay-inbound -- [--url <url>] [--multipart] fichier...');
+    return false;
+  }
+
+  if (!inboundWebhook.isEnabled()) {
+    logger.error('INBOUND_WEBHOOK_SECRET doit être défini pour signer les requêtes');
+    return false;
+  }
+
+  let success = true;
+
+  for (const filePath of options.files) {
+    try {
+      const request = buildRequest(filePath, options);
+      const response = await fetch(options.url, { method: 'POST', headers: request.headers, body: request.body });
+      const result = await response.json();
+
+      logger.info(`${path.basename(filePath)}: HTTP ${response.status} - ${result.message}`);
+      if (!response.ok) success = false;
+    } catch (error) {
+      logger.error(`Erreur lors du rejeu de ${filePath}:`, error.message);
+      success = false;
+    }
+  }
+
+  return success;
+}
+
+// Exécution du script si lancé directement
+if (require.main === module) {
+  replay(process.argv.slice(2))
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      logger.error('Erreur non gérée lors du rejeu:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { replay };
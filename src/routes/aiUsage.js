@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const logger = require('../utils/logger');
+const usageMeter = require('../llm/usage');
+
+// Consommation IA d'un projet : tokens, latence, coût et budget (?from=&to=, mois en cours par défaut)
+router.get('/projects/:id/ai-usage', async (req, res) => {
+  try {
+    const from = req.query.from || null;
+    const to = req.query.to || null;
+
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Les bornes from et to doivent être des dates valides'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: await usageMeter.getProjectUsage(req.params.id, { from, to })
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération de la consommation IA du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération de la consommation IA',
+      error: error.message
+    });
+  }
+});
+
+// Budget mensuel du projet en euros (monthly_budget: nombre, ou null pour le budget global)
+router.put('/projects/:id/ai-budget', async (req, res) => {
+  try {
+    const { monthly_budget = null } = req.body;
+
+    if (monthly_budget !== null && (typeof monthly_budget !== 'number' || monthly_budget < 0)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Le champ monthly_budget doit être un nombre positif ou null'
+      });
+    }
+
+    const result = await db.query(`
+      UPDATE projects SET ai_monthly_budget = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id
+    `, [monthly_budget, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Projet non trouvé'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        monthly_budget: await usageMeter.getBudget(req.params.id),
+        spent_this_month: await usageMeter.monthSpent(req.params.id)
+      },
+      message: 'Budget IA mis à jour'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la mise à jour du budget IA du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la mise à jour du budget IA',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
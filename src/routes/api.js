@@ -1,10 +1,38 @@
 const express = require('express');
 const router = express.Router();
+const config = require('../config');
 const db = require('../database');
 const logger = require('../utils/logger');
 const mistralClient = require('../llm/mistral');
 const coordinationAgent = require('../agents/coordinationAgent');
-const emailProcessor = require('../email/emailProcessor');
+const mailboxManager = require('../email/mailboxManager');
+const redactor = require('../privacy/redactor');
+const semanticSearch = require('../search/semanticSearch');
+const lessonsLearned = require('../lessons/lessonsLearned');
+const routingRoutes = require('./routing');
+const threadRoutes = require('./threads');
+const mailboxRoutes = require('./mailboxes');
+const importRoutes = require('./imports');
+const attachmentRoutes = require('./attachments');
+const jobRoutes = require('./jobs');
+const reanalysisRoutes = require('./reanalysis');
+const inboundRoutes = require('./inbound');
+const filterRoutes = require('./filters');
+const taskReviewRoutes = require('./taskReviews');
+const taskUpdateRoutes = require('./taskUpdates');
+const contactRoutes = require('./contacts');
+const calendarRoutes = require('./calendar');
+const privacyRoutes = require('./privacy');
+const llmRoutes = require('./llm');
+const promptRoutes = require('./prompts');
+const aiUsageRoutes = require('./aiUsage');
+const searchRoutes = require('./search');
+const askRoutes = require('./ask');
+const lessonRoutes = require('./lessons');
+const complianceRoutes = require('./compliance');
+
+// Modes de /search-emails : mots exacts, sens, ou les deux
+const SEARCH_MODES = ['keyword', 'semantic', 'hybrid'];
 
 // Route API - Home
 router.get('/', (req, res) => {
@@ -119,6 +147,47 @@ router.post('/projects', async (req, res) => {
   }
 });
 
+// Clôture d'un projet ; les leçons apprises sont générées en arrière-plan (LESSONS_ON_CLOSE)
+router.post('/projects/:id/close', async (req, res) => {
+  try {
+    const result = await db.query(`
+      UPDATE projects
+      SET status = 'closed', end_date = COALESCE(end_date, CURRENT_DATE), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Projet non trouvé'
+      });
+    }
+
+    const project = result.rows[0];
+    if (config.lessons.generateOnClose) {
+      lessonsLearned.generate(project.id).catch(error => {
+        logger.error(`Erreur lors de la génération des leçons apprises du projet ${project.id}:`, error.message);
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: project,
+      message: config.lessons.generateOnClose
+        ? 'Projet clôturé, génération des leçons apprises lancée'
+        : 'Projet clôturé'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la clôture du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la clôture du projet',
+      error: error.message
+    });
+  }
+});
+
 // Liste des emails d'un projet
 router.get('/projects/:id/emails', async (req, res) => {
   try {
@@ -224,8 +293,8 @@ router.get('/trades', async (req, res) => {
 // Trigger de récupération des emails
 router.post('/trigger-email-fetch', async (req, res) => {
   try {
-    // Lancer la récupération des emails de façon asynchrone
-    emailProcessor.start();
+    // Démarrer l'ingestion, ou synchroniser la connexion existante si elle tourne déjà
+    await mailboxManager.start();
     
     res.json({
       status: 'success',
@@ -244,7 +313,7 @@ router.post('/trigger-email-fetch', async (req, res) => {
 // Analyse de texte ad-hoc avec Mistral
 router.post('/analyze-text', async (req, res) => {
   try {
-    const { text, context } = req.body;
+    const { text, context, project_id } = req.body;
     
     if (!text) {
       return res.status(400).json({
@@ -252,24 +321,33 @@ router.post('/analyze-text', async (req, res) => {
         message: 'Le texte à analyser est obligatoire'
       });
     }
+
+    // project_id facultatif : il détermine le masquage, le budget et l'imputation de la consommation
+    const projectId = project_id === undefined || project_id === null || project_id === '' ? null : Number(project_id);
+    if (projectId !== null && (!Number.isInteger(projectId) || projectId < 1)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Le champ project_id doit être un identifiant de projet'
+      });
+    }
+
+    if (projectId !== null) {
+      const project = await db.query('SELECT id FROM projects WHERE id = $1', [projectId]);
+      if (project.rows.length === 0) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Projet non trouvé'
+        });
+      }
+    }
     
-    const prompt = `
-Analyse ce texte ${context ? `dans le contexte de "${context}"` : ''}:
-
-${text}
-
-Fournis une analyse détaillée incluant:
-1. Résumé concis
-2. Points clés
-3. Actions requises
-4. Risques potentiels
-5. Recommandations
-`;
-    
-    const analysis = await mistralClient.generateText(prompt, {
-      temperature: 0.3,
-      max_tokens: 1500
-    });
+    // Les données personnelles sont masquées selon les réglages du projet
+    const analysis = await redactor.protect({ projectId, purpose: 'analyze_text' }, redact => (
+      mistralClient.analyzeText(redact(text), context ? redact(context) : null, {
+        projectId,
+        priority: 'interactive'
+      })
+    ));
     
     res.json({
       status: 'success',
@@ -278,6 +356,13 @@ Fournis une analyse détaillée incluant:
       }
     });
   } catch (error) {
+    if (error.budgetExceeded) {
+      return res.status(429).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
     logger.error('Erreur lors de l\'analyse du texte:', error);
     res.status(500).json({
       status: 'error',
@@ -290,7 +375,7 @@ Fournis une analyse détaillée incluant:
 // Recherche contextuelle dans les emails
 router.post('/search-emails', async (req, res) => {
   try {
-    const { query, projectId } = req.body;
+    const { query, projectId, mode = 'keyword', from = null, to = null, limit } = req.body;
     
     if (!query) {
       return res.status(400).json({
@@ -298,24 +383,57 @@ router.post('/search-emails', async (req, res) => {
         message: 'La requête de recherche est obligatoire'
       });
     }
+
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Mode de recherche invalide (valeurs possibles : ${SEARCH_MODES.join(', ')})`
+      });
+    }
+
+    // Recherche par sens : passages classés avec extrait surligné
+    if (mode !== 'keyword') {
+      if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Les bornes from et to doivent être des dates valides'
+        });
+      }
+
+      const { model, results } = await semanticSearch.search(query, {
+        mode,
+        projectId: projectId || null,
+        from,
+        to,
+        limit: parseInt(limit, 10) || 20
+      });
+
+      return res.json({
+        status: 'success',
+        data: results,
+        count: results.length,
+        mode,
+        model
+      });
+    }
     
     // Pour une vraie implémentation, il faudrait utiliser une base de données vectorielle
-    // Ici on fait une recherche simple dans la base de données
-    const queryParams = [
-      `%${query}%`,
-      `%${query}%`,
-      `%${query}%`
-    ];
+    // Ici on fait une recherche simple dans la base de données, pièces jointes comprises
+    const queryParams = [`%${query}%`];
     
     let sqlQuery = `
       SELECT e.*, p.name as project_name
       FROM emails e
       JOIN projects p ON e.project_id = p.id
-      WHERE (e.subject ILIKE $1 OR e.body_text ILIKE $2 OR e.summary ILIKE $3)
+      WHERE (e.subject ILIKE $1 OR e.body_text ILIKE $1 OR e.summary ILIKE $1
+        OR EXISTS (
+          SELECT 1 FROM attachments a
+          WHERE a.email_id = e.id AND (a.text_content ILIKE $1 OR a.filename ILIKE $1)
+        ))
     `;
     
     if (projectId) {
-      sqlQuery += ` AND e.project_id = $4`;
+      sqlQuery += ` AND e.project_id = $2`;
       queryParams.push(projectId);
     }
     
@@ -329,6 +447,13 @@ router.post('/search-emails', async (req, res) => {
       count: result.rows.length
     });
   } catch (error) {
+    if (error.budgetExceeded) {
+      return res.status(429).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
     logger.error('Erreur lors de la recherche d\'emails:', error);
     res.status(500).json({
       status: 'error',
@@ -338,4 +463,67 @@ router.post('/search-emails', async (req, res) => {
   }
 });
 
+// Routage des emails vers les projets
+router.use(routingRoutes);
+
+// Fils de discussion
+router.use(threadRoutes);
+
+// Administration des boîtes mail
+router.use(mailboxRoutes);
+
+// Import d'archives d'emails
+router.use(importRoutes);
+
+// Pièces jointes (téléchargement et stockage)
+router.use(attachmentRoutes);
+
+// File de traitement des emails
+router.use(jobRoutes);
+
+// Réanalyse des emails stockés
+router.use(reanalysisRoutes);
+
+// Réception des emails par webhook HTTP
+router.use(inboundRoutes);
+
+// Pré-filtrage des messages automatiques
+router.use(filterRoutes);
+
+// Rapprochement des tâches extraites avec le planning
+router.use(taskReviewRoutes);
+
+// Avancement des tâches détecté dans les emails
+router.use(taskUpdateRoutes);
+
+// Annuaire des contacts et des entreprises
+router.use(contactRoutes);
+
+// Calendrier des réunions et des jalons
+router.use(calendarRoutes);
+
+// Masquage des données personnelles
+router.use(privacyRoutes);
+
+// Qualité des réponses du LLM
+router.use(llmRoutes);
+
+// Registre des prompts
+router.use(promptRoutes);
+
+// Consommation et budget IA par projet
+router.use(aiUsageRoutes);
+
+// Index de la recherche sémantique
+router.use(searchRoutes);
+
+// Questions sur un projet
+router.use(askRoutes);
+
+// Leçons apprises
+router.use(lessonRoutes);
+
+// Non-conformités et analyse de conformité des pièces jointes
+router.use(complianceRoutes);
+
 module.exports = router; 
\ No newline at end of file
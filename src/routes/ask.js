@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const logger = require('../utils/logger');
+const projectAssistant = require('../search/projectAssistant');
+const { requireAuth } = require('../utils/apiAuth');
+
+// Question sur un projet, réponse citant les emails, pièces jointes, tâches et non-conformités
+// { question, conversation_id? } ; sans conversation_id, une nouvelle conversation est ouverte
+// Les conversations appartiennent à l'utilisateur authentifié (req.user)
+router.post('/projects/:id/ask', requireAuth, async (req, res) => {
+  try {
+    const { question, conversation_id = null } = req.body;
+
+    if (!question) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Le champ question est obligatoire'
+      });
+    }
+
+    const project = await db.query('SELECT id FROM projects WHERE id = $1', [req.params.id]);
+    if (project.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Projet non trouvé'
+      });
+    }
+
+    const result = await projectAssistant.ask(project.rows[0].id, {
+      question,
+      userName: req.user,
+      conversationId: conversation_id
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Conversation non trouvée pour cet utilisateur et ce projet'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    if (error.budgetExceeded) {
+      return res.status(429).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    logger.error(`Erreur lors de la réponse à une question sur le projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la réponse à la question',
+      error: error.message
+    });
+  }
+});
+
+// Conversations de l'utilisateur sur un projet
+router.get('/projects/:id/conversations', requireAuth, async (req, res) => {
+  try {
+    const conversations = await projectAssistant.listConversations(req.params.id, req.user);
+
+    res.json({
+      status: 'success',
+      data: conversations,
+      count: conversations.length
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération des conversations du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des conversations',
+      error: error.message
+    });
+  }
+});
+
+// Conversation complète de l'utilisateur avec ses questions et réponses
+router.get('/conversations/:id', requireAuth, async (req, res) => {
+  try {
+    const conversation = await projectAssistant.getConversation(req.params.id, req.user);
+
+    if (!conversation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Conversation non trouvée pour cet utilisateur'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: conversation
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération de la conversation ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération de la conversation',
+      error: error.message
+    });
+  }
+});
+
+// Suppression d'une conversation de l'utilisateur
+router.delete('/conversations/:id', requireAuth, async (req, res) => {
+  try {
+    const deleted = await projectAssistant.deleteConversation(req.params.id, req.user);
+
+    if (!deleted) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Conversation non trouvée pour cet utilisateur'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Conversation supprimée'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la suppression de la conversation ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la suppression de la conversation',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const db = require('../database');
+const logger = require('../utils/logger');
+const attachmentStore = require('../attachments/attachmentStore');
+const { requireAuth } = require('../utils/apiAuth');
+
+// Colonnes exposées par l'API
+const PUBLIC_COLUMNS = `
+  id, email_id, filename, content_type, size, storage_backend, storage_status,
+  storage_attempts, storage_error, extraction_status, extraction_method, created_at
+`;
+
+// Pièces jointes d'un email
+router.get('/emails/:id/attachments', async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT ${PUBLIC_COLUMNS} FROM attachments
+      WHERE email_id = $1
+      ORDER BY id ASC
+    `, [req.params.id]);
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération des pièces jointes de l'email ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des pièces jointes',
+      error: error.message
+    });
+  }
+});
+
+// Génération d'un lien de téléchargement signé (?ttl= en secondes, au plus STORAGE_LINK_TTL)
+router.get('/attachments/:id/link', requireAuth, async (req, res) => {
+  try {
+    const maxTtl = config.storage.linkTtlSeconds;
+    let ttl;
+    if (req.query.ttl !== undefined) {
+      ttl = Number(req.query.ttl);
+      if (!Number.isInteger(ttl) || ttl < 1 || ttl > maxTtl) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Le paramètre ttl doit être un nombre entier de secondes entre 1 et ${maxTtl}`
+        });
+      }
+    }
+
+    const result = await db.query('SELECT id FROM attachments WHERE id = $1', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pièce jointe non trouvée'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: attachmentStore.createDownloadLink(result.rows[0].id, ttl)
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la génération du lien de la pièce jointe ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la génération du lien de téléchargement',
+      error: error.message
+    });
+  }
+});
+
+// Téléchargement d'une pièce jointe (lien signé requis)
+router.get('/attachments/:id/download', async (req, res) => {
+  try {
+    const { expires, signature } = req.query;
+
+    if (!attachmentStore.verifyDownloadLink(req.params.id, expires, signature)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Lien de téléchargement invalide ou expiré'
+      });
+    }
+
+    const result = await db.query('SELECT * FROM attachments WHERE id = $1', [req.params.id]);
+    const attachment = result.rows[0];
+
+    if (!attachment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pièce jointe non trouvée'
+      });
+    }
+
+    let stream;
+    try {
+      stream = await attachmentStore.openStream(attachment);
+    } catch (storageError) {
+      logger.error(`Contenu indisponible pour la pièce jointe ${attachment.id}:`, storageError.message);
+      return res.status(404).json({
+        status: 'error',
+        message: 'Contenu de la pièce jointe indisponible',
+        error: storageError.message
+      });
+    }
+
+    res.attachment(attachment.filename);
+    res.type(attachment.content_type || 'application/octet-stream');
+
+    stream.on('error', (streamError) => {
+      logger.error(`Erreur lors du téléchargement de la pièce jointe ${attachment.id}:`, streamError.message);
+      res.destroy(streamError);
+    });
+
+    stream.pipe(res);
+  } catch (error) {
+    logger.error(`Erreur lors du téléchargement de la pièce jointe ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors du téléchargement de la pièce jointe',
+      error: error.message
+    });
+  }
+});
+
+// Relance manuelle de l'enregistrement des pièces jointes en attente
+router.post('/attachments/retry-pending', requireAuth, async (req, res) => {
+  try {
+    const result = await attachmentStore.retryPending();
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Erreur lors de la reprise des pièces jointes:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la reprise des pièces jointes',
+      error: error.message
+    });
+  }
+});
+
+// Remise en attente des pièces jointes en échec dont la copie locale est conservée
+router.post('/attachments/retry-failed', requireAuth, async (req, res) => {
+  try {
+    const requeued = await attachmentStore.requeueFailed();
+    const result = await attachmentStore.retryPending();
+
+    res.json({
+      status: 'success',
+      data: { requeued, ...result }
+    });
+  } catch (error) {
+    logger.error('Erreur lors de la reprise des pièces jointes en échec:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la reprise des pièces jointes en échec',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
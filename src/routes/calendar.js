@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const meetingCalendar = require('../calendar/meetingCalendar');
+
+// Calendrier d'un projet : réunions et jalons des tâches (?from=&to=)
+router.get('/projects/:id/calendar', async (req, res) => {
+  try {
+    const from = req.query.from || null;
+    const to = req.query.to || null;
+
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Les bornes from et to doivent être des dates valides'
+      });
+    }
+
+    const calendar = await meetingCalendar.getCalendar(req.params.id, { from, to });
+
+    res.json({
+      status: 'success',
+      data: calendar
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération du calendrier du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération du calendrier',
+      error: error.message
+    });
+  }
+});
+
+// Flux iCalendar d'un projet, pour abonnement depuis un agenda
+router.get('/projects/:id/calendar.ics', async (req, res) => {
+  try {
+    const feed = await meetingCalendar.buildFeed(req.params.id);
+
+    if (!feed) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Projet non trouvé'
+      });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="projet-${req.params.id}.ics"`);
+    res.send(feed);
+  } catch (error) {
+    logger.error(`Erreur lors de la génération du flux iCalendar du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la génération du flux iCalendar',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,238 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const complianceIssues = require('../compliance/complianceIssues');
+const documentClassifier = require('../attachments/documentClassifier');
+
+/**
+ * Vérifie les champs modifiables d'une non-conformité ; retourne un message d'erreur ou null
+ */
+function validateIssue(fields) {
+  if (fields.status !== undefined) {
+    return 'Le statut se modifie par POST /compliance-issues/:id/status';
+  }
+  if (fields.title !== undefined && (typeof fields.title !== 'string' || !fields.title.trim())) {
+    return 'Le champ title ne peut pas être vide';
+  }
+  if (fields.severity !== undefined && !complianceIssues.severities.includes(fields.severity)) {
+    return `Gravité invalide (valeurs possibles : ${complianceIssues.severities.join(', ')})`;
+  }
+  if (fields.deadline !== undefined && fields.deadline !== null && Number.isNaN(Date.parse(fields.deadline))) {
+    return 'Le champ deadline doit être une date valide ou null';
+  }
+  return null;
+}
+
+// Non-conformités d'un projet (?status=detected&severity=high&document_type=attestation&overdue=true)
+router.get('/projects/:id/compliance-issues', async (req, res) => {
+  try {
+    const { status, severity, document_type: documentType, overdue } = req.query;
+
+    if (status && !complianceIssues.statuses.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Statut invalide (valeurs possibles : ${complianceIssues.statuses.join(', ')})`
+      });
+    }
+    if (severity && !complianceIssues.severities.includes(severity)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Gravité invalide (valeurs possibles : ${complianceIssues.severities.join(', ')})`
+      });
+    }
+    if (documentType && !documentClassifier.types.includes(documentType)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Type de document invalide (valeurs possibles : ${documentClassifier.types.join(', ')})`
+      });
+    }
+
+    const issues = await complianceIssues.search(req.params.id, {
+      status: status || null,
+      severity: severity || null,
+      documentType: documentType || null,
+      overdue: overdue === 'true',
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 500)
+    });
+
+    res.json({
+      status: 'success',
+      data: issues,
+      count: issues.length
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération des non-conformités du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des non-conformités',
+      error: error.message
+    });
+  }
+});
+
+// Non-conformité avec l'historique de ses statuts et les statuts accessibles
+router.get('/compliance-issues/:id', async (req, res) => {
+  try {
+    const issue = await complianceIssues.get(req.params.id);
+
+    if (!issue) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Non-conformité non trouvée'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { ...issue, allowed_transitions: complianceIssues.allowedTransitions(issue.status) }
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération de la non-conformité ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération de la non-conformité',
+      error: error.message
+    });
+  }
+});
+
+// Modification d'une non-conformité (gravité, échéance, référence, responsable...)
+router.put('/compliance-issues/:id', async (req, res) => {
+  try {
+    const validationError = validateIssue(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        status: 'error',
+        message: validationError
+      });
+    }
+
+    const issue = await complianceIssues.update(req.params.id, req.body);
+
+    if (!issue) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Non-conformité non trouvée'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: issue,
+      message: 'Non-conformité mise à jour'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la mise à jour de la non-conformité ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la mise à jour de la non-conformité',
+      error: error.message
+    });
+  }
+});
+
+// Changement de statut : detected → acknowledged → in_progress → resolved / rejected ({status, changed_by, comment})
+router.post('/compliance-issues/:id/status', async (req, res) => {
+  try {
+    const { status, changed_by = null, comment = null } = req.body;
+
+    if (!complianceIssues.statuses.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Statut invalide (valeurs possibles : ${complianceIssues.statuses.join(', ')})`
+      });
+    }
+
+    const current = await complianceIssues.get(req.params.id);
+    if (!current) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Non-conformité non trouvée'
+      });
+    }
+
+    const allowed = complianceIssues.allowedTransitions(current.status);
+    if (!allowed.includes(status)) {
+      return res.status(409).json({
+        status: 'error',
+        message: allowed.length > 0
+          ? `Passage de ${current.status} à ${status} impossible (statuts possibles : ${allowed.join(', ')})`
+          : `La non-conformité est au statut ${current.status}, qui ne peut plus changer`
+      });
+    }
+
+    const issue = await complianceIssues.transition(current.id, current.status, status, {
+      changedBy: changed_by,
+      comment
+    });
+
+    if (!issue) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'La non-conformité a été modifiée entre-temps, veuillez recharger'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: issue,
+      message: `Non-conformité passée au statut ${status}`
+    });
+  } catch (error) {
+    logger.error(`Erreur lors du changement de statut de la non-conformité ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors du changement de statut de la non-conformité',
+      error: error.message
+    });
+  }
+});
+
+// Analyse de conformité d'une pièce jointe, quel que soit son type (les non-conformités non prises en charge sont remplacées)
+router.post('/attachments/:id/compliance-analysis', async (req, res) => {
+  try {
+    const result = await complianceIssues.analyzeAttachment(req.params.id, { force: true, priority: 'interactive' });
+
+    if (!result) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pièce jointe non trouvée'
+      });
+    }
+
+    if (result.invalidOutput) {
+      return res.status(502).json({
+        status: 'error',
+        message: 'Réponse du modèle inexploitable : les non-conformités précédentes sont conservées'
+      });
+    }
+
+    if (!result.analyzed) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Aucun texte extrait de cette pièce jointe, analyse impossible'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: result,
+      count: result.issues.length
+    });
+  } catch (error) {
+    if (error.budgetExceeded) {
+      return res.status(429).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error(`Erreur lors de l'analyse de conformité de la pièce jointe ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de l\'analyse de conformité',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
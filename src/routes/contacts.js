@@ -0,0 +1,598 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const logger = require('../utils/logger');
+const contactDirectory = require('../contacts/directory');
+
+/**
+ * Identifiants des doublons à fusionner (source_ids), l'identifiant cible exclu
+ */
+function parseSourceIds(body, targetId) {
+  const ids = Array.isArray(body.source_ids) ? body.source_ids : [];
+  return ids
+    .map(id => parseInt(id, 10))
+    .filter(id => Number.isInteger(id) && id !== parseInt(targetId, 10));
+}
+
+// Liste des contacts (?q=, ?company_id=, ?project_id=)
+router.get('/contacts', async (req, res) => {
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (req.query.q) {
+      params.push(`%${req.query.q}%`);
+      conditions.push(`(c.email ILIKE $${params.length} OR c.name ILIKE $${params.length} OR co.name ILIKE $${params.length})`);
+    }
+
+    if (req.query.company_id) {
+      params.push(req.query.company_id);
+      conditions.push(`c.company_id = $${params.length}`);
+    }
+
+    if (req.query.project_id) {
+      params.push(req.query.project_id);
+      conditions.push(`EXISTS (SELECT 1 FROM project_contacts pc WHERE pc.contact_id = c.id AND pc.project_id = $${params.length})`);
+    }
+
+    const result = await db.query(`
+      SELECT c.*, co.name AS company_name
+      FROM contacts c
+      LEFT JOIN companies co ON co.id = c.company_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY c.last_seen_at DESC NULLS LAST
+      LIMIT 200
+    `, params);
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+  } catch (error) {
+    logger.error('Erreur lors de la récupération des contacts:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des contacts',
+      error: error.message
+    });
+  }
+});
+
+// Détails d'un contact avec ses projets
+router.get('/contacts/:id', async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT c.*, co.name AS company_name
+      FROM contacts c
+      LEFT JOIN companies co ON co.id = c.company_id
+      WHERE c.id = $1
+    `, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Contact non trouvé'
+      });
+    }
+
+    const projects = await db.query(`
+      SELECT p.id, p.name, pc.message_count, pc.last_seen_at
+      FROM project_contacts pc
+      JOIN projects p ON p.id = pc.project_id
+      WHERE pc.contact_id = $1
+      ORDER BY pc.last_seen_at DESC NULLS LAST
+    `, [req.params.id]);
+
+    res.json({
+      status: 'success',
+      data: {
+        ...result.rows[0],
+        projects: projects.rows
+      }
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération du contact ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération du contact',
+      error: error.message
+    });
+  }
+});
+
+// Création d'un contact
+router.post('/contacts', async (req, res) => {
+  try {
+    const { email, name, company_id, role, phone } = req.body;
+
+    if (!email || !email.includes('@')) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Une adresse email valide est obligatoire'
+      });
+    }
+
+    const result = await db.query(`
+      INSERT INTO contacts (email, name, company_id, role, phone)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (email) DO NOTHING
+      RETURNING *
+    `, [email.trim().toLowerCase(), name || null, company_id || null, role || null, phone || null]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Un contact existe déjà pour cette adresse'
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      data: result.rows[0],
+      message: 'Contact créé avec succès'
+    });
+  } catch (error) {
+    logger.error('Erreur lors de la création du contact:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la création du contact',
+      error: error.message
+    });
+  }
+});
+
+// Modification d'un contact (les champs absents sont conservés)
+router.put('/contacts/:id', async (req, res) => {
+  try {
+    const { name, company_id, role, phone } = req.body;
+
+    const result = await db.query(`
+      UPDATE contacts
+      SET name = COALESCE($1, name),
+          company_id = COALESCE($2, company_id),
+          role = COALESCE($3, role),
+          phone = COALESCE($4, phone),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING *
+    `, [name || null, company_id || null, role || null, phone || null, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Contact non trouvé'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: result.rows[0],
+      message: 'Contact mis à jour'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la mise à jour du contact ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la mise à jour du contact',
+      error: error.message
+    });
+  }
+});
+
+// Suppression d'un contact
+router.delete('/contacts/:id', async (req, res) => {
+  try {
+    const result = await db.query('DELETE FROM contacts WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Contact non trouvé'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Contact supprimé'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la suppression du contact ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la suppression du contact',
+      error: error.message
+    });
+  }
+});
+
+// Fusion de contacts en double dans le contact indiqué (source_ids)
+router.post('/contacts/:id/merge', async (req, res) => {
+  try {
+    const sourceIds = parseSourceIds(req.body, req.params.id);
+
+    if (sourceIds.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'La liste des contacts à fusionner (source_ids) est obligatoire'
+      });
+    }
+
+    const contact = await contactDirectory.mergeContacts(req.params.id, sourceIds);
+
+    if (!contact) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Contact non trouvé'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: contact,
+      message: 'Contacts fusionnés'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la fusion des contacts dans le contact ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la fusion des contacts',
+      error: error.message
+    });
+  }
+});
+
+// Liste des entreprises (?q=, ?trade_id=)
+router.get('/companies', async (req, res) => {
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (req.query.q) {
+      params.push(`%${req.query.q}%`);
+      conditions.push(`(co.name ILIKE $${params.length} OR co.siret LIKE $${params.length} OR co.domain ILIKE $${params.length})`);
+    }
+
+    if (req.query.trade_id) {
+      params.push(req.query.trade_id);
+      conditions.push(`co.trade_id = $${params.length}`);
+    }
+
+    const result = await db.query(`
+      SELECT co.*, t.name AS trade_name,
+             (SELECT COUNT(*)::int FROM contacts c WHERE c.company_id = co.id) AS contact_count
+      FROM companies co
+      LEFT JOIN trades t ON t.id = co.trade_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY co.name ASC
+    `, params);
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+  } catch (error) {
+    logger.error('Erreur lors de la récupération des entreprises:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des entreprises',
+      error: error.message
+    });
+  }
+});
+
+// Détails d'une entreprise avec ses contacts et ses projets
+router.get('/companies/:id', async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT co.*, t.name AS trade_name
+      FROM companies co
+      LEFT JOIN trades t ON t.id = co.trade_id
+      WHERE co.id = $1
+    `, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Entreprise non trouvée'
+      });
+    }
+
+    const contacts = await db.query(`
+      SELECT * FROM contacts WHERE company_id = $1 ORDER BY last_seen_at DESC NULLS LAST
+    `, [req.params.id]);
+
+    const projects = await db.query(`
+      SELECT p.id, p.name, pc.role, pc.trade_id, t.name AS trade_name
+      FROM project_companies pc
+      JOIN projects p ON p.id = pc.project_id
+      LEFT JOIN trades t ON t.id = pc.trade_id
+      WHERE pc.company_id = $1
+      ORDER BY p.name ASC
+    `, [req.params.id]);
+
+    res.json({
+      status: 'success',
+      data: {
+        ...result.rows[0],
+        contacts: contacts.rows,
+        projects: projects.rows
+      }
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération de l'entreprise ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération de l\'entreprise',
+      error: error.message
+    });
+  }
+});
+
+// Création d'une entreprise
+router.post('/companies', async (req, res) => {
+  try {
+    const { name, siret, domain, trade_id, phone, address } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'La raison sociale est obligatoire'
+      });
+    }
+
+    if (siret && !contactDirectory.normalizeSiret(siret)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Numéro SIRET invalide'
+      });
+    }
+
+    const result = await db.query(`
+      INSERT INTO companies (name, normalized_name, siret, domain, trade_id, phone, address)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [
+      name.trim(),
+      contactDirectory.normalizeCompanyName(name),
+      contactDirectory.normalizeSiret(siret),
+      domain ? domain.trim().toLowerCase() : null,
+      trade_id || null,
+      phone || null,
+      address || null
+    ]);
+
+    res.status(201).json({
+      status: 'success',
+      data: result.rows[0],
+      message: 'Entreprise créée avec succès'
+    });
+  } catch (error) {
+    logger.error('Erreur lors de la création de l\'entreprise:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la création de l\'entreprise',
+      error: error.message
+    });
+  }
+});
+
+// Modification d'une entreprise (les champs absents sont conservés)
+router.put('/companies/:id', async (req, res) => {
+  try {
+    const { name, siret, domain, trade_id, phone, address } = req.body;
+
+    if (siret && !contactDirectory.normalizeSiret(siret)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Numéro SIRET invalide'
+      });
+    }
+
+    const result = await db.query(`
+      UPDATE companies
+      SET name = COALESCE($1, name),
+          normalized_name = COALESCE($2, normalized_name),
+          siret = COALESCE($3, siret),
+          domain = COALESCE($4, domain),
+          trade_id = COALESCE($5, trade_id),
+          phone = COALESCE($6, phone),
+          address = COALESCE($7, address),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $8
+      RETURNING *
+    `, [
+      name ? name.trim() : null,
+      name ? contactDirectory.normalizeCompanyName(name) : null,
+      contactDirectory.normalizeSiret(siret),
+      domain ? domain.trim().toLowerCase() : null,
+      trade_id || null,
+      phone || null,
+      address || null,
+      req.params.id
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Entreprise non trouvée'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: result.rows[0],
+      message: 'Entreprise mise à jour'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la mise à jour de l'entreprise ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la mise à jour de l\'entreprise',
+      error: error.message
+    });
+  }
+});
+
+// Suppression d'une entreprise (ses contacts sont conservés)
+router.delete('/companies/:id', async (req, res) => {
+  try {
+    const result = await db.query('DELETE FROM companies WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Entreprise non trouvée'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Entreprise supprimée'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la suppression de l'entreprise ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la suppression de l\'entreprise',
+      error: error.message
+    });
+  }
+});
+
+// Fusion d'entreprises en double dans l'entreprise indiquée (source_ids)
+router.post('/companies/:id/merge', async (req, res) => {
+  try {
+    const sourceIds = parseSourceIds(req.body, req.params.id);
+
+    if (sourceIds.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'La liste des entreprises à fusionner (source_ids) est obligatoire'
+      });
+    }
+
+    const company = await contactDirectory.mergeCompanies(req.params.id, sourceIds);
+
+    if (!company) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Entreprise non trouvée'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: company,
+      message: 'Entreprises fusionnées'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la fusion des entreprises dans l'entreprise ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la fusion des entreprises',
+      error: error.message
+    });
+  }
+});
+
+// Entreprises intervenant sur un projet, avec leur rôle
+router.get('/projects/:id/companies', async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT pc.id AS link_id, pc.role, pc.trade_id, t.name AS trade_name, co.*
+      FROM project_companies pc
+      JOIN companies co ON co.id = pc.company_id
+      LEFT JOIN trades t ON t.id = COALESCE(pc.trade_id, co.trade_id)
+      WHERE pc.project_id = $1
+      ORDER BY pc.role ASC, co.name ASC
+    `, [req.params.id]);
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération des entreprises du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des entreprises du projet',
+      error: error.message
+    });
+  }
+});
+
+// Rattachement d'une entreprise à un projet (rôle et lot)
+router.post('/projects/:id/companies', async (req, res) => {
+  try {
+    const { company_id, role, trade_id } = req.body;
+
+    if (!company_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'L\'entreprise (company_id) est obligatoire'
+      });
+    }
+
+    const link = await contactDirectory.linkCompanyToProject(req.params.id, company_id, role || 'intervenant', trade_id || null);
+
+    res.status(201).json({
+      status: 'success',
+      data: link,
+      message: 'Entreprise rattachée au projet'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors du rattachement d'une entreprise au projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors du rattachement de l\'entreprise',
+      error: error.message
+    });
+  }
+});
+
+// Retrait d'un rattachement entreprise / projet
+router.delete('/project-companies/:id', async (req, res) => {
+  try {
+    const result = await db.query('DELETE FROM project_companies WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Rattachement non trouvé'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Entreprise retirée du projet'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors du retrait du rattachement ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors du retrait de l\'entreprise du projet',
+      error: error.message
+    });
+  }
+});
+
+// Interlocuteurs d'un corps de métier sur un projet
+router.get('/projects/:id/trades/:tradeId/contacts', async (req, res) => {
+  try {
+    const contacts = await contactDirectory.contactsForTrade(req.params.id, req.params.tradeId);
+
+    res.json({
+      status: 'success',
+      data: contacts
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la recherche des interlocuteurs du corps de métier ${req.params.tradeId}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la recherche des interlocuteurs',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const logger = require('../utils/logger');
+const preFilter = require('../email/preFilter');
+
+const LIST_TYPES = ['allow', 'deny'];
+
+// Listes d'expéditeurs autorisés / refusés d'un projet
+router.get('/projects/:id/sender-rules', async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT * FROM project_sender_rules
+      WHERE project_id = $1
+      ORDER BY list_type ASC, pattern ASC
+    `, [req.params.id]);
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération des expéditeurs filtrés du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des listes d\'expéditeurs',
+      error: error.message
+    });
+  }
+});
+
+// Ajout d'un expéditeur (adresse complète ou domaine) à la liste autorisée ou refusée
+router.post('/projects/:id/sender-rules', async (req, res) => {
+  try {
+    const { list_type, pattern, note } = req.body;
+
+    if (!LIST_TYPES.includes(list_type)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Type de liste invalide (attendu: ${LIST_TYPES.join(', ')})`
+      });
+    }
+
+    if (!pattern || !pattern.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'L\'adresse ou le domaine est obligatoire'
+      });
+    }
+
+    const projectResult = await db.query('SELECT id FROM projects WHERE id = $1', [req.params.id]);
+
+    if (projectResult.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Projet non trouvé'
+      });
+    }
+
+    const result = await db.query(`
+      INSERT INTO project_sender_rules (project_id, list_type, pattern, note)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (project_id, pattern) DO UPDATE SET list_type = EXCLUDED.list_type, note = EXCLUDED.note
+      RETURNING *
+    `, [req.params.id, list_type, pattern.trim().toLowerCase(), note || null]);
+
+    res.status(201).json({
+      status: 'success',
+      data: result.rows[0],
+      message: 'Expéditeur enregistré avec succès'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de l'ajout d'un expéditeur filtré pour le projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de l\'enregistrement de l\'expéditeur',
+      error: error.message
+    });
+  }
+});
+
+// Suppression d'un expéditeur des listes
+router.delete('/sender-rules/:id', async (req, res) => {
+  try {
+    const result = await db.query('DELETE FROM project_sender_rules WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Règle non trouvée'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Expéditeur retiré de la liste'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la suppression de la règle d'expéditeur ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la suppression de la règle',
+      error: error.message
+    });
+  }
+});
+
+// Statistiques de filtrage d'un projet (?days=30)
+router.get('/projects/:id/filter-stats', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days, 10) || 30;
+
+    res.json({
+      status: 'success',
+      data: await preFilter.getStats(req.params.id, days)
+    });
+  } catch (error) {
+    logger.error(`Erreur lors du calcul des statistiques de filtrage du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors du calcul des statistiques de filtrage',
+      error: error.message
+    });
+  }
+});
+
+// Emails filtrés d'un projet (?reason=auto_reply)
+router.get('/projects/:id/filtered-emails', async (req, res) => {
+  try {
+    const params = [req.params.id];
+    let query = `
+      SELECT id, from_address, subject, received_date, filtered_reason, filter_detail
+      FROM emails
+      WHERE project_id = $1 AND filtered_reason IS NOT NULL
+    `;
+
+    if (req.query.reason) {
+      params.push(req.query.reason);
+      query += ` AND filtered_reason = $${params.length}`;
+    }
+
+    query += ' ORDER BY received_date DESC LIMIT 200';
+
+    const result = await db.query(query, params);
+
+    res.json({
+      status: 'success',
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération des emails filtrés du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des emails filtrés',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const router = express.Router();
+const config = require('../config');
+const db = require('../database');
+const logger = require('../utils/logger');
+const archiveImporter = require('../email/archiveImporter');
+
+// Les archives téléversées sont conservées sur disque pour permettre la reprise d'un import en échec,
+// puis supprimées à la fin d'un import à blanc ou d'un import terminé
+const importDir = path.join(config.paths.data, 'imports');
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdirSync(importDir, { recursive: true });
+      cb(null, importDir);
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${Date.now()}_${path.basename(file.originalname)}`);
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    cb(null, ['.eml', '.mbox'].includes(extension));
+  }
+});
+
+/**
+ * Supprime les archives téléversées d'un import refusé
+ * (celles déjà rattachées à un import sont conservées pour sa reprise)
+ */
+function removeUploads(files) {
+  for (const file of files) {
+    fs.promises.unlink(file.path).catch(error => {
+      logger.warn(`Archive ${file.path} non supprimée: ${error.message}`);
+    });
+  }
+}
+
+/**
+ * Exécute une suite d'imports en arrière-plan, un fichier après l'autre
+ */
+function runInBackground(jobs, options) {
+  (async () => {
+    for (const job of jobs) {
+      await archiveImporter.runJob(job.id, job.source, options);
+    }
+  })().catch(error => {
+    logger.error('Erreur lors de l\'import en arrière-plan:', error);
+  });
+}
+
+// Import d'archives .eml / .mbox téléversées
+router.post('/projects/:id/import', upload.array('files'), async (req, res) => {
+  const files = req.files || [];
+  const jobs = [];
+
+  try {
+    const projectId = parseInt(req.params.id, 10);
+
+    const projectResult = await db.query('SELECT id FROM projects WHERE id = $1', [projectId]);
+
+    if (projectResult.rows.length === 0) {
+      removeUploads(files);
+      return res.status(404).json({
+        status: 'error',
+        message: 'Projet non trouvé'
+      });
+    }
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Aucun fichier .eml ou .mbox fourni (champ "files")'
+      });
+    }
+
+    const options = {
+      projectId,
+      dryRun: req.body.dry_run === 'true' || req.body.dry_run === true,
+      throttleMs: parseInt(req.body.throttle_ms, 10) || 0,
+      removeSource: true
+    };
+
+    for (const file of files) {
+      jobs.push(await archiveImporter.createJob(file.path, { ...options, filename: file.originalname }));
+    }
+
+    runInBackground(jobs, options);
+
+    res.status(202).json({
+      status: 'success',
+      data: jobs,
+      message: 'Import démarré'
+    });
+  } catch (error) {
+    removeUploads(files.slice(jobs.length));
+    if (error.alreadyRunning) {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error(`Erreur lors du démarrage de l'import pour le projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors du démarrage de l\'import',
+      error: error.message
+    });
+  }
+});
+
+// Historique des imports d'un projet
+router.get('/projects/:id/imports', async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT id, project_id, filename, dry_run, status, total, processed, imported, skipped,
+             failed, last_index, error, created_at, updated_at
+      FROM import_jobs
+      WHERE project_id = $1
+      ORDER BY created_at DESC
+    `, [req.params.id]);
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération des imports du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des imports',
+      error: error.message
+    });
+  }
+});
+
+// Détail d'un import (avec le rapport d'un import à blanc)
+router.get('/imports/:id', async (req, res) => {
+  try {
+    const result = await db.query('SELECT * FROM import_jobs WHERE id = $1', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Import non trouvé'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération de l'import ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération de l\'import',
+      error: error.message
+    });
+  }
+});
+
+// Reprise d'un import interrompu
+router.post('/imports/:id/resume', async (req, res) => {
+  try {
+    const result = await db.query('SELECT * FROM import_jobs WHERE id = $1', [req.params.id]);
+    const job = result.rows[0];
+
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Import non trouvé'
+      });
+    }
+
+    if (job.status === 'completed') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Import déjà terminé'
+      });
+    }
+
+    if (archiveImporter.isRunning(job)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Import déjà en cours'
+      });
+    }
+
+    if (!fs.existsSync(job.source)) {
+      return res.status(410).json({
+        status: 'error',
+        message: 'Le fichier d\'archive n\'est plus disponible'
+      });
+    }
+
+    runInBackground([job], {
+      projectId: job.project_id,
+      throttleMs: parseInt(req.body.throttle_ms, 10) || 0,
+      removeSource: path.dirname(job.source) === path.resolve(importDir)
+    });
+
+    res.status(202).json({
+      status: 'success',
+      data: job,
+      message: 'Reprise de l\'import démarrée'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la reprise de l'import ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la reprise de l\'import',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const config = require('../config');
+const logger = require('../utils/logger');
+const emailProcessor = require('../email/emailProcessor');
+const inboundWebhook = require('../email/inboundWebhook');
+
+// Formulaires multipart (SendGrid Inbound Parse, Mailgun) : pièces jointes conservées en mémoire,
+// en nombre limité puisque la signature ne peut être vérifiée qu'une fois le formulaire lu
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.inbound.maxBytes,
+    fieldSize: config.inbound.maxBytes,
+    files: config.inbound.maxFiles,
+    fields: config.inbound.maxFields
+  }
+}).any();
+
+/**
+ * Lit un formulaire multipart, sauf si le webhook est désactivé ;
+ * un formulaire hors limites est refusé (413) sans être conservé
+ */
+function parseForm(req, res, next) {
+  if (!inboundWebhook.isEnabled()) return next();
+
+  upload(req, res, error => {
+    if (error instanceof multer.MulterError) {
+      return res.status(413).json({
+        status: 'error',
+        message: 'Formulaire trop volumineux',
+        error: error.message
+      });
+    }
+    next(error);
+  });
+}
+
+// Réception d'un email poussé par un relais HTTP
+// Corps : MIME brut (message/rfc822), JSON ou formulaire au format SendGrid / Mailgun
+// Le projet est déterminé par le routage des emails : rien hors de la signature ne l'impose
+router.post('/inbound/email', parseForm, async (req, res) => {
+  try {
+    if (!inboundWebhook.isEnabled()) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'Webhook de réception désactivé (INBOUND_WEBHOOK_SECRET non configuré)'
+      });
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : req.rawBody;
+
+    if (!await inboundWebhook.verifySignature({ headers: req.headers, rawBody, fields: req.body })) {
+      logger.warn(`Signature invalide sur le webhook de réception (${req.ip})`);
+      return res.status(401).json({
+        status: 'error',
+        message: 'Signature invalide ou expirée'
+      });
+    }
+
+    let rawMessage;
+    try {
+      rawMessage = await inboundWebhook.toRawMessage(req.body, req.files || []);
+    } catch (payloadError) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Charge utile non reconnue',
+        error: payloadError.message
+      });
+    }
+
+    const queued = await emailProcessor.enqueueRawEmail(rawMessage, {
+      source: 'webhook',
+      label: `webhook:${req.ip}`
+    });
+
+    // Idempotence : un message déjà reçu n'est pas retraité
+    if (queued.duplicate || !queued.created) {
+      return res.json({
+        status: 'success',
+        message: 'Email déjà reçu',
+        data: {
+          duplicate: true,
+          email_id: queued.emailId || (queued.job && queued.job.email_id) || null,
+          job_id: queued.job ? queued.job.id : null
+        }
+      });
+    }
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Email placé dans la file de traitement',
+      data: {
+        duplicate: false,
+        job_id: queued.job.id,
+        message_id: queued.job.message_id
+      }
+    });
+  } catch (error) {
+    logger.error('Erreur lors de la réception d\'un email par webhook:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la réception de l\'email',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const jobQueue = require('../queue/jobQueue');
+
+const STATES = ['queued', 'processing', 'retrying', 'done', 'dead', 'discarded'];
+
+// Liste des travaux de la file de traitement (?state=dead pour la file des échecs)
+router.get('/jobs', async (req, res) => {
+  try {
+    const { state } = req.query;
+
+    if (state && !STATES.includes(state)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `État invalide (valeurs possibles : ${STATES.join(', ')})`
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const jobs = await jobQueue.list({ state, limit });
+
+    res.json({
+      status: 'success',
+      data: jobs,
+      count: jobs.length
+    });
+  } catch (error) {
+    logger.error('Erreur lors de la récupération des travaux de la file:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des travaux de la file',
+      error: error.message
+    });
+  }
+});
+
+// Nombre de travaux par état
+router.get('/jobs/stats', async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: await jobQueue.stats()
+    });
+  } catch (error) {
+    logger.error('Erreur lors du calcul des statistiques de la file:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors du calcul des statistiques de la file',
+      error: error.message
+    });
+  }
+});
+
+// Détails d'un travail
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.get(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Travail non trouvé'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: job
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération du travail ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération du travail',
+      error: error.message
+    });
+  }
+});
+
+// Relance d'un travail en échec
+router.post('/jobs/:id/retry', async (req, res) => {
+  try {
+    const job = await jobQueue.retry(req.params.id);
+
+    if (!job) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Seuls les travaux en échec ou en attente de nouvelle tentative peuvent être relancés'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Travail relancé',
+      data: job
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Un autre travail est déjà en cours pour ce message'
+      });
+    }
+
+    logger.error(`Erreur lors de la relance du travail ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la relance du travail',
+      error: error.message
+    });
+  }
+});
+
+// Abandon d'un travail
+router.post('/jobs/:id/discard', async (req, res) => {
+  try {
+    const job = await jobQueue.discard(req.params.id);
+
+    if (!job) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Seuls les travaux non terminés et non verrouillés peuvent être abandonnés'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Travail abandonné',
+      data: job
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de l'abandon du travail ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de l\'abandon du travail',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,272 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const logger = require('../utils/logger');
+const lessonsLearned = require('../lessons/lessonsLearned');
+
+/**
+ * Vérifie les champs d'une leçon ; retourne un message d'erreur ou null
+ */
+function validateLesson(fields, { creation = false } = {}) {
+  if (creation && !fields.title) {
+    return 'Le champ title est obligatoire';
+  }
+  if (fields.title !== undefined && (typeof fields.title !== 'string' || !fields.title.trim())) {
+    return 'Le champ title ne peut pas être vide';
+  }
+  if (fields.status !== undefined && !lessonsLearned.statuses.includes(fields.status)) {
+    return `Statut invalide (valeurs possibles : ${lessonsLearned.statuses.join(', ')})`;
+  }
+  if (fields.impact !== undefined && fields.impact !== null && !lessonsLearned.impacts.includes(fields.impact)) {
+    return `Impact invalide (valeurs possibles : ${lessonsLearned.impacts.join(', ')})`;
+  }
+  if (fields.related_emails !== undefined &&
+      (!Array.isArray(fields.related_emails) || !fields.related_emails.every(Number.isInteger))) {
+    return 'Le champ related_emails doit être un tableau d\'identifiants d\'emails';
+  }
+  if (fields.trade_id !== undefined && fields.trade_id !== null && !Number.isInteger(fields.trade_id)) {
+    return 'Le champ trade_id doit être un identifiant de corps de métier';
+  }
+  return null;
+}
+
+// Recherche des leçons de tous les projets (?trade=Plomberie&category=coordination&q=réservations&status=validated)
+router.get('/lessons-learned', async (req, res) => {
+  try {
+    const { trade, category, status, q } = req.query;
+
+    if (status && !lessonsLearned.statuses.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Statut invalide (valeurs possibles : ${lessonsLearned.statuses.join(', ')})`
+      });
+    }
+
+    const lessons = await lessonsLearned.search({
+      trade: trade || null,
+      category: category || null,
+      status: status || null,
+      q: q || null,
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 500)
+    });
+
+    res.json({
+      status: 'success',
+      data: lessons,
+      count: lessons.length
+    });
+  } catch (error) {
+    logger.error('Erreur lors de la recherche des leçons apprises:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la recherche des leçons apprises',
+      error: error.message
+    });
+  }
+});
+
+// Leçons d'un projet (mêmes filtres que la recherche)
+router.get('/projects/:id/lessons-learned', async (req, res) => {
+  try {
+    const { trade, category, status, q } = req.query;
+
+    if (status && !lessonsLearned.statuses.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Statut invalide (valeurs possibles : ${lessonsLearned.statuses.join(', ')})`
+      });
+    }
+
+    const lessons = await lessonsLearned.search({
+      projectId: req.params.id,
+      trade: trade || null,
+      category: category || null,
+      status: status || null,
+      q: q || null,
+      limit: 500
+    });
+
+    res.json({
+      status: 'success',
+      data: lessons,
+      count: lessons.length
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération des leçons apprises du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des leçons apprises',
+      error: error.message
+    });
+  }
+});
+
+// Génération des leçons d'un projet ; remplace les propositions non relues
+router.post('/projects/:id/lessons-learned/generate', async (req, res) => {
+  try {
+    const lessons = await lessonsLearned.generate(req.params.id);
+
+    if (lessons === null) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Projet non trouvé'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: lessons,
+      count: lessons.length,
+      message: lessons.length > 0
+        ? `${lessons.length} leçon(s) proposée(s)`
+        : 'Aucune difficulté relevée sur le projet'
+    });
+  } catch (error) {
+    if (error.budgetExceeded) {
+      return res.status(429).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    if (error.invalidOutput) {
+      return res.status(502).json({
+        status: 'error',
+        message: 'Réponse du modèle inexploitable : les propositions précédentes sont conservées',
+        error: error.message
+      });
+    }
+
+    logger.error(`Erreur lors de la génération des leçons apprises du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la génération des leçons apprises',
+      error: error.message
+    });
+  }
+});
+
+// Ajout manuel d'une leçon
+router.post('/projects/:id/lessons-learned', async (req, res) => {
+  try {
+    const invalid = validateLesson(req.body, { creation: true });
+    if (invalid) {
+      return res.status(400).json({
+        status: 'error',
+        message: invalid
+      });
+    }
+
+    const project = await db.query('SELECT id FROM projects WHERE id = $1', [req.params.id]);
+    if (project.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Projet non trouvé'
+      });
+    }
+
+    const lesson = await lessonsLearned.create(project.rows[0].id, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      data: lesson,
+      message: 'Leçon enregistrée'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de l'ajout d'une leçon au projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de l\'ajout de la leçon',
+      error: error.message
+    });
+  }
+});
+
+// Détail d'une leçon
+router.get('/lessons-learned/:id', async (req, res) => {
+  try {
+    const lesson = await lessonsLearned.get(req.params.id);
+
+    if (!lesson) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Leçon non trouvée'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: lesson
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération de la leçon ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération de la leçon',
+      error: error.message
+    });
+  }
+});
+
+// Relecture d'une leçon : correction des champs, validation ou rejet (status, reviewed_by)
+router.put('/lessons-learned/:id', async (req, res) => {
+  try {
+    const invalid = validateLesson(req.body);
+    if (invalid) {
+      return res.status(400).json({
+        status: 'error',
+        message: invalid
+      });
+    }
+
+    const lesson = await lessonsLearned.update(req.params.id, req.body);
+
+    if (!lesson) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Leçon non trouvée'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: lesson,
+      message: 'Leçon mise à jour'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la mise à jour de la leçon ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la mise à jour de la leçon',
+      error: error.message
+    });
+  }
+});
+
+// Suppression d'une leçon
+router.delete('/lessons-learned/:id', async (req, res) => {
+  try {
+    const deleted = await lessonsLearned.remove(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Leçon non trouvée'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Leçon supprimée'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la suppression de la leçon ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la suppression de la leçon',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const logger = require('../utils/logger');
+const scheduler = require('../llm/scheduler');
+
+const OUTCOMES = ['passed', 'repaired', 'failed'];
+
+// Qualité des réponses JSON du LLM par opération sur une période (?days=7)
+router.get('/llm/validations/stats', async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days, 10) || 7, 365);
+
+    const result = await db.query(`
+      SELECT operation,
+             COUNT(*)::int AS total,
+             COUNT(*) FILTER (WHERE outcome = 'passed')::int AS passed,
+             COUNT(*) FILTER (WHERE outcome = 'repaired')::int AS repaired,
+             COUNT(*) FILTER (WHERE outcome = 'failed')::int AS failed,
+             ROUND(AVG(attempts), 2)::float AS average_attempts,
+             SUM(coercions)::int AS coercions
+      FROM llm_validations
+      WHERE created_at >= CURRENT_TIMESTAMP - make_interval(days => $1)
+      GROUP BY operation
+      ORDER BY operation
+    `, [days]);
+
+    res.json({
+      status: 'success',
+      data: result.rows.map(row => ({
+        ...row,
+        failure_rate: row.total > 0 ? Math.round((row.failed / row.total) * 1000) / 1000 : 0
+      }))
+    });
+  } catch (error) {
+    logger.error('Erreur lors du calcul des statistiques de validation JSON:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors du calcul des statistiques de validation JSON',
+      error: error.message
+    });
+  }
+});
+
+// Derniers contrôles, avec les erreurs relevées (?outcome=failed&operation=email_analysis&limit=100)
+router.get('/llm/validations', async (req, res) => {
+  try {
+    const { outcome, operation } = req.query;
+
+    if (outcome && !OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Résultat invalide (valeurs possibles : ${OUTCOMES.join(', ')})`
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const result = await db.query(`
+      SELECT * FROM llm_validations
+      WHERE ($1::varchar IS NULL OR outcome = $1)
+        AND ($2::varchar IS NULL OR operation = $2)
+      ORDER BY created_at DESC
+      LIMIT $3
+    `, [outcome || null, operation || null, limit]);
+
+    res.json({
+      status: 'success',
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (error) {
+    logger.error('Erreur lors de la récupération des validations JSON:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des validations JSON',
+      error: error.message
+    });
+  }
+});
+
+// File des appels au LLM : appels en cours et en attente par fournisseur, attente, tokens de la minute
+router.get('/llm/queue', (req, res) => {
+  res.json({
+    status: 'success',
+    data: scheduler.getStats()
+  });
+});
+
+module.exports = router;
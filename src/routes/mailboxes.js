@@ -0,0 +1,319 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const logger = require('../utils/logger');
+const mailboxManager = require('../email/mailboxManager');
+const mailboxCredentials = require('../email/mailboxCredentials');
+const { requireAuth } = require('../utils/apiAuth');
+
+// Colonnes exposées par l'API (le mot de passe, chiffré en base, n'est jamais renvoyé)
+const PUBLIC_COLUMNS = `
+  id, name, host, port, tls, allow_invalid_certificate, username, folders, default_project_id, enabled,
+  created_at, updated_at
+`;
+
+/**
+ * Réponse 503 quand les mots de passe ne peuvent pas être chiffrés
+ */
+function credentialsUnavailable(res) {
+  return res.status(503).json({
+    status: 'error',
+    message: 'Enregistrement des mots de passe IMAP impossible (MAILBOX_CREDENTIALS_KEY non configuré)'
+  });
+}
+
+/**
+ * Normalise la liste des dossiers reçue (tableau ou chaîne séparée par des virgules)
+ */
+function parseFolders(folders) {
+  if (!folders) return ['INBOX'];
+  const list = Array.isArray(folders) ? folders : String(folders).split(',');
+  const cleaned = list.map(folder => String(folder).trim()).filter(Boolean);
+  return cleaned.length > 0 ? cleaned : ['INBOX'];
+}
+
+// Liste des boîtes mail et de leur état d'ingestion
+router.get('/mailboxes', requireAuth, async (req, res) => {
+  try {
+    const result = await db.query(`SELECT ${PUBLIC_COLUMNS} FROM mailboxes ORDER BY id ASC`);
+
+    res.json({
+      status: 'success',
+      data: result.rows.map(mailbox => ({
+        ...mailbox,
+        ingestion: mailboxManager.getStatus(mailbox.id)
+      }))
+    });
+  } catch (error) {
+    logger.error('Erreur lors de la récupération des boîtes mail:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des boîtes mail',
+      error: error.message
+    });
+  }
+});
+
+// Ajout d'une boîte mail
+router.post('/mailboxes', requireAuth, async (req, res) => {
+  try {
+    const {
+      name, host, port, tls, allow_invalid_certificate, username, password, folders, default_project_id, enabled
+    } = req.body;
+
+    if (!name || !host || !username || !password) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Le nom, le serveur, l\'identifiant et le mot de passe sont obligatoires'
+      });
+    }
+
+    if (!mailboxCredentials.isEnabled()) {
+      return credentialsUnavailable(res);
+    }
+
+    const result = await db.query(`
+      INSERT INTO mailboxes (
+        name, host, port, tls, allow_invalid_certificate, username, password, folders, default_project_id, enabled
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING ${PUBLIC_COLUMNS}
+    `, [
+      name,
+      host,
+      port || 993,
+      tls !== false,
+      allow_invalid_certificate === true,
+      username,
+      mailboxCredentials.encrypt(password),
+      parseFolders(folders),
+      default_project_id || null,
+      enabled !== false
+    ]);
+
+    const mailbox = result.rows[0];
+    await mailboxManager.restartMailbox(mailbox.id);
+
+    res.status(201).json({
+      status: 'success',
+      data: mailbox,
+      message: 'Boîte mail ajoutée avec succès'
+    });
+  } catch (error) {
+    logger.error('Erreur lors de l\'ajout de la boîte mail:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de l\'ajout de la boîte mail',
+      error: error.message
+    });
+  }
+});
+
+// Test de paramètres de connexion avant enregistrement
+router.post('/mailboxes/test', requireAuth, async (req, res) => {
+  try {
+    const { host, port, tls, allow_invalid_certificate, username, password, folders } = req.body;
+
+    if (!host || !username || !password) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Le serveur, l\'identifiant et le mot de passe sont obligatoires'
+      });
+    }
+
+    const result = await mailboxManager.testConnection({
+      host,
+      port: port || 993,
+      tls: tls !== false,
+      allow_invalid_certificate: allow_invalid_certificate === true,
+      username,
+      password,
+      folders: parseFolders(folders)
+    });
+
+    res.json({
+      status: result.success ? 'success' : 'error',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Erreur lors du test de la boîte mail:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors du test de la boîte mail',
+      error: error.message
+    });
+  }
+});
+
+// Test de connexion d'une boîte enregistrée
+router.post('/mailboxes/:id/test', requireAuth, async (req, res) => {
+  try {
+    const mailboxResult = await db.query('SELECT * FROM mailboxes WHERE id = $1', [req.params.id]);
+
+    if (mailboxResult.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Boîte mail non trouvée'
+      });
+    }
+
+    const result = await mailboxManager.testConnection(mailboxResult.rows[0]);
+
+    res.json({
+      status: result.success ? 'success' : 'error',
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Erreur lors du test de la boîte mail ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors du test de la boîte mail',
+      error: error.message
+    });
+  }
+});
+
+// Modification d'une boîte mail (dossiers, projet par défaut, identifiants)
+router.put('/mailboxes/:id', requireAuth, async (req, res) => {
+  try {
+    const {
+      name, host, port, tls, allow_invalid_certificate, username, password, folders, default_project_id
+    } = req.body;
+
+    if (password && !mailboxCredentials.isEnabled()) {
+      return credentialsUnavailable(res);
+    }
+
+    const current = await db.query('SELECT host, username FROM mailboxes WHERE id = $1', [req.params.id]);
+
+    if (current.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Boîte mail non trouvée'
+      });
+    }
+
+    // Le mot de passe enregistré ne doit pas être envoyé à un autre serveur ou pour un autre compte
+    const { host: currentHost, username: currentUsername } = current.rows[0];
+    if (!password && ((host && host !== currentHost) || (username && username !== currentUsername))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Un nouveau mot de passe est obligatoire pour changer de serveur ou d\'identifiant'
+      });
+    }
+
+    const result = await db.query(`
+      UPDATE mailboxes SET
+        name = COALESCE($1, name),
+        host = COALESCE($2, host),
+        port = COALESCE($3, port),
+        tls = COALESCE($4, tls),
+        username = COALESCE($5, username),
+        password = COALESCE($6, password),
+        folders = COALESCE($7, folders),
+        default_project_id = CASE WHEN $8::boolean THEN $9 ELSE default_project_id END,
+        allow_invalid_certificate = COALESCE($10, allow_invalid_certificate),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $11
+      RETURNING ${PUBLIC_COLUMNS}
+    `, [
+      name || null,
+      host || null,
+      port || null,
+      typeof tls === 'boolean' ? tls : null,
+      username || null,
+      password ? mailboxCredentials.encrypt(password) : null,
+      folders ? parseFolders(folders) : null,
+      default_project_id !== undefined,
+      default_project_id || null,
+      typeof allow_invalid_certificate === 'boolean' ? allow_invalid_certificate : null,
+      req.params.id
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Boîte mail non trouvée'
+      });
+    }
+
+    await mailboxManager.restartMailbox(result.rows[0].id);
+
+    res.json({
+      status: 'success',
+      data: result.rows[0],
+      message: 'Boîte mail mise à jour'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la mise à jour de la boîte mail ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la mise à jour de la boîte mail',
+      error: error.message
+    });
+  }
+});
+
+// Mise en pause / reprise de l'ingestion d'une boîte
+for (const [action, enabled] of [['pause', false], ['resume', true]]) {
+  router.post(`/mailboxes/:id/${action}`, requireAuth, async (req, res) => {
+    try {
+      const result = await db.query(`
+        UPDATE mailboxes SET enabled = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING ${PUBLIC_COLUMNS}
+      `, [enabled, req.params.id]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Boîte mail non trouvée'
+        });
+      }
+
+      await mailboxManager.restartMailbox(result.rows[0].id);
+
+      res.json({
+        status: 'success',
+        data: result.rows[0],
+        message: enabled ? 'Ingestion de la boîte reprise' : 'Ingestion de la boîte mise en pause'
+      });
+    } catch (error) {
+      logger.error(`Erreur lors du changement d'état de la boîte mail ${req.params.id}:`, error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Erreur lors du changement d\'état de la boîte mail',
+        error: error.message
+      });
+    }
+  });
+}
+
+// Suppression d'une boîte mail (ses points de reprise sont supprimés en cascade)
+router.delete('/mailboxes/:id', requireAuth, async (req, res) => {
+  try {
+    const result = await db.query('DELETE FROM mailboxes WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Boîte mail non trouvée'
+      });
+    }
+
+    mailboxManager.stopMailbox(result.rows[0].id);
+
+    res.json({
+      status: 'success',
+      message: 'Boîte mail supprimée'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la suppression de la boîte mail ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la suppression de la boîte mail',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const logger = require('../utils/logger');
+const redactor = require('../privacy/redactor');
+
+// Réglages de masquage d'un projet
+router.get('/projects/:id/redaction', async (req, res) => {
+  try {
+    const settings = await redactor.getSettings(req.params.id);
+
+    res.json({
+      status: 'success',
+      data: {
+        ...settings,
+        available_entities: redactor.entityTypes
+      }
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération des réglages de masquage du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des réglages de masquage',
+      error: error.message
+    });
+  }
+});
+
+// Modification des réglages (enabled: true/false/null pour le réglage global, entities: liste ou null)
+router.put('/projects/:id/redaction', async (req, res) => {
+  try {
+    const { enabled = null, entities = null } = req.body;
+
+    if (enabled !== null && typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Le champ enabled doit être un booléen ou null'
+      });
+    }
+
+    if (entities !== null && (!Array.isArray(entities) || entities.some(entity => !redactor.entityTypes.includes(entity)))) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Types de données invalides (attendu: ${redactor.entityTypes.join(', ')})`
+      });
+    }
+
+    const result = await db.query(`
+      UPDATE projects
+      SET redaction_enabled = $1, redaction_entities = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING id
+    `, [enabled, entities, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Projet non trouvé'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: await redactor.getSettings(req.params.id),
+      message: 'Réglages de masquage mis à jour'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la mise à jour des réglages de masquage du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la mise à jour des réglages de masquage',
+      error: error.message
+    });
+  }
+});
+
+// Journal des envois au LLM et des données masquées (?limit=100)
+router.get('/projects/:id/redaction-logs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 500);
+
+    const result = await db.query(`
+      SELECT * FROM redaction_logs
+      WHERE project_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [req.params.id, limit]);
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération du journal de masquage du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération du journal de masquage',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const logger = require('../utils/logger');
+const promptRegistry = require('../llm/promptRegistry');
+
+/**
+ * Vérifie qu'un prompt existe, sinon répond 404
+ */
+function knownPrompt(req, res) {
+  if (promptRegistry.names().includes(req.params.name)) return true;
+
+  res.status(404).json({
+    status: 'error',
+    message: `Prompt inconnu (valeurs possibles : ${promptRegistry.names().join(', ')})`
+  });
+  return false;
+}
+
+// Liste des prompts et version utilisée (?project_id= pour la version d'un projet)
+router.get('/prompts', async (req, res) => {
+  try {
+    const projectId = req.query.project_id || null;
+    const prompts = [];
+
+    for (const name of promptRegistry.names()) {
+      const template = await promptRegistry.resolve(name, projectId);
+      prompts.push({
+        name,
+        description: promptRegistry.getFileTemplate(name).description,
+        version: template.version,
+        template_id: template.templateId,
+        source: template.source,
+        hash: template.hash
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: prompts
+    });
+  } catch (error) {
+    logger.error('Erreur lors de la récupération des prompts:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des prompts',
+      error: error.message
+    });
+  }
+});
+
+// Version par défaut (fichier) et versions enregistrées d'un prompt (?project_id=)
+router.get('/prompts/:name/versions', async (req, res) => {
+  if (!knownPrompt(req, res)) return;
+
+  try {
+    res.json({
+      status: 'success',
+      data: {
+        default: promptRegistry.getFileTemplate(req.params.name),
+        versions: await promptRegistry.listVersions(req.params.name, req.query.project_id || null)
+      }
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération des versions du prompt ${req.params.name}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des versions du prompt',
+      error: error.message
+    });
+  }
+});
+
+// Nouvelle version d'un prompt, active immédiatement (globale, ou pour project_id)
+router.post('/prompts/:name/versions', async (req, res) => {
+  if (!knownPrompt(req, res)) return;
+
+  try {
+    const { project_id = null, version, description = null, system = null, user, variables = {}, created_by } = req.body;
+
+    if (!version || !user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Les champs version et user sont obligatoires'
+      });
+    }
+
+    const template = await promptRegistry.createVersion(req.params.name, {
+      projectId: project_id,
+      version: String(version),
+      description,
+      system,
+      user,
+      variables,
+      createdBy: created_by || 'api'
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: template,
+      message: 'Version du prompt enregistrée et activée'
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Cette version existe déjà pour ce prompt'
+      });
+    }
+
+    logger.error(`Erreur lors de l'enregistrement d'une version du prompt ${req.params.name}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de l\'enregistrement de la version du prompt',
+      error: error.message
+    });
+  }
+});
+
+// Aperçu du prompt envoyé au modèle, avec des variables d'exemple
+// (system et user permettent de prévisualiser un brouillon sans l'enregistrer)
+router.post('/prompts/:name/preview', async (req, res) => {
+  if (!knownPrompt(req, res)) return;
+
+  try {
+    const { project_id = null, variables = {}, system, user } = req.body;
+    const template = await promptRegistry.resolve(req.params.name, project_id);
+    const draft = {
+      ...template,
+      system: system !== undefined ? system : template.system,
+      user: user !== undefined ? user : template.user
+    };
+
+    res.json({
+      status: 'success',
+      data: {
+        name: req.params.name,
+        version: system !== undefined || user !== undefined ? null : template.version,
+        source: template.source,
+        ...promptRegistry.render(draft, variables)
+      }
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de l'aperçu du prompt ${req.params.name}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de l\'aperçu du prompt',
+      error: error.message
+    });
+  }
+});
+
+// Activation d'une version enregistrée
+router.post('/prompt-versions/:id/activate', async (req, res) => {
+  try {
+    const template = await promptRegistry.activate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Version de prompt non trouvée'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: template,
+      message: 'Version du prompt activée'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de l'activation de la version de prompt ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de l\'activation de la version de prompt',
+      error: error.message
+    });
+  }
+});
+
+// Désactivation d'une version : retour à la version globale ou au fichier par défaut
+router.post('/prompt-versions/:id/deactivate', async (req, res) => {
+  try {
+    const template = await promptRegistry.deactivate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Version de prompt non trouvée'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: template,
+      message: 'Version du prompt désactivée'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la désactivation de la version de prompt ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la désactivation de la version de prompt',
+      error: error.message
+    });
+  }
+});
+
+// Variables de prompt d'un projet (langue, vocabulaire de l'entreprise...)
+router.get('/projects/:id/prompt-variables', async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: await promptRegistry.getProjectVariables(req.params.id)
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération des variables de prompt du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des variables de prompt',
+      error: error.message
+    });
+  }
+});
+
+router.put('/projects/:id/prompt-variables', async (req, res) => {
+  try {
+    const variables = req.body;
+
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)
+      || Object.values(variables).some(value => typeof value !== 'string')) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Les variables doivent être un objet de textes (ex. {"language": "anglais"})'
+      });
+    }
+
+    const result = await db.query(`
+      UPDATE projects
+      SET prompt_variables = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING prompt_variables
+    `, [JSON.stringify(variables), req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Projet non trouvé'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: result.rows[0].prompt_variables,
+      message: 'Variables de prompt mises à jour'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la mise à jour des variables de prompt du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la mise à jour des variables de prompt',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const logger = require('../utils/logger');
+const reanalyzer = require('../email/reanalyzer');
+
+/**
+ * Vérifie qu'une campagne existe et attend une décision
+ * Renvoie la réponse d'erreur adaptée sinon
+ */
+async function ensureReadyRun(req, res) {
+  const run = await reanalyzer.findRun(req.params.id);
+
+  if (!run) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Campagne de réanalyse non trouvée'
+    });
+    return null;
+  }
+
+  if (run.status !== 'ready') {
+    res.status(409).json({
+      status: 'error',
+      message: `Campagne de réanalyse au statut "${run.status}", aucune modification possible`
+    });
+    return null;
+  }
+
+  return run;
+}
+
+// Lancement d'une réanalyse des emails d'un projet
+router.post('/projects/:id/reanalyze', async (req, res) => {
+  try {
+    const projectId = parseInt(req.params.id, 10);
+    const { from, to, classification, analysis_version, outdated, limit, created_by } = req.body;
+
+    const projectResult = await db.query('SELECT id FROM projects WHERE id = $1', [projectId]);
+
+    if (projectResult.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Projet non trouvé'
+      });
+    }
+
+    const filters = {};
+    if (from) filters.from = from;
+    if (to) filters.to = to;
+    if (classification) filters.classification = classification;
+    if (analysis_version) filters.analysis_version = analysis_version;
+    if (outdated === true || outdated === 'true') filters.outdated = true;
+    if (limit) filters.limit = parseInt(limit, 10);
+
+    const run = await reanalyzer.createRun(projectId, filters, created_by);
+
+    // La réanalyse s'exécute en arrière-plan ; le résultat est consultable via GET /reanalysis-runs/:id
+    reanalyzer.runJob(run.id).catch(error => {
+      logger.error(`Erreur lors de la réanalyse en arrière-plan (campagne ${run.id}):`, error);
+    });
+
+    res.status(202).json({
+      status: 'success',
+      message: `Réanalyse de ${run.total} email(s) lancée`,
+      data: run
+    });
+  } catch (error) {
+    logger.error(`Erreur lors du lancement de la réanalyse du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors du lancement de la réanalyse',
+      error: error.message
+    });
+  }
+});
+
+// Campagnes de réanalyse d'un projet
+router.get('/projects/:id/reanalysis-runs', async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: await reanalyzer.listRuns(req.params.id)
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération des réanalyses du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des réanalyses',
+      error: error.message
+    });
+  }
+});
+
+// Détail d'une campagne et différences proposées (?changed_only=true pour masquer les emails inchangés)
+router.get('/reanalysis-runs/:id', async (req, res) => {
+  try {
+    const run = await reanalyzer.getRun(req.params.id, {
+      changedOnly: req.query.changed_only === 'true'
+    });
+
+    if (!run) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Campagne de réanalyse non trouvée'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: run
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération de la réanalyse ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération de la réanalyse',
+      error: error.message
+    });
+  }
+});
+
+// Application des différences (toutes, ou celles des emails listés dans email_ids)
+router.post('/reanalysis-runs/:id/apply', async (req, res) => {
+  try {
+    if (!await ensureReadyRun(req, res)) return;
+
+    const result = await reanalyzer.apply(req.params.id, {
+      emailIds: req.body.email_ids,
+      appliedBy: req.body.applied_by || 'api'
+    });
+
+    res.json({
+      status: 'success',
+      message: `${result.applied} analyse(s) appliquée(s)`,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de l'application de la réanalyse ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de l\'application de la réanalyse',
+      error: error.message
+    });
+  }
+});
+
+// Abandon des différences (toutes, ou celles des emails listés dans email_ids)
+router.post('/reanalysis-runs/:id/discard', async (req, res) => {
+  try {
+    if (!await ensureReadyRun(req, res)) return;
+
+    const result = await reanalyzer.discard(req.params.id, {
+      emailIds: req.body.email_ids
+    });
+
+    res.json({
+      status: 'success',
+      message: `${result.discarded} analyse(s) écartée(s)`,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de l'abandon de la réanalyse ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de l\'abandon de la réanalyse',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
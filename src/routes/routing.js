@@ -0,0 +1,210 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const logger = require('../utils/logger');
+const projectRouter = require('../email/projectRouter');
+
+// Règles de routage d'un projet
+router.get('/projects/:id/routing-rules', async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT * FROM project_routing_rules
+      WHERE project_id = $1
+      ORDER BY priority DESC, id ASC
+    `, [req.params.id]);
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération des règles de routage du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des règles de routage',
+      error: error.message
+    });
+  }
+});
+
+// Création d'une règle de routage
+router.post('/projects/:id/routing-rules', async (req, res) => {
+  try {
+    const { rule_type, pattern, priority } = req.body;
+
+    if (!projectRouter.ruleTypes.includes(rule_type)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Type de règle invalide (attendu: ${projectRouter.ruleTypes.join(', ')})`
+      });
+    }
+
+    if (!pattern) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Le motif de la règle est obligatoire'
+      });
+    }
+
+    const projectResult = await db.query('SELECT id FROM projects WHERE id = $1', [req.params.id]);
+
+    if (projectResult.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Projet non trouvé'
+      });
+    }
+
+    const result = await db.query(`
+      INSERT INTO project_routing_rules (project_id, rule_type, pattern, priority)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [req.params.id, rule_type, pattern, priority || 0]);
+
+    res.status(201).json({
+      status: 'success',
+      data: result.rows[0],
+      message: 'Règle de routage créée avec succès'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la création d'une règle de routage pour le projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la création de la règle de routage',
+      error: error.message
+    });
+  }
+});
+
+// Suppression d'une règle de routage
+router.delete('/routing-rules/:id', async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM project_routing_rules WHERE id = $1 RETURNING id',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Règle de routage non trouvée'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Règle de routage supprimée'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la suppression de la règle de routage ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la suppression de la règle de routage',
+      error: error.message
+    });
+  }
+});
+
+// File des emails non assignés à un projet
+router.get('/emails/unassigned', async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT e.id, e.message_id, e.from_address, e.to_address, e.subject, e.summary,
+             e.received_date, d.reason as routing_reason, d.created_at as routed_at
+      FROM emails e
+      LEFT JOIN LATERAL (
+        SELECT reason, created_at FROM email_routing_decisions
+        WHERE email_id = e.id
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) d ON true
+      WHERE e.project_id IS NULL
+      ORDER BY e.received_date DESC
+    `);
+
+    res.json({
+      status: 'success',
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (error) {
+    logger.error('Erreur lors de la récupération des emails non assignés:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des emails non assignés',
+      error: error.message
+    });
+  }
+});
+
+// Réassignation d'un email à un projet
+router.post('/emails/:id/assign', async (req, res) => {
+  try {
+    const { project_id, reason, decided_by } = req.body;
+
+    if (!project_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Le projet cible est obligatoire'
+      });
+    }
+
+    const projectResult = await db.query('SELECT id FROM projects WHERE id = $1', [project_id]);
+
+    if (projectResult.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Projet non trouvé'
+      });
+    }
+
+    const email = await projectRouter.assignEmail(req.params.id, project_id, reason, decided_by);
+
+    if (!email) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Email non trouvé'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: email,
+      message: 'Email réassigné avec succès'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la réassignation de l'email ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la réassignation de l\'email',
+      error: error.message
+    });
+  }
+});
+
+// Historique des décisions de routage d'un email
+router.get('/emails/:id/routing', async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT d.*, p.name as project_name
+      FROM email_routing_decisions d
+      LEFT JOIN projects p ON d.project_id = p.id
+      WHERE d.email_id = $1
+      ORDER BY d.created_at ASC
+    `, [req.params.id]);
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération du routage de l'email ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des décisions de routage',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const semanticSearch = require('../search/semanticSearch');
+
+// Couverture de l'index de recherche (emails indexés, passages par modèle, rattrapage en cours)
+router.get('/search/status', async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: await semanticSearch.getStatus()
+    });
+  } catch (error) {
+    logger.error('Erreur lors de la récupération de l\'état de l\'index de recherche:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération de l\'état de l\'index de recherche',
+      error: error.message
+    });
+  }
+});
+
+// Indexation en arrière-plan des emails existants (project_id facultatif, reindex: true pour tout recalculer)
+router.post('/search/backfill', async (req, res) => {
+  try {
+    const { project_id = null, reindex = false } = req.body;
+    const backfill = await semanticSearch.startBackfill({ projectId: project_id, reindex: reindex === true });
+
+    res.status(202).json({
+      status: 'success',
+      data: backfill,
+      message: 'Indexation des emails lancée'
+    });
+  } catch (error) {
+    logger.error('Erreur lors du lancement de l\'indexation des emails:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors du lancement de l\'indexation des emails',
+      error: error.message
+    });
+  }
+});
+
+// Réindexation d'un email
+router.post('/emails/:id/index', async (req, res) => {
+  try {
+    const chunks = await semanticSearch.indexEmail(parseInt(req.params.id, 10), { priority: 'interactive' });
+
+    if (chunks === null) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Email non trouvé'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { email_id: parseInt(req.params.id, 10), chunks },
+      message: 'Email indexé'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de l'indexation de l'email ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de l\'indexation de l\'email',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const taskReconciler = require('../tasks/taskReconciler');
+
+const REVIEW_STATUSES = ['pending', 'merged', 'created', 'dismissed'];
+
+// Rapprochements de tâches soumis à validation
+router.get('/projects/:id/task-reviews', async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Statut invalide (attendu: ${REVIEW_STATUSES.join(', ')})`
+      });
+    }
+
+    const reviews = await taskReconciler.listReviews(req.params.id, status);
+
+    res.json({
+      status: 'success',
+      data: reviews
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération des rapprochements de tâches du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des rapprochements de tâches',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Applique une décision sur un rapprochement en attente
+ */
+function resolveReview(decision, successMessage) {
+  return async (req, res) => {
+    try {
+      const review = await taskReconciler.resolveReview(req.params.id, decision, {
+        taskId: req.body.task_id || null,
+        resolvedBy: req.body.resolved_by || 'api'
+      });
+
+      if (!review) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Rapprochement non trouvé ou déjà traité'
+        });
+      }
+
+      res.json({
+        status: 'success',
+        message: successMessage,
+        data: review
+      });
+    } catch (error) {
+      logger.error(`Erreur lors de la validation du rapprochement ${req.params.id}:`, error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Erreur lors de la validation du rapprochement',
+        error: error.message
+      });
+    }
+  };
+}
+
+// Fusion avec la tâche candidate (ou la tâche indiquée par task_id)
+router.post('/task-reviews/:id/merge', resolveReview('merged', 'Tâche fusionnée avec le planning existant'));
+
+// Création d'une nouvelle tâche
+router.post('/task-reviews/:id/create', resolveReview('created', 'Nouvelle tâche créée'));
+
+// Abandon de la tâche extraite
+router.post('/task-reviews/:id/dismiss', resolveReview('dismissed', 'Tâche extraite ignorée'));
+
+// Emails ayant créé ou mis à jour une tâche
+router.get('/tasks/:id/evidence', async (req, res) => {
+  try {
+    const evidence = await taskReconciler.getEvidence(req.params.id);
+
+    res.json({
+      status: 'success',
+      data: evidence
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération de l'historique de la tâche ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération de l\'historique de la tâche',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const logger = require('../utils/logger');
+const progressTracker = require('../tasks/progressTracker');
+
+const UPDATE_STATUSES = ['pending', 'applied', 'rejected'];
+
+// Mises à jour d'avancement des tâches détectées dans les emails
+router.get('/projects/:id/task-updates', async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+
+    if (!UPDATE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Statut invalide (attendu: ${UPDATE_STATUSES.join(', ')})`
+      });
+    }
+
+    const updates = await progressTracker.listUpdates(req.params.id, status);
+
+    res.json({
+      status: 'success',
+      data: updates
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération des mises à jour de tâches du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des mises à jour de tâches',
+      error: error.message
+    });
+  }
+});
+
+// Activation de la confirmation manuelle des mises à jour pour un projet
+router.put('/projects/:id/task-updates/confirmation', async (req, res) => {
+  try {
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Le champ enabled (booléen) est obligatoire'
+      });
+    }
+
+    const result = await db.query(`
+      UPDATE projects SET confirm_task_updates = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, confirm_task_updates
+    `, [req.body.enabled, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Projet non trouvé'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    logger.error(`Erreur lors du paramétrage de la confirmation des mises à jour du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors du paramétrage de la confirmation des mises à jour',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Confirme ou rejette une mise à jour en attente
+ */
+function resolveUpdate(accept, successMessage) {
+  return async (req, res) => {
+    try {
+      const update = await progressTracker.resolve(req.params.id, accept, req.body.resolved_by || 'api');
+
+      if (!update) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Mise à jour non trouvée ou déjà traitée'
+        });
+      }
+
+      res.json({
+        status: 'success',
+        message: successMessage,
+        data: update
+      });
+    } catch (error) {
+      logger.error(`Erreur lors de la validation de la mise à jour ${req.params.id}:`, error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Erreur lors de la validation de la mise à jour',
+        error: error.message
+      });
+    }
+  };
+}
+
+router.post('/task-updates/:id/apply', resolveUpdate(true, 'Mise à jour appliquée à la tâche'));
+
+router.post('/task-updates/:id/reject', resolveUpdate(false, 'Mise à jour rejetée'));
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const threadManager = require('../email/threading');
+
+// Fils de discussion d'un projet
+router.get('/projects/:id/threads', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !['open', 'answered'].includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Statut invalide (attendu: open, answered)'
+      });
+    }
+
+    const threads = await threadManager.listProjectThreads(req.params.id, status);
+
+    res.json({
+      status: 'success',
+      data: threads,
+      count: threads.length
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération des fils du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération des fils de discussion',
+      error: error.message
+    });
+  }
+});
+
+// Reconstruction des fils pour les emails déjà enregistrés
+router.post('/projects/:id/threads/rebuild', async (req, res) => {
+  try {
+    const processed = await threadManager.rebuildProjectThreads(req.params.id);
+
+    res.json({
+      status: 'success',
+      data: { processed },
+      message: 'Fils de discussion reconstruits'
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la reconstruction des fils du projet ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la reconstruction des fils de discussion',
+      error: error.message
+    });
+  }
+});
+
+// Détail d'un fil de discussion
+router.get('/threads/:id', async (req, res) => {
+  try {
+    const thread = await threadManager.getThread(req.params.id);
+
+    if (!thread) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Fil de discussion non trouvé'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: thread
+    });
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération du fil ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Erreur lors de la récupération du fil de discussion',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
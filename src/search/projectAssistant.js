@@ -0,0 +1,272 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+const mistralClient = require('../llm/mistral');
+const redactor = require('../privacy/redactor');
+const semanticSearch = require('./semanticSearch');
+const { toDay } = require('../utils/dates');
+
+// Réponse donnée sans appeler le modèle quand aucune source n'est trouvée
+const NO_ANSWER = 'Le dossier du projet ne contient aucune information permettant de répondre à cette question.';
+
+// Repères des sources cités dans les réponses : [E12] email, [A34] pièce jointe, [T5] tâche, [C3] non-conformité
+const MARKER = /\[([EATC])(\d+)\]/g;
+
+const formatDate = value => toDay(value) || 'date inconnue';
+
+function plannedPeriod(start, end) {
+  if (start && end) return `, prévue du ${formatDate(start)} au ${formatDate(end)}`;
+  if (start) return `, prévue à partir du ${formatDate(start)}`;
+  if (end) return `, prévue jusqu'au ${formatDate(end)}`;
+  return '';
+}
+
+/**
+ * Questions posées sur un projet (« que dit l'architecte sur le garde-corps du balcon ? »)
+ *
+ * Les sources sont les passages d'emails et de pièces jointes les plus proches de la question
+ * (recherche hybride), les tâches et les non-conformités qui en reprennent les mots. Le modèle
+ * répond en citant leurs repères ; seuls les repères effectivement fournis sont retenus.
+ * Chaque utilisateur garde l'historique de ses conversations.
+ */
+class ProjectAssistant {
+  constructor() {
+    this.settings = config.ask;
+  }
+
+  /**
+   * Passages d'emails et de pièces jointes ; sans index ni embeddings, la question est traitée sans eux
+   */
+  async _passages(projectId, query) {
+    let results;
+    try {
+      ({ results } = await semanticSearch.search(query, { mode: 'hybrid', projectId, limit: this.settings.passages }));
+    } catch (error) {
+      if (error.budgetExceeded) throw error;
+      logger.warn(`Recherche des passages impossible pour le projet ${projectId}: ${error.message}`);
+      return [];
+    }
+    if (results.length === 0) return [];
+
+    const contents = await db.query('SELECT id, content FROM search_chunks WHERE id = ANY($1)', [results.map(result => result.chunk_id)]);
+    const byId = new Map(contents.rows.map(row => [row.id, row.content]));
+
+    return results.map(result => result.source === 'attachment'
+      ? {
+        ref: `A${result.attachment_id}`,
+        type: 'attachment',
+        id: result.attachment_id,
+        email_id: result.email_id,
+        title: result.filename,
+        date: result.received_date,
+        header: `Pièce jointe « ${result.filename} » de l'email du ${formatDate(result.received_date)} (${result.from_address})`,
+        text: byId.get(result.chunk_id)
+      }
+      : {
+        ref: `E${result.email_id}`,
+        type: 'email',
+        id: result.email_id,
+        email_id: result.email_id,
+        title: result.subject,
+        date: result.received_date,
+        header: `Email du ${formatDate(result.received_date)} de ${result.from_address}, objet « ${result.subject} »`,
+        text: byId.get(result.chunk_id)
+      });
+  }
+
+  /**
+   * Tâches et non-conformités du projet contenant au moins un mot de la question
+   */
+  async _records(projectId, query) {
+    const anyWord = 'replace(plainto_tsquery(\'french\', $2)::text, \'&\', \'|\')::tsquery';
+
+    const tasks = await db.query(`
+      SELECT t.id, t.name, t.description, t.status, t.planned_start_date, t.planned_end_date,
+             t.actual_end_date, t.source_email_id, tr.name AS trade_name
+      FROM tasks t
+      LEFT JOIN trades tr ON tr.id = t.trade_id
+      WHERE t.project_id = $1
+        AND to_tsvector('french', t.name || ' ' || COALESCE(t.description, '')) @@ ${anyWord}
+      ORDER BY ts_rank(to_tsvector('french', t.name || ' ' || COALESCE(t.description, '')), ${anyWord}) DESC
+      LIMIT $3
+    `, [projectId, query, this.settings.records]);
+
+    const issues = await db.query(`
+      SELECT id, issue_type, title, description, severity, status, detected_date, email_id,
+             regulation_reference, deadline
+      FROM compliance_issues
+      WHERE project_id = $1
+        AND to_tsvector('french', COALESCE(title, '') || ' ' || COALESCE(issue_type, '') || ' ' || COALESCE(description, '')) @@ ${anyWord}
+      ORDER BY ts_rank(to_tsvector('french', COALESCE(title, '') || ' ' || COALESCE(issue_type, '') || ' ' || COALESCE(description, '')), ${anyWord}) DESC
+      LIMIT $3
+    `, [projectId, query, this.settings.records]);
+
+    return [
+      ...tasks.rows.map(task => ({
+        ref: `T${task.id}`,
+        type: 'task',
+        id: task.id,
+        email_id: task.source_email_id,
+        title: task.name,
+        date: task.planned_start_date,
+        header: `Tâche « ${task.name} »${task.trade_name ? ` (${task.trade_name})` : ''}, statut ${task.status}${plannedPeriod(task.planned_start_date, task.planned_end_date)}${task.actual_end_date ? `, terminée le ${formatDate(task.actual_end_date)}` : ''}`,
+        text: task.description || ''
+      })),
+      ...issues.rows.map(issue => ({
+        ref: `C${issue.id}`,
+        type: 'compliance_issue',
+        id: issue.id,
+        email_id: issue.email_id,
+        title: issue.title || issue.issue_type,
+        date: issue.detected_date,
+        header: `Non-conformité « ${issue.title || issue.issue_type || 'non précisée'} », gravité ${issue.severity || 'non précisée'}, statut ${issue.status}, relevée le ${formatDate(issue.detected_date)}${issue.regulation_reference ? `, référence ${issue.regulation_reference}` : ''}${issue.deadline ? `, à lever avant le ${formatDate(issue.deadline)}` : ''}`,
+        text: issue.description || ''
+      }))
+    ];
+  }
+
+  /**
+   * Conversation de l'utilisateur (créée si `conversationId` est absent), null si elle n'existe pas
+   */
+  async _conversation(projectId, userName, conversationId, question) {
+    if (conversationId) {
+      const result = await db.query(`
+        SELECT * FROM ask_conversations WHERE id = $1 AND project_id = $2 AND user_name = $3
+      `, [conversationId, projectId, userName]);
+      return result.rows[0] || null;
+    }
+
+    const result = await db.query(`
+      INSERT INTO ask_conversations (project_id, user_name, title)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [projectId, userName, question.slice(0, 255)]);
+    return result.rows[0];
+  }
+
+  async _history(conversationId) {
+    const result = await db.query(`
+      SELECT role, content FROM ask_messages
+      WHERE conversation_id = $1
+      ORDER BY id DESC
+      LIMIT $2
+    `, [conversationId, this.settings.historyMessages]);
+
+    return result.rows.reverse();
+  }
+
+  /**
+   * Répond à une question et l'ajoute à la conversation
+   * Retourne { conversation_id, answer, answered, citations }, ou null si la conversation n'existe pas
+   */
+  async ask(projectId, { question, userName, conversationId = null }) {
+    const conversation = await this._conversation(projectId, userName, conversationId, question);
+    if (!conversation) return null;
+
+    const history = await this._history(conversation.id);
+
+    // La question précédente aide à retrouver les sources d'une question de relance (« et côté nord ? »)
+    const previousQuestion = [...history].reverse().find(message => message.role === 'user');
+    const query = previousQuestion ? `${previousQuestion.content} ${question}` : question;
+
+    const sources = [...await this._passages(projectId, query), ...await this._records(projectId, query)];
+    const known = new Map(sources.map(source => [source.ref, source]));
+
+    let answer = NO_ANSWER;
+    let answered = false;
+    let cited = [];
+
+    if (sources.length > 0) {
+      const sourceText = sources.map(source => `[${source.ref}] ${source.header}\n${source.text}`.trim()).join('\n\n');
+      const historyText = history
+        .map(message => `${message.role === 'user' ? 'Question' : 'Réponse'} : ${message.content}`)
+        .join('\n');
+
+      const response = await redactor.protect({ projectId, purpose: 'ask' }, redact => (
+        mistralClient.answerQuestion(redact(question), redact(sourceText), redact(historyText), {
+          projectId,
+          priority: 'interactive'
+        })
+      ));
+
+      // Repères cités dans le texte ou la liste ; un repère absent des sources est ignoré
+      const refs = new Set([
+        ...[...response.answer.matchAll(MARKER)].map(match => `${match[1]}${match[2]}`),
+        ...(response.citations || []).map(ref => String(ref).replace(/[[\]\s]/g, '').toUpperCase())
+      ]);
+      cited = [...refs].filter(ref => known.has(ref));
+
+      answer = response.answer
+        .replace(MARKER, (marker, type, id) => (known.has(`${type}${id}`) ? marker : ''))
+        .replace(/ {2,}/g, ' ')
+        .replace(/ +([.,;])/g, '$1')
+        .trim() || NO_ANSWER;
+      // Une réponse sans source valide n'est pas considérée comme trouvée dans le dossier
+      answered = response.answered && cited.length > 0;
+    }
+
+    const citations = cited.map(ref => {
+      const { type, id, email_id, title, date } = known.get(ref);
+      return { ref, type, id, email_id, title, date };
+    });
+
+    await db.query(`
+      INSERT INTO ask_messages (conversation_id, role, content) VALUES ($1, 'user', $2)
+    `, [conversation.id, question]);
+    await db.query(`
+      INSERT INTO ask_messages (conversation_id, role, content, answered, citations)
+      VALUES ($1, 'assistant', $2, $3, $4)
+    `, [conversation.id, answer, answered, JSON.stringify(citations)]);
+    await db.query('UPDATE ask_conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [conversation.id]);
+
+    if (sources.length === 0) {
+      logger.info(`Aucune source trouvée pour la question posée sur le projet ${projectId}`);
+    }
+
+    return { conversation_id: conversation.id, answer, answered, citations };
+  }
+
+  /**
+   * Conversations d'un utilisateur sur un projet, les plus récentes d'abord
+   */
+  async listConversations(projectId, userName) {
+    const result = await db.query(`
+      SELECT c.*, COUNT(m.id)::int AS message_count
+      FROM ask_conversations c
+      LEFT JOIN ask_messages m ON m.conversation_id = c.id
+      WHERE c.project_id = $1 AND c.user_name = $2
+      GROUP BY c.id
+      ORDER BY c.updated_at DESC
+    `, [projectId, userName]);
+
+    return result.rows;
+  }
+
+  /**
+   * Conversation complète avec ses messages, null si elle n'existe pas pour cet utilisateur
+   */
+  async getConversation(conversationId, userName) {
+    const conversation = await db.query(`
+      SELECT * FROM ask_conversations WHERE id = $1 AND user_name = $2
+    `, [conversationId, userName]);
+    if (conversation.rows.length === 0) return null;
+
+    const messages = await db.query(`
+      SELECT id, role, content, answered, citations, created_at
+      FROM ask_messages
+      WHERE conversation_id = $1
+      ORDER BY id
+    `, [conversationId]);
+
+    return { ...conversation.rows[0], messages: messages.rows };
+  }
+
+  async deleteConversation(conversationId, userName) {
+    const result = await db.query(`
+      DELETE FROM ask_conversations WHERE id = $1 AND user_name = $2
+    `, [conversationId, userName]);
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = new ProjectAssistant();
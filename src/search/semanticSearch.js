@@ -0,0 +1,451 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+const providers = require('../llm/providers');
+const redactor = require('../privacy/redactor');
+
+// Constante de la fusion des classements (reciprocal rank fusion) en mode hybride
+const RRF_K = 60;
+
+// Emails indexés par lot lors d'un rattrapage
+const BACKFILL_PAGE = 50;
+
+/**
+ * Recherche sémantique dans les emails et le texte des pièces jointes
+ *
+ * Les textes sont découpés en passages (search_chunks) dont les embeddings sont calculés à
+ * l'ingestion. La similarité est calculée par PostgreSQL quand pgvector est installé, sinon
+ * par un index chargé en mémoire. Le mode hybride fusionne ce classement avec la recherche
+ * plein texte de PostgreSQL.
+ */
+class SemanticSearch {
+  constructor() {
+    this.settings = config.search;
+    this.pgvector = null;
+    this.memoryIndex = null;
+    this.backfill = { running: false };
+  }
+
+  /**
+   * pgvector est utilisé si la colonne embedding_vector existe (extension installée)
+   */
+  async _usePgvector() {
+    if (this.settings.backend === 'memory') return false;
+
+    if (this.pgvector === null) {
+      const result = await db.query(`
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'search_chunks' AND column_name = 'embedding_vector'
+      `);
+      this.pgvector = result.rows.length > 0;
+
+      if (!this.pgvector && this.settings.backend === 'pgvector') {
+        throw new Error('pgvector est requis (SEARCH_VECTOR_BACKEND=pgvector) mais l\'extension n\'est pas installée');
+      }
+    }
+
+    return this.pgvector;
+  }
+
+  /**
+   * Découpe un texte en passages qui se chevauchent, coupés de préférence en fin de phrase
+   */
+  chunk(text) {
+    const clean = String(text || '')
+      .replace(/\r/g, '')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+    if (!clean) return [];
+
+    const { chunkSize, chunkOverlap } = this.settings;
+    const chunks = [];
+    let start = 0;
+
+    while (start < clean.length) {
+      let end = Math.min(start + chunkSize, clean.length);
+
+      if (end < clean.length) {
+        const half = start + Math.floor(chunkSize / 2);
+        const tail = clean.slice(half, end);
+        const breakAt = Math.max(tail.lastIndexOf('\n'), tail.lastIndexOf('. '));
+        if (breakAt !== -1) end = half + breakAt + 1;
+      }
+
+      chunks.push(clean.slice(start, end).trim());
+      if (end >= clean.length) break;
+      // Le passage suivant reprend la fin du précédent, à partir d'un début de mot
+      const overlapStart = Math.max(end - chunkOverlap, start + 1);
+      const space = clean.slice(overlapStart, end).search(/\s/);
+      start = space !== -1 ? overlapStart + space + 1 : overlapStart;
+    }
+
+    return chunks.filter(Boolean);
+  }
+
+  /**
+   * Passages d'un email : objet et corps, puis texte extrait de chaque pièce jointe
+   */
+  async _documents(email) {
+    const attachments = await db.query(`
+      SELECT id, text_content FROM attachments
+      WHERE email_id = $1 AND text_content IS NOT NULL AND text_content <> ''
+      ORDER BY id
+    `, [email.id]);
+
+    const documents = [
+      { source: 'email', attachmentId: null, text: [email.subject, email.body_text].filter(Boolean).join('\n\n') },
+      ...attachments.rows.map(attachment => ({ source: 'attachment', attachmentId: attachment.id, text: attachment.text_content }))
+    ];
+
+    return documents.flatMap(document => this.chunk(document.text)
+      .slice(0, this.settings.maxChunksPerDocument)
+      .map((content, index) => ({ source: document.source, attachmentId: document.attachmentId, index, content })));
+  }
+
+  /**
+   * Embeddings d'une liste de textes, masqués comme tout envoi au LLM, par lots
+   */
+  async _embed(texts, { projectId = null, emailId = null, priority = 'batch', purpose = 'embeddings' } = {}) {
+    return redactor.protect({ projectId, emailId, purpose }, async redact => {
+      const vectors = [];
+      let model = null;
+
+      for (let offset = 0; offset < texts.length; offset += this.settings.batchSize) {
+        const batch = texts.slice(offset, offset + this.settings.batchSize).map(redact);
+        const response = await providers.embed(batch, 'embeddings', { projectId, emailId, priority });
+        vectors.push(...response.vectors);
+        model = response.model;
+      }
+
+      return { vectors, model };
+    });
+  }
+
+  /**
+   * (Ré)indexe un email et ses pièces jointes
+   * Retourne le nombre de passages indexés, ou null si l'email n'existe pas
+   */
+  async indexEmail(emailId, { priority = 'batch' } = {}) {
+    const emailResult = await db.query('SELECT id, project_id, subject, body_text FROM emails WHERE id = $1', [emailId]);
+    if (emailResult.rows.length === 0) return null;
+
+    const email = emailResult.rows[0];
+    const chunks = await this._documents(email);
+    const { vectors, model } = chunks.length > 0
+      ? await this._embed(chunks.map(chunk => chunk.content), { projectId: email.project_id, emailId, priority })
+      : { vectors: [], model: null };
+    const pgvector = await this._usePgvector();
+
+    const client = await db.getClient();
+    const inserted = [];
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM search_chunks WHERE email_id = $1', [emailId]);
+
+      for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+        const result = await client.query(`
+          INSERT INTO search_chunks (
+            email_id, attachment_id, source, chunk_index, content, model, embedding
+            ${pgvector ? ', embedding_vector' : ''}
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7 ${pgvector ? ', $8::vector' : ''})
+          RETURNING id
+        `, [
+          emailId, chunk.attachmentId, chunk.source, chunk.index, chunk.content, model, JSON.stringify(vectors[i]),
+          ...(pgvector ? [this._indexable(vectors[i]) ? JSON.stringify(vectors[i]) : null] : [])
+        ]);
+        inserted.push({ id: result.rows[0].id, emailId, vector: vectors[i] });
+      }
+
+      // Le premier passage (objet et début du corps) sert d'embedding de l'email
+      await client.query(`
+        UPDATE emails
+        SET vector_embedding = $1, embedding_model = $2, embedded_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+      `, [vectors.length > 0 ? JSON.stringify(vectors[0]) : null, model, emailId]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (this.memoryIndex) {
+      this._memoryReplace(emailId, model, inserted.filter(entry => !pgvector || !this._indexable(entry.vector)));
+    }
+
+    logger.debug(`Email ${emailId} indexé pour la recherche (${chunks.length} passage(s))`);
+    return chunks.length;
+  }
+
+  /**
+   * Index en mémoire : vecteurs normalisés de tous les passages, chargés au premier usage
+   */
+  async _loadMemoryIndex() {
+    if (this.memoryIndex) return this.memoryIndex;
+
+    // Avec pgvector, seuls les passages absents de la colonne embedding_vector sont chargés
+    const pgvector = await this._usePgvector();
+    const result = await db.query(`
+      SELECT id, email_id, model, embedding FROM search_chunks
+      WHERE embedding IS NOT NULL ${pgvector ? 'AND embedding_vector IS NULL' : ''}
+    `);
+    this.memoryIndex = new Map();
+    result.rows.forEach(row => this._memoryAdd(row.model, { id: row.id, emailId: row.email_id, vector: row.embedding }));
+    logger.info(`Index de recherche chargé en mémoire (${result.rows.length} passage(s))`);
+
+    return this.memoryIndex;
+  }
+
+  _memoryAdd(model, { id, emailId, vector }) {
+    if (!this.memoryIndex.has(model)) this.memoryIndex.set(model, new Map());
+    this.memoryIndex.get(model).set(id, { emailId, vector: normalize(vector) });
+  }
+
+  _memoryReplace(emailId, model, entries) {
+    this.memoryIndex.forEach(chunks => {
+      chunks.forEach((chunk, id) => {
+        if (chunk.emailId === emailId) chunks.delete(id);
+      });
+    });
+    entries.forEach(entry => this._memoryAdd(model, entry));
+  }
+
+  /**
+   * Filtre commun (projet, période) appliqué à l'email de chaque passage, à partir de $offset
+   */
+  _filters({ projectId, from, to }, offset) {
+    return {
+      sql: `
+        ($${offset}::int IS NULL OR e.project_id = $${offset})
+        AND ($${offset + 1}::timestamp IS NULL OR e.received_date >= $${offset + 1})
+        AND ($${offset + 2}::timestamp IS NULL OR e.received_date < $${offset + 2})
+      `,
+      params: [projectId || null, from || null, to || null]
+    };
+  }
+
+  /**
+   * Seuls les vecteurs de la dimension de la colonne pgvector y sont indexés ; ceux d'un
+   * modèle de repli d'une autre dimension sont recherchés dans l'index en mémoire
+   */
+  _indexable(vector) {
+    return vector.length === this.settings.dimensions;
+  }
+
+  /**
+   * Passages les plus proches du vecteur de la requête -> [{ id, score }]
+   */
+  async _semanticRanking(vector, model, filters, limit) {
+    if (await this._usePgvector() && this._indexable(vector)) {
+      const where = this._filters(filters, 4);
+      const result = await db.query(`
+        SELECT c.id, 1 - (c.embedding_vector <=> $1::text::vector) AS score
+        FROM search_chunks c
+        JOIN emails e ON e.id = c.email_id
+        WHERE c.model = $2 AND ${where.sql}
+        ORDER BY c.embedding_vector <=> $1::text::vector
+        LIMIT $3
+      `, [JSON.stringify(vector), model, limit, ...where.params]);
+      return result.rows.map(row => ({ id: row.id, score: parseFloat(row.score) }));
+    }
+
+    const index = await this._loadMemoryIndex();
+    const chunks = index.get(model);
+    if (!chunks) return [];
+
+    // Emails retenus par les filtres, uniquement si un filtre est demandé
+    let allowed = null;
+    if (filters.projectId || filters.from || filters.to) {
+      const where = this._filters(filters, 1);
+      const result = await db.query(`SELECT e.id FROM emails e WHERE ${where.sql}`, where.params);
+      allowed = new Set(result.rows.map(row => row.id));
+    }
+
+    const query = normalize(vector);
+    const scored = [];
+    chunks.forEach((chunk, id) => {
+      if (allowed && !allowed.has(chunk.emailId)) return;
+      scored.push({ id, score: dot(query, chunk.vector) });
+    });
+
+    return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * Passages contenant les mots de la requête (recherche plein texte) -> [{ id, score }]
+   */
+  async _keywordRanking(query, filters, limit) {
+    const where = this._filters(filters, 3);
+    const result = await db.query(`
+      SELECT c.id, ts_rank(to_tsvector('french', c.content), plainto_tsquery('french', $1)) AS score
+      FROM search_chunks c
+      JOIN emails e ON e.id = c.email_id
+      WHERE to_tsvector('french', c.content) @@ plainto_tsquery('french', $1) AND ${where.sql}
+      ORDER BY score DESC
+      LIMIT $2
+    `, [query, limit, ...where.params]);
+
+    return result.rows.map(row => ({ id: row.id, score: parseFloat(row.score) }));
+  }
+
+  /**
+   * Recherche classée par passage
+   * mode : 'semantic' (similarité des embeddings) ou 'hybrid' (fusion avec le plein texte)
+   * Chaque résultat porte l'email, la pièce jointe éventuelle et un extrait surligné
+   */
+  async search(query, { mode = 'semantic', projectId = null, from = null, to = null, limit = 20 } = {}) {
+    const filters = { projectId, from, to };
+    const size = Math.min(limit, this.settings.maxResults);
+    const candidates = size * 3;
+
+    const { vectors, model } = await this._embed([query], { projectId, priority: 'interactive', purpose: 'search' });
+    const semantic = await this._semanticRanking(vectors[0], model, filters, candidates);
+
+    let ranking;
+    if (mode === 'hybrid') {
+      const keyword = await this._keywordRanking(query, filters, candidates);
+      const fused = new Map();
+
+      [['semantic_score', semantic], ['keyword_score', keyword]].forEach(([field, list]) => {
+        list.forEach((item, rank) => {
+          const entry = fused.get(item.id) || { id: item.id, score: 0, semantic_score: null, keyword_score: null };
+          entry.score += 1 / (RRF_K + rank + 1);
+          entry[field] = item.score;
+          fused.set(item.id, entry);
+        });
+      });
+
+      ranking = [...fused.values()].sort((a, b) => b.score - a.score);
+    } else {
+      ranking = semantic.map(item => ({ ...item, semantic_score: item.score }));
+    }
+
+    ranking = ranking.slice(0, size);
+    if (ranking.length === 0) return { model, results: [] };
+
+    const details = await db.query(`
+      SELECT c.id AS chunk_id, c.email_id, c.attachment_id, c.source, c.chunk_index,
+             a.filename, e.subject, e.from_address, e.received_date, e.project_id, p.name AS project_name,
+             ts_headline('french', c.content, plainto_tsquery('french', $2),
+               'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=35, MinWords=12') AS highlight
+      FROM search_chunks c
+      JOIN emails e ON e.id = c.email_id
+      LEFT JOIN projects p ON p.id = e.project_id
+      LEFT JOIN attachments a ON a.id = c.attachment_id
+      WHERE c.id = ANY($1)
+    `, [ranking.map(item => item.id), query]);
+    const byId = new Map(details.rows.map(row => [row.chunk_id, row]));
+
+    return {
+      model,
+      results: ranking
+        .filter(item => byId.has(item.id))
+        .map(item => ({
+          ...byId.get(item.id),
+          score: Math.round(item.score * 10000) / 10000,
+          semantic_score: item.semantic_score,
+          keyword_score: item.keyword_score !== undefined ? item.keyword_score : null
+        }))
+    };
+  }
+
+  /**
+   * Lance en arrière-plan l'indexation des emails jamais indexés (ou de tous avec reindex)
+   * Retourne l'état du rattrapage ; un seul rattrapage à la fois
+   */
+  async startBackfill({ projectId = null, reindex = false } = {}) {
+    if (this.backfill.running) return this.backfill;
+
+    const where = 'WHERE ($1::int IS NULL OR project_id = $1) AND ($2 OR embedded_at IS NULL)';
+    const count = await db.query(`SELECT COUNT(*)::int AS total FROM emails ${where}`, [projectId, reindex]);
+
+    this.backfill = {
+      running: true,
+      project_id: projectId,
+      reindex,
+      total: count.rows[0].total,
+      processed: 0,
+      failed: 0,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      last_error: null
+    };
+
+    this._runBackfill(where, projectId, reindex)
+      .catch(error => {
+        this.backfill.last_error = error.message;
+        logger.error('Erreur lors du rattrapage de l\'index de recherche:', error.message);
+      })
+      .finally(() => {
+        this.backfill.running = false;
+        this.backfill.finished_at = new Date().toISOString();
+      });
+
+    return this.backfill;
+  }
+
+  async _runBackfill(where, projectId, reindex) {
+    let lastId = 0;
+
+    for (;;) {
+      const page = await db.query(`
+        SELECT id FROM emails ${where} AND id > $3
+        ORDER BY id
+        LIMIT ${BACKFILL_PAGE}
+      `, [projectId, reindex, lastId]);
+      if (page.rows.length === 0) break;
+
+      for (const { id } of page.rows) {
+        lastId = id;
+        try {
+          await this.indexEmail(id);
+          this.backfill.processed++;
+        } catch (error) {
+          this.backfill.failed++;
+          this.backfill.last_error = `Email ${id}: ${error.message}`;
+          logger.warn(`Indexation de l'email ${id} impossible: ${error.message}`);
+          // Inutile de poursuivre une fois le budget du projet épuisé
+          if (error.budgetExceeded) throw error;
+        }
+      }
+    }
+
+    logger.info(`Rattrapage de l'index de recherche terminé (${this.backfill.processed} email(s), ${this.backfill.failed} échec(s))`);
+  }
+
+  /**
+   * Couverture de l'index : emails indexés, passages par modèle, rattrapage en cours
+   */
+  async getStatus() {
+    const emails = await db.query(`
+      SELECT COUNT(*)::int AS total, COUNT(embedded_at)::int AS indexed FROM emails
+    `);
+    const models = await db.query(`
+      SELECT model, source, COUNT(*)::int AS chunks FROM search_chunks GROUP BY model, source ORDER BY model, source
+    `);
+
+    return {
+      backend: (await this._usePgvector()) ? 'pgvector' : 'memory',
+      emails: { ...emails.rows[0], pending: emails.rows[0].total - emails.rows[0].indexed },
+      chunks: models.rows,
+      backfill: this.backfill
+    };
+  }
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return Float32Array.from(vector, value => value / norm);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length && i < b.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+module.exports = new SemanticSearch();
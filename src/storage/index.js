@@ -0,0 +1,46 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const LocalStorage = require('./localStorage');
+const S3Storage = require('./s3Storage');
+
+/**
+ * Interface commune des backends de stockage :
+ * - put(key, content, { contentType }) -> { key }
+ * - get(key) -> Buffer
+ * - getStream(key) -> Readable
+ * - delete(key)
+ */
+const factories = {
+  local: () => new LocalStorage({ root: config.storage.localRoot }),
+  s3: () => new S3Storage({ bucket: config.aws.s3Bucket })
+};
+
+const instances = new Map();
+
+/**
+ * Retourne un backend par son nom (instancié à la demande)
+ */
+function getBackend(name) {
+  if (!factories[name]) {
+    throw new Error(`Backend de stockage inconnu: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+    logger.debug(`Backend de stockage "${name}" initialisé`);
+  }
+
+  return instances.get(name);
+}
+
+/**
+ * Retourne le backend configuré pour les nouveaux fichiers
+ */
+function getDefaultBackend() {
+  return getBackend(config.storage.backend);
+}
+
+module.exports = {
+  getBackend,
+  getDefaultBackend
+};
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Stockage des fichiers sur le système de fichiers local
+ * Fonctionne entièrement hors ligne
+ */
+class LocalStorage {
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Résout une clé en chemin absolu, sans permettre de sortir du répertoire racine
+   */
+  _resolve(key) {
+    const filePath = path.resolve(this.root, key);
+
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Clé de stockage invalide: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Enregistre un contenu sous une clé
+   */
+  async put(key, content) {
+    const filePath = this._resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, content);
+    return { key };
+  }
+
+  /**
+   * Retourne un flux de lecture du contenu
+   */
+  async getStream(key) {
+    const filePath = this._resolve(key);
+    await fs.promises.access(filePath, fs.constants.R_OK);
+    return fs.createReadStream(filePath);
+  }
+
+  /**
+   * Lit le contenu complet en mémoire
+   */
+  async get(key) {
+    return fs.promises.readFile(this._resolve(key));
+  }
+
+  /**
+   * Supprime un contenu
+   */
+  async delete(key) {
+    await fs.promises.rm(this._resolve(key), { force: true });
+  }
+}
+
+module.exports = LocalStorage;
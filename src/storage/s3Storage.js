@@ -0,0 +1,54 @@
+const awsConfig = require('../config/aws');
+
+/**
+ * Stockage des fichiers dans un bucket S3
+ */
+class S3Storage {
+  constructor({ bucket }) {
+    this.name = 's3';
+    this.bucket = bucket;
+
+    awsConfig.configureAWS();
+    this.s3 = awsConfig.getS3();
+  }
+
+  /**
+   * Enregistre un contenu sous une clé
+   */
+  async put(key, content, { contentType } = {}) {
+    const result = await this.s3.upload({
+      Bucket: this.bucket,
+      Key: key,
+      Body: content,
+      ContentType: contentType
+    }).promise();
+
+    return { key, location: result.Location };
+  }
+
+  /**
+   * Retourne un flux de lecture du contenu
+   */
+  async getStream(key) {
+    // Vérifier l'existence avant de commencer à streamer la réponse
+    await this.s3.headObject({ Bucket: this.bucket, Key: key }).promise();
+    return this.s3.getObject({ Bucket: this.bucket, Key: key }).createReadStream();
+  }
+
+  /**
+   * Lit le contenu complet en mémoire
+   */
+  async get(key) {
+    const result = await this.s3.getObject({ Bucket: this.bucket, Key: key }).promise();
+    return result.Body;
+  }
+
+  /**
+   * Supprime un contenu
+   */
+  async delete(key) {
+    await this.s3.deleteObject({ Bucket: this.bucket, Key: key }).promise();
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,223 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+const { toDay } = require('../utils/dates');
+const taskReconciler = require('./taskReconciler');
+
+const PROGRESS_EVENTS = ['started', 'completed', 'delayed', 'blocked'];
+
+// Événements renvoyés en français par le LLM
+const EVENT_ALIASES = {
+  'démarré': 'started',
+  'commencé': 'started',
+  'terminé': 'completed',
+  'achevé': 'completed',
+  'retard': 'delayed',
+  'retardé': 'delayed',
+  'bloqué': 'blocked'
+};
+
+function normalizeEvent(event) {
+  if (!event) return null;
+  const value = String(event).toLowerCase().trim();
+  if (PROGRESS_EVENTS.includes(value)) return value;
+  return EVENT_ALIASES[value] || null;
+}
+
+/**
+ * Suivi de l'avancement des tâches à partir des emails
+ *
+ * Les événements détectés par l'analyse (démarrage, achèvement, retard, blocage)
+ * sont rattachés aux tâches existantes du projet puis appliqués directement,
+ * ou mis en attente de confirmation si le projet l'exige.
+ */
+class ProgressTracker {
+  constructor() {
+    this.matchScore = config.tasks.progressMatchScore;
+  }
+
+  /**
+   * Traite les événements d'avancement détectés dans un email
+   * Retourne { applied, pending, unmatched }
+   */
+  async processEvents(events, emailId, projectId) {
+    const summary = { applied: 0, pending: 0, unmatched: 0 };
+    if (!projectId) return summary;
+
+    const projectResult = await db.query('SELECT confirm_task_updates FROM projects WHERE id = $1', [projectId]);
+    const requiresConfirmation = projectResult.rows.length > 0 && projectResult.rows[0].confirm_task_updates;
+
+    const emailResult = await db.query('SELECT received_date FROM emails WHERE id = $1', [emailId]);
+    const receivedDay = emailResult.rows.length > 0 ? toDay(emailResult.rows[0].received_date) : null;
+
+    const tasks = (await db.query('SELECT * FROM tasks WHERE project_id = $1', [projectId])).rows;
+
+    for (const rawEvent of events) {
+      const event = normalizeEvent(rawEvent.event);
+      const match = event ? taskReconciler.matchByName(rawEvent.task, tasks) : null;
+
+      if (!match || match.score < this.matchScore) {
+        summary.unmatched++;
+        logger.info(`Événement d'avancement "${rawEvent.event}" sur "${rawEvent.task}" non rattaché à une tâche du projet ${projectId}`);
+        continue;
+      }
+
+      const update = {
+        event,
+        event_date: toDay(rawEvent.date) || receivedDay,
+        proposed_end_date: toDay(rawEvent.new_end_date),
+        detail: rawEvent.detail || null
+      };
+      const changes = this.computeChanges(match.task, update);
+
+      // Un même événement n'est enregistré qu'une fois par email (reprise après échec)
+      const inserted = await db.query(`
+        INSERT INTO task_progress_updates (
+          project_id, task_id, email_id, event, event_date, proposed_end_date, detail, match_score, changes
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (task_id, email_id, event) DO NOTHING
+        RETURNING *
+      `, [
+        projectId, match.task.id, emailId, event, update.event_date,
+        update.proposed_end_date, update.detail, match.score, JSON.stringify(changes)
+      ]);
+
+      let record = inserted.rows[0];
+      if (!record) {
+        // Déjà enregistré lors d'une tentative précédente : reste à l'appliquer si cette tentative
+        // a échoué avant, sauf si le projet exige une confirmation
+        const existing = await db.query(`
+          SELECT * FROM task_progress_updates
+          WHERE task_id = $1 AND email_id = $2 AND event = $3 AND status = 'pending'
+        `, [match.task.id, emailId, event]);
+        if (existing.rows.length === 0 || requiresConfirmation) continue;
+        record = existing.rows[0];
+      }
+
+      if (requiresConfirmation) {
+        summary.pending++;
+        logger.info(`Mise à jour de la tâche ${match.task.id} (${event}) en attente de confirmation`);
+      } else {
+        await this._apply(record, match.task, 'system');
+        summary.applied++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Modifications de la tâche induites par un événement d'avancement
+   */
+  computeChanges(task, update) {
+    const changes = {};
+    const setField = (field, value) => {
+      const current = field.endsWith('_date') ? toDay(task[field]) : task[field];
+      if (value && value !== current) {
+        changes[field] = { from: current || null, to: value };
+      }
+    };
+
+    switch (update.event) {
+      case 'started':
+        setField('actual_start_date', task.actual_start_date ? null : update.event_date);
+        if (task.status !== 'completed') setField('status', 'in_progress');
+        break;
+      case 'completed':
+        setField('actual_end_date', update.event_date);
+        setField('status', 'completed');
+        break;
+      case 'delayed':
+        setField('planned_end_date', update.proposed_end_date);
+        if (task.status !== 'completed') setField('status', 'delayed');
+        break;
+      case 'blocked':
+        if (task.status !== 'completed') setField('status', 'blocked');
+        break;
+    }
+
+    return changes;
+  }
+
+  /**
+   * Applique une mise à jour d'avancement à la tâche, recalculée sur son état actuel
+   */
+  async _apply(update, task, resolvedBy) {
+    const changes = this.computeChanges(task, update);
+    const fields = Object.keys(changes);
+
+    if (fields.length > 0) {
+      const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+      await db.query(`
+        UPDATE tasks SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $${fields.length + 1}
+      `, [...fields.map(field => changes[field].to), task.id]);
+    }
+
+    await db.query(`
+      INSERT INTO task_evidence (task_id, email_id, action, extracted, changes, match_score)
+      VALUES ($1, $2, 'progress', $3, $4, $5)
+    `, [
+      task.id,
+      update.email_id,
+      JSON.stringify({ event: update.event, date: update.event_date, new_end_date: update.proposed_end_date, detail: update.detail }),
+      JSON.stringify(changes),
+      update.match_score
+    ]);
+
+    const result = await db.query(`
+      UPDATE task_progress_updates
+      SET status = 'applied', changes = $1, resolved_by = $2, resolved_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING *
+    `, [JSON.stringify(changes), resolvedBy, update.id]);
+
+    logger.info(`Tâche ${task.id} mise à jour (${update.event}) depuis l'email ${update.email_id}`);
+    return result.rows[0];
+  }
+
+  /**
+   * Mises à jour d'avancement d'un projet
+   */
+  async listUpdates(projectId, status = 'pending') {
+    const result = await db.query(`
+      SELECT u.*, t.name AS task_name, t.status AS task_status,
+             e.subject AS email_subject, e.from_address AS email_from, e.received_date AS email_date
+      FROM task_progress_updates u
+      JOIN tasks t ON t.id = u.task_id
+      LEFT JOIN emails e ON e.id = u.email_id
+      WHERE u.project_id = $1 AND u.status = $2
+      ORDER BY u.created_at ASC
+    `, [projectId, status]);
+
+    return result.rows;
+  }
+
+  /**
+   * Confirme ou rejette une mise à jour en attente
+   * Retourne null si la mise à jour n'existe pas ou a déjà été traitée
+   */
+  async resolve(updateId, accept, resolvedBy = 'api') {
+    const updateResult = await db.query(`
+      SELECT * FROM task_progress_updates WHERE id = $1 AND status = 'pending'
+    `, [updateId]);
+    const update = updateResult.rows[0];
+    if (!update) return null;
+
+    if (accept) {
+      const taskResult = await db.query('SELECT * FROM tasks WHERE id = $1', [update.task_id]);
+      return this._apply(update, taskResult.rows[0], resolvedBy);
+    }
+
+    const result = await db.query(`
+      UPDATE task_progress_updates
+      SET status = 'rejected', resolved_by = $1, resolved_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING *
+    `, [resolvedBy, updateId]);
+
+    return result.rows[0];
+  }
+}
+
+module.exports = new ProgressTracker();
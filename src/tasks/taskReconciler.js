@@ -0,0 +1,481 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+const { toDay } = require('../utils/dates');
+
+const TASK_STATUSES = ['planned', 'in_progress', 'completed', 'delayed', 'blocked'];
+
+// Statuts renvoyés en français par le LLM
+const STATUS_ALIASES = {
+  'prévu': 'planned',
+  'planifié': 'planned',
+  'en cours': 'in_progress',
+  'démarré': 'in_progress',
+  'terminé': 'completed',
+  'achevé': 'completed',
+  'en retard': 'delayed',
+  'retardé': 'delayed',
+  'bloqué': 'blocked'
+};
+
+// Mots ignorés lors de la comparaison des noms de tâches
+const STOP_WORDS = new Set([
+  'de', 'des', 'du', 'la', 'le', 'les', 'l', 'd', 'et', 'en', 'au', 'aux', 'a', 'pour', 'sur', 'un', 'une'
+]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longueur minimale d'un nom de corps de métier recherché comme partie d'un nom plus long
+const MIN_TRADE_FRAGMENT = 3;
+
+/**
+ * Protège les caractères spéciaux de LIKE (%, _ et le caractère d'échappement)
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Découpe un nom de tâche en mots normalisés (sans accents, pluriels simplifiés)
+ */
+function tokenize(name) {
+  return (name || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(token => token && !STOP_WORDS.has(token))
+    .map(token => (token.length > 3 ? token.replace(/[sx]$/, '') : token));
+}
+
+/**
+ * Coefficient de Dice entre deux ensembles
+ */
+function dice(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let common = 0;
+  a.forEach(item => {
+    if (b.has(item)) common++;
+  });
+  return (2 * common) / (a.size + b.size);
+}
+
+function trigrams(tokens) {
+  const text = ` ${tokens.join(' ')} `;
+  const grams = new Set();
+  for (let i = 0; i < text.length - 2; i++) {
+    grams.add(text.slice(i, i + 3));
+  }
+  return grams;
+}
+
+/**
+ * Similarité entre deux noms de tâches (0 à 1), sur les mots puis sur les trigrammes
+ */
+function nameSimilarity(a, b) {
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+  return 0.6 * dice(new Set(tokensA), new Set(tokensB)) + 0.4 * dice(trigrams(tokensA), trigrams(tokensB));
+}
+
+/**
+ * Un email ne fait qu'avancer une tâche : une tâche terminée ne change plus de statut et
+ * aucune tâche ne revient à « planned » (un email reprenant le planning ne la réinitialise pas)
+ */
+function isStatusProgress(from, to) {
+  return from !== 'completed' && to !== 'planned' && to !== from;
+}
+
+function normalizeStatus(status) {
+  if (!status) return null;
+  const value = String(status).toLowerCase().trim();
+  if (TASK_STATUSES.includes(value)) return value;
+  return STATUS_ALIASES[value] || null;
+}
+
+/**
+ * Rapprochement des tâches extraites par le LLM avec le planning existant
+ *
+ * Une tâche extraite est comparée aux tâches du projet (nom, corps de métier, dates) :
+ * au-dessus du seuil de fusion, la tâche existante est mise à jour et l'email est
+ * conservé comme justificatif ; entre les deux seuils, le rapprochement est soumis
+ * à validation ; en dessous, une nouvelle tâche est créée.
+ */
+class TaskReconciler {
+  constructor() {
+    this.autoMergeScore = config.tasks.autoMergeScore;
+    this.reviewScore = config.tasks.reviewScore;
+    this.dateWindowDays = config.tasks.dateWindowDays;
+  }
+
+  /**
+   * Rapproche les tâches extraites d'un email
+   * Retourne { created, merged, review }
+   */
+  async reconcile(extractedTasks, emailId, projectId) {
+    const summary = { created: 0, merged: 0, review: 0 };
+    const handled = new Set(await this.extractedNames(emailId));
+    const projectTasks = projectId
+      ? (await db.query('SELECT * FROM tasks WHERE project_id = $1', [projectId])).rows
+      : [];
+    let failures = 0;
+
+    for (const extracted of extractedTasks) {
+      const name = extracted.name || 'Tâche sans nom';
+
+      // Tâche déjà traitée lors d'une tentative précédente
+      if (handled.has(name)) continue;
+
+      try {
+        const tradeId = await this.findTradeId(extracted.trade);
+        const match = this._bestMatch(extracted, tradeId, projectTasks);
+
+        if (match && match.score >= this.autoMergeScore) {
+          await this.mergeInto(match.task, extracted, emailId, { tradeId, score: match.score });
+          summary.merged++;
+        } else if (match && match.score >= this.reviewScore) {
+          await this._queueReview(extracted, emailId, projectId, match);
+          summary.review++;
+        } else {
+          const task = await this.createTask(extracted, emailId, projectId, { tradeId });
+          projectTasks.push(task);
+          summary.created++;
+        }
+      } catch (error) {
+        failures++;
+        logger.error(`Erreur lors du rapprochement de la tâche "${name}":`, error);
+      }
+    }
+
+    logger.info(`Tâches de l'email ${emailId}: ${summary.created} créée(s), ${summary.merged} fusionnée(s), ${summary.review} à valider`);
+
+    if (failures > 0) {
+      throw new Error(`${failures} tâche(s) non enregistrée(s) pour l'email ${emailId}`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Noms des tâches extraites d'un email déjà prises en compte
+   * (tâche créée ou fusionnée, rapprochement soumis à validation)
+   */
+  async extractedNames(emailId) {
+    const result = await db.query(`
+      SELECT COALESCE(extracted->>'name', 'Tâche sans nom') AS name FROM task_evidence WHERE email_id = $1
+      UNION
+      SELECT COALESCE(extracted->>'name', 'Tâche sans nom') AS name FROM task_match_reviews WHERE email_id = $1
+      UNION
+      SELECT name FROM tasks WHERE source_email_id = $1
+      ORDER BY name ASC
+    `, [emailId]);
+
+    return result.rows.map(row => row.name);
+  }
+
+  /**
+   * Retire les tâches extraites d'un email qui ne sont plus d'actualité :
+   * tâches créées par l'email et non démarrées, rapprochements en attente.
+   * Les fusions déjà appliquées à des tâches existantes sont conservées.
+   */
+  async withdraw(emailId, names) {
+    await db.query(`
+      DELETE FROM tasks
+      WHERE source_email_id = $1 AND name = ANY($2) AND status = 'planned'
+    `, [emailId, names]);
+
+    await db.query(`
+      DELETE FROM task_match_reviews
+      WHERE email_id = $1 AND extracted->>'name' = ANY($2) AND status = 'pending'
+    `, [emailId, names]);
+  }
+
+  /**
+   * Corps de métier désigné par le LLM : nom identique aux accents, à la casse et aux pluriels
+   * près, sinon le nom le plus court qui le contient (pas pour un fragment de moins de 3 lettres)
+   */
+  async findTradeId(trade) {
+    const wanted = tokenize(trade).join(' ');
+    if (!wanted) return null;
+
+    const trades = await db.query('SELECT id, name FROM trades ORDER BY id');
+    const exact = trades.rows.find(row => tokenize(row.name).join(' ') === wanted);
+    if (exact) return exact.id;
+
+    const value = String(trade).trim();
+    if (value.length < MIN_TRADE_FRAGMENT) return null;
+
+    const result = await db.query(`
+      SELECT id FROM trades WHERE name ILIKE $1 ESCAPE '\\'
+      ORDER BY length(name), id
+      LIMIT 1
+    `, [`%${escapeLike(value)}%`]);
+    return result.rows.length > 0 ? result.rows[0].id : null;
+  }
+
+  /**
+   * Score de correspondance entre une tâche extraite et une tâche existante
+   * Retourne { score, details } ; un corps de métier différent exclut la correspondance
+   */
+  score(extracted, tradeId, task) {
+    if (tradeId && task.trade_id && tradeId !== task.trade_id) {
+      return { score: 0, details: { trade: 'différent' } };
+    }
+
+    const name = nameSimilarity(extracted.name, task.name);
+    const trade = tradeId && task.trade_id ? 1 : 0.5;
+    const date = this._dateScore(extracted, task);
+    const score = Math.round((0.7 * name + 0.15 * trade + 0.15 * date) * 1000) / 1000;
+
+    return {
+      score,
+      details: {
+        name: Math.round(name * 1000) / 1000,
+        trade: trade === 1 ? 'identique' : 'inconnu',
+        date: date === 1 ? 'dans la fenêtre' : (date === 0 ? 'hors fenêtre' : 'inconnue')
+      }
+    };
+  }
+
+  /**
+   * 1 si les dates sont proches, 0 si elles sont éloignées, 0,5 si elles ne sont pas comparables
+   */
+  _dateScore(extracted, task) {
+    const pairs = [
+      [toDay(extracted.start_date), toDay(task.planned_start_date)],
+      [toDay(extracted.end_date), toDay(task.planned_end_date)]
+    ].filter(([a, b]) => a && b);
+
+    if (pairs.length === 0) return 0.5;
+
+    const gap = Math.min(...pairs.map(([a, b]) => Math.abs(new Date(a) - new Date(b)) / DAY_MS));
+    return gap <= this.dateWindowDays ? 1 : 0;
+  }
+
+  /**
+   * Tâche dont le nom est le plus proche, avec sa similarité (0 à 1)
+   */
+  matchByName(name, tasks) {
+    let best = null;
+
+    for (const task of tasks) {
+      const score = Math.round(nameSimilarity(name, task.name) * 1000) / 1000;
+      if (!best || score > best.score) {
+        best = { task, score };
+      }
+    }
+
+    return best;
+  }
+
+  _bestMatch(extracted, tradeId, tasks) {
+    let best = null;
+
+    for (const task of tasks) {
+      const { score, details } = this.score(extracted, tradeId, task);
+      if (!best || score > best.score) {
+        best = { task, score, details };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Crée une tâche à partir d'une tâche extraite et enregistre l'email comme justificatif
+   * Accepte un client de transaction (client) pour écrire avec l'appelant
+   */
+  async createTask(extracted, emailId, projectId, { tradeId, score = null, client = db } = {}) {
+    const resolvedTradeId = tradeId !== undefined ? tradeId : await this.findTradeId(extracted.trade);
+
+    const result = await client.query(`
+      INSERT INTO tasks (
+        project_id, trade_id, name, description,
+        planned_start_date, planned_end_date, status, source_email_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      projectId,
+      resolvedTradeId,
+      extracted.name || 'Tâche sans nom',
+      extracted.description || null,
+      toDay(extracted.start_date),
+      toDay(extracted.end_date),
+      normalizeStatus(extracted.status) || 'planned',
+      emailId
+    ]);
+
+    const task = result.rows[0];
+    await this._recordEvidence(task.id, emailId, 'created', extracted, {}, score, client);
+
+    logger.info(`Tâche "${task.name}" créée (${task.id})`);
+    return task;
+  }
+
+  /**
+   * Met à jour une tâche existante à partir d'une tâche extraite
+   * Les dates et le statut d'une tâche terminée ne sont plus modifiés ; le statut ne fait qu'avancer
+   * Accepte un client de transaction (client) pour écrire avec l'appelant
+   */
+  async mergeInto(task, extracted, emailId, { tradeId = null, score = null, client = db } = {}) {
+    const changes = {};
+    const updates = {};
+
+    if (task.status !== 'completed') {
+      for (const [field, value] of [['planned_start_date', extracted.start_date], ['planned_end_date', extracted.end_date]]) {
+        const day = toDay(value);
+        if (day && day !== toDay(task[field])) {
+          changes[field] = { from: toDay(task[field]), to: day };
+          updates[field] = day;
+        }
+      }
+    }
+
+    const status = normalizeStatus(extracted.status);
+    if (status && isStatusProgress(task.status, status)) {
+      changes.status = { from: task.status, to: status };
+      updates.status = status;
+    }
+
+    if (!task.description && extracted.description) {
+      updates.description = extracted.description;
+    }
+
+    if (!task.trade_id && tradeId) {
+      updates.trade_id = tradeId;
+    }
+
+    const fields = Object.keys(updates);
+    if (fields.length > 0) {
+      const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+      await client.query(`
+        UPDATE tasks SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $${fields.length + 1}
+      `, [...fields.map(field => updates[field]), task.id]);
+
+      Object.assign(task, updates);
+    }
+
+    await this._recordEvidence(task.id, emailId, 'merged', extracted, changes, score, client);
+
+    logger.info(`Tâche extraite "${extracted.name}" rapprochée de la tâche ${task.id} (score ${score})`);
+    return { task, changes };
+  }
+
+  async _recordEvidence(taskId, emailId, action, extracted, changes, score, client = db) {
+    await client.query(`
+      INSERT INTO task_evidence (task_id, email_id, action, extracted, changes, match_score)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [taskId, emailId, action, JSON.stringify(extracted), JSON.stringify(changes), score]);
+  }
+
+  async _queueReview(extracted, emailId, projectId, match) {
+    await db.query(`
+      INSERT INTO task_match_reviews (
+        project_id, email_id, candidate_task_id, extracted, match_score, match_details
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+    `, [projectId, emailId, match.task.id, JSON.stringify(extracted), match.score, JSON.stringify(match.details)]);
+
+    logger.info(`Rapprochement incertain de "${extracted.name}" avec la tâche ${match.task.id} (score ${match.score}), soumis à validation`);
+  }
+
+  /**
+   * Rapprochements en attente de validation d'un projet
+   */
+  async listReviews(projectId, status = 'pending') {
+    const result = await db.query(`
+      SELECT r.*, t.name AS candidate_name, t.planned_start_date AS candidate_start_date,
+             t.planned_end_date AS candidate_end_date, t.status AS candidate_status,
+             e.subject AS email_subject, e.from_address AS email_from
+      FROM task_match_reviews r
+      LEFT JOIN tasks t ON t.id = r.candidate_task_id
+      LEFT JOIN emails e ON e.id = r.email_id
+      WHERE r.project_id = $1 AND r.status = $2
+      ORDER BY r.created_at ASC
+    `, [projectId, status]);
+
+    return result.rows;
+  }
+
+  /**
+   * Valide un rapprochement : fusion avec la tâche candidate (ou une autre tâche du projet),
+   * création d'une nouvelle tâche, ou abandon de la tâche extraite
+   * Retourne null si le rapprochement n'existe pas ou a déjà été traité
+   *
+   * Le rapprochement est réservé (statut mis à jour) avant la fusion ou la création, dans la même
+   * transaction : deux validations simultanées ne peuvent pas l'appliquer deux fois
+   */
+  async resolveReview(reviewId, decision, { taskId = null, resolvedBy = 'system' } = {}) {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      const claimed = await client.query(`
+        UPDATE task_match_reviews
+        SET status = $1, resolved_by = $2, resolved_at = CURRENT_TIMESTAMP
+        WHERE id = $3 AND status = 'pending'
+        RETURNING *
+      `, [decision, resolvedBy, reviewId]);
+      const review = claimed.rows[0];
+
+      if (!review) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      let resolvedTaskId = null;
+
+      if (decision === 'merged') {
+        const targetId = taskId || review.candidate_task_id;
+        const taskResult = await client.query(
+          'SELECT * FROM tasks WHERE id = $1 AND project_id = $2 FOR UPDATE',
+          [targetId, review.project_id]
+        );
+        if (taskResult.rows.length === 0) {
+          throw new Error(`Tâche ${targetId} introuvable dans le projet`);
+        }
+
+        await this.mergeInto(taskResult.rows[0], review.extracted, review.email_id, {
+          tradeId: await this.findTradeId(review.extracted.trade),
+          score: review.match_score,
+          client
+        });
+        resolvedTaskId = targetId;
+      } else if (decision === 'created') {
+        const task = await this.createTask(review.extracted, review.email_id, review.project_id, { client });
+        resolvedTaskId = task.id;
+      }
+
+      const updated = await client.query(`
+        UPDATE task_match_reviews SET resolved_task_id = $1 WHERE id = $2
+        RETURNING *
+      `, [resolvedTaskId, reviewId]);
+
+      await client.query('COMMIT');
+      return updated.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Emails justifiant une tâche (création et mises à jour successives)
+   */
+  async getEvidence(taskId) {
+    const result = await db.query(`
+      SELECT ev.*, e.subject, e.from_address, e.received_date
+      FROM task_evidence ev
+      LEFT JOIN emails e ON e.id = ev.email_id
+      WHERE ev.task_id = $1
+      ORDER BY ev.created_at ASC
+    `, [taskId]);
+
+    return result.rows;
+  }
+}
+
+module.exports = new TaskReconciler();
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+
+// Empreinte des jetons : comparaison en temps constant, quelle que soit leur longueur
+const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+
+/**
+ * Jetons configurés dans API_TOKENS ("utilisateur:jeton"), indexés par empreinte
+ */
+function loadTokens(entries) {
+  const tokens = [];
+
+  for (const entry of entries) {
+    const separator = entry.indexOf(':');
+    const user = entry.slice(0, separator).trim();
+    const token = entry.slice(separator + 1).trim();
+
+    if (separator <= 0 || !token) {
+      logger.warn('Entrée de API_TOKENS ignorée : format attendu "utilisateur:jeton"');
+      continue;
+    }
+
+    tokens.push({ user, hash: digest(token) });
+  }
+
+  return tokens;
+}
+
+const tokens = loadTokens(config.api.tokens);
+
+/**
+ * Utilisateur correspondant à un jeton, ou null
+ */
+function authenticate(token) {
+  if (!token) return null;
+
+  const hash = digest(token);
+  const match = tokens.find(entry => crypto.timingSafeEqual(entry.hash, hash));
+  return match ? match.user : null;
+}
+
+/**
+ * Middleware des routes protégées : jeton porté par l'en-tête Authorization: Bearer <jeton>
+ * L'utilisateur authentifié est disponible dans req.user
+ */
+function requireAuth(req, res, next) {
+  if (tokens.length === 0) {
+    return res.status(503).json({
+      status: 'error',
+      message: 'Routes protégées désactivées (API_TOKENS non configuré)'
+    });
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  const user = authenticate(match && match[1].trim());
+
+  if (!user) {
+    logger.warn(`Accès refusé à ${req.method} ${req.originalUrl} (${req.ip})`);
+    return res.status(401).json({
+      status: 'error',
+      message: 'Authentification requise'
+    });
+  }
+
+  req.user = user;
+  next();
+}
+
+module.exports = {
+  authenticate,
+  requireAuth
+};
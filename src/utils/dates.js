@@ -0,0 +1,29 @@
+/**
+ * Date au format AAAA-MM-JJ, ou null si absente ou invalide
+ *
+ * pg renvoie les colonnes DATE à minuit heure locale : le jour est lu avec les accesseurs
+ * locaux (toISOString le décalerait d'un jour à l'est de Greenwich). Une chaîne déjà au
+ * format AAAA-MM-JJ est reprise telle quelle si ce jour existe (pas de 2025-02-30 ni de
+ * mois 13, qu'un LLM peut produire et que PostgreSQL refuserait).
+ */
+function toDay(value) {
+  if (!value) return null;
+
+  const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  if (match) {
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    const exists = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+    return exists ? match[0] : null;
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+module.exports = {
+  toDay
+};
@@ -0,0 +1,68 @@
+jest.mock('../../src/database', () => ({ query: jest.fn() }));
+jest.mock('../../src/storage', () => ({ getDefaultBackend: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../../src/database');
+const config = require('../../src/config');
+const storage = require('../../src/storage');
+const attachmentStore = require('../../src/attachments/attachmentStore');
+
+describe('reprise et conservation des pièces jointes non persistées', () => {
+  let spoolDir;
+  let backend;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    spoolDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'spool-'));
+    backend = { name: 's3', put: jest.fn() };
+    storage.getDefaultBackend.mockReturnValue(backend);
+    config.storage.maxAttempts = 3;
+    config.storage.failedRetentionDays = 30;
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(spoolDir, { recursive: true, force: true });
+  });
+
+  test('date le passage en échec après la dernière tentative', async () => {
+    const spoolPath = path.join(spoolDir, 'a');
+    await fs.promises.writeFile(spoolPath, 'contenu');
+    backend.put.mockRejectedValue(new Error('bucket indisponible'));
+    db.query.mockResolvedValueOnce({ rows: [{ id: 4, filename: 'plan.pdf', storage_key: 'k', spool_path: spoolPath, storage_attempts: 2 }] });
+
+    await expect(attachmentStore.retryPending()).resolves.toEqual({ retried: 1, stored: 0 });
+
+    const [sql, params] = db.query.mock.calls[1];
+    expect(sql).toContain('storage_failed_at = CASE WHEN $1 = \'failed\' THEN CURRENT_TIMESTAMP END');
+    expect(params).toEqual(['failed', 3, 'bucket indisponible', 4]);
+    expect(fs.existsSync(spoolPath)).toBe(true);
+  });
+
+  test('supprime les copies locales en échec au-delà du délai de conservation', async () => {
+    const spoolPath = path.join(spoolDir, 'b');
+    await fs.promises.writeFile(spoolPath, 'contenu');
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 5, filename: 'photo.jpg', spool_path: spoolPath }] })
+      .mockResolvedValue({ rows: [] });
+
+    await expect(attachmentStore.purgeFailed()).resolves.toBe(1);
+
+    expect(db.query.mock.calls[0][1]).toEqual([30]);
+    expect(fs.existsSync(spoolPath)).toBe(false);
+    const [sql, params] = db.query.mock.calls[1];
+    expect(sql).toContain('storage_status = \'discarded\', spool_path = NULL');
+    expect(params).toEqual(['Copie locale supprimée après 30 jours en échec', 5]);
+  });
+
+  test('remet en attente les pièces jointes en échec dont la copie locale est conservée', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 6 }, { id: 7 }] });
+
+    await expect(attachmentStore.requeueFailed()).resolves.toBe(2);
+
+    const [sql] = db.query.mock.calls[0];
+    expect(sql).toContain('storage_attempts = 0');
+    expect(sql).toContain('spool_path IS NOT NULL');
+  });
+});
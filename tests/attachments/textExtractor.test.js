@@ -0,0 +1,91 @@
+const JSZip = require('jszip');
+const config = require('../../src/config');
+const textExtractor = require('../../src/attachments/textExtractor');
+
+function odt(paragraphs, extra = {}) {
+  const zip = new JSZip();
+  const body = paragraphs.map(text => `<text:p>${text}</text:p>`).join('');
+  zip.file('content.xml', `<office:document-content><office:body><office:text>${body}</office:text></office:body></office:document-content>`);
+  for (const [name, content] of Object.entries(extra)) {
+    zip.file(name, content);
+  }
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+describe('extraction du texte des pièces jointes', () => {
+  const options = { ...textExtractor.options };
+  const timeoutMs = textExtractor.timeoutMs;
+
+  afterEach(() => {
+    textExtractor.options = { ...options };
+    textExtractor.timeoutMs = timeoutMs;
+  });
+
+  test('extrait le texte d\'un document ODT', async () => {
+    const content = await odt(['Compte rendu de chantier', 'Livraison &amp; levée des réserves']);
+
+    await expect(textExtractor.extract(content, { filename: 'cr.odt' })).resolves.toMatchObject({
+      status: 'extracted',
+      method: 'odt',
+      text: 'Compte rendu de chantier\nLivraison & levée des réserves'
+    });
+  });
+
+  test('refuse une archive qui dépasse la taille maximale une fois décompressée', async () => {
+    textExtractor.options.maxUncompressedBytes = 1024 * 1024;
+    const content = await odt(['Bombe'], { 'remplissage.xml': '0'.repeat(2 * 1024 * 1024) });
+
+    expect(content.length).toBeLessThan(64 * 1024);
+    await expect(textExtractor.extract(content, { filename: 'piege.docx' })).resolves.toEqual({
+      status: 'skipped',
+      method: null,
+      text: null,
+      error: 'Document trop volumineux une fois décompressé'
+    });
+  });
+
+  test('tronque le texte au nombre maximal de caractères', async () => {
+    textExtractor.options.maxChars = 10;
+
+    await expect(textExtractor.extract(Buffer.from('Planning du lot gros œuvre'), { filename: 'notes.txt' })).resolves.toMatchObject({
+      status: 'extracted',
+      method: 'text',
+      text: 'Planning d',
+      truncated: true
+    });
+  });
+
+  test('retire les balises HTML', async () => {
+    const result = await textExtractor.extract(Buffer.from('<p>Réunion &lt;mardi&gt;</p>'), { contentType: 'text/html' });
+
+    expect(result.text).toBe('Réunion <mardi>');
+  });
+
+  test('ignore les fichiers vides, trop volumineux ou dans un format non pris en charge', async () => {
+    await expect(textExtractor.extract(Buffer.alloc(0), { filename: 'vide.txt' })).resolves.toMatchObject({ status: 'skipped', error: 'Contenu vide' });
+
+    await expect(textExtractor.extract(Buffer.alloc(config.extraction.maxBytes + 1), { filename: 'gros.txt' }))
+      .resolves.toMatchObject({ status: 'skipped', error: 'Fichier trop volumineux pour l\'extraction' });
+
+    await expect(textExtractor.extract(Buffer.from('MZ'), { filename: 'setup.exe' }))
+      .resolves.toMatchObject({ status: 'skipped', error: 'Format non pris en charge' });
+  });
+
+  test('signale un document illisible sans interrompre le traitement', async () => {
+    const result = await textExtractor.extract(Buffer.from('pas une archive'), { filename: 'cr.odt' });
+
+    expect(result.status).toBe('failed');
+    expect(result.error).toBeTruthy();
+  });
+
+  test('interrompt une extraction qui dépasse le délai', async () => {
+    textExtractor.timeoutMs = 1;
+
+    await expect(textExtractor.extract(Buffer.from('texte'), { filename: 'notes.txt' })).resolves.toEqual({
+      status: 'failed',
+      method: null,
+      text: null,
+      error: 'Délai d\'extraction dépassé (1 ms)'
+    });
+  });
+});
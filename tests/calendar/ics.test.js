@@ -0,0 +1,142 @@
+const { parseCalendar, buildCalendar } = require('../../src/calendar/ics');
+
+const invitation = [
+  'BEGIN:VCALENDAR',
+  'METHOD:REQUEST',
+  'BEGIN:VEVENT',
+  'UID:reunion-chantier@entreprise.fr',
+  'SEQUENCE:2',
+  'DTSTART;TZID=Romance Standard Time:20260310T100000',
+  'DTEND;TZID=Romance Standard Time:20260310T113000',
+  'RRULE:FREQ=WEEKLY;BYDAY=TU',
+  'SUMMARY:Réunion de chantier\\, lot 4',
+  'DESCRIPTION:Ordre du jour :\\npoint planning et réserves du lot plâtrerie',
+  '  à lever avant réception',
+  'ORGANIZER;CN="Dupont, Marc":mailto:M.Dupont@entreprise.fr',
+  'ATTENDEE;CN=Léa Martin;ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:lea.martin@plaquiste.fr',
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  'DESCRIPTION:Rappel',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:reunion-chantier@entreprise.fr',
+  'RECURRENCE-ID;TZID=Europe/Paris:20260407T100000',
+  'DTSTART;TZID=Europe/Paris:20260407T140000',
+  'DURATION:PT1H30M',
+  'SUMMARY:Réunion de chantier (décalée)',
+  'STATUS:confirmed',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('lecture des invitations iCalendar', () => {
+  test('lit la série et son occurrence modifiée', () => {
+    const { method, events } = parseCalendar(invitation);
+
+    expect(method).toBe('REQUEST');
+    expect(events).toHaveLength(2);
+
+    expect(events[0]).toMatchObject({
+      uid: 'reunion-chantier@entreprise.fr',
+      recurrenceId: '',
+      recurrenceStart: null,
+      sequence: 2,
+      summary: 'Réunion de chantier, lot 4',
+      description: 'Ordre du jour :\npoint planning et réserves du lot plâtrerie à lever avant réception',
+      rrule: 'FREQ=WEEKLY;BYDAY=TU',
+      allDay: false,
+      organizer: { email: 'm.dupont@entreprise.fr', name: 'Dupont, Marc' },
+      attendees: [{ email: 'lea.martin@plaquiste.fr', name: 'Léa Martin', role: 'REQ-PARTICIPANT', partstat: 'ACCEPTED' }]
+    });
+    // Heure d'hiver pour le fuseau Windows, heure d'été après le 29 mars
+    expect(events[0].start.toISOString()).toBe('2026-03-10T09:00:00.000Z');
+    expect(events[0].end.toISOString()).toBe('2026-03-10T10:30:00.000Z');
+
+    expect(events[1]).toMatchObject({
+      recurrenceId: '20260407T100000',
+      status: 'CONFIRMED',
+      sequence: 0
+    });
+    expect(events[1].recurrenceStart.toISOString()).toBe('2026-04-07T08:00:00.000Z');
+    expect(events[1].start.toISOString()).toBe('2026-04-07T12:00:00.000Z');
+    expect(events[1].end.toISOString()).toBe('2026-04-07T13:30:00.000Z');
+  });
+
+  test('lit les événements sur la journée et les heures sans fuseau', () => {
+    const { events } = parseCalendar([
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:livraison',
+      'DTSTART;VALUE=DATE:20260320',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:visite',
+      'DTSTART:20260615T080000',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\n'), { defaultTimezone: 'Europe/Paris' });
+
+    expect(events[0]).toMatchObject({ uid: 'livraison', allDay: true, end: null });
+    expect(events[0].start.toISOString()).toBe('2026-03-20T00:00:00.000Z');
+    expect(events[1].start.toISOString()).toBe('2026-06-15T06:00:00.000Z');
+  });
+});
+
+describe('écriture des calendriers iCalendar', () => {
+  const series = {
+    uid: 'reunion-42@sitemanager',
+    summary: 'Réunion de chantier; lot 4, plâtrerie',
+    start: new Date('2026-03-10T09:00:00Z'),
+    end: new Date('2026-03-10T10:30:00Z'),
+    rrule: 'FREQ=WEEKLY;BYDAY=TU',
+    sequence: 1,
+    updatedAt: new Date('2026-03-01T12:00:00Z')
+  };
+
+  test('porte le RECURRENCE-ID de l\'occurrence remplacée avec l\'UID de la série', () => {
+    const ics = buildCalendar([
+      series,
+      {
+        uid: series.uid,
+        recurrenceId: new Date('2026-04-07T08:00:00Z'),
+        summary: 'Réunion de chantier (décalée)',
+        start: new Date('2026-04-07T12:00:00Z'),
+        end: new Date('2026-04-07T13:30:00Z'),
+        status: 'confirmed'
+      },
+      {
+        uid: 'livraison-7@sitemanager',
+        recurrenceId: '20260320',
+        summary: 'Livraison des menuiseries',
+        start: new Date('2026-03-21T00:00:00Z'),
+        allDay: true
+      }
+    ], { name: 'Chantier Dupont, Lyon' });
+
+    expect(ics).toContain('X-WR-CALNAME:Chantier Dupont\\, Lyon\r\n');
+    expect(ics).toContain('RECURRENCE-ID:20260407T080000Z\r\n');
+    expect(ics).toContain('RECURRENCE-ID;VALUE=DATE:20260320\r\n');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20260321\r\nDTEND;VALUE=DATE:20260322\r\n');
+    expect(ics).toContain('SUMMARY:Réunion de chantier\\; lot 4\\, plâtrerie\r\n');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+
+    const { events } = parseCalendar(ics);
+    expect(events.map(event => [event.uid, event.recurrenceId])).toEqual([
+      ['reunion-42@sitemanager', ''],
+      ['reunion-42@sitemanager', '20260407T080000Z'],
+      ['livraison-7@sitemanager', '20260320']
+    ]);
+    expect(events[0]).toMatchObject({ summary: series.summary, rrule: series.rrule, sequence: 1, start: series.start, end: series.end });
+    expect(events[1].recurrenceStart).toEqual(new Date('2026-04-07T08:00:00Z'));
+  });
+
+  test('replie les lignes longues à 75 octets sans couper les caractères accentués', () => {
+    const description = 'Compte rendu : réserves à lever sur les cloisons, plinthes et huisseries '.repeat(4).trim();
+    const ics = buildCalendar([{ ...series, description }]);
+
+    ics.split('\r\n').forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(ics).not.toContain('�');
+    expect(parseCalendar(ics).events[0].description).toBe(description);
+  });
+});
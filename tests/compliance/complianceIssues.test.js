@@ -0,0 +1,70 @@
+jest.mock('../../src/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../src/llm/mistral', () => ({ analyzeComplianceDocument: jest.fn() }));
+
+const db = require('../../src/database');
+const mistralClient = require('../../src/llm/mistral');
+const complianceIssues = require('../../src/compliance/complianceIssues');
+
+const attachments = {
+  1: { id: 1, email_id: 10, filename: 'pv-reception.pdf', text_content: 'PV de réception', document_type: 'pv', project_id: 3 },
+  2: { id: 2, email_id: 10, filename: 'attestation.pdf', text_content: 'Attestation', document_type: 'attestation', project_id: 3 }
+};
+
+describe('analyse de conformité des pièces jointes', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { query: jest.fn(async () => ({ rows: [{ id: 99 }] })), release: jest.fn() };
+    db.getClient.mockResolvedValue(client);
+    db.query.mockImplementation(async (sql, params) => {
+      if (/compliance_analyzed_at IS NULL/.test(sql)) return { rows: [{ id: 1 }, { id: 2 }] };
+      if (/FROM attachments a/.test(sql)) return { rows: [attachments[params[0]]] };
+      return { rows: [] };
+    });
+  });
+
+  test('budget du projet atteint : la pièce jointe reste à analyser et le traitement continue', async () => {
+    const budgetError = new Error('Budget mensuel du projet atteint');
+    budgetError.budgetExceeded = true;
+    mistralClient.analyzeComplianceDocument
+      .mockRejectedValueOnce(budgetError)
+      .mockResolvedValueOnce({ summary: 'Attestation expirée', issues: [{ title: 'Attestation expirée', severity: 'high' }] });
+
+    await expect(complianceIssues.processAttachments(10)).resolves.toBe(1);
+
+    const analyzed = client.query.mock.calls.filter(([sql]) => /compliance_analyzed_at = CURRENT_TIMESTAMP/.test(sql));
+    expect(analyzed).toHaveLength(1);
+    expect(analyzed[0][1][2]).toBe(2);
+  });
+
+  test('une réponse invalide du modèle conserve les non-conformités et laisse la pièce jointe à analyser', async () => {
+    mistralClient.analyzeComplianceDocument.mockRejectedValue(Object.assign(new Error('compliance: tableau attendu'), { invalidOutput: true }));
+
+    await expect(complianceIssues.analyzeAttachment(1, { force: true })).resolves.toMatchObject({
+      attachment_id: 1,
+      analyzed: false,
+      invalidOutput: true,
+      issues: []
+    });
+
+    expect(db.getClient).not.toHaveBeenCalled();
+    expect(client.query).not.toHaveBeenCalled();
+    expect(db.query.mock.calls.some(([sql]) => /UPDATE attachments/.test(sql))).toBe(false);
+  });
+
+  test('les autres erreurs sont propagées', async () => {
+    mistralClient.analyzeComplianceDocument.mockRejectedValue(new Error('Service indisponible'));
+
+    await expect(complianceIssues.processAttachments(10)).rejects.toThrow('Service indisponible');
+  });
+
+  test('échéance invalide du document : délai par défaut de la gravité', () => {
+    const received = new Date(2026, 2, 2);
+
+    expect(complianceIssues._deadline('2026-04-15', 'high', received)).toBe('2026-04-15');
+    expect(complianceIssues._deadline('2026-02-30', 'high', received))
+      .toBe(complianceIssues._deadline(null, 'high', received));
+    expect(complianceIssues._deadline(null, 'high', received)).not.toBeNull();
+  });
+});
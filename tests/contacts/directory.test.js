@@ -0,0 +1,139 @@
+jest.mock('../../src/database', () => ({ query: jest.fn() }));
+jest.mock('../../src/llm/mistral', () => ({ extractContactDetails: jest.fn() }));
+jest.mock('../../src/tasks/taskReconciler', () => ({ findTradeId: jest.fn() }));
+
+const db = require('../../src/database');
+const mistralClient = require('../../src/llm/mistral');
+const taskReconciler = require('../../src/tasks/taskReconciler');
+const directory = require('../../src/contacts/directory');
+const { route } = require('../helpers/mocks');
+
+function parsedMail(fields = {}) {
+  return {
+    date: new Date('2025-03-10T10:00:00Z'),
+    from: { text: 'Paul Durand <paul.durand@durand-btp.fr>', value: [{ address: 'Paul.Durand@durand-btp.fr', name: 'Paul Durand' }] },
+    to: { value: [{ address: 'marie@moe.fr', name: 'Marie' }] },
+    cc: { value: [{ address: 'paul.durand@durand-btp.fr' }] },
+    text: 'Bonjour,\nLivraison jeudi.\n\nPaul Durand\nConducteur de travaux\nDurand BTP\n\nLe 9 mars, Marie a écrit :\n> Date de livraison ?',
+    ...fields
+  };
+}
+
+describe('annuaire des contacts et des entreprises', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    directory.ownAddress = 'chantier@moe.fr';
+    taskReconciler.findTradeId.mockResolvedValue(null);
+  });
+
+  test('normalise les raisons sociales et vérifie la clé du SIRET', () => {
+    expect(directory.normalizeCompanyName('Ets. Dupont & Fils SARL')).toBe('dupont fils');
+    expect(directory.normalizeCompanyName('Société Générale d\'Électricité')).toBe('generale d electricite');
+
+    expect(directory.normalizeSiret('732 829 320 00074')).toBe('73282932000074');
+    expect(directory.normalizeSiret('73282932000075')).toBeNull();
+    expect(directory.normalizeSiret('7328293200007')).toBeNull();
+  });
+
+  test('enregistre chaque correspondant une fois et lit la signature de l\'expéditeur sans le message cité', async () => {
+    route([
+      [/SELECT \* FROM contacts/, () => ({ rows: [] })],
+      [/INSERT INTO contacts/, ([address]) => ({ rows: [{ id: address.startsWith('paul') ? 1 : 2, email: address }] })]
+    ]);
+    mistralClient.extractContactDetails.mockResolvedValue({});
+
+    await directory.recordEmail(parsedMail(), 40, 3);
+
+    const inserted = db.query.mock.calls.filter(([sql]) => /INSERT INTO contacts/.test(sql)).map(([, params]) => params[0]);
+    expect(inserted).toEqual(['paul.durand@durand-btp.fr', 'marie@moe.fr']);
+    expect(db.query.mock.calls.filter(([sql]) => /INSERT INTO project_contacts/.test(sql))).toHaveLength(2);
+
+    expect(mistralClient.extractContactDetails).toHaveBeenCalledTimes(1);
+    const [signature, sender, options] = mistralClient.extractContactDetails.mock.calls[0];
+    expect(signature).toBe('Bonjour,\nLivraison jeudi.\nPaul Durand\nConducteur de travaux\nDurand BTP');
+    expect(sender).toBe('Paul Durand <[EMAIL_1]>');
+    expect(options).toEqual({ projectId: 3 });
+  });
+
+  test('masque la signature avant l\'envoi au LLM et remet les coordonnées en clair', async () => {
+    route([
+      [/SELECT DISTINCT c.name/, () => ({ rows: [{ name: 'Paul Durand' }] })],
+      [/SELECT \* FROM contacts/, () => ({ rows: [] })],
+      [/INSERT INTO contacts/, ([address]) => ({ rows: [{ id: 1, email: address }] })]
+    ]);
+    mistralClient.extractContactDetails.mockResolvedValue({ name: '[PERSONNE_1]', phone: '[TELEPHONE_1]' });
+
+    await directory.recordEmail(parsedMail({
+      to: null,
+      cc: null,
+      text: 'Livraison jeudi.\n\nPaul Durand\nRhône Gros Œuvre\nTél. 06 12 34 56 78'
+    }), 40, 3);
+
+    const [signature, sender] = mistralClient.extractContactDetails.mock.calls[0];
+    expect(signature).toBe('Livraison jeudi.\n[PERSONNE_1]\nRhône Gros Œuvre\nTél. [TELEPHONE_1]');
+    expect(sender).toBe('[PERSONNE_1] <[EMAIL_1]>');
+
+    const contact = db.query.mock.calls.find(([sql]) => /role = COALESCE/.test(sql));
+    expect(contact[1].slice(0, 3)).toEqual(['Paul Durand', null, '06 12 34 56 78']);
+
+    const log = db.query.mock.calls.find(([sql]) => /INSERT INTO redaction_logs/.test(sql));
+    expect(log[1].slice(0, 3)).toEqual([3, 40, 'contact_details']);
+  });
+
+  test('ne lit pas la signature d\'un message filtré ni une signature récemment lue', async () => {
+    route([
+      [/SELECT \* FROM contacts/, () => ({ rows: [{ id: 1 }] })],
+      [/UPDATE contacts/, () => ({ rows: [{ id: 1, email: 'paul.durand@durand-btp.fr', signature_extracted_at: new Date() }] })]
+    ]);
+
+    await directory.recordEmail(parsedMail(), 40, 3, { filtered: true });
+    await directory.recordEmail(parsedMail(), 41, 3);
+
+    expect(mistralClient.extractContactDetails).not.toHaveBeenCalled();
+  });
+
+  test('rattache l\'entreprise de la signature au projet avec le rôle déduit de la fonction', async () => {
+    route([
+      [/FROM companies\s+WHERE \(\$1/, () => ({ rows: [] })],
+      [/SELECT id FROM companies WHERE siret/, () => ({ rows: [] })],
+      [/INSERT INTO companies/, () => ({ rows: [{ id: 7 }] })]
+    ]);
+
+    await directory.applyDetails(
+      { id: 1, email: 'paul@atelier-archi.fr' },
+      { name: 'Paul Durand', company: 'Atelier Archi SARL', siret: '73282932000074', role: 'Architecte DPLG', phone: '06 12 34 56 78' },
+      3
+    );
+
+    const company = db.query.mock.calls.find(([sql]) => /INSERT INTO companies/.test(sql));
+    expect(company[1]).toEqual(['Atelier Archi SARL', 'atelier archi', '73282932000074', 'atelier-archi.fr', null, null]);
+
+    const contact = db.query.mock.calls.find(([sql]) => /UPDATE contacts/.test(sql));
+    expect(contact[1]).toEqual(['Paul Durand', 'Architecte DPLG', '06 12 34 56 78', 7, 1]);
+
+    const link = db.query.mock.calls.find(([sql]) => /INSERT INTO project_companies/.test(sql));
+    expect(link[1]).toEqual([3, 7, 'architecte', null]);
+  });
+
+  test('ne déduit pas l\'entreprise d\'un domaine de messagerie grand public', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    await directory.applyDetails({ id: 1, email: 'artisan@gmail.com' }, { role: 'Plombier' }, 3);
+
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(db.query.mock.calls[0][0]).toMatch(/UPDATE contacts/);
+  });
+
+  test('propose pour une relance le contact le plus récemment actif du lot concerné', async () => {
+    route([
+      [/SELECT DISTINCT trade_id FROM tasks/, () => ({ rows: [{ trade_id: 4 }] })],
+      [/FROM project_companies pc/, () => ({ rows: [
+        { id: 1, email: 'ancien@plomberie.fr', last_seen_at: new Date('2025-01-01'), message_count: 12 },
+        { id: 2, email: 'actif@plomberie.fr', last_seen_at: new Date('2025-03-01'), message_count: 2 }
+      ] })]
+    ]);
+
+    await expect(directory.resolveFollowUpRecipient({ id: 40, project_id: 3 })).resolves.toBe('actif@plomberie.fr');
+    await expect(directory.resolveFollowUpRecipient({ id: 40, project_id: null })).resolves.toBeNull();
+  });
+});
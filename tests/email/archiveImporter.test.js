@@ -0,0 +1,177 @@
+jest.mock('../../src/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../src/email/emailProcessor', () => ({ processRawEmail: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../../src/database');
+const emailProcessor = require('../../src/email/emailProcessor');
+const archiveImporter = require('../../src/email/archiveImporter');
+
+// Trois messages ; le deuxième contient une ligne « From » échappée (mboxrd) et un é en latin1
+const mbox = Buffer.concat([
+  Buffer.from([
+    'From chef.chantier@entreprise.fr Mon Mar  2 08:00:00 2026',
+    'Message-ID: <planning-1@entreprise.fr>',
+    'Subject: Planning lot 4',
+    '',
+    'Le plaquiste démarre lundi.',
+    'From the site: RAS',
+    '',
+    'From conducteur@entreprise.fr Tue Mar  3 09:00:00 2026',
+    'Message-ID: <planning-2@entreprise.fr>',
+    'Subject: Livraison',
+    '',
+    '>From the supplier: livraison d'
+  ].join('\n'), 'utf-8'),
+  Buffer.from([0xe9]),
+  Buffer.from([
+    'calée',
+    '',
+    'From moe@architecte.fr Wed Mar  4 10:00:00 2026',
+    'Message-ID: <planning-3@entreprise.fr>',
+    'Subject: Visite',
+    '',
+    'Visite jeudi.',
+    ''
+  ].join('\n'), 'latin1')
+]);
+
+let directory;
+let archive;
+
+function mockImportJobs(job, { progressError = null } = {}) {
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.includes('SET status = \'running\'')) return { rows: job ? [{ ...job }] : [] };
+    if (sql.includes('SELECT * FROM import_jobs WHERE id')) return { rows: [{ id: params[0], status: 'running' }] };
+    if (sql.includes('SET last_index')) {
+      if (progressError) throw progressError;
+      return { rows: [] };
+    }
+    if (sql.includes('SET status = \'completed\'')) return { rows: [{ id: params[2], status: 'completed', total: params[0] }] };
+    if (sql.includes('SET status = \'failed\'')) return { rows: [{ id: params[1], status: 'failed', error: params[0] }] };
+    return { rows: [] };
+  });
+}
+
+function progressUpdates() {
+  return db.query.mock.calls.filter(([sql]) => sql.includes('SET last_index')).map(([, params]) => params);
+}
+
+describe('import d\'archives mbox', () => {
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-import-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    archive = path.join(directory, 'chantier.mbox');
+    fs.writeFileSync(archive, mbox);
+    db.query.mockReset();
+    emailProcessor.processRawEmail.mockReset();
+    emailProcessor.processRawEmail.mockResolvedValue({ duplicate: false });
+  });
+
+  test('découpe l\'archive en messages sans altérer les octets', async () => {
+    mockImportJobs({ id: 1, project_id: 3, last_index: 0, dry_run: false });
+
+    const job = await archiveImporter.runJob(1, archive);
+
+    expect(job).toEqual({ id: 1, status: 'completed', total: 3 });
+    expect(emailProcessor.processRawEmail).toHaveBeenCalledTimes(3);
+
+    const messages = emailProcessor.processRawEmail.mock.calls.map(([raw]) => raw);
+    expect(messages[0].toString('latin1')).toBe([
+      'Message-ID: <planning-1@entreprise.fr>', 'Subject: Planning lot 4', '', 'Le plaquiste dÃ©marre lundi.', 'From the site: RAS', ''
+    ].join('\r\n'));
+    expect(messages[1].toString('latin1')).toContain('\r\nFrom the supplier: livraison décalée\r\n');
+    expect(messages[1].includes(Buffer.from([0xe9]))).toBe(true);
+    expect(messages[2].toString('latin1')).toMatch(/^Message-ID: <planning-3@entreprise\.fr>/);
+
+    expect(emailProcessor.processRawEmail.mock.calls.map(([, options]) => options)).toEqual([
+      { label: 'chantier.mbox#1', projectId: 3 },
+      { label: 'chantier.mbox#2', projectId: 3 },
+      { label: 'chantier.mbox#3', projectId: 3 }
+    ]);
+  });
+
+  test('compte les doublons et les échecs message par message', async () => {
+    mockImportJobs({ id: 1, project_id: 3, last_index: 0, dry_run: false });
+    emailProcessor.processRawEmail
+      .mockResolvedValueOnce({ duplicate: true })
+      .mockRejectedValueOnce(new Error('analyse impossible'));
+
+    await archiveImporter.runJob(1, archive);
+
+    // [last_index, processed, imported, skipped, failed, id]
+    expect(progressUpdates()).toEqual([
+      [1, 1, 0, 1, 0, 1],
+      [2, 2, 0, 1, 1, 1],
+      [3, 3, 1, 1, 1, 1]
+    ]);
+  });
+
+  test('reprend un import interrompu après le dernier message traité', async () => {
+    mockImportJobs({ id: 1, project_id: 3, last_index: 2, processed: 2, imported: 1, skipped: 1, failed: 0, dry_run: false });
+
+    await archiveImporter.runJob(1, archive);
+
+    expect(emailProcessor.processRawEmail).toHaveBeenCalledTimes(1);
+    expect(emailProcessor.processRawEmail.mock.calls[0][1].label).toBe('chantier.mbox#3');
+    expect(progressUpdates()).toEqual([[3, 3, 2, 1, 0, 1]]);
+  });
+
+  test('ne relance pas un import déjà en cours', async () => {
+    mockImportJobs(null);
+
+    await expect(archiveImporter.runJob(1, archive)).resolves.toEqual({ id: 1, status: 'running' });
+    expect(emailProcessor.processRawEmail).not.toHaveBeenCalled();
+  });
+
+  test('supprime l\'archive téléversée une fois l\'import terminé, la garde après un échec', async () => {
+    mockImportJobs({ id: 1, project_id: 3, last_index: 0, dry_run: false }, { progressError: new Error('connexion perdue') });
+
+    await expect(archiveImporter.runJob(1, archive, { removeSource: true }))
+      .resolves.toEqual({ id: 1, status: 'failed', error: 'connexion perdue' });
+    expect(fs.existsSync(archive)).toBe(true);
+
+    mockImportJobs({ id: 1, project_id: 3, last_index: 1, dry_run: false });
+
+    await expect(archiveImporter.runJob(1, archive, { removeSource: true })).resolves.toMatchObject({ status: 'completed' });
+    expect(fs.existsSync(archive)).toBe(false);
+  });
+
+  describe('suivi des imports', () => {
+    function mockExisting(rows) {
+      db.query.mockImplementation(async sql => {
+        if (sql.includes('SELECT * FROM import_jobs')) return { rows };
+        if (sql.includes('INSERT INTO import_jobs')) return { rows: [{ id: 2, status: 'pending', last_index: 0 }] };
+        return { rows: [] };
+      });
+    }
+
+    test('retrouve l\'import interrompu du même fichier', async () => {
+      const interrupted = { id: 1, status: 'running', last_index: 40, updated_at: new Date(Date.now() - 24 * 60 * 60 * 1000) };
+      mockExisting([interrupted]);
+
+      await expect(archiveImporter.createJob(archive, { projectId: 3 })).resolves.toBe(interrupted);
+    });
+
+    test('refuse d\'importer un fichier dont l\'import avance encore', async () => {
+      mockExisting([{ id: 1, status: 'running', last_index: 40, updated_at: new Date() }]);
+
+      await expect(archiveImporter.createJob(archive, { projectId: 3 })).rejects.toMatchObject({ alreadyRunning: true });
+    });
+
+    test('crée un nouvel import à blanc sans chercher d\'import à reprendre', async () => {
+      mockExisting([{ id: 1, status: 'failed', last_index: 40 }]);
+
+      await expect(archiveImporter.createJob(archive, { projectId: 3, dryRun: true })).resolves.toMatchObject({ id: 2 });
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(db.query.mock.calls[0][1]).toEqual([3, archive, 'chantier.mbox', true]);
+    });
+  });
+});
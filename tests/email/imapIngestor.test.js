@@ -0,0 +1,141 @@
+jest.mock('../../src/database', () => ({ query: jest.fn() }));
+
+const db = require('../../src/database');
+const config = require('../../src/config');
+const ImapIngestor = require('../../src/email/imapIngestor');
+
+function ingestor(onMessage = jest.fn()) {
+  const instance = new ImapIngestor({
+    mailboxId: 4,
+    account: { user: 'chantier', host: 'imap.exemple.fr' },
+    folder: 'INBOX',
+    onMessage
+  });
+  instance.boxOpen = true;
+  return instance;
+}
+
+describe('ingestion IMAP par UID', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+    db.query.mockResolvedValue({ rows: [] });
+    config.email.maxMessageAttempts = 3;
+    config.email.fetchBatchSize = 2;
+    config.email.initialSyncDays = 0;
+  });
+
+  test('reprend après le dernier UID quand l\'UIDVALIDITY est inchangée', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ uid_validity: '77', last_uid: '120', initial_sync_done: true }] });
+    const instance = ingestor();
+
+    await instance._loadCheckpoint(77);
+
+    expect(instance.checkpoint).toEqual({ uidValidity: 77, lastUid: 120, initial: false });
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(db.query.mock.calls[0][1]).toEqual([4, 'INBOX']);
+  });
+
+  test('repart du début du dossier quand l\'UIDVALIDITY a changé', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ uid_validity: '77', last_uid: '120', initial_sync_done: true }] });
+    const instance = ingestor();
+
+    await instance._loadCheckpoint(78);
+
+    expect(instance.checkpoint).toEqual({ uidValidity: 78, lastUid: 0, initial: false });
+    expect(db.query.mock.calls[1][1]).toEqual([4, 'chantier@imap.exemple.fr', 'INBOX', 78, 0, true]);
+  });
+
+  test('après une première fenêtre vide, un redémarrage ne réimporte pas l\'historique du dossier', async () => {
+    config.email.initialSyncDays = 30;
+    const instance = ingestor();
+    instance.uidNext = 500;
+    instance.imap = { search: jest.fn((criteria, callback) => callback(null, [])) };
+
+    await instance._loadCheckpoint(77);
+    expect(instance.checkpoint.initial).toBe(true);
+    await instance._syncNewMessages();
+
+    expect(instance.imap.search.mock.calls[0][0][1][0]).toBe('SINCE');
+    const saved = db.query.mock.calls[db.query.mock.calls.length - 1][1];
+    expect(saved.slice(3)).toEqual([77, 499, true]);
+
+    // Redémarrage : le point de reprise enregistré est relu
+    db.query.mockResolvedValueOnce({ rows: [{ uid_validity: '77', last_uid: '499', initial_sync_done: true }] });
+    const restarted = ingestor();
+    restarted.imap = { search: jest.fn((criteria, callback) => callback(null, [499])) };
+
+    await restarted._loadCheckpoint(77);
+    await expect(restarted._searchNewUids()).resolves.toEqual([]);
+    expect(restarted.imap.search.mock.calls[0][0]).toEqual([['UID', '500:*']]);
+  });
+
+  test('garde la fenêtre de la première synchronisation tant qu\'elle n\'est pas terminée', async () => {
+    config.email.initialSyncDays = 30;
+    db.query.mockResolvedValueOnce({ rows: [{ uid_validity: '77', last_uid: '0', initial_sync_done: false }] });
+    const instance = ingestor(jest.fn().mockRejectedValue(new Error('base indisponible')));
+    instance.uidNext = 500;
+    instance.imap = { search: jest.fn((criteria, callback) => callback(null, [480])) };
+    instance._fetchMessages = jest.fn(async uids => uids.map(uid => ({ uid, raw: Buffer.from('') })));
+
+    await instance._loadCheckpoint(77);
+    await instance._syncNewMessages();
+
+    expect(instance.imap.search.mock.calls[0][0][1][0]).toBe('SINCE');
+    expect(instance.checkpoint).toMatchObject({ lastUid: 0, initial: true });
+    expect(db.query.mock.calls.some(([sql]) => /INSERT INTO mailbox_checkpoints/.test(sql))).toBe(false);
+  });
+
+  test('ignore le dernier message renvoyé par "N:*" quand il est déjà traité', async () => {
+    const instance = ingestor();
+    instance.checkpoint = { uidValidity: 77, lastUid: 120, initial: false };
+    instance.imap = { search: jest.fn((criteria, callback) => callback(null, [120, 123, 121])) };
+
+    await expect(instance._searchNewUids()).resolves.toEqual([121, 123]);
+    expect(instance.imap.search.mock.calls[0][0]).toEqual([['UID', '121:*']]);
+  });
+
+  test('avance le point de reprise message par message et s\'arrête au premier échec', async () => {
+    const onMessage = jest.fn()
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('base indisponible'));
+    const instance = ingestor(onMessage);
+    instance.checkpoint = { uidValidity: 77, lastUid: 0, initial: false };
+    instance._searchNewUids = jest.fn().mockResolvedValue([5, 6, 7]);
+    instance._fetchMessages = jest.fn(async uids => uids.map(uid => ({ uid, raw: Buffer.from(`message ${uid}`) })));
+
+    await instance._syncNewMessages();
+
+    expect(onMessage.mock.calls.map(([, meta]) => meta.uid)).toEqual([5, 6]);
+    expect(instance.checkpoint.lastUid).toBe(5);
+    expect(instance._fetchMessages).toHaveBeenCalledTimes(1);
+    expect(instance.syncing).toBe(false);
+  });
+
+  test('abandonne un message défectueux après le nombre maximal de tentatives', async () => {
+    const instance = ingestor(jest.fn().mockRejectedValue(new Error('message illisible')));
+    instance.checkpoint = { uidValidity: 77, lastUid: 8, initial: false };
+    const message = { uid: 9, raw: Buffer.from('') };
+
+    await expect(instance._processMessage(message)).resolves.toBe(false);
+    await expect(instance._processMessage(message)).resolves.toBe(false);
+    expect(instance.checkpoint.lastUid).toBe(8);
+
+    await expect(instance._processMessage(message)).resolves.toBe(true);
+    expect(instance.checkpoint.lastUid).toBe(9);
+    expect(instance.failures.has(9)).toBe(false);
+  });
+
+  test('regroupe les synchronisations demandées pendant une synchronisation en cours', async () => {
+    const instance = ingestor();
+    instance.checkpoint = { uidValidity: 77, lastUid: 0, initial: false };
+    instance._searchNewUids = jest.fn(async () => {
+      // Notification IDLE reçue pendant la recherche
+      if (instance._searchNewUids.mock.calls.length === 1) await instance._syncNewMessages();
+      return [];
+    });
+
+    await instance._syncNewMessages();
+
+    expect(instance._searchNewUids).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,129 @@
+jest.mock('../../src/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const db = require('../../src/database');
+const config = require('../../src/config');
+const inboundWebhook = require('../../src/email/inboundWebhook');
+
+const body = Buffer.from('From: chef.chantier@entreprise.fr\r\nSubject: Planning lot 4\r\n\r\nBonjour');
+
+// En-têtes du message, lignes continuées dépliées
+function headerLines(raw) {
+  return raw.toString().split('\r\n\r\n')[0].replace(/\r\n[ \t]+/g, ' ').split('\r\n');
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+describe('signature du webhook de réception', () => {
+  beforeEach(() => {
+    config.inbound.secret = 'secret-de-test';
+    config.inbound.toleranceSeconds = 300;
+
+    // Table des jetons : ON CONFLICT DO NOTHING ne renvoie rien pour un jeton déjà reçu
+    const tokens = new Set();
+    db.query.mockReset();
+    db.query.mockImplementation(async (sql, params) => {
+      if (!sql.includes('INSERT INTO inbound_webhook_tokens')) return { rows: [] };
+      if (tokens.has(params[0])) return { rows: [] };
+      tokens.add(params[0]);
+      return { rows: [{ token: params[0] }] };
+    });
+  });
+
+  describe('en-têtes X-Inbound-*', () => {
+    function request(signed, rawBody = body) {
+      return {
+        headers: { 'x-inbound-timestamp': signed.timestamp, 'x-inbound-signature': signed.signature, 'content-type': 'message/rfc822' },
+        rawBody
+      };
+    }
+
+    test('accepte un corps signé', async () => {
+      await expect(inboundWebhook.verifySignature(request(inboundWebhook.signBody(body)))).resolves.toBe(true);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('refuse un corps modifié ou signé avec un autre secret', async () => {
+      const signed = inboundWebhook.signBody(body);
+      await expect(inboundWebhook.verifySignature(request(signed, Buffer.concat([body, Buffer.from('!')])))).resolves.toBe(false);
+
+      config.inbound.secret = 'autre-secret';
+      await expect(inboundWebhook.verifySignature(request(signed))).resolves.toBe(false);
+    });
+
+    test('refuse un horodatage hors de la tolérance', async () => {
+      await expect(inboundWebhook.verifySignature(request(inboundWebhook.signBody(body, now() - 301)))).resolves.toBe(false);
+      await expect(inboundWebhook.verifySignature(request(inboundWebhook.signBody(body, now() + 301)))).resolves.toBe(false);
+    });
+
+    test('refuse une requête sans corps brut', async () => {
+      await expect(inboundWebhook.verifySignature(request(inboundWebhook.signBody(body), null))).resolves.toBe(false);
+    });
+  });
+
+  describe('champs timestamp, token et signature (multipart)', () => {
+    const headers = { 'content-type': 'multipart/form-data; boundary=xyz' };
+
+    test('n\'accepte chaque jeton qu\'une fois', async () => {
+      const fields = inboundWebhook.signFields();
+
+      await expect(inboundWebhook.verifySignature({ headers, fields: { ...fields, subject: 'Planning lot 4' } })).resolves.toBe(true);
+      await expect(inboundWebhook.verifySignature({ headers, fields: { ...fields, subject: 'Autre contenu' } })).resolves.toBe(false);
+      await expect(inboundWebhook.verifySignature({ headers, fields: inboundWebhook.signFields() })).resolves.toBe(true);
+
+      const [purge] = db.query.mock.calls[0];
+      expect(purge).toContain('DELETE FROM inbound_webhook_tokens');
+      expect(db.query.mock.calls[0][1]).toEqual([600]);
+    });
+
+    test('refuse une signature invalide sans enregistrer le jeton', async () => {
+      const fields = { ...inboundWebhook.signFields(), signature: '0'.repeat(64) };
+
+      await expect(inboundWebhook.verifySignature({ headers, fields })).resolves.toBe(false);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('réserve cette signature aux formulaires multipart', async () => {
+      const fields = inboundWebhook.signFields();
+
+      await expect(inboundWebhook.verifySignature({ headers: { 'content-type': 'application/json' }, fields })).resolves.toBe(false);
+      await expect(inboundWebhook.verifySignature({ headers, fields: inboundWebhook.signFields(now() - 400) })).resolves.toBe(false);
+    });
+  });
+});
+
+describe('conversion des charges utiles en message', () => {
+  test('garde un message brut tel quel', async () => {
+    await expect(inboundWebhook.toRawMessage(body)).resolves.toBe(body);
+    await expect(inboundWebhook.toRawMessage({ 'body-mime': body.toString() })).resolves.toEqual(body);
+    await expect(inboundWebhook.toRawMessage({ raw: body.toString('base64'), encoding: 'base64' })).resolves.toEqual(body);
+  });
+
+  test('reconstruit un message à partir des champs SendGrid avec un identifiant stable', async () => {
+    const payload = {
+      from: 'Chef de chantier <chef.chantier@entreprise.fr>',
+      to: 'chantier@sitemanager.fr',
+      subject: 'Planning lot 4',
+      text: 'Bonjour, le plaquiste démarre lundi.',
+      headers: 'In-Reply-To: <planning-3@entreprise.fr>\r\nReferences: <planning-1@entreprise.fr>\r\n <planning-3@entreprise.fr>'
+    };
+
+    const first = headerLines(await inboundWebhook.toRawMessage(payload));
+    const second = headerLines(await inboundWebhook.toRawMessage({ ...payload }));
+    const messageId = first.find(line => line.startsWith('Message-ID: '));
+
+    expect(messageId).toMatch(/^Message-ID: <[0-9a-f]{64}@sitemanager\.local>$/);
+    expect(second).toContain(messageId);
+    expect(first).toEqual(expect.arrayContaining([
+      'Subject: Planning lot 4',
+      'In-Reply-To: <planning-3@entreprise.fr>',
+      'References: <planning-1@entreprise.fr> <planning-3@entreprise.fr>'
+    ]));
+  });
+
+  test('refuse une charge utile sans expéditeur', async () => {
+    await expect(inboundWebhook.toRawMessage({ subject: 'Planning' })).rejects.toThrow('Expéditeur absent de la charge utile');
+    await expect(inboundWebhook.toRawMessage(null)).rejects.toThrow('Charge utile vide ou non reconnue');
+  });
+});
@@ -0,0 +1,108 @@
+jest.mock('../../src/database', () => ({ query: jest.fn() }));
+jest.mock('../../src/email/emailProcessor', () => ({ enqueueRawEmail: jest.fn() }));
+jest.mock('../../src/email/imapIngestor', () => jest.fn().mockImplementation(options => ({
+  ...options,
+  start: jest.fn(),
+  stop: jest.fn(),
+  sync: jest.fn()
+})));
+
+const crypto = require('crypto');
+const db = require('../../src/database');
+const config = require('../../src/config');
+const emailProcessor = require('../../src/email/emailProcessor');
+const ImapIngestor = require('../../src/email/imapIngestor');
+const mailboxCredentials = require('../../src/email/mailboxCredentials');
+const mailboxManager = require('../../src/email/mailboxManager');
+
+const mailbox = {
+  id: 2,
+  name: 'Chantier Lyon',
+  host: 'imap.exemple.fr',
+  port: 993,
+  tls: true,
+  username: 'lyon',
+  folders: ['INBOX', 'INBOX/Sous-traitants'],
+  default_project_id: 3
+};
+
+describe('boîtes mail surveillées', () => {
+  const emailUser = process.env.EMAIL_USER;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mailboxManager.stop();
+    mailboxCredentials.key = null;
+    config.email.password = 'secret-imap';
+    db.query.mockImplementation(async sql => {
+      if (/COUNT\(\*\)/.test(sql)) return { rows: [{ count: '0' }] };
+      return { rows: [] };
+    });
+  });
+
+  afterAll(() => {
+    if (emailUser === undefined) delete process.env.EMAIL_USER;
+    else process.env.EMAIL_USER = emailUser;
+  });
+
+  test('reprend la boîte de la configuration sans clé de chiffrement ni copie du mot de passe', async () => {
+    process.env.EMAIL_USER = config.email.user;
+
+    await mailboxManager._importLegacyMailbox();
+
+    const insert = db.query.mock.calls.find(([sql]) => /INSERT INTO mailboxes/.test(sql));
+    expect(insert[1][5]).toBe(mailboxCredentials.envReference);
+    expect(insert[1]).not.toContain('secret-imap');
+    expect(mailboxCredentials.decrypt(insert[1][5])).toBe('secret-imap');
+  });
+
+  test('ne reprend pas la configuration quand des boîtes existent déjà', async () => {
+    process.env.EMAIL_USER = config.email.user;
+    db.query.mockResolvedValueOnce({ rows: [{ count: '1' }] });
+
+    await mailboxManager._importLegacyMailbox();
+
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('ne chiffre que les mots de passe enregistrés en clair', async () => {
+    mailboxCredentials.key = crypto.randomBytes(32);
+    db.query.mockResolvedValueOnce({ rows: [{ id: 5, password: 'en-clair' }] });
+
+    await mailboxManager._encryptStoredPasswords();
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('password <> $1');
+    expect(params).toEqual([mailboxCredentials.envReference]);
+
+    const [, [encrypted, id]] = db.query.mock.calls[1];
+    expect(id).toBe(5);
+    expect(mailboxCredentials.isEncrypted(encrypted)).toBe(true);
+    expect(mailboxCredentials.decrypt(encrypted)).toBe('en-clair');
+  });
+
+  test('surveille chaque dossier et confie les messages à la file avec le projet par défaut', async () => {
+    mailboxManager.startMailbox({ ...mailbox, password: mailboxCredentials.envReference });
+
+    expect(ImapIngestor).toHaveBeenCalledTimes(2);
+    const [[first], [second]] = ImapIngestor.mock.calls;
+    expect(first).toMatchObject({ mailboxId: 2, folder: 'INBOX', account: { user: 'lyon', password: 'secret-imap' } });
+    expect(second.folder).toBe('INBOX/Sous-traitants');
+
+    await second.onMessage(Buffer.from('message'), { uid: 41 });
+    expect(emailProcessor.enqueueRawEmail).toHaveBeenCalledWith(Buffer.from('message'), {
+      source: 'imap',
+      label: 'Chantier Lyon/INBOX/Sous-traitants#41',
+      mailboxId: 2,
+      folder: 'INBOX/Sous-traitants',
+      defaultProjectId: 3
+    });
+  });
+
+  test('ignore une boîte dont le mot de passe chiffré est illisible sans la clé', () => {
+    mailboxManager.startMailbox({ ...mailbox, password: 'enc:v1:aaa:bbb:ccc' });
+
+    expect(ImapIngestor).not.toHaveBeenCalled();
+    expect(mailboxManager.getStatus(2)).toEqual([]);
+  });
+});
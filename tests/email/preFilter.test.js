@@ -0,0 +1,41 @@
+jest.mock('../../src/database', () => ({ query: jest.fn() }));
+
+const preFilter = require('../../src/email/preFilter');
+
+function mail(subject, headers = {}) {
+  return {
+    subject,
+    from: { value: [{ address: 'chef.chantier@entreprise.fr' }] },
+    headers: new Map(Object.entries(headers)),
+    attachments: []
+  };
+}
+
+describe('pré-filtrage des réponses automatiques', () => {
+  beforeEach(() => {
+    preFilter.enabled = true;
+  });
+
+  test.each([
+    'Absence de garde-corps au R+2',
+    'Absent sur chantier demain',
+    'Absence du plaquiste lundi'
+  ])('analyse les emails de chantier dont le sujet commence par Absence ou Absent : %s', subject => {
+    expect(preFilter.evaluateHeaders(mail(subject))).toBeNull();
+  });
+
+  test.each([
+    'Absent du bureau : Re: planning lot 4',
+    'Absente du bureau',
+    'Réponse automatique : CR réunion n°12',
+    'Out of Office: site visit'
+  ])('écarte les réponses d\'absence : %s', subject => {
+    expect(preFilter.evaluateHeaders(mail(subject))).toMatchObject({ reason: 'auto_reply' });
+  });
+
+  test('écarte une réponse automatique signalée par ses en-têtes', () => {
+    expect(preFilter.evaluateHeaders(mail('Absent sur chantier demain', { 'auto-submitted': 'auto-replied' })))
+      .toMatchObject({ reason: 'auto_reply', detail: 'Auto-Submitted: auto-replied' });
+    expect(preFilter.evaluateHeaders(mail('Infos chantier', { precedence: 'bulk' }))).toMatchObject({ reason: 'bulk' });
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock('../../src/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../src/llm/mistral', () => ({ guessProject: jest.fn() }));
+jest.mock('../../src/privacy/redactor', () => require('../helpers/mocks').passThroughRedactor());
+
+const db = require('../../src/database');
+const mistralClient = require('../../src/llm/mistral');
+const projectRouter = require('../../src/email/projectRouter');
+
+const rules = [
+  { id: 1, project_id: 3, rule_type: 'alias', pattern: 'chantier-lyon@', priority: 0 },
+  { id: 2, project_id: 4, rule_type: 'subject_tag', pattern: '[NANTES]', priority: 0 },
+  { id: 3, project_id: 5, rule_type: 'sender_domain', pattern: 'beton-ouest.fr', priority: 0 },
+  { id: 4, project_id: 6, rule_type: 'sender_domain', pattern: 'beton-ouest.fr', priority: 0 }
+];
+
+function mail(fields = {}) {
+  return {
+    subject: 'Planning',
+    text: 'Bonjour',
+    from: { value: [{ address: 'chef@exemple.fr' }] },
+    to: { value: [{ address: 'bureau@exemple.fr' }] },
+    ...fields
+  };
+}
+
+describe('routage des emails vers les projets', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockImplementation(async sql => {
+      if (/FROM project_routing_rules/.test(sql)) return { rows: rules };
+      if (/FROM projects/.test(sql)) return { rows: [{ id: 3, name: 'Lyon' }, { id: 4, name: 'Nantes' }] };
+      return { rows: [] };
+    });
+  });
+
+  test('hérite du projet du message parent le plus proche', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ message_id: '<a@x>', project_id: 7 }, { message_id: '<b@x>', project_id: 8 }] });
+
+    const decision = await projectRouter.route(mail({ inReplyTo: '<b@x>', references: '<a@x> <b@x>' }));
+
+    expect(decision).toMatchObject({ projectId: 8, method: 'thread' });
+  });
+
+  test('applique une règle d\'alias sur les destinataires', async () => {
+    const decision = await projectRouter.route(mail({ to: { value: [{ address: 'Chantier-Lyon@entreprise.fr' }] } }));
+
+    expect(decision).toMatchObject({ projectId: 3, method: 'rule', ruleId: 1 });
+    expect(mistralClient.guessProject).not.toHaveBeenCalled();
+  });
+
+  test('préfère l\'alias à l\'étiquette du sujet', async () => {
+    const decision = await projectRouter.route(mail({
+      subject: '[Nantes] Livraison',
+      to: { value: [{ address: 'chantier-lyon@entreprise.fr' }] }
+    }));
+
+    expect(decision.projectId).toBe(3);
+  });
+
+  test('limite le LLM aux projets des règles ambiguës', async () => {
+    mistralClient.guessProject.mockResolvedValue({ project_id: 5, confidence: 0.9 });
+    db.query.mockImplementation(async (sql, params) => {
+      if (/FROM project_routing_rules/.test(sql)) return { rows: rules };
+      if (/FROM projects/.test(sql)) {
+        expect(params).toEqual([[5, 6]]);
+        return { rows: [{ id: 5, name: 'Brest' }, { id: 6, name: 'Rennes' }] };
+      }
+      return { rows: [] };
+    });
+
+    const decision = await projectRouter.route(mail({ from: { value: [{ address: 'devis@beton-ouest.fr' }] } }));
+
+    expect(decision).toMatchObject({ projectId: 5, method: 'llm', confidence: 0.9 });
+  });
+
+  test('la boîte de réception dédiée l\'emporte sur le LLM', async () => {
+    const decision = await projectRouter.route(mail(), { defaultProjectId: 9 });
+
+    expect(decision).toMatchObject({ projectId: 9, method: 'mailbox_default' });
+    expect(mistralClient.guessProject).not.toHaveBeenCalled();
+  });
+
+  test('laisse l\'email non assigné sous le seuil de confiance ou pour un projet inconnu', async () => {
+    mistralClient.guessProject.mockResolvedValueOnce({ project_id: 3, confidence: 0.4 });
+    await expect(projectRouter.route(mail())).resolves.toMatchObject({ projectId: null, method: 'unassigned' });
+
+    mistralClient.guessProject.mockResolvedValueOnce({ project_id: 42, confidence: 0.95 });
+    await expect(projectRouter.route(mail())).resolves.toMatchObject({ projectId: null, method: 'unassigned' });
+  });
+
+  test('respecte le projet imposé à l\'ingestion', async () => {
+    await expect(projectRouter.route(mail(), { projectId: '12' })).resolves.toMatchObject({ projectId: 12, method: 'forced' });
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  describe('réassignation manuelle', () => {
+    let client;
+
+    beforeEach(() => {
+      client = { query: jest.fn(async () => ({ rows: [{ id: 10, project_id: 4 }] })), release: jest.fn() };
+      db.getClient.mockResolvedValue(client);
+    });
+
+    test('déplace les données dérivées de l\'email dans la même transaction', async () => {
+      await expect(projectRouter.assignEmail(10, 4, 'Mauvais chantier', 'marie')).resolves.toEqual({ id: 10, project_id: 4 });
+
+      const statements = client.query.mock.calls.map(([sql]) => sql.replace(/\s+/g, ' ').trim());
+      expect(statements[0]).toBe('BEGIN');
+      expect(statements[statements.length - 1]).toBe('COMMIT');
+      for (const table of ['tasks', 'compliance_issues', 'meetings', 'task_match_reviews', 'task_progress_updates']) {
+        expect(statements.some(sql => sql.startsWith(`UPDATE ${table}`))).toBe(true);
+      }
+
+      const rejected = client.query.mock.calls.find(([sql]) => /SET status = 'rejected'/.test(sql));
+      expect(rejected[1]).toEqual([4, 10, 'marie']);
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('annule la transaction pour un email inconnu', async () => {
+      client.query.mockResolvedValue({ rows: [] });
+
+      await expect(projectRouter.assignEmail(99, 4)).resolves.toBeNull();
+      expect(client.query.mock.calls.map(([sql]) => sql)).toContain('ROLLBACK');
+      expect(client.query.mock.calls.some(([sql]) => /UPDATE tasks/.test(sql))).toBe(false);
+    });
+  });
+});
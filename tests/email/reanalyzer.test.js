@@ -0,0 +1,145 @@
+jest.mock('../../src/database', () => ({ query: jest.fn() }));
+jest.mock('../../src/llm/mistral', () => ({ analyzeEmail: jest.fn(), getAnalysisVersion: jest.fn() }));
+jest.mock('../../src/privacy/redactor', () => require('../helpers/mocks').passThroughRedactor());
+jest.mock('../../src/email/emailProcessor', () => ({ buildAnalysisContent: jest.fn(parsed => parsed.text) }));
+jest.mock('../../src/email/threading', () => ({ refreshThread: jest.fn() }));
+jest.mock('../../src/tasks/taskReconciler', () => ({ extractedNames: jest.fn(), withdraw: jest.fn(), reconcile: jest.fn() }));
+jest.mock('../../src/compliance/complianceIssues', () => ({ recordEmailIssue: jest.fn() }));
+
+const db = require('../../src/database');
+const mistralClient = require('../../src/llm/mistral');
+const threadManager = require('../../src/email/threading');
+const taskReconciler = require('../../src/tasks/taskReconciler');
+const complianceIssues = require('../../src/compliance/complianceIssues');
+const reanalyzer = require('../../src/email/reanalyzer');
+const { route } = require('../helpers/mocks');
+
+const readyRun = [/FROM reanalysis_runs WHERE id/, () => ({ rows: [{ id: 5, status: 'ready', prompt_version: '3', prompt_id: 8, prompt_hash: 'abc', model: 'm' }] })];
+
+const version = { promptVersion: '3', promptId: 8, promptHash: 'abc', model: 'mistral-large-latest', prompt: 'Analyse...' };
+
+const email = {
+  id: 40,
+  project_id: 3,
+  subject: 'Planning',
+  body_text: 'Le coulage est reporté',
+  summary: 'Report',
+  classification: 'planning',
+  requires_follow_up: false,
+  is_compliance_related: false
+};
+
+describe('réanalyse des emails stockés', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockResolvedValue({ rows: [] });
+    mistralClient.getAnalysisVersion.mockResolvedValue(version);
+  });
+
+  test('sélectionne les emails selon les filtres et la version du prompt', () => {
+    const { where, params } = reanalyzer._buildSelection(3, {
+      from: '2025-01-01',
+      classification: 'planning, retard',
+      outdated: true
+    }, version);
+
+    expect(where).toBe([
+      'project_id = $1', 'body_text IS NOT NULL', 'filtered_reason IS NULL',
+      'received_date >= $2', 'classification = ANY($3)', 'analysis_prompt_hash IS DISTINCT FROM $4'
+    ].join(' AND '));
+    expect(params).toEqual([3, '2025-01-01', ['planning', 'retard'], 'abc']);
+
+    expect(reanalyzer._buildSelection(3, { analysis_version: 'none' }).where).toContain('analysis_prompt_version IS NULL');
+  });
+
+  test('compare la classification, les indicateurs et les tâches extraites', () => {
+    const changes = reanalyzer._diff(
+      { classification: 'planning', requires_follow_up: false, is_compliance_related: false, tasks: ['Coulage dalle', 'Pose  Fenêtres'] },
+      { classification: 'retard', requires_follow_up: true, tasks: [{ name: 'pose fenêtres' }, { name: 'Étanchéité' }] }
+    );
+
+    expect(changes).toEqual({
+      classification: { from: 'planning', to: 'retard' },
+      requires_follow_up: { from: false, to: true },
+      tasks: { added: [{ name: 'Étanchéité' }], removed: ['Coulage dalle'] }
+    });
+  });
+
+  test('propose la nouvelle analyse sans modifier l\'email', async () => {
+    taskReconciler.extractedNames.mockResolvedValue([]);
+    mistralClient.analyzeEmail.mockResolvedValue({ classification: 'retard', tasks: [] });
+    db.query.mockImplementation(async sql => {
+      if (/FROM reanalysis_runs WHERE id/.test(sql)) return { rows: [{ id: 5, project_id: 3, filters: {}, total: 10 }] };
+      if (/SELECT \* FROM emails/.test(sql)) return { rows: [email] };
+      return { rows: [] };
+    });
+
+    await reanalyzer.runJob(5);
+
+    expect(mistralClient.analyzeEmail.mock.calls[0][2]).toMatchObject({ throwOnError: true, emailId: 40, prompt: 'Analyse...' });
+    const statements = db.query.mock.calls.map(([sql]) => sql);
+    expect(statements.some(sql => /UPDATE emails/.test(sql))).toBe(false);
+
+    const result = db.query.mock.calls.find(([sql]) => /INSERT INTO reanalysis_results/.test(sql));
+    expect(JSON.parse(result[1][4])).toEqual({ classification: { from: 'planning', to: 'retard' } });
+    expect(statements.some(sql => /SET status = 'ready'/.test(sql))).toBe(true);
+  });
+
+  test('applique les tâches ajoutées et retirées puis rafraîchit le fil', async () => {
+    route([
+      readyRun,
+      [/FROM reanalysis_results r/, () => ({ rows: [{
+        id: 70,
+        email_id: 40,
+        project_id: 3,
+        thread_id: 9,
+        proposed: { classification: 'retard', requires_follow_up: true },
+        changes: { requires_follow_up: { from: false, to: true }, tasks: { added: [{ name: 'Étanchéité' }], removed: ['Coulage dalle'] } }
+      }] })],
+      [/SET status = 'applied', applied_at/, () => ({ rows: [{ id: 70 }] })]
+    ]);
+
+    await expect(reanalyzer.apply(5, { emailIds: [40] })).resolves.toEqual({ applied: 1 });
+
+    const claim = db.query.mock.calls.find(([sql]) => /SET status = 'applied'/.test(sql));
+    expect(claim[0]).toMatch(/WHERE id = \$1 AND status = 'pending' AND applied_at IS NULL\s+RETURNING id/);
+    expect(claim[1]).toEqual([70]);
+    expect(taskReconciler.withdraw).toHaveBeenCalledWith(40, ['Coulage dalle']);
+    expect(taskReconciler.reconcile).toHaveBeenCalledWith([{ name: 'Étanchéité' }], 40, 3);
+    expect(complianceIssues.recordEmailIssue).not.toHaveBeenCalled();
+    expect(threadManager.refreshThread).toHaveBeenCalledWith(9);
+  });
+
+  test('n\'applique pas un résultat déjà réservé par une autre application', async () => {
+    route([
+      readyRun,
+      [/FROM reanalysis_results r/, () => ({ rows: [{ id: 70, email_id: 40, project_id: 3, proposed: { is_compliance_related: true }, changes: {} }] })]
+    ]);
+
+    await expect(reanalyzer.apply(5)).resolves.toEqual({ applied: 0 });
+
+    expect(db.query.mock.calls.some(([sql]) => /UPDATE emails/.test(sql))).toBe(false);
+    expect(complianceIssues.recordEmailIssue).not.toHaveBeenCalled();
+  });
+
+  test('libère la réservation d\'un résultat dont l\'application échoue', async () => {
+    route([
+      readyRun,
+      [/FROM reanalysis_results r/, () => ({ rows: [{ id: 70, email_id: 40, project_id: 3, proposed: { is_compliance_related: true }, changes: {} }] })],
+      [/SET status = 'applied', applied_at/, () => ({ rows: [{ id: 70 }] })]
+    ]);
+    complianceIssues.recordEmailIssue.mockRejectedValue(new Error('base indisponible'));
+
+    await expect(reanalyzer.apply(5)).rejects.toThrow('base indisponible');
+
+    const release = db.query.mock.calls.find(([sql]) => /SET status = 'pending', applied_at = NULL/.test(sql));
+    expect(release[1]).toEqual([70]);
+  });
+
+  test('refuse d\'appliquer une campagne qui n\'est pas prête', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 5, status: 'running' }] });
+
+    await expect(reanalyzer.apply(5)).resolves.toBeNull();
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+});
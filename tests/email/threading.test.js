@@ -0,0 +1,114 @@
+jest.mock('../../src/database', () => ({ query: jest.fn() }));
+jest.mock('../../src/llm/mistral', () => ({ summarizeThread: jest.fn() }));
+jest.mock('../../src/privacy/redactor', () => require('../helpers/mocks').passThroughRedactor());
+
+const db = require('../../src/database');
+const mistralClient = require('../../src/llm/mistral');
+const threadManager = require('../../src/email/threading');
+const { route } = require('../helpers/mocks');
+
+function email(fields = {}) {
+  return {
+    id: 20,
+    project_id: 3,
+    message_id: '<c@x>',
+    parent_message_id: null,
+    reference_ids: [],
+    from_address: 'Paul <paul@btp.fr>',
+    to_address: ['marie@moe.fr'],
+    cc_address: [],
+    subject: 'RE: TR: Re: Livraison  béton',
+    received_date: new Date('2025-03-10T10:00:00Z'),
+    ...fields
+  };
+}
+
+describe('fils de discussion', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('rattache une réponse au fil de son parent via les en-têtes', async () => {
+    route([
+      [/SELECT \* FROM emails WHERE id/, () => ({ rows: [email({ parent_message_id: '<b@x>', reference_ids: ['<a@x>', '<b@x>'] })] })],
+      [/SELECT thread_id FROM emails/, () => ({ rows: [{ thread_id: 5 }] })]
+    ]);
+
+    await expect(threadManager.assignThread(20)).resolves.toBe(5);
+
+    const headerLookup = db.query.mock.calls.find(([sql]) => /SELECT thread_id FROM emails/.test(sql));
+    expect(headerLookup[1]).toEqual([['<b@x>', '<a@x>', '<b@x>']]);
+    expect(db.query.mock.calls.some(([sql]) => /INSERT INTO email_threads/.test(sql))).toBe(false);
+  });
+
+  test('regroupe par sujet normalisé seulement avec un participant commun', async () => {
+    route([
+      [/SELECT \* FROM emails WHERE id/, () => ({ rows: [email()] })],
+      [/FROM email_threads t/, () => ({ rows: [
+        { id: 8, participants: ['autre@exemple.fr'] },
+        { id: 9, participants: ['marie@moe.fr'] }
+      ] })]
+    ]);
+
+    await expect(threadManager.assignThread(20)).resolves.toBe(9);
+
+    const subjectLookup = db.query.mock.calls.find(([sql]) => /FROM email_threads t/.test(sql));
+    expect(subjectLookup[1][0]).toBe('livraison béton');
+    expect(subjectLookup[1][3]).toBe(3);
+  });
+
+  test('ouvre un nouveau fil et y fusionne les réponses arrivées avant le message', async () => {
+    route([
+      [/SELECT \* FROM emails WHERE id/, () => ({ rows: [email({ subject: 'Planning' })] })],
+      [/INSERT INTO email_threads/, () => ({ rows: [{ id: 12 }] })],
+      [/SELECT DISTINCT thread_id/, () => ({ rows: [{ thread_id: 4 }] })]
+    ]);
+
+    await expect(threadManager.assignThread(20)).resolves.toBe(12);
+
+    const statements = db.query.mock.calls.map(([sql, params]) => [sql.trim(), params]);
+    expect(statements).toContainEqual(['UPDATE emails SET thread_id = $1 WHERE thread_id = $2', [12, 4]]);
+    expect(statements).toContainEqual(['DELETE FROM email_threads WHERE id = $1', [4]]);
+  });
+
+  test('un fil reste ouvert tant que la dernière demande n\'a pas de réponse d\'un autre participant', () => {
+    const request = { from_address: 'paul@btp.fr', requires_follow_up: true };
+
+    expect(threadManager._computeStatus([{ from_address: 'marie@moe.fr' }, request])).toBe('open');
+    expect(threadManager._computeStatus([request, { from_address: 'Paul <paul@btp.fr>' }])).toBe('open');
+    expect(threadManager._computeStatus([request, { from_address: 'marie@moe.fr', filtered_reason: 'auto_reply' }])).toBe('open');
+    expect(threadManager._computeStatus([request, { from_address: 'marie@moe.fr' }])).toBe('answered');
+    expect(threadManager._computeStatus([{ from_address: 'paul@btp.fr' }])).toBe('answered');
+  });
+
+  test('ne régénère le résumé que lorsque de nouveaux messages sont arrivés', async () => {
+    const messages = [email({ id: 1 }), email({ id: 2 })];
+    route([
+      [/FROM email_threads WHERE id/, () => ({ rows: [{ id: 5, summary: 'Résumé', summary_message_count: 2 }] })],
+      [/WHERE thread_id = \$1/, () => ({ rows: messages })]
+    ]);
+
+    await expect(threadManager.getThread(5)).resolves.toMatchObject({ summary: 'Résumé', messages });
+    expect(mistralClient.summarizeThread).not.toHaveBeenCalled();
+
+    messages.push(email({ id: 3 }));
+    mistralClient.summarizeThread.mockResolvedValue('Nouveau résumé');
+
+    await expect(threadManager.getThread(5)).resolves.toMatchObject({ summary: 'Nouveau résumé', summary_message_count: 3 });
+    expect(db.query.mock.calls.find(([sql]) => /SET summary = \$1/.test(sql))[1]).toEqual(['Nouveau résumé', 3, 5]);
+  });
+
+  test('affiche un résumé de secours sans l\'enregistrer quand le service est indisponible', async () => {
+    route([
+      [/FROM email_threads WHERE id/, () => ({ rows: [{ id: 5, summary: null, summary_message_count: 0 }] })],
+      [/WHERE thread_id = \$1/, () => ({ rows: [email({ id: 1, summary: 'Demande de date' }), email({ id: 2, summary: 'Livraison jeudi' })] })]
+    ]);
+    mistralClient.summarizeThread.mockRejectedValue(new Error('HTTP 503'));
+
+    await expect(threadManager.getThread(5)).resolves.toMatchObject({
+      summary: 'Demande de date / Livraison jeudi',
+      summary_message_count: 0
+    });
+    expect(db.query.mock.calls.some(([sql]) => /UPDATE email_threads/.test(sql))).toBe(false);
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Aides communes aux tests : base de données et masquage simulés
+ */
+
+/**
+ * Répond aux requêtes de la base simulée (jest.mock de src/database) selon le premier
+ * motif SQL reconnu : [[/motif/, params => résultat], ...] ; à défaut, { rows: [] }
+ */
+function route(handlers) {
+  const db = require('../../src/database');
+
+  db.query.mockImplementation(async (sql, params) => {
+    const handler = handlers.find(([pattern]) => pattern.test(sql));
+    return handler ? handler[1](params) : { rows: [] };
+  });
+}
+
+/**
+ * Module de masquage simulé : l'appel reçoit `redact` (par défaut, textes inchangés)
+ * jest.mock('../../src/privacy/redactor', () => require('../helpers/mocks').passThroughRedactor());
+ */
+function passThroughRedactor(redact = text => text) {
+  return {
+    protect: jest.fn(async (options, call) => call(redact))
+  };
+}
+
+module.exports = {
+  route,
+  passThroughRedactor
+};
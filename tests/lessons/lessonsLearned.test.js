@@ -0,0 +1,112 @@
+jest.mock('../../src/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../src/llm/mistral', () => ({ generateLessonsLearned: jest.fn() }));
+jest.mock('../../src/privacy/redactor', () => require('../helpers/mocks').passThroughRedactor());
+jest.mock('../../src/agents/coordinationAgent', () => ({
+  detectTradeOverlaps: jest.fn(),
+  detectScheduleConflicts: jest.fn()
+}));
+
+const db = require('../../src/database');
+const mistralClient = require('../../src/llm/mistral');
+const coordinationAgent = require('../../src/agents/coordinationAgent');
+const lessonsLearned = require('../../src/lessons/lessonsLearned');
+const { route } = require('../helpers/mocks');
+
+const project = [/FROM projects WHERE id/, () => ({ rows: [{ id: 3, name: 'Résidence Les Tilleuls' }] })];
+
+describe('leçons apprises', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    coordinationAgent.detectTradeOverlaps.mockResolvedValue([]);
+    coordinationAgent.detectScheduleConflicts.mockResolvedValue([]);
+  });
+
+  test('rassemble les retards, non-conformités et conflits de coordination du projet', async () => {
+    route([
+      project,
+      [/COALESCE\(t.actual_end_date, CURRENT_DATE\)/, () => ({ rows: [
+        { name: 'Coulage dalle', trade: 'Gros œuvre', status: 'completed', planned_end_date: new Date(2025, 2, 10), actual_end_date: new Date(2025, 2, 24), days_late: 14, source_email_id: 40 }
+      ] })],
+      [/FROM compliance_issues/, () => ({ rows: [{ issue_type: 'sécurité', severity: 'high', detected_date: '2025-03-12', email_id: 41 }] })]
+    ]);
+    coordinationAgent.detectScheduleConflicts.mockResolvedValue([
+      { task: { name: 'Cloisons', trade_name: 'Plâtrerie' }, dependency: { name: 'Coulage dalle' }, daysConflict: 3 }
+    ]);
+
+    const { data } = await lessonsLearned.compile(3);
+
+    expect(data.delayed_tasks).toEqual([{
+      task: 'Coulage dalle', trade: 'Gros œuvre', status: 'completed',
+      planned_end_date: '2025-03-10', actual_end_date: '2025-03-24', days_late: 14, email_id: 40
+    }]);
+    expect(data.compliance_issues[0]).toMatchObject({ type: 'sécurité', severity: 'high', date: '2025-03-12', email_id: 41 });
+    expect(data.coordination_conflicts).toEqual([
+      { type: 'dépendance', task: 'Cloisons', trade: 'Plâtrerie', depends_on: 'Coulage dalle', days: 3 }
+    ]);
+    expect(data.escalated_follow_ups).toEqual([]);
+  });
+
+  test('ne sollicite pas le modèle pour un projet sans difficulté', async () => {
+    route([project]);
+
+    await expect(lessonsLearned.generate(3)).resolves.toEqual([]);
+    expect(mistralClient.generateLessonsLearned).not.toHaveBeenCalled();
+
+    db.query.mockResolvedValue({ rows: [] });
+    await expect(lessonsLearned.generate(99)).resolves.toBeNull();
+  });
+
+  test('remplace les propositions non relues et ne rattache que les emails du projet', async () => {
+    const client = { query: jest.fn(async () => ({ rows: [{ id: 70 }] })), release: jest.fn() };
+    db.getClient.mockResolvedValue(client);
+    route([
+      project,
+      [/FROM compliance_issues/, () => ({ rows: [{ issue_type: 'sécurité', detected_date: '2025-03-12' }] })],
+      [/FROM emails WHERE project_id = \$1 AND id = ANY/, () => ({ rows: [{ id: 41 }] })],
+      [/SELECT id, name FROM trades/, () => ({ rows: [{ id: 4, name: 'Plâtrerie' }] })]
+    ]);
+    mistralClient.generateLessonsLearned.mockResolvedValue({ lessons: [{
+      title: 'Anticiper les garde-corps provisoires',
+      category: 'Sécurité',
+      trade: 'platrerie',
+      description: 'Absence de garde-corps en rive de dalle',
+      impact: 'élevé',
+      related_emails: [41, 512]
+    }] });
+
+    await expect(lessonsLearned.generate(3)).resolves.toEqual([{ id: 70 }]);
+
+    const statements = client.query.mock.calls.map(([sql]) => sql.trim());
+    expect(statements[0]).toBe('BEGIN');
+    expect(statements[1]).toMatch(/DELETE FROM lessons_learned WHERE project_id = \$1 AND source = 'llm' AND status = 'proposed'/);
+    expect(statements[3]).toBe('COMMIT');
+
+    const [, params] = client.query.mock.calls[2];
+    expect(params[1]).toBe('sécurité');
+    expect(params[7]).toEqual([41]);
+    expect(params[8]).toBe(4);
+  });
+
+  test('conserve les propositions précédentes quand la réponse du modèle est invalide', async () => {
+    route([
+      project,
+      [/FROM compliance_issues/, () => ({ rows: [{ issue_type: 'sécurité', detected_date: '2025-03-12' }] })]
+    ]);
+    mistralClient.generateLessonsLearned.mockRejectedValue(Object.assign(new Error('lessons: champ obligatoire manquant'), { invalidOutput: true }));
+
+    await expect(lessonsLearned.generate(3)).rejects.toMatchObject({ invalidOutput: true });
+
+    expect(db.getClient).not.toHaveBeenCalled();
+    expect(db.query.mock.calls.some(([sql]) => /DELETE FROM lessons_learned/.test(sql))).toBe(false);
+  });
+
+  test('une modification du statut enregistre la relecture', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 70 }] });
+
+    await lessonsLearned.update(70, { status: 'validated', reviewed_by: 'p.martin', source: 'manual' });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toMatch(/SET status = \$2, reviewed_by = \$3, reviewed_at = CURRENT_TIMESTAMP, updated_at/);
+    expect(params).toEqual([70, 'validated', 'p.martin']);
+  });
+});
@@ -0,0 +1,65 @@
+jest.mock('../../src/database', () => ({ query: jest.fn() }));
+
+const db = require('../../src/database');
+const responseCache = require('../../src/llm/cache');
+
+const provider = { name: 'mistral', model: 'mistral-large-latest' };
+
+describe('cache des réponses du LLM', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+    responseCache.enabled = true;
+    responseCache.writes = 0;
+  });
+
+  test('la clé dépend du fournisseur, du modèle et des messages envoyés', () => {
+    const payload = { messages: [{ role: 'user', content: 'Résumez [PERSONNE_1]' }], temperature: 0 };
+    const key = responseCache.key(provider, payload);
+
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(responseCache.key({ ...provider }, { ...payload })).toBe(key);
+    expect(responseCache.key({ ...provider, model: 'mistral-small-latest' }, payload)).not.toBe(key);
+    expect(responseCache.key({ ...provider, name: 'local' }, payload)).not.toBe(key);
+    expect(responseCache.key(provider, { ...payload, temperature: 0.5 })).not.toBe(key);
+  });
+
+  test('n\'est pas utilisé pour un fournisseur non cacheable ou quand il est désactivé', () => {
+    expect(responseCache.usable(provider)).toBe(true);
+    expect(responseCache.usable({ ...provider, cacheable: false })).toBe(false);
+
+    responseCache.enabled = false;
+    expect(responseCache.usable(provider)).toBe(false);
+  });
+
+  test('retourne une réponse non expirée et compte l\'accès', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ response: { content: 'Résumé' } }] });
+
+    await expect(responseCache.get('abc')).resolves.toEqual({ content: 'Résumé' });
+    expect(db.query.mock.calls[0][0]).toMatch(/hits = hits \+ 1[\s\S]*expires_at > CURRENT_TIMESTAMP/);
+
+    await expect(responseCache.get('abc')).resolves.toBeNull();
+  });
+
+  test('une erreur de la base n\'empêche pas l\'appel au modèle', async () => {
+    db.query.mockRejectedValue(new Error('connexion perdue'));
+
+    await expect(responseCache.get('abc')).resolves.toBeNull();
+    await expect(responseCache.set('abc', provider, { content: 'Résumé' })).resolves.toBeUndefined();
+    await expect(responseCache.invalidate('abc')).resolves.toBeUndefined();
+  });
+
+  test('enregistre la réponse avec sa durée de validité et purge périodiquement', async () => {
+    responseCache.writes = 98;
+
+    await responseCache.set('abc', provider, { content: 'Résumé', model: 'mistral-large-2411' });
+    expect(db.query.mock.calls[0][1]).toEqual([
+      'abc', 'mistral', 'mistral-large-2411', JSON.stringify({ content: 'Résumé', model: 'mistral-large-2411' }), responseCache.ttlHours
+    ]);
+    expect(db.query).toHaveBeenCalledTimes(1);
+
+    await responseCache.set('def', provider, { content: 'Autre' });
+    expect(db.query.mock.calls[1][1][2]).toBe('mistral-large-latest');
+    expect(db.query.mock.calls[2][0]).toMatch(/DELETE FROM llm_cache WHERE expires_at <= CURRENT_TIMESTAMP/);
+  });
+});
@@ -0,0 +1,97 @@
+const { validate, coerceDate } = require('../../src/llm/jsonSchema');
+const schemas = require('../../src/llm/schemas');
+
+describe('conversion des dates', () => {
+  test.each([
+    ['2026-03-01', '2026-03-01'],
+    ['2026-03-01T08:00:00Z', '2026-03-01'],
+    ['01/03/2026', '2026-03-01'],
+    ['1er mars 2026', '2026-03-01'],
+    ['lundi 2 février 2026', '2026-02-02']
+  ])('lit %s', (input, expected) => {
+    expect(coerceDate(input)).toBe(expected);
+  });
+
+  test.each(['31/02/2026', 'semaine prochaine', '2026-13-01'])('refuse %s', input => {
+    expect(coerceDate(input)).toBeNull();
+  });
+});
+
+describe('validation des réponses du LLM', () => {
+  test('renomme les clés en français et convertit les valeurs', () => {
+    const result = validate(schemas.email_analysis, {
+      résumé: 'Livraison des menuiseries décalée',
+      catégorie: 'planning',
+      nécessite_suivi: 'oui',
+      conformité: 'non',
+      tâches: [{ nom: 'Pose menuiseries', lot: 'Menuiserie', date_début: '02/03/2026', date_fin: 'bientôt' }],
+      avancement: [{ tâche: 'Pose menuiseries', événement: 'Delayed' }]
+    });
+
+    expect(result.errors).toEqual([]);
+    expect(result.value).toMatchObject({
+      summary: 'Livraison des menuiseries décalée',
+      classification: 'planning',
+      requires_follow_up: true,
+      is_compliance_related: false,
+      tasks: [{ name: 'Pose menuiseries', trade: 'Menuiserie', start_date: '2026-03-02', end_date: null }],
+      progress_events: [{ task: 'Pose menuiseries', event: 'delayed' }]
+    });
+    expect(result.value).not.toHaveProperty('résumé');
+    expect(result.coercions).toBeGreaterThan(0);
+  });
+
+  test('applique les valeurs par défaut des listes absentes', () => {
+    const result = validate(schemas.email_analysis, {
+      summary: 'RAS',
+      classification: 'information',
+      requires_follow_up: false,
+      is_compliance_related: false
+    });
+
+    expect(result.errors).toEqual([]);
+    expect(result.coercions).toBe(0);
+    expect(result.value.tasks).toEqual([]);
+    expect(result.value.progress_events).toEqual([]);
+  });
+
+  test('signale les champs obligatoires manquants et les valeurs non autorisées', () => {
+    const result = validate(schemas.email_analysis, {
+      summary: 'RAS',
+      requires_follow_up: 'peut-être',
+      is_compliance_related: false,
+      progress_events: [{ task: 'Chape', event: 'annulé' }]
+    });
+
+    expect(result.errors).toEqual([
+      '$.classification : champ obligatoire manquant',
+      '$.requires_follow_up : booléen attendu (reçu "peut-être")',
+      '$.progress_events[0].event : valeur "annulé" non autorisée (attendu started, completed, delayed, blocked)'
+    ]);
+  });
+
+  test('convertit les nombres écrits avec une virgule', () => {
+    const schema = { type: 'object', properties: { amount: { type: 'number' }, count: { type: 'integer' } } };
+
+    expect(validate(schema, { amount: '12,5', count: '3' })).toEqual({
+      value: { amount: 12.5, count: 3 },
+      errors: [],
+      coercions: 2
+    });
+    expect(validate(schema, { count: '2,5' }).errors).toEqual(['$.count : nombre attendu (reçu "2,5")']);
+  });
+
+  test('ne convertit pas un texte vide en zéro', () => {
+    const schema = { type: 'object', properties: { amount: { type: ['number', 'null'] }, count: { type: 'integer' } } };
+
+    expect(validate(schema, { amount: '   ', count: 1 })).toEqual({ value: { amount: null, count: 1 }, errors: [], coercions: 1 });
+    expect(validate(schema, { count: '' }).errors).toEqual(['$.count : valeur manquante (attendu integer)']);
+  });
+
+  test('refuse une date obligatoire illisible', () => {
+    const schema = { type: 'object', properties: { due: { type: 'string', format: 'date' } } };
+
+    expect(validate(schema, { due: 'fin du mois' }).errors)
+      .toEqual(['$.due : date attendue au format AAAA-MM-JJ (reçu "fin du mois")']);
+  });
+});
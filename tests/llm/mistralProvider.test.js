@@ -0,0 +1,110 @@
+jest.mock('axios', () => ({ create: jest.fn(() => ({ post: jest.fn() })) }));
+
+const axios = require('axios');
+const MistralProvider = require('../../src/llm/providers/mistralProvider');
+const OpenAICompatibleProvider = require('../../src/llm/providers/openAICompatibleProvider');
+
+function httpError(status, headers = {}, data = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data };
+  return error;
+}
+
+describe('fournisseur Mistral', () => {
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider = new MistralProvider({
+      apiKey: 'cle',
+      model: 'mistral-large-latest',
+      embeddingModel: 'mistral-embed',
+      endpoint: 'https://api.mistral.ai/v1/',
+      timeoutMs: 1000
+    });
+  });
+
+  test('appelle l\'API avec la clé et convertit la réponse', async () => {
+    provider.client.post.mockResolvedValue({ data: {
+      model: 'mistral-large-2411',
+      choices: [{ message: { content: '{"summary":"ok"}' } }],
+      usage: { prompt_tokens: 120, completion_tokens: 8 }
+    } });
+
+    await expect(provider.chat([{ role: 'user', content: 'Bonjour' }], { temperature: 0, maxTokens: 50, json: true })).resolves.toEqual({
+      content: '{"summary":"ok"}',
+      model: 'mistral-large-2411',
+      usage: { inputTokens: 120, outputTokens: 8 }
+    });
+
+    expect(axios.create).toHaveBeenCalledWith({
+      baseURL: 'https://api.mistral.ai/v1',
+      timeout: 1000,
+      headers: { Authorization: 'Bearer cle' }
+    });
+    expect(provider.client.post).toHaveBeenCalledWith('/chat/completions', {
+      model: 'mistral-large-latest',
+      messages: [{ role: 'user', content: 'Bonjour' }],
+      temperature: 0,
+      max_tokens: 50,
+      response_format: { type: 'json_object' }
+    });
+  });
+
+  test('transmet le statut et le Retry-After d\'un refus 429 à l\'ordonnanceur', async () => {
+    provider.client.post.mockRejectedValue(httpError(429, { 'retry-after': '7' }, { message: 'Requests rate limit exceeded' }));
+
+    const error = await provider.chat([{ role: 'user', content: 'Bonjour' }]).catch(failure => failure);
+
+    expect(error.message).toBe('API Mistral (/chat/completions): HTTP 429 Requests rate limit exceeded');
+    expect(error.status).toBe(429);
+    expect(error.retryAfter).toBe('7');
+    expect(provider.client.post).toHaveBeenCalledTimes(1);
+  });
+
+  test('signale les autres erreurs sans statut de refus', async () => {
+    provider.client.post.mockRejectedValueOnce(httpError(401, {}, { detail: [{ msg: 'Unauthorized' }] }));
+    await expect(provider.embed(['texte'])).rejects.toMatchObject({
+      message: 'API Mistral (/embeddings): HTTP 401 [{"msg":"Unauthorized"}]',
+      status: 401
+    });
+
+    provider.client.post.mockRejectedValueOnce(new Error('timeout of 1000ms exceeded'));
+    const error = await provider.embed(['texte']).catch(failure => failure);
+    expect(error.message).toBe('API Mistral (/embeddings): timeout of 1000ms exceeded');
+    expect(error.status).toBeUndefined();
+  });
+
+  test('ordonne les vecteurs d\'embeddings selon leur index', async () => {
+    provider.client.post.mockResolvedValue({ data: {
+      data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }],
+      usage: { prompt_tokens: 6 }
+    } });
+
+    await expect(provider.embed(['a', 'b'])).resolves.toEqual({
+      vectors: [[1, 0], [0, 1]],
+      model: 'mistral-embed',
+      usage: { inputTokens: 6, outputTokens: 0 }
+    });
+  });
+});
+
+describe('fournisseur compatible OpenAI', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('appelle le serveur local sans clé et signale ses refus comme l\'API Mistral', async () => {
+    const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8000/v1', model: 'mistral-7b', embeddingModel: 'bge-m3', timeoutMs: 1000 });
+    expect(axios.create).toHaveBeenCalledWith({ baseURL: 'http://localhost:8000/v1', timeout: 1000, headers: {} });
+
+    provider.client.post.mockRejectedValue(httpError(429, { 'retry-after': '2' }, { message: 'busy' }));
+
+    await expect(provider.chat([{ role: 'user', content: 'Bonjour' }])).rejects.toMatchObject({
+      message: 'Serveur LLM local (http://localhost:8000/v1/chat/completions): HTTP 429 busy',
+      status: 429,
+      retryAfter: '2'
+    });
+    expect(new OpenAICompatibleProvider({}).isConfigured()).toBe(false);
+  });
+});
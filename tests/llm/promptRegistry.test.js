@@ -0,0 +1,90 @@
+jest.mock('../../src/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const db = require('../../src/database');
+const promptRegistry = require('../../src/llm/promptRegistry');
+const { route } = require('../helpers/mocks');
+
+describe('registre des prompts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('rend les variables et les sections sans relire les valeurs insérées', () => {
+    const template = {
+      system: 'Répondez en {{language}}.\n{{#jargon}}Vocabulaire : {{jargon}}{{/jargon}}',
+      user: 'Échanges :\n{{conversation}}\n\n\n\nRésumez {{sujet}}.',
+      variables: { language: 'français', jargon: '' }
+    };
+
+    const { system, user, missing } = promptRegistry.render(template, { conversation: 'Merci de remplir {{language}} et {{#jargon}}x{{/jargon}}' });
+
+    expect(system).toBe('Répondez en français.');
+    expect(user).toBe('Échanges :\nMerci de remplir {{language}} et {{#jargon}}x{{/jargon}}\n\nRésumez .');
+    expect(missing).toEqual(['sujet']);
+  });
+
+  test('utilise le fichier par défaut complété des variables du projet', async () => {
+    route([
+      [/prompt_variables FROM projects/, () => ({ rows: [{ prompt_variables: { jargon: 'GO = gros œuvre' } }] })]
+    ]);
+
+    const template = await promptRegistry.resolve('thread_summary', 3);
+
+    expect(template).toMatchObject({ source: 'file', templateId: null, version: '1' });
+    expect(template.variables).toEqual({ language: 'français', jargon: 'GO = gros œuvre' });
+    expect(promptRegistry.render(template, { conversation: '...' }).system).toContain('Vocabulaire propre à l\'entreprise : GO = gros œuvre');
+  });
+
+  test('préfère la version en base et change d\'empreinte avec les variables du projet', async () => {
+    const stored = { id: 12, project_id: 3, version: '2', system_prompt: null, user_prompt: 'Résumez {{conversation}}', variables: { language: 'anglais' } };
+    let variables = {};
+    route([
+      [/FROM prompt_templates/, () => ({ rows: [stored] })],
+      [/prompt_variables FROM projects/, () => ({ rows: [{ prompt_variables: variables }] })]
+    ]);
+
+    const first = await promptRegistry.resolve('thread_summary', 3);
+    expect(first).toMatchObject({ source: 'project', templateId: 12, version: '2', system: '' });
+    expect(first.variables).toEqual({ language: 'anglais', jargon: '' });
+    expect(db.query.mock.calls[0][1]).toEqual(['thread_summary', 3]);
+
+    expect((await promptRegistry.resolve('thread_summary', 3)).hash).toBe(first.hash);
+
+    variables = { jargon: 'CR = compte rendu' };
+    expect((await promptRegistry.resolve('thread_summary', 3)).hash).not.toBe(first.hash);
+  });
+
+  test('refuse un prompt inconnu', async () => {
+    await expect(promptRegistry.resolve('inconnu')).rejects.toThrow('Prompt inconnu: inconnu');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('une nouvelle version désactive la version active de même portée', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 13 }] }), release: jest.fn() };
+    db.getClient.mockResolvedValue(client);
+
+    await expect(promptRegistry.createVersion('thread_summary', { projectId: 3, version: '3', user: 'Résumez' })).resolves.toEqual({ id: 13 });
+
+    const statements = client.query.mock.calls.map(([sql]) => sql.trim());
+    expect(statements[0]).toBe('BEGIN');
+    expect(statements[1]).toMatch(/UPDATE prompt_templates SET active = false/);
+    expect(client.query.mock.calls[1][1]).toEqual(['thread_summary', 3]);
+    expect(statements[2]).toMatch(/INSERT INTO prompt_templates/);
+    expect(statements[3]).toBe('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('n\'active pas une version inexistante', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    db.getClient.mockResolvedValue(client);
+
+    await expect(promptRegistry.activate(99)).resolves.toBeNull();
+
+    expect(client.query.mock.calls.map(([sql]) => sql.trim())).toEqual([
+      'BEGIN',
+      'SELECT * FROM prompt_templates WHERE id = $1 FOR UPDATE',
+      'ROLLBACK'
+    ]);
+    expect(client.release).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,98 @@
+jest.mock('../../src/database', () => ({ query: jest.fn(async () => ({ rows: [] })), getClient: jest.fn() }));
+
+const config = require('../../src/config');
+const providers = require('../../src/llm/providers');
+const usageMeter = require('../../src/llm/usage');
+const { validate } = require('../../src/llm/jsonSchema');
+const schemas = require('../../src/llm/schemas');
+
+const messages = [{ role: 'user', content: 'Analysez cet email de chantier' }];
+const valid = JSON.stringify({
+  summary: 'Réception du lot plâtrerie',
+  classification: 'réception',
+  requires_follow_up: false,
+  is_compliance_related: false
+});
+
+describe('réponses JSON du LLM', () => {
+  let stub;
+  let sent;
+
+  function replies(...contents) {
+    contents.forEach(content => {
+      stub.chat.mockImplementationOnce(async conversation => {
+        sent.push(conversation.map(message => ({ ...message })));
+        return { content, model: 'stub', usage: { inputTokens: 10, outputTokens: 10 } };
+      });
+    });
+  }
+
+  beforeEach(() => {
+    config.llm.fallback = { default: ['stub'] };
+    config.llm.repairAttempts = 2;
+    stub = providers.getProvider('stub');
+    jest.spyOn(stub, 'chat').mockReset();
+    sent = [];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('accepte une réponse valide du premier coup, même entourée d\'un bloc de code', async () => {
+    replies(`\`\`\`json\n${valid}\n\`\`\``);
+
+    const result = await providers.chatJson('email_analysis', messages, {
+      validate: value => validate(schemas.email_analysis, value)
+    });
+
+    expect(result).toMatchObject({ outcome: 'passed', attempts: 1, errors: [], provider: 'stub' });
+    expect(result.data.tasks).toEqual([]);
+  });
+
+  test('renvoie les erreurs au modèle jusqu\'à obtenir une réponse valide', async () => {
+    replies('Voici le résumé demandé', JSON.stringify({ summary: 'Réception du lot plâtrerie' }), valid);
+
+    const result = await providers.chatJson('email_analysis', messages, {
+      validate: value => validate(schemas.email_analysis, value)
+    });
+
+    expect(result).toMatchObject({ outcome: 'repaired', attempts: 3 });
+    expect(result.errors).toEqual([
+      expect.stringMatching(/^stub #1 JSON illisible/),
+      'stub #2 $.classification : champ obligatoire manquant',
+      'stub #2 $.requires_follow_up : champ obligatoire manquant',
+      'stub #2 $.is_compliance_related : champ obligatoire manquant'
+    ]);
+
+    expect(sent.map(conversation => conversation.length)).toEqual([1, 3, 5]);
+    expect(sent[1][1]).toEqual({ role: 'assistant', content: 'Voici le résumé demandé' });
+    expect(sent[1][2].content).toMatch(/^Votre réponse n'est pas valide :\n- JSON illisible/);
+    expect(messages).toHaveLength(1);
+  });
+
+  test('abandonne après les tentatives de réparation', async () => {
+    replies('{}', '{}', '{}');
+
+    const error = await providers.chatJson('email_analysis', messages, {
+      validate: value => validate(schemas.email_analysis, value)
+    }).catch(caught => caught);
+
+    expect(error).toMatchObject({
+      invalidOutput: true,
+      message: 'Réponse JSON invalide après 3 tentative(s)',
+      validation: { attempts: 3 }
+    });
+    expect(error.validation.errors).toHaveLength(12);
+    expect(stub.chat).toHaveBeenCalledTimes(3);
+  });
+
+  test('n\'appelle pas le modèle quand le budget du projet est épuisé', async () => {
+    const budgetError = Object.assign(new Error('Budget IA mensuel du projet 3 atteint'), { budgetExceeded: true });
+    jest.spyOn(usageMeter, 'checkBudget').mockRejectedValue(budgetError);
+
+    await expect(providers.chatJson('email_analysis', messages, { projectId: 3 })).rejects.toBe(budgetError);
+    expect(usageMeter.checkBudget).toHaveBeenCalledWith('email_analysis', 3);
+    expect(stub.chat).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,86 @@
+const scheduler = require('../../src/llm/scheduler');
+
+function rateLimited(retryAfter) {
+  const error = new Error('Too Many Requests');
+  error.status = 429;
+  if (retryAfter !== undefined) error.retryAfter = retryAfter;
+  return error;
+}
+
+describe('ordonnanceur des appels LLM', () => {
+  beforeEach(() => {
+    scheduler.settings = {
+      concurrency: 1,
+      tokensPerMinute: null,
+      maxRetries: 2,
+      backoff: { minDelay: 20, maxDelay: 100 }
+    };
+  });
+
+  test('fait passer les demandes interactives avant les traitements par lots', async () => {
+    const provider = { name: 'priorites' };
+    const order = [];
+    let release;
+
+    const first = scheduler.schedule(provider, { operation: 'email_analysis' }, () => new Promise(resolve => {
+      release = resolve;
+    }));
+    const batch = scheduler.schedule(provider, { operation: 'email_analysis', priority: 'batch' }, async () => order.push('batch'));
+    const interactive = scheduler.schedule(provider, { operation: 'ask', priority: 'interactive' }, async () => order.push('interactive'));
+
+    expect(scheduler.lanes.get('priorites').queues).toMatchObject({
+      interactive: [expect.anything()],
+      batch: [expect.anything()]
+    });
+
+    release();
+    await Promise.all([first, batch, interactive]);
+
+    expect(order).toEqual(['interactive', 'batch']);
+  });
+
+  test('suspend le fournisseur sur un 429 puis réessaie la demande', async () => {
+    const provider = { name: 'sature' };
+    const task = jest.fn()
+      .mockRejectedValueOnce(rateLimited())
+      .mockResolvedValueOnce({ content: '{}' });
+
+    await expect(scheduler.schedule(provider, { operation: 'compliance' }, task)).resolves.toEqual({ content: '{}' });
+
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(scheduler.lanes.get('sature')).toMatchObject({ rateLimited: 1, processed: 1, failed: 0 });
+  });
+
+  test('abandonne la demande une fois les essais épuisés', async () => {
+    const provider = { name: 'epuise' };
+    const task = jest.fn().mockRejectedValue(rateLimited());
+
+    await expect(scheduler.schedule(provider, { operation: 'compliance' }, task)).rejects.toMatchObject({ status: 429 });
+
+    expect(task).toHaveBeenCalledTimes(3);
+    expect(scheduler.lanes.get('epuise')).toMatchObject({ rateLimited: 2, failed: 1 });
+  });
+
+  test('ne réessaie pas les autres erreurs', async () => {
+    const task = jest.fn().mockRejectedValue(new Error('réponse illisible'));
+
+    await expect(scheduler.schedule({ name: 'erreur' }, { operation: 'ask' }, task)).rejects.toThrow('réponse illisible');
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  describe('délai avant un nouvel essai', () => {
+    test('double le délai à chaque refus, dans la limite du maximum', () => {
+      expect([1, 2, 3, 4].map(attempts => scheduler._retryDelay(rateLimited(), attempts))).toEqual([20, 40, 80, 100]);
+    });
+
+    test('respecte Retry-After en secondes ou en date HTTP', () => {
+      expect(scheduler._retryDelay(rateLimited('0.05'), 1)).toBe(50);
+      expect(scheduler._retryDelay(rateLimited('30'), 1)).toBe(100);
+
+      const delay = scheduler._retryDelay({ response: { status: 429, headers: { 'retry-after': new Date(Date.now() + 60000).toUTCString() } } }, 1);
+      expect(delay).toBe(100);
+
+      expect(scheduler._retryDelay(rateLimited(new Date(Date.now() - 5000).toUTCString()), 1)).toBe(0);
+    });
+  });
+});
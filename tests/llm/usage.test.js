@@ -0,0 +1,59 @@
+jest.mock('../../src/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const db = require('../../src/database');
+const usageMeter = require('../../src/llm/usage');
+
+function mockUsage({ budget = null, spent = 0 }) {
+  db.query.mockImplementation(async sql => {
+    if (sql.includes('FROM projects')) return { rows: [{ ai_monthly_budget: budget }] };
+    if (sql.includes('FROM llm_usage')) return { rows: [{ spent }] };
+    return { rows: [] };
+  });
+}
+
+describe('budget IA mensuel', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+    usageMeter.prices = { 'gpt-test': { input: 2, output: 8 } };
+    usageMeter.defaultBudget = 50;
+    usageMeter.criticalOperations = ['compliance'];
+  });
+
+  test('calcule le coût avec les prix par million de tokens', () => {
+    expect(usageMeter.cost('gpt-test', { inputTokens: 500000, outputTokens: 250000 })).toBe(3);
+    expect(usageMeter.cost('modele-local', { inputTokens: 500000 })).toBe(0);
+  });
+
+  test('refuse une opération non critique au-delà du budget du projet', async () => {
+    mockUsage({ budget: '20.00', spent: 20 });
+
+    await expect(usageMeter.checkBudget('email_analysis', 7)).rejects.toMatchObject({
+      budgetExceeded: true,
+      message: expect.stringContaining('Budget IA mensuel du projet 7 atteint')
+    });
+  });
+
+  test('applique le budget global quand le projet n\'en a pas', async () => {
+    mockUsage({ budget: null, spent: 49.99 });
+    await expect(usageMeter.checkBudget('email_analysis', 7)).resolves.toBeUndefined();
+
+    mockUsage({ budget: null, spent: 50 });
+    await expect(usageMeter.checkBudget('email_analysis', 7)).rejects.toMatchObject({ budgetExceeded: true });
+  });
+
+  test('laisse passer les opérations critiques et les appels sans projet', async () => {
+    mockUsage({ budget: '0', spent: 100 });
+
+    await expect(usageMeter.checkBudget('compliance', 7)).resolves.toBeUndefined();
+    await expect(usageMeter.checkBudget('email_analysis', null)).resolves.toBeUndefined();
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('ne limite pas un projet sans budget quand aucun budget global n\'est défini', async () => {
+    usageMeter.defaultBudget = null;
+    mockUsage({ budget: null, spent: 1000 });
+
+    await expect(usageMeter.checkBudget('email_analysis', 7)).resolves.toBeUndefined();
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,36 @@
+jest.mock('../../src/database', () => ({ query: jest.fn() }));
+
+const db = require('../../src/database');
+const redactor = require('../../src/privacy/redactor');
+
+describe('masquage des noms des contacts', () => {
+  beforeEach(() => {
+    db.query.mockImplementation(async sql => {
+      if (/FROM contacts/.test(sql)) {
+        return { rows: [{ name: 'André Dupré' }, { name: 'René Émery' }, { name: 'Paul Martin' }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  test('masque les noms commençant ou finissant par une lettre accentuée', async () => {
+    const session = await redactor.createSession(1);
+    const text = session.redact('Bonjour André Dupré. Merci René Émery, et Émery confirme avec Dupré.');
+
+    expect(text).not.toMatch(/André|Dupré|René|Émery/);
+    expect(text).toBe('Bonjour [PERSONNE_1]. Merci [PERSONNE_2], et [PERSONNE_2] confirme avec [PERSONNE_1].');
+  });
+
+  test('ne masque pas un nom inclus dans un mot plus long', async () => {
+    const session = await redactor.createSession(1);
+
+    expect(session.redact('Les Martinets et Duprées restent en clair')).toBe('Les Martinets et Duprées restent en clair');
+    expect(session.redact('Appeler Martin.')).toBe('Appeler [PERSONNE_1].');
+  });
+
+  test('remet les noms en clair dans la réponse', async () => {
+    const result = await redactor.protect({ projectId: 1, purpose: 'test' }, async redact => redact('Réponse pour René Émery'));
+
+    expect(result).toBe('Réponse pour René Émery');
+  });
+});
@@ -0,0 +1,188 @@
+jest.mock('../../src/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const db = require('../../src/database');
+const config = require('../../src/config');
+const jobQueue = require('../../src/queue/jobQueue');
+
+function job(fields = {}) {
+  return { id: 7, attempts: 0, max_attempts: 3, locked_by: 'jeton-1', ...fields };
+}
+
+function failureUpdate() {
+  const call = db.query.mock.calls.find(([sql]) => sql.includes('attempts = $2'));
+  return call && call[1];
+}
+
+describe('file de traitement des emails', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+    db.query.mockResolvedValue({ rowCount: 1, rows: [] });
+    config.queue.backoff = { minDelay: 30000, maxDelay: 3600000 };
+    config.queue.staleAfter = 900000;
+    jobQueue.setHandler(null);
+  });
+
+  test('termine un travail sous son propre verrou', async () => {
+    jobQueue.setHandler(async () => ({ emailId: 42 }));
+
+    await expect(jobQueue.execute(job())).resolves.toEqual({ emailId: 42 });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('SET state = \'done\'');
+    expect(sql).toContain('locked_by = $2');
+    expect(params).toEqual([7, 'jeton-1']);
+  });
+
+  test('planifie une nouvelle tentative avec un délai doublé', async () => {
+    const error = Object.assign(new Error('LLM indisponible'), { step: 'analyzed' });
+    jobQueue.setHandler(async () => {
+      throw error;
+    });
+
+    const before = Date.now();
+    await expect(jobQueue.execute(job({ attempts: 1 }))).rejects.toBe(error);
+
+    const [state, attempts, nextAttempt, lastError, failedStep, id, lockedBy] = failureUpdate();
+    expect([state, attempts, lastError, failedStep, id, lockedBy]).toEqual(['retrying', 2, 'LLM indisponible', 'analyzed', 7, 'jeton-1']);
+    expect(nextAttempt.getTime() - before).toBeGreaterThanOrEqual(60000);
+    expect(nextAttempt.getTime() - Date.now()).toBeLessThanOrEqual(60000);
+  });
+
+  test('place le travail dans la file des échecs une fois les tentatives épuisées', async () => {
+    jobQueue.setHandler(async () => {
+      throw new Error('pièce jointe illisible');
+    });
+
+    await expect(jobQueue.execute(job({ attempts: 2 }))).rejects.toThrow('pièce jointe illisible');
+
+    expect(failureUpdate().slice(0, 2)).toEqual(['dead', 3]);
+    expect(failureUpdate()[4]).toBeNull();
+  });
+
+  test('ne modifie pas un travail repris par un autre traitement', async () => {
+    db.query.mockResolvedValue({ rowCount: 0, rows: [] });
+    jobQueue.setHandler(async () => {
+      throw new Error('délai dépassé');
+    });
+
+    await expect(jobQueue.execute(job())).rejects.toThrow('délai dépassé');
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  describe('ajout à la file', () => {
+    test('insère le travail en s\'appuyant sur l\'index unique des travaux actifs', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 11 }] });
+
+      await expect(jobQueue.enqueue({ source: 'imap', messageId: '<a@x>', rawMessage: Buffer.from('') }))
+        .resolves.toEqual({ job: { id: 11 }, created: true });
+
+      const [sql] = db.query.mock.calls[0];
+      expect(sql).toContain('ON CONFLICT (message_id) WHERE state IN (\'queued\', \'processing\', \'retrying\') DO NOTHING');
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('réutilise le travail actif inséré simultanément pour le même message', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 12, state: 'processing' }] });
+
+      await expect(jobQueue.enqueue({ source: 'webhook', messageId: '<a@x>', rawMessage: Buffer.from('') }))
+        .resolves.toEqual({ job: { id: 12, state: 'processing' }, created: false });
+      expect(db.query.mock.calls[1][1]).toEqual(['<a@x>']);
+    });
+
+    test('réessaie l\'insertion quand le travail concurrent s\'est terminé entre-temps', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 13 }] });
+
+      await expect(jobQueue.enqueue({ source: 'imap', messageId: '<a@x>', rawMessage: Buffer.from('') }))
+        .resolves.toEqual({ job: { id: 13 }, created: true });
+      expect(db.query).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  test('limite le délai entre deux tentatives', () => {
+    expect([1, 2, 3, 8, 20].map(attempts => jobQueue._backoffDelay(attempts)))
+      .toEqual([30000, 60000, 120000, 3600000, 3600000]);
+  });
+
+  describe('verrou des travaux', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('rafraîchit le verrou pendant l\'exécution et signale sa perte', async () => {
+      jest.useFakeTimers();
+      config.queue.staleAfter = 3000;
+      db.query
+        .mockResolvedValueOnce({ rowCount: 1, rows: [] })
+        .mockResolvedValueOnce({ rowCount: 0, rows: [] });
+
+      const current = job();
+      jobQueue.setHandler(async running => {
+        await jest.advanceTimersByTimeAsync(1000);
+        const first = running.lockLost;
+        await jest.advanceTimersByTimeAsync(1000);
+        return [first, running.lockLost];
+      });
+
+      await expect(jobQueue.execute(current)).resolves.toEqual([undefined, true]);
+
+      const heartbeats = db.query.mock.calls.filter(([sql]) => sql.includes('SET locked_at = CURRENT_TIMESTAMP'));
+      expect(heartbeats.map(([, params]) => params)).toEqual([[7, 'jeton-1'], [7, 'jeton-1']]);
+
+      // Plus aucun rafraîchissement une fois le travail terminé
+      const calls = db.query.mock.calls.length;
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(db.query).toHaveBeenCalledTimes(calls);
+    });
+
+    test('refuse d\'enregistrer une étape après la perte du verrou', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rowCount: 0 }) };
+
+      await expect(jobQueue.saveProgress(job(), 'tasks', { emailId: 42 }, client)).rejects.toMatchObject({
+        lockLost: true,
+        message: 'Verrou du travail 7 perdu, étape tasks non enregistrée'
+      });
+      expect(client.query.mock.calls[0][1]).toEqual(['tasks', '{"emailId":42}', 42, 7, 'jeton-1']);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('refuse de commencer une étape après la perte signalée du verrou', () => {
+      expect(() => jobQueue.assertLocked(job(), 'tasks')).not.toThrow();
+      expect(() => jobQueue.assertLocked(job({ lockLost: true }), 'tasks')).toThrow(expect.objectContaining({
+        lockLost: true,
+        message: 'Verrou du travail 7 perdu, étape tasks non commencée'
+      }));
+    });
+
+    test('enregistre une étape sous son verrou', async () => {
+      await expect(jobQueue.saveProgress(job(), 'stored', {})).resolves.toBeUndefined();
+      expect(db.query.mock.calls[0][1]).toEqual(['stored', '{}', null, 7, 'jeton-1']);
+    });
+
+    test('ne remet en file que les verrous qui ne sont plus rafraîchis', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 3 }] });
+
+      await jobQueue._releaseStale();
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('locked_at < CURRENT_TIMESTAMP - make_interval(secs => $1)');
+      expect(sql).toContain('locked_by = NULL');
+      expect(params).toEqual([900]);
+    });
+
+    test('verrouille chaque travail avec un jeton distinct', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await jobQueue._claimNext();
+      await jobQueue._claimNext();
+
+      const [[, [first]], [, [second]]] = db.query.mock.calls;
+      expect(first).toMatch(/^[0-9a-f-]{36}$/);
+      expect(second).not.toBe(first);
+    });
+  });
+});
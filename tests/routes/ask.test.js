@@ -0,0 +1,64 @@
+jest.mock('../../src/database', () => ({ query: jest.fn() }));
+jest.mock('../../src/search/projectAssistant', () => ({
+  ask: jest.fn(),
+  listConversations: jest.fn(),
+  getConversation: jest.fn(),
+  deleteConversation: jest.fn()
+}));
+
+const db = require('../../src/database');
+const projectAssistant = require('../../src/search/projectAssistant');
+const { requireAuth } = require('../../src/utils/apiAuth');
+const router = require('../../src/routes/ask');
+
+function route(method, path) {
+  const layer = router.stack.find(entry => entry.route && entry.route.path === path && entry.route.methods[method]);
+  return layer.route.stack.map(entry => entry.handle);
+}
+
+function response() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('routes des questions sur un projet', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('toutes les routes des conversations exigent une authentification', () => {
+    [
+      ['post', '/projects/:id/ask'],
+      ['get', '/projects/:id/conversations'],
+      ['get', '/conversations/:id'],
+      ['delete', '/conversations/:id']
+    ].forEach(([method, path]) => {
+      expect(route(method, path)[0]).toBe(requireAuth);
+    });
+  });
+
+  test('la conversation appartient à l\'utilisateur authentifié, pas à celui indiqué dans la requête', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 3 }] });
+    projectAssistant.ask.mockResolvedValue({ conversation_id: 8 });
+    const [, handler] = route('post', '/projects/:id/ask');
+    const res = response();
+
+    await handler({ params: { id: '3' }, body: { question: 'Date du coulage ?', user: 'autre', conversation_id: 8 }, user: 'p.martin' }, res);
+
+    expect(projectAssistant.ask).toHaveBeenCalledWith(3, { question: 'Date du coulage ?', userName: 'p.martin', conversationId: 8 });
+    expect(res.json).toHaveBeenCalledWith({ status: 'success', data: { conversation_id: 8 } });
+  });
+
+  test('ne supprime que les conversations de l\'utilisateur authentifié', async () => {
+    projectAssistant.deleteConversation.mockResolvedValue(false);
+    const [, handler] = route('delete', '/conversations/:id');
+    const res = response();
+
+    await handler({ params: { id: '8' }, query: { user: 'autre' }, user: 'p.martin' }, res);
+
+    expect(projectAssistant.deleteConversation).toHaveBeenCalledWith('8', 'p.martin');
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -0,0 +1,46 @@
+jest.mock('../../src/database', () => ({ query: jest.fn() }));
+jest.mock('../../src/email/archiveImporter', () => ({ createJob: jest.fn(), runJob: jest.fn(), isRunning: jest.fn() }));
+
+const fs = require('fs');
+const db = require('../../src/database');
+const archiveImporter = require('../../src/email/archiveImporter');
+const router = require('../../src/routes/imports');
+
+function route(method, path) {
+  const layer = router.stack.find(entry => entry.route && entry.route.path === path && entry.route.methods[method]);
+  return layer.route.stack.map(entry => entry.handle);
+}
+
+function response() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('routes des imports d\'archives', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(fs.promises, 'unlink').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('ne supprime que les archives sans import quand la création échoue en cours de route', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 3 }] });
+    archiveImporter.createJob
+      .mockResolvedValueOnce({ id: 11 })
+      .mockRejectedValueOnce(Object.assign(new Error('Import 4 de b.mbox déjà en cours'), { alreadyRunning: true }));
+    const [, handler] = route('post', '/projects/:id/import');
+    const res = response();
+    const files = ['a.mbox', 'b.mbox', 'c.eml'].map(name => ({ path: `/data/imports/${name}`, originalname: name }));
+
+    await handler({ params: { id: '3' }, body: {}, files }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(fs.promises.unlink.mock.calls.map(([file]) => file)).toEqual(['/data/imports/b.mbox', '/data/imports/c.eml']);
+    expect(archiveImporter.runJob).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,54 @@
+jest.mock('../../src/email/emailProcessor', () => ({ enqueueRawEmail: jest.fn() }));
+jest.mock('../../src/email/inboundWebhook', () => ({ isEnabled: jest.fn(() => true), verifySignature: jest.fn() }));
+
+const { Readable } = require('stream');
+const config = require('../../src/config');
+const router = require('../../src/routes/inbound');
+
+function route(method, path) {
+  const layer = router.stack.find(entry => entry.route && entry.route.path === path && entry.route.methods[method]);
+  return layer.route.stack.map(entry => entry.handle);
+}
+
+function response() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+/**
+ * Requête multipart contenant le nombre de pièces jointes indiqué
+ */
+function multipart(files) {
+  const parts = Array.from({ length: files }, (value, index) => [
+    '--limite',
+    `Content-Disposition: form-data; name="attachment${index}"; filename="piece${index}.txt"`,
+    'Content-Type: text/plain',
+    '',
+    'contenu'
+  ].join('\r\n'));
+  const body = Buffer.from(`${parts.join('\r\n')}\r\n--limite--\r\n`);
+
+  const req = Readable.from([body]);
+  req.headers = { 'content-type': 'multipart/form-data; boundary=limite', 'content-length': String(body.length) };
+  return req;
+}
+
+describe('route du webhook de réception', () => {
+  test('refuse un formulaire qui dépasse le nombre de pièces jointes autorisé avant la vérification de signature', async () => {
+    const [parseForm] = route('post', '/inbound/email');
+    const res = response();
+    const next = jest.fn();
+
+    await new Promise(resolve => {
+      res.json.mockImplementation(() => resolve(res));
+      next.mockImplementation(resolve);
+      parseForm(multipart(config.inbound.maxFiles + 1), res, next);
+    });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(413);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ status: 'error', message: 'Formulaire trop volumineux' });
+  });
+});
@@ -0,0 +1,33 @@
+jest.mock('../../src/queue/jobQueue', () => ({ retry: jest.fn() }));
+
+const jobQueue = require('../../src/queue/jobQueue');
+const router = require('../../src/routes/jobs');
+
+function route(method, path) {
+  const layer = router.stack.find(entry => entry.route && entry.route.path === path && entry.route.methods[method]);
+  return layer.route.stack.map(entry => entry.handle);
+}
+
+function response() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('routes de la file de traitement', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('refuse de relancer un travail dont le message est déjà en file', async () => {
+    jobQueue.retry.mockRejectedValue(Object.assign(new Error('duplicate key value violates unique constraint'), { code: '23505' }));
+    const [handler] = route('post', '/jobs/:id/retry');
+    const res = response();
+
+    await handler({ params: { id: '7' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({ status: 'error', message: 'Un autre travail est déjà en cours pour ce message' });
+  });
+});
@@ -0,0 +1,70 @@
+jest.mock('../../src/database', () => ({ query: jest.fn() }));
+jest.mock('../../src/email/mailboxManager', () => ({
+  getStatus: jest.fn(),
+  testConnection: jest.fn(),
+  restartMailbox: jest.fn(),
+  stopMailbox: jest.fn()
+}));
+jest.mock('../../src/email/mailboxCredentials', () => ({
+  isEnabled: jest.fn(() => true),
+  encrypt: jest.fn(password => `chiffré:${password}`)
+}));
+
+const db = require('../../src/database');
+const mailboxManager = require('../../src/email/mailboxManager');
+const { requireAuth } = require('../../src/utils/apiAuth');
+const router = require('../../src/routes/mailboxes');
+
+function route(method, path) {
+  const layer = router.stack.find(entry => entry.route && entry.route.path === path && entry.route.methods[method]);
+  return layer.route.stack.map(entry => entry.handle);
+}
+
+function response() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('routes des boîtes mail', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockResolvedValue({ rows: [{ id: 2, host: 'imap.chantier.fr', username: 'chantier@btp.fr' }] });
+  });
+
+  test('toutes les routes des boîtes mail exigent une authentification', () => {
+    const routes = router.stack.filter(entry => entry.route);
+
+    expect(routes.map(entry => entry.route.path).every(path => path.startsWith('/mailboxes'))).toBe(true);
+    routes.forEach(entry => {
+      expect(entry.route.stack[0].handle).toBe(requireAuth);
+    });
+  });
+
+  test('refuse de changer de serveur ou d\'identifiant sans nouveau mot de passe', async () => {
+    const [, handler] = route('put', '/mailboxes/:id');
+
+    for (const body of [{ host: 'imap.ailleurs.fr' }, { username: 'autre@btp.fr', name: 'Chantier' }]) {
+      const res = response();
+      await handler({ params: { id: '2' }, body }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    }
+
+    expect(db.query.mock.calls.some(([sql]) => /UPDATE mailboxes/.test(sql))).toBe(false);
+    expect(mailboxManager.restartMailbox).not.toHaveBeenCalled();
+  });
+
+  test('accepte un changement de serveur accompagné du mot de passe', async () => {
+    const [, handler] = route('put', '/mailboxes/:id');
+    const res = response();
+
+    await handler({ params: { id: '2' }, body: { host: 'imap.ailleurs.fr', username: 'chantier@btp.fr', password: 'nouveau' } }, res);
+
+    const [, params] = db.query.mock.calls.find(([sql]) => /UPDATE mailboxes/.test(sql));
+    expect(params[1]).toBe('imap.ailleurs.fr');
+    expect(params[5]).toBe('chiffré:nouveau');
+    expect(mailboxManager.restartMailbox).toHaveBeenCalledWith(2);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+});
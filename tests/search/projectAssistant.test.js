@@ -0,0 +1,103 @@
+jest.mock('../../src/database', () => ({ query: jest.fn() }));
+jest.mock('../../src/llm/mistral', () => ({ answerQuestion: jest.fn() }));
+jest.mock('../../src/privacy/redactor', () => require('../helpers/mocks').passThroughRedactor());
+jest.mock('../../src/search/semanticSearch', () => ({ search: jest.fn() }));
+
+const db = require('../../src/database');
+const mistralClient = require('../../src/llm/mistral');
+const semanticSearch = require('../../src/search/semanticSearch');
+const projectAssistant = require('../../src/search/projectAssistant');
+const { route } = require('../helpers/mocks');
+
+const passage = {
+  chunk_id: 90,
+  source: 'email',
+  email_id: 12,
+  subject: 'Garde-corps balcon',
+  from_address: 'archi@atelier.fr',
+  received_date: new Date('2025-03-10T10:00:00Z')
+};
+
+describe('questions sur un projet', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    semanticSearch.search.mockResolvedValue({ results: [passage] });
+  });
+
+  test('ne garde que les repères des sources fournies', async () => {
+    route([
+      [/INSERT INTO ask_conversations/, () => ({ rows: [{ id: 8 }] })],
+      [/FROM search_chunks/, () => ({ rows: [{ id: 90, content: 'Le garde-corps sera en acier galvanisé.' }] })],
+      [/FROM tasks t/, () => ({ rows: [{ id: 5, name: 'Pose garde-corps', status: 'planned', planned_start_date: '2025-04-02' }] })]
+    ]);
+    mistralClient.answerQuestion.mockResolvedValue({
+      answer: 'Acier galvanisé [E12], pose en avril [T5] selon le lot [C99] .',
+      answered: true,
+      citations: ['[T5]', 'e12', 'A7']
+    });
+
+    const result = await projectAssistant.ask(3, { question: 'Quel garde-corps ?', userName: 'p.martin' });
+
+    expect(result).toMatchObject({ conversation_id: 8, answer: 'Acier galvanisé [E12], pose en avril [T5] selon le lot.', answered: true });
+    expect(result.citations.map(citation => citation.ref)).toEqual(['E12', 'T5']);
+    expect(result.citations[1]).toMatchObject({ type: 'task', id: 5, title: 'Pose garde-corps' });
+
+    const [question, sources] = mistralClient.answerQuestion.mock.calls[0];
+    expect(question).toBe('Quel garde-corps ?');
+    expect(sources).toContain('[E12] Email du 2025-03-10 de archi@atelier.fr, objet « Garde-corps balcon »\nLe garde-corps sera en acier galvanisé.');
+    expect(sources).toContain('[T5] Tâche « Pose garde-corps », statut planned, prévue à partir du 2025-04-02');
+
+    const conversation = db.query.mock.calls.find(([sql]) => /INSERT INTO ask_conversations/.test(sql));
+    expect(conversation[1]).toEqual([3, 'p.martin', 'Quel garde-corps ?']);
+  });
+
+  test('une réponse sans source valide n\'est pas considérée comme trouvée', async () => {
+    route([
+      [/INSERT INTO ask_conversations/, () => ({ rows: [{ id: 8 }] })],
+      [/FROM search_chunks/, () => ({ rows: [{ id: 90, content: '...' }] })]
+    ]);
+    mistralClient.answerQuestion.mockResolvedValue({ answer: 'Oui [E40]', answered: true, citations: [] });
+
+    await expect(projectAssistant.ask(3, { question: 'Livré ?', userName: 'p.martin' })).resolves.toMatchObject({
+      answer: 'Oui',
+      answered: false,
+      citations: []
+    });
+  });
+
+  test('répond sans appeler le modèle quand le dossier ne contient aucune source', async () => {
+    semanticSearch.search.mockRejectedValue(new Error('index indisponible'));
+    route([[/INSERT INTO ask_conversations/, () => ({ rows: [{ id: 8 }] })]]);
+
+    const result = await projectAssistant.ask(3, { question: 'Date de réception ?', userName: 'p.martin' });
+
+    expect(mistralClient.answerQuestion).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ answered: false, citations: [] });
+    const stored = db.query.mock.calls.find(([sql]) => /'assistant'/.test(sql));
+    expect(stored[1][1]).toBe(result.answer);
+  });
+
+  test('reprend la question précédente pour retrouver les sources d\'une relance', async () => {
+    route([
+      [/FROM ask_conversations WHERE id/, () => ({ rows: [{ id: 8 }] })],
+      [/FROM ask_messages/, () => ({ rows: [
+        { role: 'assistant', content: 'Acier galvanisé [E12]' },
+        { role: 'user', content: 'Quel garde-corps pour le balcon sud ?' }
+      ] })]
+    ]);
+    semanticSearch.search.mockResolvedValue({ results: [] });
+
+    await projectAssistant.ask(3, { question: 'et au nord ?', userName: 'p.martin', conversationId: 8 });
+
+    expect(semanticSearch.search.mock.calls[0][0]).toBe('Quel garde-corps pour le balcon sud ? et au nord ?');
+    expect(db.query.mock.calls[0][1]).toEqual([8, 3, 'p.martin']);
+  });
+
+  test('ne poursuit pas la conversation d\'un autre utilisateur', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    await expect(projectAssistant.ask(3, { question: 'et au nord ?', userName: 'c.durand', conversationId: 8 })).resolves.toBeNull();
+    expect(semanticSearch.search).not.toHaveBeenCalled();
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,101 @@
+jest.mock('../../src/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../src/llm/providers', () => ({ embed: jest.fn() }));
+jest.mock('../../src/privacy/redactor', () => require('../helpers/mocks').passThroughRedactor(
+  text => text.replace(/06 \d{2} \d{2} \d{2} \d{2}/g, '[TELEPHONE_1]')
+));
+
+const db = require('../../src/database');
+const providers = require('../../src/llm/providers');
+const semanticSearch = require('../../src/search/semanticSearch');
+const { route } = require('../helpers/mocks');
+
+describe('recherche sémantique', () => {
+  const settings = semanticSearch.settings;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    semanticSearch.settings = { ...settings, backend: 'memory', chunkSize: 60, chunkOverlap: 20, batchSize: 2, maxChunksPerDocument: 10, maxResults: 50 };
+    semanticSearch.pgvector = null;
+    semanticSearch.memoryIndex = null;
+    providers.embed.mockImplementation(async texts => ({
+      model: 'mistral-embed',
+      vectors: texts.map(text => (/béton/i.test(text) ? [1, 0] : [0, 1]))
+    }));
+  });
+
+  afterAll(() => {
+    semanticSearch.settings = settings;
+  });
+
+  test('découpe un texte en passages qui se chevauchent, coupés en fin de phrase', () => {
+    const text = 'Le coulage de la dalle est prévu lundi. La pompe à béton arrive à 7h. Prévoir deux compagnons pour le talochage.';
+    const chunks = semanticSearch.chunk(text);
+
+    expect(chunks[0]).toBe('Le coulage de la dalle est prévu lundi.');
+    expect(chunks.every(chunk => chunk.length <= 60)).toBe(true);
+    expect(chunks[chunks.length - 1].endsWith('talochage.')).toBe(true);
+    expect(chunks[1].startsWith('est prévu lundi. La pompe')).toBe(true);
+
+    expect(semanticSearch.chunk('  \n\n ')).toEqual([]);
+  });
+
+  test('indexe l\'email et ses pièces jointes par lots de textes masqués', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 1 }] }), release: jest.fn() };
+    db.getClient.mockResolvedValue(client);
+    route([
+      [/FROM emails WHERE id/, () => ({ rows: [{ id: 40, project_id: 3, subject: 'Livraison béton', body_text: 'Appeler le 06 12 34 56 78' }] })],
+      [/FROM attachments/, () => ({ rows: [{ id: 7, text_content: 'Bon de livraison' }, { id: 8, text_content: 'Planning' }] })]
+    ]);
+
+    await expect(semanticSearch.indexEmail(40)).resolves.toBe(3);
+
+    expect(providers.embed).toHaveBeenCalledTimes(2);
+    expect(providers.embed.mock.calls[0][0]).toEqual(['Livraison béton\n\nAppeler le [TELEPHONE_1]', 'Bon de livraison']);
+    expect(providers.embed.mock.calls[0][2]).toEqual({ projectId: 3, emailId: 40, priority: 'batch' });
+
+    const inserts = client.query.mock.calls.filter(([sql]) => /INSERT INTO search_chunks/.test(sql));
+    expect(inserts.map(([, params]) => params.slice(1, 4))).toEqual([[null, 'email', 0], [7, 'attachment', 0], [8, 'attachment', 0]]);
+    expect(inserts[0][1]).toHaveLength(7);
+
+    const embedding = client.query.mock.calls.find(([sql]) => /UPDATE emails/.test(sql));
+    expect(embedding[1]).toEqual(['[1,0]', 'mistral-embed', 40]);
+    expect(client.query.mock.calls.map(([sql]) => sql).pop()).toBe('COMMIT');
+  });
+
+  test('ne retourne que les passages des emails retenus par les filtres', async () => {
+    route([
+      [/FROM search_chunks\s+WHERE embedding IS NOT NULL/, () => ({ rows: [
+        { id: 1, email_id: 40, model: 'mistral-embed', embedding: [1, 0] },
+        { id: 2, email_id: 41, model: 'mistral-embed', embedding: [0.9, 0.1] },
+        { id: 3, email_id: 40, model: 'mistral-embed', embedding: [0, 1] },
+        { id: 4, email_id: 40, model: 'autre-modele', embedding: [1, 0] }
+      ] })],
+      [/SELECT e.id FROM emails e/, () => ({ rows: [{ id: 40 }] })],
+      [/c.id = ANY\(\$1\)/, ([ids]) => ({ rows: ids.map(id => ({ chunk_id: id, email_id: 40 })) })]
+    ]);
+
+    const { model, results } = await semanticSearch.search('pompe à béton', { projectId: 3 });
+
+    expect(model).toBe('mistral-embed');
+    expect(results.map(result => [result.chunk_id, result.score])).toEqual([[1, 1], [3, 0]]);
+    expect(results[0]).toMatchObject({ semantic_score: 1, keyword_score: null });
+  });
+
+  test('fusionne les classements sémantique et plein texte en mode hybride', async () => {
+    route([
+      [/FROM search_chunks\s+WHERE embedding IS NOT NULL/, () => ({ rows: [
+        { id: 1, email_id: 40, model: 'mistral-embed', embedding: [1, 0] },
+        { id: 2, email_id: 41, model: 'mistral-embed', embedding: [0.6, 0.8] }
+      ] })],
+      [/ts_rank/, () => ({ rows: [{ id: 2, score: '0.5' }, { id: 5, score: '0.2' }] })],
+      [/c.id = ANY\(\$1\)/, ([ids]) => ({ rows: ids.map(id => ({ chunk_id: id })) })]
+    ]);
+
+    const { results } = await semanticSearch.search('béton', { mode: 'hybrid' });
+
+    expect(results.map(result => result.chunk_id)).toEqual([2, 1, 5]);
+    expect(results[0].semantic_score).toBeCloseTo(0.6);
+    expect(results[0].keyword_score).toBe(0.5);
+    expect(results[2]).toMatchObject({ semantic_score: null, keyword_score: 0.2 });
+  });
+});
@@ -0,0 +1,125 @@
+jest.mock('../../src/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const db = require('../../src/database');
+const progressTracker = require('../../src/tasks/progressTracker');
+
+const tasks = [
+  { id: 10, name: 'Pose cloisons R+1', status: 'planned', actual_start_date: null, planned_end_date: new Date(2026, 2, 13) },
+  { id: 11, name: 'Coulage dalle RDC', status: 'in_progress', actual_start_date: new Date(2026, 1, 23), planned_end_date: null }
+];
+
+function mockDatabase({ confirm = false, inserted = true, pending = [] } = {}) {
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM projects')) return { rows: [{ confirm_task_updates: confirm }] };
+    if (sql.includes('FROM emails')) return { rows: [{ received_date: new Date(2026, 2, 2, 8, 30) }] };
+    if (sql.includes('SELECT * FROM tasks')) return { rows: tasks };
+    if (sql.includes('INSERT INTO task_progress_updates')) {
+      if (!inserted) return { rows: [] };
+      const [projectId, taskId, emailId, event, eventDate, proposedEndDate, detail, matchScore] = params;
+      return {
+        rows: [{
+          id: taskId * 10, project_id: projectId, task_id: taskId, email_id: emailId, event,
+          event_date: eventDate, proposed_end_date: proposedEndDate, detail, match_score: matchScore
+        }]
+      };
+    }
+    if (sql.includes('SELECT * FROM task_progress_updates')) return { rows: pending };
+    return { rows: [] };
+  });
+}
+
+function calls(fragment) {
+  return db.query.mock.calls.filter(([sql]) => sql.includes(fragment));
+}
+
+describe('suivi de l\'avancement des tâches', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+    progressTracker.matchScore = 0.6;
+  });
+
+  test('applique les événements rattachés à une tâche du projet', async () => {
+    mockDatabase();
+
+    const summary = await progressTracker.processEvents([
+      { task: 'Pose des cloisons R+1', event: 'démarré' },
+      { task: 'Coulage de la dalle RDC', event: 'retard', new_end_date: '2026-03-20', date: '2026-03-03', detail: 'Pompe en panne' },
+      { task: 'Ravalement façade', event: 'started' },
+      { task: 'Pose cloisons R+1', event: 'annulé' }
+    ], 100, 1);
+
+    expect(summary).toEqual({ applied: 2, pending: 0, unmatched: 2 });
+
+    // Sans date dans l'événement, la date de réception de l'email (jour local) est retenue
+    expect(calls('INSERT INTO task_progress_updates').map(([, params]) => params.slice(1, 6))).toEqual([
+      [10, 100, 'started', '2026-03-02', null],
+      [11, 100, 'delayed', '2026-03-03', '2026-03-20']
+    ]);
+
+    expect(calls('UPDATE tasks SET').map(([sql, params]) => [sql.match(/SET (.*), updated_at/)[1], params])).toEqual([
+      ['actual_start_date = $1, status = $2', ['2026-03-02', 'in_progress', 10]],
+      ['planned_end_date = $1, status = $2', ['2026-03-20', 'delayed', 11]]
+    ]);
+    expect(calls('SET status = \'applied\'').map(([, params]) => params[1])).toEqual(['system', 'system']);
+  });
+
+  test('met les événements en attente quand le projet exige une confirmation', async () => {
+    mockDatabase({ confirm: true });
+
+    const summary = await progressTracker.processEvents([{ task: 'Pose cloisons R+1', event: 'completed' }], 100, 1);
+
+    expect(summary).toEqual({ applied: 0, pending: 1, unmatched: 0 });
+    expect(calls('UPDATE tasks SET')).toHaveLength(0);
+  });
+
+  test('applique à la reprise un événement enregistré mais pas encore appliqué', async () => {
+    const pending = { id: 7, task_id: 10, email_id: 100, event: 'started', event_date: '2026-03-02', match_score: 1 };
+    mockDatabase({ inserted: false, pending: [pending] });
+
+    const summary = await progressTracker.processEvents([{ task: 'Pose cloisons R+1', event: 'started' }], 100, 1);
+
+    expect(summary).toEqual({ applied: 1, pending: 0, unmatched: 0 });
+    expect(calls('SET status = \'applied\'')[0][1]).toEqual([expect.any(String), 'system', 7]);
+  });
+
+  test('ignore un événement déjà appliqué lors d\'une tentative précédente', async () => {
+    mockDatabase({ inserted: false, pending: [] });
+
+    const summary = await progressTracker.processEvents([{ task: 'Pose cloisons R+1', event: 'started' }], 100, 1);
+
+    expect(summary).toEqual({ applied: 0, pending: 0, unmatched: 0 });
+    expect(calls('UPDATE tasks SET')).toHaveLength(0);
+  });
+
+  test('ne traite rien sans projet', async () => {
+    await expect(progressTracker.processEvents([{ task: 'Pose cloisons R+1', event: 'started' }], 100, null))
+      .resolves.toEqual({ applied: 0, pending: 0, unmatched: 0 });
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  describe('modifications induites', () => {
+    test('ne remplace pas une date de démarrage réelle ni le statut d\'une tâche terminée', () => {
+      expect(progressTracker.computeChanges(
+        { status: 'completed', actual_start_date: new Date(2026, 1, 23) },
+        { event: 'started', event_date: '2026-03-02' }
+      )).toEqual({});
+    });
+
+    test('achève une tâche à la date de l\'événement', () => {
+      expect(progressTracker.computeChanges(
+        { status: 'in_progress', actual_end_date: null },
+        { event: 'completed', event_date: '2026-03-12' }
+      )).toEqual({
+        actual_end_date: { from: null, to: '2026-03-12' },
+        status: { from: 'in_progress', to: 'completed' }
+      });
+    });
+
+    test('compare les dates de pg au jour local', () => {
+      expect(progressTracker.computeChanges(
+        { status: 'delayed', planned_end_date: new Date(2026, 2, 20) },
+        { event: 'delayed', proposed_end_date: '2026-03-20' }
+      )).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,235 @@
+jest.mock('../../src/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const db = require('../../src/database');
+const taskReconciler = require('../../src/tasks/taskReconciler');
+
+const trades = [
+  { id: 2, name: 'Maçonnerie' },
+  { id: 4, name: 'Plâtrerie' },
+  { id: 9, name: 'Plâtrerie - isolation' }
+];
+
+// Les colonnes DATE arrivent de pg comme des dates à minuit, heure locale
+function task(fields) {
+  return { status: 'planned', trade_id: null, planned_start_date: null, planned_end_date: null, description: null, ...fields };
+}
+
+function mockDatabase(tasks = []) {
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.includes('UNION')) return { rows: [] };
+    if (sql.includes('SELECT * FROM tasks WHERE project_id')) return { rows: tasks };
+    if (sql.includes('FROM trades ORDER BY id')) return { rows: trades };
+    if (sql.includes('ILIKE')) return { rows: [] };
+    if (sql.includes('INSERT INTO tasks')) return { rows: [{ id: 30, name: params[2], trade_id: params[1] }] };
+    return { rows: [] };
+  });
+}
+
+function calls(fragment) {
+  return db.query.mock.calls.filter(([sql]) => sql.includes(fragment));
+}
+
+describe('rapprochement des tâches extraites', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+    taskReconciler.autoMergeScore = 0.8;
+    taskReconciler.reviewScore = 0.5;
+    taskReconciler.dateWindowDays = 7;
+  });
+
+  describe('score de correspondance', () => {
+    const cloisons = task({ id: 10, name: 'Pose cloison R+1', trade_id: 4, planned_start_date: new Date(2026, 2, 2) });
+
+    test('reconnaît une même tâche malgré les accents, pluriels et mots vides', () => {
+      expect(taskReconciler.score({ name: 'Pose des cloisons R+1', start_date: '2026-03-02' }, 4, cloisons)).toEqual({
+        score: 1,
+        details: { name: 1, trade: 'identique', date: 'dans la fenêtre' }
+      });
+    });
+
+    test('exclut un corps de métier différent', () => {
+      expect(taskReconciler.score({ name: 'Pose cloison R+1' }, 2, cloisons)).toEqual({ score: 0, details: { trade: 'différent' } });
+    });
+
+    test('pénalise des dates éloignées et tolère des données manquantes', () => {
+      const far = taskReconciler.score({ name: 'Pose cloison R+1', start_date: '2026-03-20' }, 4, cloisons);
+      expect(far).toEqual({ score: 0.85, details: { name: 1, trade: 'identique', date: 'hors fenêtre' } });
+
+      const unknown = taskReconciler.score({ name: 'Pose cloison R+1' }, null, cloisons);
+      expect(unknown).toEqual({ score: 0.85, details: { name: 1, trade: 'inconnu', date: 'inconnue' } });
+    });
+  });
+
+  describe('corps de métier', () => {
+    test('préfère le nom identique à un nom qui le contient', async () => {
+      mockDatabase();
+
+      await expect(taskReconciler.findTradeId('platrerie')).resolves.toBe(4);
+      await expect(taskReconciler.findTradeId('MAÇONNERIES')).resolves.toBe(2);
+      expect(calls('ILIKE')).toHaveLength(0);
+    });
+
+    test('protège les caractères spéciaux de la recherche partielle', async () => {
+      mockDatabase();
+
+      await expect(taskReconciler.findTradeId('isol_50%')).resolves.toBeNull();
+      expect(calls('ILIKE')[0][1]).toEqual(['%isol\\_50\\%%']);
+    });
+
+    test('ne cherche pas un fragment trop court', async () => {
+      mockDatabase();
+
+      await expect(taskReconciler.findTradeId('pl')).resolves.toBeNull();
+      await expect(taskReconciler.findTradeId('  ')).resolves.toBeNull();
+      expect(calls('ILIKE')).toHaveLength(0);
+    });
+  });
+
+  test('fusionne, soumet à validation ou crée selon le score', async () => {
+    const tasks = [
+      task({ id: 10, name: 'Pose cloison R+1', trade_id: 4, planned_start_date: new Date(2026, 2, 2) }),
+      task({ id: 11, name: 'Pose cloisons et doublages R+1', trade_id: 4, planned_start_date: new Date(2026, 2, 20) })
+    ];
+    mockDatabase(tasks);
+
+    const summary = await taskReconciler.reconcile([
+      { name: 'Pose des cloisons R+1', trade: 'Plâtrerie', start_date: '2026-03-02', status: 'en cours' },
+      { name: 'Doublages R+1', trade: 'Plâtrerie', start_date: '2026-03-20' },
+      { name: 'Coulage dalle RDC', trade: 'Maçonnerie' }
+    ], 100, 1);
+
+    expect(summary).toEqual({ created: 1, merged: 1, review: 1 });
+
+    expect(calls('UPDATE tasks SET')[0][1]).toEqual(['in_progress', 10]);
+    expect(calls('INSERT INTO task_evidence').map(([, params]) => [params[0], params[2]])).toEqual([[10, 'merged'], [30, 'created']]);
+
+    const [[, reviewParams]] = calls('INSERT INTO task_match_reviews');
+    expect(reviewParams.slice(0, 3)).toEqual([1, 100, 11]);
+    expect(reviewParams[4]).toBe(0.797);
+
+    const [[, created]] = calls('INSERT INTO tasks');
+    expect(created.slice(0, 3)).toEqual([1, 2, 'Coulage dalle RDC']);
+  });
+
+  test('reprend un email sans retraiter les tâches déjà enregistrées', async () => {
+    mockDatabase([]);
+    db.query.mockImplementationOnce(async () => ({ rows: [{ name: 'Coulage dalle RDC' }] }));
+
+    const summary = await taskReconciler.reconcile([{ name: 'Coulage dalle RDC' }, { name: 'Ferraillage voiles' }], 100, 1);
+
+    expect(summary).toEqual({ created: 1, merged: 0, review: 0 });
+    expect(calls('INSERT INTO tasks')[0][1][2]).toBe('Ferraillage voiles');
+  });
+
+  describe('fusion', () => {
+    test('fait seulement avancer le statut et complète les champs vides', async () => {
+      mockDatabase();
+      const existing = task({ id: 10, name: 'Pose cloison', status: 'in_progress', planned_end_date: new Date(2026, 2, 13) });
+
+      const { changes } = await taskReconciler.mergeInto(existing, {
+        name: 'Pose cloison', status: 'prévu', end_date: '2026-03-13', description: 'Cloisons 72/48'
+      }, 100, { tradeId: 4, score: 0.9 });
+
+      expect(changes).toEqual({});
+      expect(calls('UPDATE tasks SET')[0][1]).toEqual(['Cloisons 72/48', 4, 10]);
+      expect(existing).toMatchObject({ status: 'in_progress', description: 'Cloisons 72/48', trade_id: 4 });
+    });
+
+    test('ne modifie plus une tâche terminée', async () => {
+      mockDatabase();
+      const existing = task({ id: 10, name: 'Pose cloison', status: 'completed', trade_id: 4, description: 'Cloisons' });
+
+      const { changes } = await taskReconciler.mergeInto(existing, {
+        name: 'Pose cloison', status: 'retardé', start_date: '2026-04-01', end_date: '2026-04-10'
+      }, 100);
+
+      expect(changes).toEqual({});
+      expect(calls('UPDATE tasks SET')).toHaveLength(0);
+      expect(calls('INSERT INTO task_evidence')).toHaveLength(1);
+    });
+
+    test('enregistre les nouvelles dates et le retard', async () => {
+      mockDatabase();
+      const existing = task({ id: 10, name: 'Pose cloison', status: 'in_progress', planned_end_date: new Date(2026, 2, 13) });
+
+      const { changes } = await taskReconciler.mergeInto(existing, { name: 'Pose cloison', status: 'delayed', end_date: '2026-03-20' }, 100);
+
+      expect(changes).toEqual({
+        planned_end_date: { from: '2026-03-13', to: '2026-03-20' },
+        status: { from: 'in_progress', to: 'delayed' }
+      });
+    });
+  });
+
+  describe('validation des rapprochements', () => {
+    const review = {
+      id: 5,
+      project_id: 1,
+      email_id: 100,
+      candidate_task_id: 11,
+      extracted: { name: 'Doublages R+1', trade: 'Plâtrerie', status: 'terminé' },
+      match_score: 0.797
+    };
+
+    let client;
+
+    // Le rapprochement est réservé puis résolu dans la transaction du client
+    function mockReview(rows = [review]) {
+      mockDatabase();
+      const route = db.query.getMockImplementation();
+      let claimed = null;
+      db.query.mockImplementation(async (sql, params) => {
+        if (sql.includes('AND status = \'pending\'') && sql.includes('UPDATE task_match_reviews')) {
+          claimed = rows[0] ? { ...rows[0], status: params[0], resolved_by: params[1] } : null;
+          return { rows: claimed ? [claimed] : [] };
+        }
+        if (sql.includes('SET resolved_task_id')) return { rows: [{ ...claimed, resolved_task_id: params[0] }] };
+        if (sql.includes('SELECT * FROM tasks WHERE id')) {
+          return { rows: params[0] === 11 ? [task({ id: 11, name: 'Pose cloisons et doublages R+1', status: 'in_progress' })] : [] };
+        }
+        return route(sql, params);
+      });
+      client = { query: db.query, release: jest.fn() };
+      db.getClient.mockResolvedValue(client);
+    }
+
+    function transaction() {
+      return calls('').map(([sql]) => sql).filter(sql => ['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql));
+    }
+
+    test('fusionne la tâche extraite avec la tâche candidate', async () => {
+      mockReview();
+
+      await expect(taskReconciler.resolveReview(5, 'merged', { resolvedBy: 'conducteur' }))
+        .resolves.toMatchObject({ id: 5, status: 'merged', resolved_by: 'conducteur', resolved_task_id: 11 });
+
+      expect(calls('UPDATE tasks SET')[0][1]).toEqual(['completed', 4, 11]);
+      expect(calls('INSERT INTO task_evidence')[0][1].slice(0, 3)).toEqual([11, 100, 'merged']);
+      expect(calls('SELECT * FROM tasks WHERE id')[0][0]).toContain('FOR UPDATE');
+      expect(calls('UPDATE task_match_reviews').map(([, params]) => params)).toEqual([['merged', 'conducteur', 5], [11, 5]]);
+      expect(transaction()).toEqual(['BEGIN', 'COMMIT']);
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('crée une nouvelle tâche ou abandonne la tâche extraite', async () => {
+      mockReview();
+      await expect(taskReconciler.resolveReview(5, 'created')).resolves.toMatchObject({ resolved_task_id: 30 });
+
+      mockReview();
+      await expect(taskReconciler.resolveReview(5, 'rejected')).resolves.toMatchObject({ status: 'rejected', resolved_task_id: null });
+      expect(calls('INSERT INTO tasks')).toHaveLength(1);
+    });
+
+    test('refuse une tâche d\'un autre projet et ignore un rapprochement déjà traité', async () => {
+      mockReview();
+      await expect(taskReconciler.resolveReview(5, 'merged', { taskId: 99 })).rejects.toThrow('Tâche 99 introuvable dans le projet');
+      expect(transaction()).toEqual(['BEGIN', 'ROLLBACK']);
+
+      db.query.mockClear();
+      mockReview([]);
+      await expect(taskReconciler.resolveReview(5, 'merged')).resolves.toBeNull();
+      expect(transaction()).toEqual(['BEGIN', 'ROLLBACK']);
+      expect(calls('INSERT INTO task_evidence')).toHaveLength(0);
+    });
+  });
+});
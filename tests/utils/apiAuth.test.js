@@ -0,0 +1,64 @@
+// Jetons lus au chargement du module, avec la configuration
+function load(tokens) {
+  const previous = process.env.API_TOKENS;
+  process.env.API_TOKENS = tokens;
+  let apiAuth;
+  jest.isolateModules(() => {
+    apiAuth = require('../../src/utils/apiAuth');
+  });
+  if (previous === undefined) delete process.env.API_TOKENS;
+  else process.env.API_TOKENS = previous;
+  return apiAuth;
+}
+
+function response() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+function request(authorization) {
+  return { method: 'GET', originalUrl: '/api/attachments/4/link', ip: '127.0.0.1', get: () => authorization };
+}
+
+describe('authentification des routes protégées', () => {
+  let apiAuth;
+
+  beforeAll(() => {
+    apiAuth = load('p.martin:jeton-martin, c.durand:jeton-durand, sans-jeton');
+  });
+
+  test('identifie l\'utilisateur du jeton', () => {
+    const req = request('Bearer jeton-durand');
+    const next = jest.fn();
+
+    apiAuth.requireAuth(req, response(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toBe('c.durand');
+  });
+
+  test('refuse une requête sans jeton ou avec un jeton inconnu', () => {
+    for (const authorization of [undefined, 'Bearer inconnu', 'jeton-martin', 'Bearer sans-jeton']) {
+      const res = response();
+      const next = jest.fn();
+
+      apiAuth.requireAuth(request(authorization), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    }
+  });
+
+  test('désactive les routes protégées quand aucun jeton n\'est configuré', () => {
+    const unconfigured = load('');
+    const res = response();
+    const next = jest.fn();
+
+    unconfigured.requireAuth(request('Bearer jeton-martin'), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(503);
+  });
+});
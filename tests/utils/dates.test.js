@@ -0,0 +1,23 @@
+const { toDay } = require('../../src/utils/dates');
+
+describe('dates au format AAAA-MM-JJ', () => {
+  test('reprend un jour valide et lit les dates avec l\'heure locale', () => {
+    expect(toDay(' 2024-02-29 ')).toBe('2024-02-29');
+    expect(toDay(new Date(2026, 2, 13))).toBe('2026-03-13');
+    expect(toDay(new Date(2026, 2, 13, 23, 30))).toBe('2026-03-13');
+  });
+
+  test('refuse un jour ou un mois qui n\'existe pas', () => {
+    expect(toDay('2025-13-45')).toBeNull();
+    expect(toDay('2025-02-30')).toBeNull();
+    expect(toDay('2025-02-29')).toBeNull();
+    expect(toDay('2025-00-10')).toBeNull();
+  });
+
+  test('renvoie null pour une valeur absente ou illisible', () => {
+    expect(toDay(null)).toBeNull();
+    expect(toDay('')).toBeNull();
+    expect(toDay('la semaine prochaine')).toBeNull();
+    expect(toDay(new Date('invalide'))).toBeNull();
+  });
+});